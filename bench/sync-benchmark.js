@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Sync Benchmark
+ *
+ * Measures what batching and compaction save on a seeded editing session:
+ * 1. Update messages and bytes sent while a robot types, with each batch
+ *    interval in BATCH_INTERVALS
+ * 2. Stored size of the document's update log as the server appends it,
+ *    after merging it into one snapshot, and after pruning deleted content,
+ *    with what the document holds: visible and deleted characters, saved
+ *    versions and authorship records
+ *
+ *   node bench/sync-benchmark.js [keystrokes]
+ *
+ * Typing runs in real time (TYPING_DELAY per keystroke), so batching sees
+ * the same gaps as in the editor. No server is required.
+ */
+
+import { mkdtemp, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { MemoryNetwork } from '../src/transports.js';
+import { createRandom } from '../src/simulation.js';
+import { FileStorage } from '../server/storage.js';
+import { compactStoredDocument } from '../server/compaction.js';
+
+const DOCUMENT_ID = 'benchmark';
+const KEYSTROKES = parseInt(process.argv[2] || '400', 10);
+const TYPING_DELAY = 5;
+const BATCH_INTERVALS = [0, 20, 50, 100];
+const SEED = 7;
+
+const colors = {
+  reset: '\x1b[0m',
+  info: '\x1b[33m',
+  value: '\x1b[36m',
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Memory network that counts the update messages it relays and their size
+ */
+class CountingNetwork extends MemoryNetwork {
+  constructor() {
+    super();
+    this.messages = 0;
+    this.bytes = 0;
+  }
+
+  send(room, message) {
+    if (message.type === 'update') {
+      this.messages++;
+      this.bytes += message.update.length;
+    }
+    super.send(room, message);
+  }
+}
+
+/**
+ * Type like a person: mostly characters, a backspace about every 12
+ * keystrokes and a few selected words deleted about every 200. `onEdit` runs
+ * after each keystroke.
+ */
+async function typeSession(engine, keystrokes, onEdit = async () => {}) {
+  const random = createRandom(SEED);
+  const words = ['sync', 'merge', 'update', 'document', 'replica', 'state', 'the', 'a', 'of', 'and'];
+  let word = '';
+  for (let i = 0; i < keystrokes; i++) {
+    const length = engine.getText().length;
+    const roll = random();
+    if (roll < 0.08 && length > 0) {
+      engine.delete(length - 1, 1);
+    } else if (roll < 0.085 && length > 30) {
+      engine.delete(Math.floor(random() * (length - 30)), 20);
+    } else {
+      if (word.length === 0) {
+        word = words[Math.floor(random() * words.length)] + ' ';
+      }
+      engine.insert(length, word[0]);
+      word = word.slice(1);
+    }
+    await onEdit(i);
+  }
+}
+
+const createEngine = (clientId, options) => new YjsEngine(DOCUMENT_ID, clientId, {
+  transport: 'memory',
+  persistence: false,
+  autoVersionInterval: 0,
+  ...options,
+});
+
+async function benchmarkBatching() {
+  console.log(`${colors.info}--- Batching: ${KEYSTROKES} keystrokes, ${TYPING_DELAY}ms apart ---${colors.reset}`);
+  console.log('  interval   messages   bytes sent');
+  for (const batchInterval of BATCH_INTERVALS) {
+    const network = new CountingNetwork();
+    const typist = createEngine('typist', { batchInterval, transportOptions: { network } });
+    const reader = createEngine('reader', { transportOptions: { network } });
+    network.messages = 0;
+    network.bytes = 0;
+    await typeSession(typist, KEYSTROKES, () => sleep(TYPING_DELAY));
+    typist.disconnect();
+    if (reader.getText() !== typist.getText()) {
+      throw new Error(`Reader did not receive every update with batchInterval ${batchInterval}`);
+    }
+    console.log(`  ${`${batchInterval}ms`.padStart(8)}   ${colors.value}${String(network.messages).padStart(8)}${colors.reset}   ${String(network.bytes).padStart(10)}`);
+    await typist.destroy();
+    await reader.destroy();
+  }
+}
+
+async function benchmarkCompaction() {
+  console.log(`\n${colors.info}--- Compaction: stored update log ---${colors.reset}`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-benchmark-'));
+  const storage = new FileStorage(directory);
+  const engine = createEngine('writer', { transportOptions: { network: new MemoryNetwork() } });
+  // Store every update, as the sync server does
+  engine.doc.on('update', (update) => storage.storeUpdate(DOCUMENT_ID, update));
+  await typeSession(engine, KEYSTROKES * 5, async (i) => {
+    if (i === KEYSTROKES) {
+      engine.createVersion('Checkpoint');
+    }
+  });
+  await storage.close();
+
+  const file = path.join(directory, `${DOCUMENT_ID}.ylog`);
+  const logSize = (await stat(file)).size;
+  const merged = await compactStoredDocument(storage, DOCUMENT_ID, { prune: false });
+  const pruned = await compactStoredDocument(storage, DOCUMENT_ID);
+  await storage.close();
+  const percent = (size) => `${Math.round((size / logSize) * 100)}%`;
+  console.log(`  appended log      ${colors.value}${String(logSize).padStart(8)}${colors.reset} bytes (${merged.updates} updates)`);
+  console.log(`  merged snapshot   ${colors.value}${String(merged.after).padStart(8)}${colors.reset} bytes (${percent(merged.after)})`);
+  console.log(`  pruned snapshot   ${colors.value}${String(pruned.after).padStart(8)}${colors.reset} bytes (${percent(pruned.after)})`);
+  let deleted = 0;
+  for (let item = engine.ytext._start; item !== null; item = item.right) {
+    if (item.deleted && item.countable) deleted += item.length;
+  }
+  console.log(`  text              ${String(engine.getText().length).padStart(8)} characters, ${deleted} deleted`);
+  console.log(`  records           ${String(engine.authorship.size + engine.authors.size).padStart(8)} authorship entries, ${engine.listVersions().length} saved version`);
+
+  await engine.destroy();
+  await rm(directory, { recursive: true, force: true });
+}
+
+async function runBenchmark() {
+  console.log(`${colors.info}=== Sync Benchmark ===${colors.reset}\n`);
+  await benchmarkBatching();
+  await benchmarkCompaction();
+  process.exit(0);
+}
+
+runBenchmark().catch(err => {
+  console.error('Benchmark error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,544 @@
+import http from 'http';
+import * as Y from 'yjs';
+import { WebSocketServer } from 'ws';
+import * as syncProtocol from 'y-protocols/sync';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as authProtocol from 'y-protocols/auth';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import { verifyToken } from './auth.js';
+import { pruneHistory } from './compaction.js';
+import { handleApiRequest, API_PREFIX } from './api.js';
+import { WebhookDispatcher } from './webhooks.js';
+import { canEdit, canComment } from '../src/roles.js';
+
+/**
+ * SyncServer - y-websocket compatible sync server with durable storage
+ *
+ * Documents are loaded from the storage adapter when the first client joins,
+ * every update is appended to the adapter's log, logs are compacted into a
+ * snapshot periodically, and a document is compacted and unloaded once its
+ * last client leaves. Snapshots leave out deleted content no saved version
+ * shows (see compaction.js); loaded documents keep it until they unload.
+ *
+ * With `auth` set, every connection must carry a token (`?token=`); the
+ * client's role for the document is sent to it, and updates from read-only
+ * roles are dropped. Commenters may only change the document's comments.
+ *
+ * The same HTTP server answers the REST API under /api/ (see api.js), and
+ * registered webhooks get debounced summaries of document changes (see
+ * webhooks.js).
+ */
+
+export const messageSync = 0;
+export const messageAwareness = 1;
+export const messageAuth = 2;
+// Server -> client: the connection's role for the document (not part of y-websocket)
+export const messageRole = 3;
+
+// WebSocket close codes for rejected connections
+export const closeUnauthorized = 4401;
+export const closeForbidden = 4403;
+export const closePolicyViolation = 1008;
+
+const wsReadyStateConnecting = 0;
+const wsReadyStateOpen = 1;
+
+const PING_TIMEOUT = 30000;
+
+// Transaction origin for updates replayed from storage (not written back)
+const storageOrigin = Symbol('storage');
+
+// The root Y.Text holding the main text (see YjsEngine)
+const TEXT_TYPE = 'content';
+
+/**
+ * A loaded document plus its connected clients and awareness
+ */
+class SharedDoc extends Y.Doc {
+  constructor(name, { gc }) {
+    super({ gc });
+    this.name = name;
+    // Maps each connection to the awareness client IDs it controls
+    this.conns = new Map();
+    // Maps each connection to its user's token claims, with auth
+    this.users = new Map();
+    // HTTP requests using the document right now
+    this.requests = 0;
+    this.updatesSinceCompaction = 0;
+
+    this.awareness = new awarenessProtocol.Awareness(this);
+    this.awareness.setLocalState(null);
+    this.awareness.on('update', ({ added, updated, removed }, conn) => {
+      const controlledIds = this.conns.get(conn);
+      if (controlledIds) {
+        added.forEach((clientId) => controlledIds.add(clientId));
+        removed.forEach((clientId) => controlledIds.delete(clientId));
+      }
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, messageAwareness);
+      encoding.writeVarUint8Array(
+        encoder,
+        awarenessProtocol.encodeAwarenessUpdate(this.awareness, added.concat(updated, removed))
+      );
+      this.broadcast(encoding.toUint8Array(encoder));
+    });
+
+    this.on('update', (update) => {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, messageSync);
+      syncProtocol.writeUpdate(encoder, update);
+      this.broadcast(encoding.toUint8Array(encoder));
+    });
+  }
+
+  broadcast(message) {
+    this.conns.forEach((_, conn) => send(this, conn, message));
+  }
+
+  /**
+   * Whether nothing uses the document, so it may be unloaded
+   */
+  isIdle() {
+    return this.conns.size === 0 && this.requests === 0;
+  }
+}
+
+const send = (doc, conn, message) => {
+  if (conn.readyState !== wsReadyStateConnecting && conn.readyState !== wsReadyStateOpen) {
+    conn.close();
+    return;
+  }
+  try {
+    conn.send(message, {}, (err) => { if (err) conn.close(); });
+  } catch (err) {
+    conn.close();
+  }
+};
+
+const reject = (conn, reason, code) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageAuth);
+  authProtocol.writePermissionDenied(encoder, reason);
+  try {
+    conn.send(encoding.toUint8Array(encoder));
+  } finally {
+    conn.close(code, reason);
+  }
+};
+
+// A client's sync step 2 is usually empty when it has nothing new
+const isEmptyUpdate = (update) => {
+  const { structs, ds } = Y.decodeUpdate(update);
+  return structs.length === 0 && ds.clients.size === 0;
+};
+
+// The root map holding comments (see YjsEngine); entries are plain values
+const COMMENTS_TYPE = 'comments';
+
+/**
+ * Whether an update only sets or deletes entries of the root map `name`.
+ * Deleting what is already deleted is allowed: a client's sync step 2
+ * repeats every deletion it knows of.
+ */
+const changesOnly = (doc, update, name) => {
+  const { structs, ds } = Y.decodeUpdate(update);
+  const root = doc.share.get(name);
+  const findNew = (id) => structs.find((struct) =>
+    struct.id.client === id.client && struct.id.clock <= id.clock && id.clock < struct.id.clock + struct.length);
+
+  // An item without a parent (or key) in the update takes its origin's
+  const isEntry = (struct, depth = 0) => {
+    if (struct instanceof Y.Skip) return true;
+    if (!(struct instanceof Y.Item)) return false;
+    if (!(struct.content instanceof Y.ContentAny || struct.content instanceof Y.ContentDeleted)) return false;
+    if (typeof struct.parent === 'string') return struct.parent === name && struct.parentSub !== null;
+    const neighbour = struct.parent === null && (struct.origin || struct.rightOrigin);
+    if (!neighbour || depth > structs.length) return false;
+    const known = findNew(neighbour);
+    if (known) return isEntry(known, depth + 1);
+    if (Y.getState(doc.store, neighbour.client) <= neighbour.clock) return false;
+    const item = Y.getItem(doc.store, neighbour);
+    return item instanceof Y.Item && item.parent === root;
+  };
+  if (!structs.every((struct) => isEntry(struct))) return false;
+
+  for (const [client, deletes] of ds.clients) {
+    for (const { clock, len } of deletes) {
+      for (let at = clock; at < clock + len;) {
+        const id = Y.createID(client, at);
+        let struct = findNew(id);
+        if (!struct) {
+          if (Y.getState(doc.store, client) <= at) return false;
+          struct = Y.getItem(doc.store, id);
+          // Garbage-collected and deleted items stay deleted
+          if (struct instanceof Y.Item && !struct.deleted && struct.parent !== root) return false;
+        }
+        at = struct.id.clock + struct.length;
+      }
+    }
+  }
+  return true;
+};
+
+export class SyncServer {
+  /**
+   * @param {object} options
+   * @param {object} options.storage Storage adapter (see storage.js)
+   * @param {number} [options.compactInterval] Milliseconds between compaction passes
+   * @param {boolean} [options.gc] Garbage-collect deleted content in loaded documents.
+   *   Off by default: clients render version snapshots from deleted content.
+   * @param {boolean} [options.pruneHistory] Drop deleted content no saved version shows
+   *   when compacting (default true; has no effect with gc)
+   * @param {object} [options.auth] Require tokens: { secret, permissions, defaultRole }
+   *   where permissions is a PermissionStore and defaultRole applies to users
+   *   not listed for a document (default 'viewer'; null denies them)
+   * @param {object[]} [options.webhooks] Webhooks to register: { url, documents? }
+   * @param {number} [options.webhookDebounce] Quiet milliseconds before changes
+   *   to a document are posted to webhooks
+   */
+  constructor({ storage, compactInterval = 60000, gc = false, pruneHistory = true, auth = null, webhooks = [], webhookDebounce = 1000 }) {
+    this.storage = storage;
+    this.gc = gc;
+    this.pruneHistory = pruneHistory && !gc;
+    this.auth = auth && { defaultRole: 'viewer', ...auth };
+    this.webhooks = new WebhookDispatcher({ debounce: webhookDebounce, hooks: webhooks });
+    // Document name -> Promise<SharedDoc>, so concurrent joins share one load
+    this.docs = new Map();
+    this.httpServer = null;
+    this.wss = null;
+    this.closing = false;
+    // In-flight unloads, awaited on close so no write is cut short
+    this._unloads = new Set();
+
+    this._compactTimer = setInterval(() => this.compactAll(), compactInterval);
+    this._compactTimer.unref?.();
+  }
+
+  /**
+   * Get a loaded document, reading it from storage on first use
+   */
+  getDocument(name) {
+    if (!this.docs.has(name)) {
+      this.docs.set(name, this._load(name));
+    }
+    return this.docs.get(name);
+  }
+
+  async _load(name) {
+    const doc = new SharedDoc(name, { gc: this.gc });
+    const updates = await this.storage.getUpdates(name);
+    doc.transact(() => {
+      updates.forEach((update) => Y.applyUpdate(doc, update));
+    }, storageOrigin);
+
+    const readText = () => doc.getText(TEXT_TYPE).toString();
+    this.webhooks.track(name, readText());
+    doc.on('update', (update, origin) => {
+      if (origin === storageOrigin) return;
+      doc.updatesSinceCompaction++;
+      this.storage.storeUpdate(name, update).catch((err) => {
+        console.error(`Failed to store update for "${name}"`, err);
+      });
+      this.webhooks.record(name, this._author(doc, origin), readText);
+    });
+    return doc;
+  }
+
+  /**
+   * Who made a change: { id, name } from the token of the connection or
+   * request it came from, else the name the connection's clients show
+   * others (or null)
+   */
+  _author(doc, origin) {
+    if (origin?.api) {
+      return { id: origin.user?.sub ?? null, name: origin.user?.name || origin.user?.sub || 'API' };
+    }
+    const user = doc.users.get(origin);
+    if (user) return { id: user.sub, name: user.name || user.sub };
+    const states = doc.awareness.getStates();
+    const names = [...(doc.conns.get(origin) || [])].map((clientId) => states.get(clientId)?.user?.name).filter(Boolean);
+    return { id: null, name: names[0] ?? null };
+  }
+
+  /**
+   * Rewrite a document's stored log as a single snapshot
+   */
+  async compact(name) {
+    const doc = await this.docs.get(name);
+    if (!doc || doc.updatesSinceCompaction === 0) return;
+    doc.updatesSinceCompaction = 0;
+    await this.storage.compact(name, this._snapshot(doc));
+  }
+
+  _snapshot(doc) {
+    const state = Y.encodeStateAsUpdate(doc);
+    return this.pruneHistory ? pruneHistory(state) : state;
+  }
+
+  compactAll() {
+    return Promise.all([...this.docs.keys()].map((name) => this.compact(name)));
+  }
+
+  /**
+   * Compact and drop a document nobody is connected to anymore
+   */
+  async _unload(name, doc) {
+    if ((await this.docs.get(name)) !== doc || !doc.isIdle()) return;
+    this.docs.delete(name);
+    const delivered = this.webhooks.forget(name);
+    if (doc.updatesSinceCompaction > 0) {
+      await this.storage.compact(name, this._snapshot(doc));
+    }
+    doc.destroy();
+    await delivered;
+  }
+
+  /**
+   * Attach a WebSocket connection for the document named by the request path
+   */
+  handleConnection(conn, req, { docName = null } = {}) {
+    if (docName === null) {
+      try {
+        docName = decodeURIComponent((req.url || '').slice(1).split('?')[0]);
+      } catch (err) {
+        conn.close(closePolicyViolation, 'Malformed document name');
+        return;
+      }
+    }
+    conn.binaryType = 'arraybuffer';
+
+    // Buffer messages that arrive while the document is loading
+    const queue = [];
+    let doc = null;
+    let role = null;
+    let user = null;
+    conn.on('message', (message) => {
+      if (doc) {
+        this._handleMessage(conn, doc, new Uint8Array(message), role);
+      } else {
+        queue.push(new Uint8Array(message));
+      }
+    });
+
+    let closed = false;
+    let pongReceived = true;
+    const pingInterval = setInterval(() => {
+      if (!pongReceived) {
+        conn.close();
+        return;
+      }
+      pongReceived = false;
+      try {
+        conn.ping();
+      } catch (err) {
+        conn.close();
+      }
+    }, PING_TIMEOUT);
+    conn.on('pong', () => {
+      pongReceived = true;
+    });
+    conn.on('close', () => {
+      closed = true;
+      clearInterval(pingInterval);
+      if (doc) this._closeConnection(doc, conn);
+    });
+
+    this._authorize(req, docName).catch((err) => {
+      console.error(`Failed to authorize a connection to "${docName}"`, err);
+      return { ok: false, code: 1011, status: 500, reason: 'Authorization failed' };
+    }).then((authorized) => {
+      if (closed) return null;
+      if (!authorized.ok) {
+        reject(conn, authorized.reason, authorized.code);
+        return null;
+      }
+      role = authorized.role;
+      user = authorized.user;
+      return this.getDocument(docName);
+    }).then((loaded) => {
+      if (!loaded) return;
+      if (closed) {
+        this._scheduleUnload(loaded);
+        return;
+      }
+      doc = loaded;
+      doc.conns.set(conn, new Set());
+      if (user) doc.users.set(conn, user);
+      if (role) {
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, messageRole);
+        encoding.writeVarString(encoder, role);
+        send(doc, conn, encoding.toUint8Array(encoder));
+      }
+      this._sendInitialState(doc, conn);
+      queue.forEach((message) => this._handleMessage(conn, doc, message, role));
+    }).catch((err) => {
+      console.error(`Failed to load "${docName}"`, err);
+      this.docs.delete(docName);
+      conn.close();
+    });
+  }
+
+  /**
+   * Check the request's token and look up the user's role for the document.
+   * With `claim` false, a document nobody has a role on yet is not claimed
+   * (see PermissionStore.resolveRole) and the user gets the default role.
+   * Failures carry a WebSocket close code and an HTTP status.
+   */
+  async _authorize(req, docName, { claim = true } = {}) {
+    if (!this.auth) return { ok: true, role: null, user: null };
+    const claims = this._verifyRequest(req);
+    if (!claims) {
+      return { ok: false, code: closeUnauthorized, status: 401, reason: 'Missing or invalid auth token' };
+    }
+    const { permissions, defaultRole } = this.auth;
+    const role = claim
+      ? await permissions.resolveRole(docName, claims.sub, defaultRole)
+      : permissions.getRole(docName, claims.sub) || defaultRole;
+    if (!role) {
+      return { ok: false, code: closeForbidden, status: 403, reason: `No access to "${docName}"` };
+    }
+    return { ok: true, role, user: claims };
+  }
+
+  /**
+   * Claims of the request's token (`?token=` or `Authorization: Bearer`), or null
+   */
+  _verifyRequest(req) {
+    const bearer = /^Bearer (.+)$/.exec(req.headers?.authorization || '');
+    const token = bearer ? bearer[1] : new URL(req.url || '/', 'http://localhost').searchParams.get('token');
+    return verifyToken(token, this.auth.secret);
+  }
+
+  /**
+   * Whether a client with `role` may apply `update`: editors may change
+   * anything, commenters only the document's comments
+   */
+  _mayApply(doc, update, role) {
+    return canEdit(role) || (canComment(role) && changesOnly(doc, update, COMMENTS_TYPE));
+  }
+
+  _sendInitialState(doc, conn) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageSync);
+    syncProtocol.writeSyncStep1(encoder, doc);
+    send(doc, conn, encoding.toUint8Array(encoder));
+
+    const states = doc.awareness.getStates();
+    if (states.size > 0) {
+      const awarenessEncoder = encoding.createEncoder();
+      encoding.writeVarUint(awarenessEncoder, messageAwareness);
+      encoding.writeVarUint8Array(
+        awarenessEncoder,
+        awarenessProtocol.encodeAwarenessUpdate(doc.awareness, Array.from(states.keys()))
+      );
+      send(doc, conn, encoding.toUint8Array(awarenessEncoder));
+    }
+  }
+
+  _handleMessage(conn, doc, message, role = null) {
+    try {
+      const encoder = encoding.createEncoder();
+      const decoder = decoding.createDecoder(message);
+      const messageType = decoding.readVarUint(decoder);
+      switch (messageType) {
+        case messageSync:
+          // Read-only roles may ask for the document but not change it;
+          // commenters may change its comments
+          if (!canEdit(role) && decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+            const updateDecoder = decoding.clone(decoder);
+            decoding.readVarUint(updateDecoder);
+            const update = decoding.readVarUint8Array(updateDecoder);
+            if (!this._mayApply(doc, update, role)) {
+              if (!isEmptyUpdate(update)) {
+                const denied = encoding.createEncoder();
+                encoding.writeVarUint(denied, messageAuth);
+                authProtocol.writePermissionDenied(denied, `Read-only access (${role}): update rejected`);
+                send(doc, conn, encoding.toUint8Array(denied));
+              }
+              break;
+            }
+          }
+          encoding.writeVarUint(encoder, messageSync);
+          syncProtocol.readSyncMessage(decoder, encoder, doc, conn);
+          // Only the message type was written: nothing to reply
+          if (encoding.length(encoder) > 1) {
+            send(doc, conn, encoding.toUint8Array(encoder));
+          }
+          break;
+        case messageAwareness:
+          awarenessProtocol.applyAwarenessUpdate(doc.awareness, decoding.readVarUint8Array(decoder), conn);
+          break;
+        default:
+          break;
+      }
+    } catch (err) {
+      console.error(`Failed to handle message for "${doc.name}"`, err);
+    }
+  }
+
+  _closeConnection(doc, conn) {
+    const controlledIds = doc.conns.get(conn);
+    if (!controlledIds) return;
+    doc.conns.delete(conn);
+    doc.users.delete(conn);
+    awarenessProtocol.removeAwarenessStates(doc.awareness, Array.from(controlledIds), null);
+    this._scheduleUnload(doc);
+  }
+
+  _scheduleUnload(doc) {
+    if (!doc.isIdle() || this.closing) return;
+    const unload = this._unload(doc.name, doc).catch((err) => {
+      console.error(`Failed to unload "${doc.name}"`, err);
+    });
+    this._unloads.add(unload);
+    unload.then(() => this._unloads.delete(unload));
+  }
+
+  /**
+   * Start an HTTP + WebSocket server. Resolves with the bound port.
+   */
+  listen(port = 1234, host = 'localhost') {
+    this.httpServer = http.createServer((req, res) => {
+      if ((req.url || '').startsWith(API_PREFIX)) {
+        handleApiRequest(this, req, res);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('okay');
+    });
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (conn, req) => this.handleConnection(conn, req));
+    this.httpServer.on('upgrade', (req, socket, head) => {
+      this.wss.handleUpgrade(req, socket, head, (conn) => {
+        this.wss.emit('connection', conn, req);
+      });
+    });
+
+    return new Promise((resolve) => {
+      this.httpServer.listen(port, host, () => resolve(this.httpServer.address().port));
+    });
+  }
+
+  /**
+   * Close all connections, compact loaded documents and release storage
+   */
+  async close() {
+    this.closing = true;
+    clearInterval(this._compactTimer);
+    if (this.wss) {
+      this.wss.clients.forEach((conn) => conn.terminate());
+      this.wss.close();
+    }
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(resolve));
+    }
+    await Promise.all(this._unloads);
+    await this.compactAll();
+    await this.webhooks.close();
+    await this.storage.close();
+  }
+}
+
+export default SyncServer;
@@ -0,0 +1,268 @@
+import * as Y from 'yjs';
+import { readMetadata, readSections } from '../src/YjsEngine.js';
+
+/**
+ * HTTP API of the sync server, for services that read and update documents
+ * without a WebSocket or a Y.Doc of their own:
+ *
+ *   GET    /api/documents                         { documents: [name] }
+ *   GET    /api/documents/:name                   { name, text, metadata, sections }
+ *   GET    /api/documents/:name/text              the main text (text/plain)
+ *   GET    /api/documents/:name/state-vector      Yjs state vector (binary)
+ *   GET    /api/documents/:name/update[?since=]   the document, or what is newer
+ *                                                 than a base64 state vector (binary)
+ *   POST   /api/documents/:name/update            apply a Yjs update -> { changed }
+ *   GET    /api/webhooks                          { webhooks }
+ *   POST   /api/webhooks                          { url, documents? } -> webhook
+ *   DELETE /api/webhooks/:id
+ *
+ * With auth, requests carry a token (`Authorization: Bearer <token>` or
+ * `?token=`) and need the same roles as sync connections. Only a valid update
+ * claims a document nobody has a role on yet, like a first connection;
+ * reads and webhooks get the default role for it. Webhooks have to name
+ * their documents, and users see only their own webhooks.
+ * Errors are JSON: { error }.
+ */
+
+export const API_PREFIX = '/api/';
+
+// Largest update accepted in one request
+const MAX_BODY_SIZE = 16 * 1024 * 1024;
+
+// Parts of a document with a route of their own
+const DOCUMENT_PARTS = ['text', 'state-vector', 'update'];
+
+// The root Y.Text holding the main text (see YjsEngine)
+const TEXT_TYPE = 'content';
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const sendBinary = (res, data) => {
+  res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': data.length });
+  res.end(Buffer.from(data.buffer, data.byteOffset, data.length));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      reject(new HttpError(413, `Request body larger than ${MAX_BODY_SIZE} bytes`));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(new Uint8Array(Buffer.concat(chunks))));
+  req.on('error', reject);
+});
+
+const readUpdate = async (req) => {
+  const body = await readBody(req);
+  try {
+    Y.decodeUpdate(body);
+  } catch (err) {
+    throw new HttpError(400, 'Not a valid Yjs update');
+  }
+  return body;
+};
+
+// Request bodies are JSON objects
+const readJson = async (req) => {
+  let body;
+  try {
+    body = JSON.parse(Buffer.from(await readBody(req)).toString());
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(400, 'Expected a JSON body');
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Expected a JSON object');
+  }
+  return body;
+};
+
+const decodePath = (pathname) => {
+  try {
+    return pathname.split('/').map(decodeURIComponent);
+  } catch (err) {
+    throw new HttpError(400, 'Malformed path');
+  }
+};
+
+const readText = (doc) => doc.getText(TEXT_TYPE).toString();
+
+/**
+ * Answer a request under API_PREFIX for `server` (a SyncServer)
+ */
+export async function handleApiRequest(server, req, res) {
+  try {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const [resource, id, part, ...rest] = decodePath(url.pathname.slice(API_PREFIX.length));
+    if (rest.length > 0) throw new HttpError(404, 'Not found');
+
+    if (resource === 'documents' && !id && !part) {
+      if (req.method !== 'GET') throw new HttpError(405, `${req.method} not allowed`);
+      sendJson(res, 200, { documents: await listDocuments(server, req) });
+    } else if (resource === 'documents' && id) {
+      await handleDocument(server, req, res, id, part || null, url.searchParams);
+    } else if (resource === 'webhooks' && !part) {
+      await handleWebhooks(server, req, res, id || null);
+    } else {
+      throw new HttpError(404, 'Not found');
+    }
+  } catch (err) {
+    if (!(err instanceof HttpError)) {
+      console.error(`Failed to answer ${req.method} ${req.url}`, err);
+    }
+    if (!res.headersSent) {
+      sendJson(res, err instanceof HttpError ? err.status : 500, { error: err instanceof HttpError ? err.message : 'Internal error' });
+    }
+  }
+}
+
+/**
+ * The request's role and user for a document, or an HttpError if it has no
+ * access. Only writes may `claim` an unclaimed document.
+ */
+async function authorize(server, req, name, { claim = false } = {}) {
+  const authorized = await server._authorize(req, name, { claim });
+  if (!authorized.ok) throw new HttpError(authorized.status, authorized.reason);
+  return authorized;
+}
+
+/**
+ * The request's user, or an HttpError if the server requires auth and it
+ * carries no valid token
+ */
+function identify(server, req) {
+  if (!server.auth) return null;
+  const user = server._verifyRequest(req);
+  if (!user) throw new HttpError(401, 'Missing or invalid auth token');
+  return user;
+}
+
+async function listDocuments(server, req) {
+  const user = identify(server, req);
+  const names = new Set([...(await server.storage.listDocuments()), ...server.docs.keys()]);
+  return [...names]
+    .filter((name) => !user || server.auth.permissions.getRole(name, user.sub) || server.auth.defaultRole)
+    .sort();
+}
+
+async function handleDocument(server, req, res, name, part, params) {
+  if (part !== null && !DOCUMENT_PARTS.includes(part)) throw new HttpError(404, 'Not found');
+  const writing = req.method === 'POST' && part === 'update';
+  if (req.method !== 'GET' && !writing) throw new HttpError(405, `${req.method} not allowed`);
+  let { role, user } = await authorize(server, req, name);
+  // Read the body before loading, so the document is not held meanwhile.
+  // Only a valid update claims a document nobody has a role on yet.
+  const body = writing ? await readUpdate(req) : null;
+  if (writing) ({ role, user } = await authorize(server, req, name, { claim: true }));
+
+  let doc;
+  try {
+    doc = await server.getDocument(name);
+  } catch (err) {
+    // Drop the failed load, so the next request tries again
+    server.docs.delete(name);
+    throw err;
+  }
+  doc.requests++;
+  try {
+    if (writing) {
+      applyUpdate(server, res, doc, { role, user, body });
+    } else {
+      readDocument(res, doc, part, params);
+    }
+  } finally {
+    doc.requests--;
+    server._scheduleUnload(doc);
+  }
+}
+
+function readDocument(res, doc, part, params) {
+  if (doc.store.clients.size === 0) throw new HttpError(404, `No document "${doc.name}"`);
+  switch (part) {
+    case 'text':
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(readText(doc));
+      break;
+    case 'state-vector':
+      sendBinary(res, Y.encodeStateVector(doc));
+      break;
+    case 'update': {
+      let update;
+      try {
+        const since = params.has('since') ? new Uint8Array(Buffer.from(params.get('since'), 'base64')) : undefined;
+        update = Y.encodeStateAsUpdate(doc, since);
+      } catch (err) {
+        throw new HttpError(400, 'Not a valid state vector');
+      }
+      sendBinary(res, update);
+      break;
+    }
+    default:
+      sendJson(res, 200, {
+        name: doc.name,
+        text: readText(doc),
+        metadata: readMetadata(doc.getMap('meta'), doc.name),
+        sections: readSections(doc.getMap('sections')),
+      });
+  }
+}
+
+function applyUpdate(server, res, doc, { role, user, body }) {
+  // Same rules as updates over sync connections
+  if (!server._mayApply(doc, body, role)) {
+    throw new HttpError(403, `Read-only access (${role}): update rejected`);
+  }
+  let changed = false;
+  doc.transact((transaction) => {
+    Y.applyUpdate(doc, body);
+    changed = transaction.changed.size > 0 || transaction.deleteSet.clients.size > 0;
+  }, { api: true, user });
+  sendJson(res, 200, { changed });
+}
+
+async function handleWebhooks(server, req, res, id) {
+  const user = identify(server, req);
+  const owner = user?.sub ?? null;
+  if (req.method === 'GET' && !id) {
+    sendJson(res, 200, { webhooks: server.webhooks.list(owner) });
+  } else if (req.method === 'POST' && !id) {
+    const { url, documents = null } = await readJson(req);
+    if (server.auth) {
+      if (!Array.isArray(documents) || documents.length === 0) {
+        throw new HttpError(400, 'Webhooks must name their documents when auth is required');
+      }
+      for (const name of documents) {
+        await authorize(server, req, name);
+      }
+    }
+    try {
+      sendJson(res, 201, server.webhooks.register({ url, documents, owner }));
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+  } else if (req.method === 'DELETE' && id) {
+    const hook = server.webhooks.hooks.get(id);
+    if (!hook || (owner !== null && hook.owner !== owner)) throw new HttpError(404, `No webhook "${id}"`);
+    server.webhooks.unregister(id);
+    res.writeHead(204);
+    res.end();
+  } else {
+    throw new HttpError(405, `${req.method} not allowed`);
+  }
+}
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+import { isRole } from '../src/roles.js';
+
+/**
+ * Auth for the sync server: signed tokens identify users, and a permission
+ * store maps (document, user) to a role.
+ *
+ * Tokens are `<payload>.<signature>`: base64url JSON ({ sub, name, exp })
+ * signed with HMAC-SHA256 over the shared AUTH_SECRET.
+ */
+
+const DEFAULT_TOKEN_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Issue a token for a user
+ * @param {{ sub: string, name?: string }} claims
+ */
+export function createToken(claims, secret, { expiresIn = DEFAULT_TOKEN_LIFETIME } = {}) {
+  if (!claims.sub) {
+    throw new Error('Token needs a subject (user ID)');
+  }
+  const payload = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() + expiresIn })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * The token's claims, or null if it is malformed, forged or expired
+ */
+export function verifyToken(token, secret) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return claims.sub && claims.exp > Date.now() ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Document and user names come from clients, so they are kept in objects
+// without a prototype: "__proto__" or "constructor" are plain keys there
+const dictionary = (entries) => Object.assign(Object.create(null), entries);
+
+/**
+ * Per-document roles, kept in a JSON file ({ [document]: { [user]: role } }).
+ * Without a file the roles live in memory only.
+ */
+export class PermissionStore {
+  constructor(file = null, documents = {}) {
+    this.file = file;
+    this.documents = dictionary();
+    Object.entries(documents).forEach(([document, roles]) => {
+      this.documents[document] = dictionary(roles);
+    });
+    this._queue = Promise.resolve();
+  }
+
+  static async open(file) {
+    try {
+      return new PermissionStore(file, JSON.parse(await readFile(file, 'utf8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return new PermissionStore(file);
+    }
+  }
+
+  getRole(document, user) {
+    return this.documents[document]?.[user] || null;
+  }
+
+  /**
+   * Grant a role, or revoke access with role null
+   */
+  setRole(document, user, role) {
+    if (role !== null && !isRole(role)) {
+      throw new Error(`Unknown role "${role}"`);
+    }
+    const roles = dictionary(this.documents[document]);
+    if (role) {
+      roles[user] = role;
+    } else {
+      delete roles[user];
+    }
+    this.documents[document] = roles;
+    return this._save();
+  }
+
+  /**
+   * Role of a user joining a document. The first user of a document without
+   * roles claims it as owner; users not listed get `defaultRole`.
+   */
+  async resolveRole(document, user, defaultRole) {
+    const roles = this.documents[document];
+    if (!roles || Object.keys(roles).length === 0) {
+      await this.setRole(document, user, 'owner');
+      return 'owner';
+    }
+    return roles[user] || defaultRole;
+  }
+
+  _save() {
+    if (!this.file) return Promise.resolve();
+    const data = JSON.stringify(this.documents, null, 2);
+    // Serialize writes; write-then-rename so a crash never leaves half a file
+    const result = this._queue.then(async () => {
+      await mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      await writeFile(tmp, data);
+      await rename(tmp, this.file);
+    });
+    this._queue = result.catch(() => {});
+    return result;
+  }
+}
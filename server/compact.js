@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Compact stored documents: rewrite each document's update log as one
+ * snapshot, without the deleted content no saved version shows
+ *
+ *   node server/compact.js [<document>...]
+ *
+ * Compacts every stored document unless some are named. Uses STORAGE and
+ * STORAGE_DIR like the server; set PRUNE_HISTORY=false to only merge the
+ * log. Run it while the server is stopped - a running server compacts the
+ * documents it has loaded itself.
+ */
+
+import { createStorage } from './storage.js';
+import { compactStoredDocument } from './compaction.js';
+
+const storageType = process.env.STORAGE || 'file';
+const storageDir = process.env.STORAGE_DIR || './data';
+const prune = process.env.PRUNE_HISTORY !== 'false' && process.env.PRUNE_HISTORY !== '0';
+
+const storage = await createStorage(storageType, storageDir);
+const names = process.argv.length > 2 ? process.argv.slice(2) : await storage.listDocuments();
+
+for (const name of names) {
+  const result = await compactStoredDocument(storage, name, { prune });
+  if (result) {
+    console.log(`${name}: ${result.updates} update(s), ${result.before} -> ${result.after} bytes`);
+  } else {
+    console.log(`${name}: nothing stored`);
+  }
+}
+await storage.close();
@@ -0,0 +1,74 @@
+import * as Y from 'yjs';
+
+/**
+ * History compaction for stored documents
+ *
+ * The server keeps deleted content (gc off) because clients render saved
+ * versions from it, so every character ever typed stays in storage.
+ * pruneHistory() rewrites a document's state without the deleted content
+ * that no saved version shows: each such tombstone shrinks to the ID range
+ * it covered, and adjacent ranges merge into one. The result is an ordinary
+ * update; replicas that still hold the content sync with it as before.
+ */
+
+// The root array holding saved versions (see YjsEngine.createVersion)
+const VERSIONS_TYPE = 'versions';
+
+/**
+ * Whether part of `item` is visible in `snapshot`: some of it was inserted
+ * before the snapshot was taken and not all of that was deleted by then
+ */
+const visibleIn = (item, snapshot) => {
+  const { client, clock } = item.id;
+  const end = Math.min(clock + item.length, snapshot.sv.get(client) || 0);
+  if (end <= clock) return false;
+  let covered = clock;
+  for (const range of snapshot.ds.clients.get(client) || []) {
+    if (range.clock > covered) break;
+    covered = Math.max(covered, range.clock + range.len);
+    if (covered >= end) return false;
+  }
+  return true;
+};
+
+/**
+ * Encode `update` (a document's full state) again with deleted content
+ * dropped unless a saved version still shows it
+ */
+export function pruneHistory(update) {
+  const source = new Y.Doc({ gc: false });
+  Y.applyUpdate(source, update);
+  const snapshots = source.getArray(VERSIONS_TYPE).toArray()
+    .filter((version) => version && version.snapshot)
+    .map((version) => Y.decodeSnapshot(version.snapshot));
+  source.destroy();
+
+  // Applying the state deletes its tombstones again, and the deleting
+  // transaction garbage-collects those the filter lets go
+  const pruned = new Y.Doc({
+    gcFilter: (item) => !snapshots.some((snapshot) => visibleIn(item, snapshot)),
+  });
+  Y.applyUpdate(pruned, update);
+  const state = Y.encodeStateAsUpdate(pruned);
+  pruned.destroy();
+  return state;
+}
+
+/**
+ * Rewrite a stored document's log as one snapshot, pruned unless `prune` is
+ * false. Only for documents no server has loaded: a server would append to
+ * the log meanwhile. Resolves to the sizes before and after in bytes, or
+ * null when nothing is stored under `name`.
+ */
+export async function compactStoredDocument(storage, name, { prune = true } = {}) {
+  const updates = await storage.getUpdates(name);
+  if (updates.length === 0) return null;
+  const merged = updates.length === 1 ? updates[0] : Y.mergeUpdates(updates);
+  const state = prune ? pruneHistory(merged) : merged;
+  await storage.compact(name, state);
+  return {
+    updates: updates.length,
+    before: updates.reduce((size, update) => size + update.length, 0),
+    after: state.length,
+  };
+}
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Sync server entry point
+ *
+ * Environment:
+ *   HOST, PORT         where to listen (default localhost:1234)
+ *   STORAGE            'file' or 'leveldb' (default file)
+ *   STORAGE_DIR        directory for stored documents (default ./data)
+ *   COMPACT_INTERVAL   milliseconds between log compactions (default 60000)
+ *   GC                 set to 'true' to garbage-collect deleted content (breaks version snapshots)
+ *   PRUNE_HISTORY      set to 'false' to keep deleted content no saved version shows when compacting
+ *   AUTH_SECRET        require signed tokens (see server/token.js); unset leaves documents open
+ *   DEFAULT_ROLE       role of users not listed for a document (default viewer, 'none' denies them)
+ *   PERMISSIONS_FILE   per-document roles (default STORAGE_DIR/permissions.json)
+ *   WEBHOOKS           comma-separated URLs that get change summaries of every document
+ *   WEBHOOK_DEBOUNCE   quiet milliseconds before changes are posted to webhooks (default 1000)
+ */
+
+import path from 'path';
+import { SyncServer } from './SyncServer.js';
+import { createStorage } from './storage.js';
+import { PermissionStore } from './auth.js';
+
+const host = process.env.HOST || 'localhost';
+const port = parseInt(process.env.PORT || '1234', 10);
+const storageType = process.env.STORAGE || 'file';
+const storageDir = process.env.STORAGE_DIR || './data';
+const compactInterval = parseInt(process.env.COMPACT_INTERVAL || '60000', 10);
+const gc = process.env.GC === 'true' || process.env.GC === '1';
+const pruneHistory = process.env.PRUNE_HISTORY !== 'false' && process.env.PRUNE_HISTORY !== '0';
+const authSecret = process.env.AUTH_SECRET;
+const defaultRole = process.env.DEFAULT_ROLE === 'none' ? null : process.env.DEFAULT_ROLE || 'viewer';
+const permissionsFile = process.env.PERMISSIONS_FILE || path.join(storageDir, 'permissions.json');
+const webhooks = (process.env.WEBHOOKS || '').split(',').filter(Boolean).map((url) => ({ url: url.trim() }));
+const webhookDebounce = parseInt(process.env.WEBHOOK_DEBOUNCE || '1000', 10);
+
+const storage = await createStorage(storageType, storageDir);
+const auth = authSecret
+  ? { secret: authSecret, permissions: await PermissionStore.open(permissionsFile), defaultRole }
+  : null;
+const server = new SyncServer({ storage, compactInterval, gc, pruneHistory, auth, webhooks, webhookDebounce });
+const boundPort = await server.listen(port, host);
+
+console.log(`Sync server running at ws://${host}:${boundPort} (${storageType} storage in ${storageDir})`);
+console.log(auth ? `Auth required, roles in ${permissionsFile}` : 'Auth disabled: anyone can edit any document');
+console.log(`REST API at http://${host}:${boundPort}/api/documents${webhooks.length ? `, ${webhooks.length} webhook(s)` : ''}`);
+
+const shutdown = async () => {
+  console.log('Shutting down, compacting documents...');
+  await server.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
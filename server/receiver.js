@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Local webhook receiver: prints every change summary the sync server posts
+ *
+ *   PORT=4000 node server/receiver.js
+ *
+ * Register it with the server, e.g. WEBHOOKS=http://localhost:4000/ npm run server
+ */
+
+import { WebhookReceiver } from './webhooks.js';
+
+const host = process.env.HOST || 'localhost';
+const port = parseInt(process.env.PORT || '4000', 10);
+
+const receiver = new WebhookReceiver();
+receiver.onDelivery = ({ body }) => {
+  const authors = body.authors.map((author) => author.name || author.id).join(', ') || 'unknown';
+  console.log(`${new Date().toISOString()} "${body.document}" changed by ${authors} (${body.updates} update(s))`);
+  body.ranges.forEach(({ index, deleted, inserted }) => {
+    console.log(`  at ${index}: -${JSON.stringify(deleted)} +${JSON.stringify(inserted)}`);
+  });
+};
+const url = await receiver.listen(port, host);
+console.log(`Webhook receiver listening at ${url}`);
+
+const shutdown = async () => {
+  await receiver.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
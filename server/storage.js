@@ -0,0 +1,126 @@
+import { promises as fs } from 'fs';
+import { FilePersistence } from '../src/FilePersistence.js';
+
+/**
+ * Storage adapters for the sync server
+ *
+ * Each adapter keeps an update log per document name:
+ *
+ *   getUpdates(name)          -> Promise<Uint8Array[]>
+ *   storeUpdate(name, update) -> Promise
+ *   compact(name, state)      -> Promise   replace the log with one snapshot
+ *   listDocuments()           -> Promise<string[]>
+ *   close()                   -> Promise
+ */
+
+/**
+ * File system storage - one length-prefixed log file per document
+ */
+export class FileStorage {
+  constructor(directory) {
+    this.directory = directory;
+    this.files = new Map();
+  }
+
+  /**
+   * One FilePersistence per document, so writes to a document stay serialized
+   */
+  _file(name) {
+    if (!this.files.has(name)) {
+      this.files.set(name, new FilePersistence(this.directory, name));
+    }
+    return this.files.get(name);
+  }
+
+  getUpdates(name) {
+    return this._file(name).load();
+  }
+
+  storeUpdate(name, update) {
+    return this._file(name).storeUpdate(update);
+  }
+
+  compact(name, state) {
+    return this._file(name).compact(state);
+  }
+
+  async listDocuments() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return entries
+      .filter((entry) => entry.endsWith('.ylog'))
+      .map((entry) => decodeURIComponent(entry.slice(0, -'.ylog'.length)));
+  }
+
+  async close() {
+    await Promise.all([...this.files.values()].map((file) => file.destroy()));
+  }
+}
+
+/**
+ * LevelDB storage - backed by y-leveldb, which keeps its own update log per document
+ */
+export class LevelStorage {
+  /**
+   * @param {object} leveldb A y-leveldb LeveldbPersistence
+   * @param {Function} getLevelUpdates y-leveldb's reader for a document's raw update log
+   */
+  constructor(leveldb, getLevelUpdates) {
+    this.leveldb = leveldb;
+    this.getLevelUpdates = getLevelUpdates;
+  }
+
+  static async open(location) {
+    const { LeveldbPersistence, getLevelUpdates } = await import('y-leveldb');
+    return new LevelStorage(new LeveldbPersistence(location), getLevelUpdates);
+  }
+
+  async getUpdates(name) {
+    // Not getYDoc(): it loads into a garbage-collected Y.Doc, dropping the
+    // deleted content saved versions are rendered from, and writes that
+    // state back once a log is long. Reading in a y-leveldb transaction
+    // keeps the read in order with the writes.
+    const updates = await this.leveldb._transact((db) => this.getLevelUpdates(db, name));
+    if (!updates) throw new Error(`Failed to read "${name}" from LevelDB`);
+    return updates;
+  }
+
+  storeUpdate(name, update) {
+    return this.leveldb.storeUpdate(name, update);
+  }
+
+  compact(name, state) {
+    // y-leveldb cannot replace a log with a given update, so clear the
+    // document and store the snapshot. Its writes run in order, so no
+    // update lands in between.
+    this.leveldb.clearDocument(name);
+    return this.leveldb.storeUpdate(name, state);
+  }
+
+  listDocuments() {
+    return this.leveldb.getAllDocNames();
+  }
+
+  close() {
+    return this.leveldb.destroy();
+  }
+}
+
+/**
+ * Create a storage adapter by name ('file' | 'leveldb')
+ */
+export async function createStorage(type, location) {
+  switch (type) {
+    case 'file':
+      return new FileStorage(location);
+    case 'leveldb':
+      return LevelStorage.open(location);
+    default:
+      throw new Error(`Unknown storage "${type}". Expected one of: file, leveldb`);
+  }
+}
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Issue an auth token for a user, and optionally grant them a role
+ *
+ *   AUTH_SECRET=... node server/token.js <userId> [<document> <role>]
+ *
+ * role is one of owner, editor, commenter, viewer, or 'none' to revoke.
+ * Roles are written to PERMISSIONS_FILE (default STORAGE_DIR/permissions.json);
+ * restart a running server to pick up changed roles.
+ */
+
+import path from 'path';
+import { createToken, PermissionStore } from './auth.js';
+
+const [userId, document, role] = process.argv.slice(2);
+const secret = process.env.AUTH_SECRET;
+const storageDir = process.env.STORAGE_DIR || './data';
+const permissionsFile = process.env.PERMISSIONS_FILE || path.join(storageDir, 'permissions.json');
+
+if (!userId || !secret || (document && !role)) {
+  console.error('Usage: AUTH_SECRET=... node server/token.js <userId> [<document> <role>]');
+  process.exit(1);
+}
+
+if (document) {
+  const permissions = await PermissionStore.open(permissionsFile);
+  try {
+    await permissions.setRole(document, userId, role === 'none' ? null : role);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  console.error(`${userId} is now ${role === 'none' ? 'removed from' : `${role} of`} "${document}"`);
+}
+
+console.log(createToken({ sub: userId, name: userId }, secret));
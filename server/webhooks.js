@@ -0,0 +1,236 @@
+import http from 'http';
+import { diffText } from '../src/diff.js';
+
+/**
+ * Change webhooks for the sync server
+ *
+ * A webhook is a URL that gets a POST with a JSON summary of each burst of
+ * changes to a document:
+ *
+ *   { event: 'document.changed', document, authors: [{ id, name }],
+ *     ranges: [{ index, deleted, inserted }], updates, from, to }
+ *
+ * Changes are collected per document until it has been quiet for `debounce`
+ * ms. `ranges` turn the main text from before the burst into the text after
+ * it, in order: at `index` of the new text, `deleted` was removed and
+ * `inserted` put in its place. Deliveries are not retried.
+ */
+
+// How long a delivery may take before it is abandoned
+const DELIVERY_TIMEOUT = 5000;
+
+/**
+ * Ranges changed between two texts, see the module comment
+ */
+export function changedRanges(before, after) {
+  const ranges = [];
+  let index = 0;
+  let open = null;
+  diffText(before, after).forEach(({ type, text }) => {
+    if (type === 'equal') {
+      index += text.length;
+      open = null;
+      return;
+    }
+    if (!open) {
+      open = { index, deleted: '', inserted: '' };
+      ranges.push(open);
+    }
+    if (type === 'insert') {
+      open.inserted += text;
+      index += text.length;
+    } else {
+      open.deleted += text;
+    }
+  });
+  return ranges;
+}
+
+export class WebhookDispatcher {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.debounce] Quiet milliseconds before a burst is delivered
+   * @param {object[]} [options.hooks] Webhooks to register, see register()
+   */
+  constructor({ debounce = 1000, hooks = [] } = {}) {
+    this.debounce = debounce;
+    this.hooks = new Map();
+    // Document name -> text the next summary is diffed against
+    this._texts = new Map();
+    // Document name -> { readText, authors, updates, from, to, timer }
+    this._pending = new Map();
+    this._deliveries = new Set();
+    hooks.forEach((hook) => this.register(hook));
+  }
+
+  /**
+   * Register a webhook for some documents, or all of them without `documents`.
+   * `owner` is the user who registered it, if the server requires auth.
+   */
+  register({ url, documents = null, owner = null }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      throw new Error(`Invalid webhook URL "${url}"`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error(`Webhook URL must be http or https: "${url}"`);
+    }
+    if (documents !== null && (!Array.isArray(documents) || !documents.every((name) => typeof name === 'string'))) {
+      throw new Error('Webhook documents must be a list of document names');
+    }
+    const hook = {
+      id: `wh-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+      url: parsed.href,
+      documents,
+      owner,
+      createdAt: Date.now(),
+    };
+    this.hooks.set(hook.id, hook);
+    return hook;
+  }
+
+  unregister(id) {
+    return this.hooks.delete(id);
+  }
+
+  list(owner = null) {
+    return [...this.hooks.values()].filter((hook) => owner === null || hook.owner === owner);
+  }
+
+  /**
+   * Remember a loaded document's text, for the first summary of its changes
+   */
+  track(name, text) {
+    this._texts.set(name, text);
+  }
+
+  /**
+   * Note a change to a document by `author` ({ id, name }). `readText`
+   * returns the document's current text when the burst is delivered.
+   */
+  record(name, author, readText) {
+    let pending = this._pending.get(name);
+    if (!pending) {
+      pending = { readText, authors: new Map(), updates: 0, from: Date.now(), to: null, timer: null };
+      this._pending.set(name, pending);
+    }
+    pending.readText = readText;
+    pending.authors.set(author.id ?? `name:${author.name}`, author);
+    pending.updates++;
+    pending.to = Date.now();
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => this.flush(name), this.debounce);
+  }
+
+  /**
+   * Deliver a document's pending changes now
+   */
+  flush(name) {
+    const pending = this._pending.get(name);
+    if (!pending) return Promise.resolve();
+    clearTimeout(pending.timer);
+    this._pending.delete(name);
+
+    const text = pending.readText();
+    const hooks = this.list().filter((hook) => hook.documents === null || hook.documents.includes(name));
+    if (hooks.length === 0) {
+      this._texts.set(name, text);
+      return Promise.resolve();
+    }
+    const summary = {
+      event: 'document.changed',
+      document: name,
+      authors: [...pending.authors.values()],
+      ranges: changedRanges(this._texts.get(name) ?? '', text),
+      updates: pending.updates,
+      from: pending.from,
+      to: pending.to,
+    };
+    this._texts.set(name, text);
+    return Promise.all(hooks.map((hook) => this._deliver(hook, summary)));
+  }
+
+  /**
+   * Deliver a document's pending changes and stop tracking it (it was unloaded)
+   */
+  forget(name) {
+    const delivered = this.flush(name);
+    this._texts.delete(name);
+    return delivered;
+  }
+
+  _deliver(hook, summary) {
+    const delivery = fetch(hook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Webhook-Id': hook.id },
+      body: JSON.stringify(summary),
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+    }).then((res) => {
+      if (!res.ok) {
+        console.error(`Webhook ${hook.url} answered ${res.status} for "${summary.document}"`);
+      }
+    }).catch((err) => {
+      console.error(`Failed to deliver webhook ${hook.url} for "${summary.document}"`, err.message);
+    });
+    this._deliveries.add(delivery);
+    delivery.then(() => this._deliveries.delete(delivery));
+    return delivery;
+  }
+
+  /**
+   * Deliver everything pending and wait for deliveries in flight
+   */
+  async close() {
+    await Promise.all([...this._pending.keys()].map((name) => this.flush(name)));
+    await Promise.all(this._deliveries);
+  }
+}
+
+/**
+ * Local stand-in for a service receiving webhooks: records every delivery
+ * it gets, for tests and for trying webhooks out (see receiver.js)
+ */
+export class WebhookReceiver {
+  constructor() {
+    this.deliveries = [];
+    this.onDelivery = null;
+    this.httpServer = null;
+  }
+
+  /**
+   * Start listening. Resolves with the URL to register.
+   */
+  listen(port = 0, host = 'localhost') {
+    this.httpServer = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        let body;
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString());
+        } catch (err) {
+          res.writeHead(400, { 'Content-Type': 'text/plain' });
+          res.end('Expected a JSON body');
+          return;
+        }
+        const delivery = { hook: req.headers['x-webhook-id'] || null, path: req.url, body, receivedAt: Date.now() };
+        this.deliveries.push(delivery);
+        this.onDelivery?.(delivery);
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    return new Promise((resolve) => {
+      this.httpServer.listen(port, host, () => {
+        resolve(`http://${host}:${this.httpServer.address().port}/`);
+      });
+    });
+  }
+
+  close() {
+    if (!this.httpServer) return Promise.resolve();
+    return new Promise((resolve) => this.httpServer.close(resolve));
+  }
+}
@@ -1,18 +1,64 @@
 import React, { useState, useEffect } from 'react';
 import CollaborativeEditor from './CollaborativeEditor';
+import DocumentSidebar from './DocumentSidebar';
 import TestRunner from './TestRunner';
+import {
+  DEFAULT_DOCUMENT_ID,
+  listDocuments,
+  createDocument,
+  renameDocument,
+  touchDocument,
+  documentPath,
+  parseDocumentPath,
+} from './workspace';
 
 export default function App() {
   const [mode, setMode] = useState('editor'); // 'editor' or 'test'
-  const [documentId] = useState(
-    () => localStorage.getItem('currentDocId') || 'shared-doc-1'
+  const [documentId, setDocumentId] = useState(
+    () => parseDocumentPath(window.location.pathname) ||
+      localStorage.getItem('currentDocId') ||
+      DEFAULT_DOCUMENT_ID
   );
+  const [documents, setDocuments] = useState(listDocuments);
 
-  // Persist document ID to localStorage
+  // Keep the URL on /doc/:id; the root path opens the last document
+  useEffect(() => {
+    if (parseDocumentPath(window.location.pathname) !== documentId) {
+      window.history.replaceState(null, '', documentPath(documentId));
+    }
+  }, []);
+
+  // Follow browser back/forward between documents
+  useEffect(() => {
+    const handlePopState = () => {
+      const id = parseDocumentPath(window.location.pathname);
+      if (id) setDocumentId(id);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Persist document ID to localStorage and record it in the document list
   useEffect(() => {
     localStorage.setItem('currentDocId', documentId);
+    setDocuments(touchDocument(documentId));
   }, [documentId]);
 
+  const openDocument = (id) => {
+    if (id === documentId) return;
+    window.history.pushState(null, '', documentPath(id));
+    setDocumentId(id);
+  };
+
+  const handleCreate = (options) => {
+    const document = createDocument(undefined, options);
+    openDocument(document.id);
+  };
+
+  const handleRename = (id, name) => {
+    setDocuments(renameDocument(id, name));
+  };
+
   return (
     <div>
       {/* Mode Toggle */}
@@ -41,7 +87,19 @@ export default function App() {
 
       {/* Content */}
       {mode === 'editor' ? (
-        <CollaborativeEditor documentId={documentId} />
+        <div style={styles.workspace}>
+          <DocumentSidebar
+            documents={documents}
+            currentId={documentId}
+            onOpen={openDocument}
+            onCreate={handleCreate}
+            onRename={handleRename}
+          />
+          {/* Keyed by document so switching tears down and recreates the engine */}
+          <div style={styles.editorPane}>
+            <CollaborativeEditor key={documentId} documentId={documentId} onOpenDocument={openDocument} />
+          </div>
+        </div>
       ) : (
         <TestRunner />
       )}
@@ -58,6 +116,14 @@ const styles = {
     borderBottom: '1px solid #e2e8f0',
     justifyContent: 'center',
   },
+  workspace: {
+    display: 'flex',
+    alignItems: 'stretch',
+  },
+  editorPane: {
+    flex: 1,
+    minWidth: 0,
+  },
   modeButton: {
     padding: '0.5rem 1.5rem',
     border: 'none',
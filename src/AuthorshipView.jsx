@@ -0,0 +1,95 @@
+import React from 'react';
+import { colorForId } from './presence';
+
+/**
+ * Read-only rendering of the text with each run colored by who inserted it.
+ * Hovering a run shows the author and when they wrote it.
+ */
+export default function AuthorshipView({ runs, style }) {
+  const authors = new Map();
+  runs.forEach(({ author }) => {
+    if (author && !authors.has(author.clientId)) {
+      authors.set(author.clientId, { name: author.name, color: authorColor(author) });
+    }
+  });
+
+  return (
+    <div style={{ ...styles.view, ...style }}>
+      <div style={styles.legend}>
+        {[...authors.entries()].map(([clientId, { name, color }]) => (
+          <span key={clientId} style={styles.legendItem}>
+            <span style={{ ...styles.swatch, background: color }} />
+            {name}
+          </span>
+        ))}
+        {authors.size === 0 && <span style={styles.legendItem}>No tracked authors yet</span>}
+      </div>
+      <div style={styles.text}>
+        {runs.map((run) => (
+          <span
+            key={run.start}
+            title={describeRun(run)}
+            style={run.author ? { background: `${authorColor(run.author)}33` } : styles.unknown}
+          >
+            {run.text}
+          </span>
+        ))}
+        {' '}
+      </div>
+    </div>
+  );
+}
+
+function authorColor(author) {
+  return author.color || colorForId(author.clientId);
+}
+
+function describeRun({ author, firstAt, lastAt }) {
+  if (!author) return 'Unknown author';
+  const first = new Date(firstAt).toLocaleString();
+  if (lastAt - firstAt < 60 * 1000) {
+    return `${author.name} · ${first}`;
+  }
+  return `${author.name} · ${first} – ${new Date(lastAt).toLocaleString()}`;
+}
+
+const styles = {
+  view: {
+    height: '400px',
+    overflowY: 'auto',
+    background: 'white',
+    border: '2px solid #e2e8f0',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+  },
+  legend: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.75rem',
+    padding: '0.5rem 1rem',
+    borderBottom: '1px solid #e2e8f0',
+    fontSize: '0.75rem',
+    color: '#64748b',
+  },
+  legendItem: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+  },
+  swatch: {
+    width: '10px',
+    height: '10px',
+    borderRadius: '2px',
+  },
+  text: {
+    padding: '1rem',
+    fontSize: '1rem',
+    lineHeight: '1.5',
+    fontFamily: "'Menlo', 'Monaco', 'Courier New', monospace",
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word',
+  },
+  unknown: {
+    color: '#94a3b8',
+  },
+};
@@ -1,65 +1,322 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import { YjsEngine } from './YjsEngine';
-import { Wifi, WifiOff, Undo, Redo, Play } from 'lucide-react';
+import { loadDocumentKey, shareLink, createBranch } from './workspace';
+import { loadLocalUser, saveUserName } from './presence';
+import { loadAuthToken } from './auth';
+import { loadWorkOffline, saveWorkOffline } from './offline';
+import { canEdit } from './roles';
+import PresenceAvatars from './PresenceAvatars';
+import RemoteCursorsOverlay from './RemoteCursorsOverlay';
+import HistoryPanel from './HistoryPanel';
+import UndoHistoryPanel from './UndoHistoryPanel';
+import CommentsPanel from './CommentsPanel';
+import SuggestionsPanel from './SuggestionsPanel';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import MetadataBar from './MetadataBar';
+import OutlinePanel from './OutlinePanel';
+import MergePanel from './MergePanel';
+import AuthorshipView from './AuthorshipView';
+import RichTextToolbar from './RichTextToolbar';
+import RichTextView from './RichTextView';
+import ImportExportMenu from './ImportExportMenu';
+import { runScenario, liveDriver } from './scenario';
+import editorRobots from '../scenarios/editor-robots.json';
+import {
+  FILE_FORMATS,
+  formatForFileName,
+  deltaToMarkdown,
+  deltaToHtml,
+  markdownToDelta,
+  htmlToDelta,
+  textToDelta,
+} from './fileFormats';
+import { Wifi, WifiOff, Undo, Redo, Play, HardDrive, CloudCog, Cloud, CloudOff, AlertTriangle, History, Layers, MessageSquare, Users, Activity, ListTree, Type, Lock, KeyRound, Shield, ShieldAlert, GitBranch, GitMerge, FileDiff, PenLine } from 'lucide-react';
 
-export default function CollaborativeEditor({ documentId }) {
+export default function CollaborativeEditor({ documentId, transport, onOpenDocument }) {
   const [text, setText] = useState('');
-  const [isConnected, setIsConnected] = useState(false);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [syncState, setSyncState] = useState(null);
+  const [workOffline, setWorkOffline] = useState(() => loadWorkOffline());
   const [clientId] = useState(
     () => localStorage.getItem('clientId') ||
     `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
   );
 
+  const [localUser, setLocalUser] = useState(() => loadLocalUser(clientId));
+  const [remoteUsers, setRemoteUsers] = useState([]);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [versions, setVersions] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showUndoHistory, setShowUndoHistory] = useState(false);
+  const [undoHistory, setUndoHistory] = useState({ undo: [], redo: [] });
+  const [changes, setChanges] = useState([]);
+  const [showAuthorship, setShowAuthorship] = useState(false);
+  const [authorship, setAuthorship] = useState([]);
+  const [authorshipRevision, setAuthorshipRevision] = useState(0);
+  const [showComments, setShowComments] = useState(false);
+  const [comments, setComments] = useState([]);
+  const [commentsRevision, setCommentsRevision] = useState(0);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [metadata, setMetadata] = useState({ title: '', tags: [] });
+  const [sections, setSections] = useState([]);
+  const [showOutline, setShowOutline] = useState(false);
+  const [showMerge, setShowMerge] = useState(false);
+  const [suggesting, setSuggesting] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [richText, setRichText] = useState(false);
+  const [delta, setDelta] = useState([]);
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [authToken] = useState(() => loadAuthToken());
+  const [encryptionKey] = useState(() => loadDocumentKey(documentId));
+  const [role, setRole] = useState(null);
+  const [accessDenied, setAccessDenied] = useState(null);
+  const [robotsRunning, setRobotsRunning] = useState(false);
+
   const textareaRef = useRef(null);
   const engineRef = useRef(null);
-  const isRemoteChange = useRef(false);
+  // True while handleChange writes the user's typing into the engine
+  const isLocalEdit = useRef(false);
+  // Selection to restore once a changed text has been rendered
+  const pendingSelection = useRef(null);
+  // Whether the last key pressed was Delete, to step over text marked for deletion
+  const forwardDelete = useRef(false);
 
   // Initialize Yjs engine
   useEffect(() => {
     // Save client ID for session persistence
     localStorage.setItem('clientId', clientId);
 
-    // Create Yjs engine
-    const engine = new YjsEngine(documentId, clientId);
+    // Create Yjs engine (transport defaults to VITE_SYNC_TRANSPORT)
+    // Typing is undone a word at a time
+    const engine = new YjsEngine(documentId, clientId, {
+      transport,
+      token: authToken,
+      encryptionKey,
+      undoGrouping: 'word',
+      batchInterval: BATCH_INTERVAL,
+      workOffline: loadWorkOffline(),
+      suggesting,
+    });
     engineRef.current = engine;
 
-    // Listen for connection changes
-    engine.onConnectionChange = (connected) => {
-      setIsConnected(connected);
+    // The server tells us our role; without auth there is none and we may edit
+    engine.onRoleChange = (newRole) => {
+      setRole(newRole);
+    };
+    engine.onPermissionDenied = (reason) => {
+      setAccessDenied(reason);
+    };
+    setRole(engine.role);
+    setAccessDenied(null);
+
+    // Track local copy restore, then connection, sync and unacknowledged edits
+    engine.onLocalLoad = () => {
+      setIsLoaded(true);
+      setText(engine.getText());
+      setVersions(engine.listVersions());
+      setDelta(engine.getDelta());
+      setMetadata(engine.getMetadata());
+      setSections(engine.getSections());
+      setSuggestions(engine.getSuggestions());
+    };
+    engine.onSyncStateChange = (state) => {
+      setSyncState(state);
     };
+    setIsLoaded(engine.isLoaded);
+    setSyncState(engine.getSyncState());
 
-    // Listen for text changes from other clients
-    engine.onTextChange((newText) => {
-      isRemoteChange.current = true;
+    // Track who else is here and where their cursors are
+    engine.onAwarenessChange((users) => {
+      setRemoteUsers(users);
+    });
 
-      // Save cursor position
-      const textarea = textareaRef.current;
-      const start = textarea?.selectionStart || 0;
-      const end = textarea?.selectionEnd || 0;
+    // Keep the version list current as anyone saves a version
+    engine.onVersionsChange((list) => {
+      setVersions(list);
+    });
 
-      setText(newText);
+    // Authors can change without the text changing (a renamed user), and
+    // undone or redone text is attributed just after the change
+    engine.onAuthorshipChange(() => {
+      setAuthorshipRevision((revision) => revision + 1);
+    });
+
+    // Comments are added, answered and resolved by anyone
+    engine.onCommentsChange(() => {
+      setCommentsRevision((revision) => revision + 1);
+    });
 
-      // Restore cursor position after React updates
-      setTimeout(() => {
-        if (textarea) {
-          textarea.selectionStart = start;
-          textarea.selectionEnd = end;
-        }
-        isRemoteChange.current = false;
-      }, 0);
+    // Title, tags and sections change with anyone's edits, undo and redo
+    engine.onMetadataChange((newMetadata) => {
+      setMetadata(newMetadata);
+    });
+    engine.onSectionsChange((newSections) => {
+      setSections(newSections);
+    });
+
+    // Suggestions are made, accepted and rejected by anyone
+    engine.onSuggestionsChange((newSuggestions) => {
+      setSuggestions(newSuggestions);
+    });
+
+    // Our undo and redo steps drive the Undo/Redo buttons and the undo history
+    engine.onUndoHistoryChange((history) => {
+      setUndoHistory(history);
+    });
+
+    // Formatting changes leave the plain text as is, so track the delta too
+    engine.onDeltaChange((newDelta) => {
+      setDelta(newDelta);
+    });
+
+    // Listen for text changes from other clients (and undo, redo, imports...)
+    engine.onTextChange((newText, { delta, local }) => {
+      // Typed here: the textarea already shows it
+      if (local && isLocalEdit.current) return;
+      // Formatting only; the plain text is unchanged
+      if (!delta.some((op) => op.insert !== undefined || op.delete !== undefined)) return;
+
+      // The engine tracks our selection as relative positions, so it still
+      // covers the same characters after the change
+      const newSelection = engine.getSelection();
+      if (newSelection) {
+        pendingSelection.current = newSelection;
+        setSelection(newSelection);
+      }
+      setText(newText);
+      setRemoteUsers(engine.getRemoteUsers());
     });
 
     // Set initial text
     setText(engine.getText());
+    setVersions(engine.listVersions());
+    setDelta(engine.getDelta());
+    setMetadata(engine.getMetadata());
+    setSections(engine.getSections());
+    setSuggestions(engine.getSuggestions());
+    setUndoHistory(engine.getUndoHistory());
 
     return () => {
       engine.destroy();
     };
-  }, [documentId, clientId]);
+  }, [documentId, clientId, transport, authToken]);
+
+  // Publish who we are (runs after the engine is created, and on rename)
+  useEffect(() => {
+    engineRef.current?.setLocalUser({ name: localUser.name, color: localUser.color });
+  }, [localUser, documentId, transport]);
+
+  // Recompute author runs only while the authorship view is open
+  useEffect(() => {
+    if (showAuthorship && engineRef.current) {
+      setAuthorship(engineRef.current.getAuthorship());
+    }
+  }, [showAuthorship, text, authorshipRevision]);
+
+  // Whether a step can be reverted cleanly depends on everyone's later edits,
+  // so recompute while the undo history is open
+  useEffect(() => {
+    if (showUndoHistory && engineRef.current) {
+      setChanges(engineRef.current.getChanges());
+    }
+  }, [showUndoHistory, undoHistory, delta]);
+
+  // Comment anchors move with the text
+  useEffect(() => {
+    if (engineRef.current) {
+      setComments(engineRef.current.getComments());
+    }
+  }, [text, commentsRevision]);
+
+  // Put the caret back before the browser paints the new text
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (pendingSelection.current && textarea) {
+      textarea.setSelectionRange(pendingSelection.current.start, pendingSelection.current.end);
+    }
+    pendingSelection.current = null;
+  });
+
+  const handleRename = (name) => {
+    saveUserName(name);
+    setLocalUser((user) => ({ ...user, name }));
+  };
+
+  const readOnly = !canEdit(role);
+  // Asked of the engine, which also knows encrypted documents take comments
+  // only from editors; `role` changing re-renders with the new answer
+  const mayComment = Boolean(engineRef.current?.canComment());
+  const openComments = comments.filter((thread) => !thread.resolved).length;
+
+  // Stay offline until toggled back, across reloads
+  const handleToggleOffline = () => {
+    const offline = !workOffline;
+    saveWorkOffline(offline);
+    setWorkOffline(offline);
+    if (offline) {
+      engineRef.current?.disconnect();
+    } else {
+      engineRef.current?.connect();
+    }
+  };
+
+  // Share our caret/selection with other clients
+  const handleSelect = (e) => {
+    setSelection({ start: e.target.selectionStart, end: e.target.selectionEnd });
+    engineRef.current?.updateSelection(e.target.selectionStart, e.target.selectionEnd);
+  };
+
+  // Rich-text formatting of the current selection
+  const selectionLength = selection.end - selection.start;
+  const activeFormat = richText && engineRef.current
+    ? engineRef.current.getFormat(selection.start, selectionLength)
+    : {};
+
+  const handleToggleFormat = (key) => {
+    if (selectionLength === 0) return;
+    engineRef.current?.format(selection.start, selectionLength, { [key]: activeFormat[key] ? null : true });
+  };
+
+  const handleHeading = (level) => {
+    engineRef.current?.formatLine(selection.start, selectionLength, { heading: level });
+  };
+
+  const handleList = (type) => {
+    engineRef.current?.formatLine(selection.start, selectionLength, {
+      list: activeFormat.list === type ? null : type,
+    });
+  };
+
+  const handleLink = () => {
+    if (selectionLength === 0) return;
+    const url = window.prompt('Link URL (leave empty to remove the link)', activeFormat.link || 'https://');
+    if (url !== null) {
+      engineRef.current?.format(selection.start, selectionLength, { link: url.trim() || null });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    forwardDelete.current = e.key === 'Delete';
+    if (readOnly || !(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    // The browser's own undo would bypass the engine
+    if (key === 'z' || key === 'y') {
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    } else if (richText && (e.key === 'b' || e.key === 'i')) {
+      e.preventDefault();
+      handleToggleFormat(e.key === 'b' ? 'bold' : 'italic');
+    }
+  };
 
   // Handle text area changes
   const handleChange = (e) => {
-    if (isRemoteChange.current) return;
+    if (readOnly) return;
 
     const newValue = e.target.value;
     const oldValue = text;
@@ -97,59 +354,216 @@ export default function CollaborativeEditor({ documentId }) {
     const engine = engineRef.current;
 
     // Apply changes to Yjs
-    if (deletedText.length > 0) {
-      engine.delete(commonPrefixLength, deletedText.length);
+    isLocalEdit.current = true;
+    try {
+      if (deletedText.length > 0) {
+        engine.delete(commonPrefixLength, deletedText.length);
+      }
+      if (insertedText.length > 0) {
+        engine.insert(commonPrefixLength, insertedText);
+      }
+    } finally {
+      isLocalEdit.current = false;
     }
-    if (insertedText.length > 0) {
-      engine.insert(commonPrefixLength, insertedText);
+
+    // Suggested deletions keep their text, so show the engine's text with the
+    // caret after what was typed (or after the marked text, for Delete)
+    if (suggesting) {
+      const marked = engine.getText().length - newValue.length;
+      const caret = commonPrefixLength + insertedText.length + (forwardDelete.current ? marked : 0);
+      engine.updateSelection(caret, caret);
+      pendingSelection.current = { start: caret, end: caret };
+      setSelection({ start: caret, end: caret });
+      setText(engine.getText());
+      return;
     }
+    engine.updateSelection(cursor, e.target.selectionEnd);
 
     // Update local state
     setText(newValue);
   };
 
-  // Undo handler
-  const handleUndo = () => {
-    engineRef.current?.undo();
+  // Undo and redo put the selection back where it was around the step.
+  // The engine restores it once the text change has been delivered.
+  const restoreSelection = () => {
+    const restored = engineRef.current?.getSelection();
+    if (restored) {
+      pendingSelection.current = restored;
+      setSelection(restored);
+    }
+  };
+
+  // Undo handler: `steps` steps back, one by default
+  const handleUndo = (steps = 1) => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    let undone = false;
+    for (let i = 0; i < steps && engine.undo(); i++) {
+      undone = true;
+    }
+    if (undone) restoreSelection();
   };
 
   // Redo handler
-  const handleRedo = () => {
-    engineRef.current?.redo();
+  const handleRedo = (steps = 1) => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    let redone = false;
+    for (let i = 0; i < steps && engine.redo(); i++) {
+      redone = true;
+    }
+    if (redone) restoreSelection();
+  };
+
+  // Revert a single earlier step; later edits stay
+  const handleRevert = (change) => {
+    if (change.conflict && !window.confirm(
+      `"${change.description}" was changed since. Revert it anyway? Later edits are kept, so the result may differ from before it.`
+    )) {
+      return;
+    }
+    engineRef.current?.revertChange(change.id);
   };
 
-  // Robot testing function
-  const simulateRobots = () => {
+  // Version history handlers
+  const handleSaveVersion = (name) => {
+    engineRef.current?.createVersion(name);
+  };
+
+  const handleRestoreVersion = (versionId) => {
+    engineRef.current?.restoreVersion(versionId);
+  };
+
+  const getVersionText = useCallback(
+    (versionId) => engineRef.current?.getVersionText(versionId) ?? '',
+    []
+  );
+
+  // Metadata and section handlers
+  const handleTitleChange = (title) => {
+    engineRef.current?.setTitle(title);
+  };
+
+  const handleAddSection = (name) => engineRef.current?.addSection(name) ?? null;
+
+  // Fork into a new document and open it; the branch is stored locally
+  // first and syncs once opened
+  const handleBranch = async () => {
     const engine = engineRef.current;
     if (!engine) return;
+    const branch = createBranch(documentId);
+    const branchEngine = engine.fork(branch.id, { workOffline: true });
+    await branchEngine.whenLoaded;
+    await branchEngine.destroy();
+    onOpenDocument(branch.id);
+  };
+
+  // The document this branch merges into, opened by the merge panel
+  const openOriginal = () => new YjsEngine(metadata.forkedFrom.documentId, clientId, {
+    transport,
+    token: authToken,
+    encryptionKey,
+    workOffline,
+  });
+
+  const getBranchUpdate = useCallback(() => engineRef.current.exportUpdate(), []);
 
-    // Robot A - Insert at beginning
-    setTimeout(() => {
-      console.log('Robot A: Inserting "AAA"');
-      engine.insert(0, 'AAA\n');
-    }, 100);
-
-    // Robot B - Insert after 500ms
-    setTimeout(() => {
-      console.log('Robot B: Inserting "BBB"');
-      engine.insert(0, 'BBB\n');
-    }, 500);
-
-    // Robot A - Go offline, insert, then reconnect
-    setTimeout(() => {
-      console.log('Robot A: Going offline');
-      engine.disconnect();
-    }, 1000);
-
-    setTimeout(() => {
-      console.log('Robot A: Inserting "XXX" while offline');
-      engine.insert(0, 'XXX\n');
-    }, 1500);
-
-    setTimeout(() => {
-      console.log('Robot A: Reconnecting');
-      engine.connect();
-    }, 3000);
+  // Comment handlers; new comments go on the current selection
+  const handleAddComment = (body) => {
+    engineRef.current?.addComment(selection.start, selection.end, body);
+  };
+
+  // Select a thread's text in the editor
+  const handleSelectThread = (thread) => {
+    const textarea = textareaRef.current;
+    if (!textarea || thread.orphaned) return;
+    textarea.focus();
+    textarea.setSelectionRange(thread.start, thread.end);
+    setSelection({ start: thread.start, end: thread.end });
+    engineRef.current?.updateSelection(thread.start, thread.end);
+  };
+
+  const handleToggleSuggesting = (on) => {
+    engineRef.current?.setSuggesting(on);
+    setSuggesting(on);
+  };
+
+  const handleSelectSuggestion = (suggestion) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(suggestion.start, suggestion.end);
+    setSelection({ start: suggestion.start, end: suggestion.end });
+    engineRef.current?.updateSelection(suggestion.start, suggestion.end);
+  };
+
+  const getMetrics = useCallback(() => engineRef.current?.getMetrics() || null, []);
+
+  const handleDownloadDiagnostics = () => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(`${documentId}-diagnostics-${stamp}.json`, JSON.stringify(engine.getDiagnostics(), null, 2), 'application/json');
+  };
+
+  // Export the document in one of FILE_FORMATS
+  const handleExport = (format) => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    let content;
+    if (format === 'yjs') {
+      content = engine.exportUpdate();
+    } else if (format === 'md') {
+      content = deltaToMarkdown(engine.getDelta());
+    } else if (format === 'html') {
+      content = deltaToHtml(engine.getDelta(), documentId);
+    } else {
+      content = engine.getText();
+    }
+    const { extension, type } = FILE_FORMATS[format];
+    downloadFile(`${documentId}.${extension}`, content, type);
+  };
+
+  // Text files are inserted at the caret; .yjs files are merged into the document
+  const handleImport = async (file) => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    const format = formatForFileName(file.name);
+    try {
+      if (format === 'yjs') {
+        engine.importUpdate(new Uint8Array(await file.arrayBuffer()));
+        return;
+      }
+      const content = await file.text();
+      const delta = format === 'md'
+        ? markdownToDelta(content)
+        : format === 'html'
+          ? htmlToDelta(content)
+          : textToDelta(content);
+      engine.insertDelta(Math.min(selection.start, engine.getText().length), delta);
+    } catch (err) {
+      window.alert(`Could not import "${file.name}": ${err.message}`);
+    }
+  };
+
+  // Robot testing: you are robot A of the editor-robots scenario, and
+  // robot B joins this document over the same transport
+  const simulateRobots = async () => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    setRobotsRunning(true);
+    const driver = liveDriver(documentId, { transport, engines: { A: engine }, engineOptions: { token: authToken } });
+    try {
+      const result = await runScenario(editorRobots, driver, {
+        stepDelay: ROBOT_STEP_DELAY,
+        onLog: (message, type, robot) => console.log(`${robot ? `Robot ${robot}: ` : ''}${message}`),
+      });
+      result.failures.forEach(({ step, message }) => console.warn(`Robots, step ${step}: ${message}`));
+    } catch (err) {
+      console.error('Robots stopped:', err.message);
+    } finally {
+      setRobotsRunning(false);
+    }
   };
 
   return (
@@ -158,31 +572,184 @@ export default function CollaborativeEditor({ documentId }) {
       <div style={styles.header}>
         <div style={styles.headerLeft}>
           <h2 style={styles.title}>CRDT Collaborative Editor</h2>
-          <div style={styles.badge}>
-            {isConnected ? (
+          {syncState && (
+            <div
+              style={{ ...styles.badge, background: SYNC_STATUS[syncState.status].color }}
+              title={syncState.error || undefined}
+            >
+              {React.createElement(SYNC_STATUS[syncState.status].icon, { size: 14, style: { marginRight: 4 } })}
+              {syncState.workOffline ? 'Working offline' : SYNC_STATUS[syncState.status].label}
+            </div>
+          )}
+          <div style={styles.syncBadge}>
+            {!isLoaded ? (
               <>
-                <Wifi size={14} style={{ marginRight: 4 }} />
-                Online
+                <HardDrive size={14} style={{ marginRight: 4 }} />
+                Loading local copy...
+              </>
+            ) : syncState?.pending > 0 ? (
+              <>
+                <CloudCog size={14} style={{ marginRight: 4 }} />
+                {syncState.pending} {syncState.pending === 1 ? 'change' : 'changes'} not synced
               </>
             ) : (
               <>
-                <WifiOff size={14} style={{ marginRight: 4 }} />
-                Offline
+                <Cloud size={14} style={{ marginRight: 4 }} />
+                {syncState?.lastAckAt
+                  ? `Last synced ${new Date(syncState.lastAckAt).toLocaleTimeString()}`
+                  : 'Not synced yet'}
               </>
             )}
           </div>
+          {encryptionKey && (
+            <div style={styles.syncBadge} title="Edits and presence are encrypted before they leave this browser">
+              <KeyRound size={14} style={{ marginRight: 4 }} />
+              End-to-end encrypted
+            </div>
+          )}
+          {metadata.forkedFrom && (
+            <div style={styles.syncBadge} title={`Forked by ${metadata.forkedFrom.forkedBy} ${new Date(metadata.forkedFrom.forkedAt).toLocaleString()}`}>
+              <GitBranch size={14} style={{ marginRight: 4 }} />
+              Branch of "{metadata.forkedFrom.title || metadata.forkedFrom.documentId}"
+            </div>
+          )}
+          {suggesting && (
+            <div style={styles.syncBadge} title="Your edits are recorded as suggestions for others to accept or reject">
+              <PenLine size={14} style={{ marginRight: 4 }} />
+              Suggesting
+            </div>
+          )}
+          {role && (
+            <div style={styles.syncBadge} title={`Your role in this document: ${role}`}>
+              {readOnly ? (
+                <Lock size={14} style={{ marginRight: 4 }} />
+              ) : (
+                <Shield size={14} style={{ marginRight: 4 }} />
+              )}
+              {role[0].toUpperCase() + role.slice(1)}{readOnly && ' · read only'}
+            </div>
+          )}
+          {accessDenied && (
+            <div style={styles.deniedBadge} title={accessDenied}>
+              <ShieldAlert size={14} style={{ marginRight: 4 }} />
+              Access denied
+            </div>
+          )}
+          <PresenceAvatars localUser={localUser} users={remoteUsers} onRename={handleRename} />
         </div>
 
         <div style={styles.headerRight}>
-          <button onClick={handleUndo} style={styles.button}>
+          <button
+            onClick={() => handleUndo()}
+            disabled={readOnly || undoHistory.undo.length === 0}
+            title={undoHistory.undo[0] ? `Undo: ${undoHistory.undo[0].description}` : 'Nothing to undo'}
+            style={styles.button}
+          >
             <Undo size={16} style={{ marginRight: 4 }} />
             Undo
           </button>
-          <button onClick={handleRedo} style={styles.button}>
+          <button
+            onClick={() => handleRedo()}
+            disabled={readOnly || undoHistory.redo.length === 0}
+            title={undoHistory.redo[0] ? `Redo: ${undoHistory.redo[0].description}` : 'Nothing to redo'}
+            style={styles.button}
+          >
             <Redo size={16} style={{ marginRight: 4 }} />
             Redo
           </button>
-          <button onClick={simulateRobots} style={styles.robotButton}>
+          <button
+            onClick={() => setShowUndoHistory((show) => !show)}
+            style={{ ...styles.button, ...(showUndoHistory ? styles.activeButton : {}) }}
+          >
+            <Layers size={16} style={{ marginRight: 4 }} />
+            Steps
+          </button>
+          <button
+            onClick={() => setShowOutline((show) => !show)}
+            style={{ ...styles.button, ...(showOutline ? styles.activeButton : {}) }}
+          >
+            <ListTree size={16} style={{ marginRight: 4 }} />
+            Outline{sections.length > 0 && ` (${sections.length})`}
+          </button>
+          <button
+            onClick={handleBranch}
+            disabled={!isLoaded || !onOpenDocument}
+            style={styles.button}
+            title="Copy this document into a branch to edit separately and merge back later"
+          >
+            <GitBranch size={16} style={{ marginRight: 4 }} />
+            Branch
+          </button>
+          {metadata.forkedFrom && (
+            <button
+              onClick={() => setShowMerge((show) => !show)}
+              style={{ ...styles.button, ...(showMerge ? styles.activeButton : {}) }}
+            >
+              <GitMerge size={16} style={{ marginRight: 4 }} />
+              Merge
+            </button>
+          )}
+          <button
+            onClick={() => setShowSuggestions((show) => !show)}
+            style={{ ...styles.button, ...(showSuggestions ? styles.activeButton : {}) }}
+          >
+            <FileDiff size={16} style={{ marginRight: 4 }} />
+            Suggestions{suggestions.length > 0 && ` (${suggestions.length})`}
+          </button>
+          <button
+            onClick={() => setShowComments((show) => !show)}
+            style={{ ...styles.button, ...(showComments ? styles.activeButton : {}) }}
+          >
+            <MessageSquare size={16} style={{ marginRight: 4 }} />
+            Comments{openComments > 0 && ` (${openComments})`}
+          </button>
+          <button
+            onClick={() => setRichText((on) => !on)}
+            style={{ ...styles.button, ...(richText ? styles.activeButton : {}) }}
+          >
+            <Type size={16} style={{ marginRight: 4 }} />
+            Rich Text
+          </button>
+          <button
+            onClick={() => setShowAuthorship((show) => !show)}
+            style={{ ...styles.button, ...(showAuthorship ? styles.activeButton : {}) }}
+          >
+            <Users size={16} style={{ marginRight: 4 }} />
+            Authors
+          </button>
+          <button
+            onClick={() => setShowHistory((show) => !show)}
+            style={{ ...styles.button, ...(showHistory ? styles.activeButton : {}) }}
+          >
+            <History size={16} style={{ marginRight: 4 }} />
+            History
+          </button>
+          <button
+            onClick={() => setShowDiagnostics((show) => !show)}
+            style={{ ...styles.button, ...(showDiagnostics ? styles.activeButton : {}) }}
+          >
+            <Activity size={16} style={{ marginRight: 4 }} />
+            Diagnostics
+          </button>
+          <button
+            onClick={handleToggleOffline}
+            style={{ ...styles.button, ...(workOffline ? styles.activeButton : {}) }}
+            title="Keep edits on this device until you go back online"
+          >
+            <CloudOff size={16} style={{ marginRight: 4 }} />
+            Work offline
+          </button>
+          <ImportExportMenu
+            onExport={handleExport}
+            onImport={readOnly ? null : handleImport}
+            buttonStyle={styles.button}
+          />
+          <button
+            onClick={simulateRobots}
+            disabled={readOnly || workOffline || robotsRunning}
+            style={styles.robotButton}
+            title={workOffline ? 'Robots need a connection; stop working offline first' : undefined}
+          >
             <Play size={16} style={{ marginRight: 4 }} />
             Start Robots
           </button>
@@ -190,13 +757,128 @@ export default function CollaborativeEditor({ documentId }) {
       </div>
 
       {/* Editor */}
-      <textarea
-        ref={textareaRef}
-        value={text}
-        onChange={handleChange}
-        placeholder="Start typing... Open this page in multiple windows to see real-time collaboration!"
-        style={styles.textarea}
-      />
+      <div style={styles.body}>
+        <div style={styles.editorColumn}>
+          <MetadataBar
+            metadata={metadata}
+            readOnly={readOnly}
+            onTitleChange={handleTitleChange}
+            onAddTag={(tag) => engineRef.current?.addTag(tag)}
+            onRemoveTag={(tag) => engineRef.current?.removeTag(tag)}
+          />
+          {richText && !showAuthorship && !readOnly && (
+            <RichTextToolbar
+              format={activeFormat}
+              onToggle={handleToggleFormat}
+              onHeading={handleHeading}
+              onList={handleList}
+              onLink={handleLink}
+            />
+          )}
+          <div style={styles.editorWrapper}>
+            {showAuthorship ? (
+              <AuthorshipView runs={authorship} />
+            ) : (
+              <>
+                <textarea
+                  ref={textareaRef}
+                  value={text}
+                  onChange={handleChange}
+                  onSelect={handleSelect}
+                  onKeyDown={handleKeyDown}
+                  onScroll={(e) => setScrollTop(e.target.scrollTop)}
+                  readOnly={readOnly}
+                  placeholder="Start typing... Open this page in multiple windows to see real-time collaboration!"
+                  style={styles.textarea}
+                />
+                <RemoteCursorsOverlay
+                  text={text}
+                  users={remoteUsers}
+                  scrollTop={scrollTop}
+                  style={styles.overlay}
+                />
+              </>
+            )}
+          </div>
+          {(richText || suggestions.length > 0) && <RichTextView delta={delta} style={styles.richTextView} />}
+        </div>
+        {showOutline && (
+          <OutlinePanel
+            sections={sections}
+            readOnly={readOnly}
+            onAdd={handleAddSection}
+            onRename={(id, name) => engineRef.current?.renameSection(id, name)}
+            onMove={(id, index) => engineRef.current?.moveSection(id, index)}
+            onRemove={(id) => engineRef.current?.removeSection(id)}
+            onEdit={(id, text) => engineRef.current?.setSectionText(id, text)}
+            onClose={() => setShowOutline(false)}
+          />
+        )}
+        {showMerge && metadata.forkedFrom && (
+          <MergePanel
+            forkedFrom={metadata.forkedFrom}
+            openOriginal={openOriginal}
+            getBranchUpdate={getBranchUpdate}
+            onOpenOriginal={onOpenDocument}
+            onClose={() => setShowMerge(false)}
+          />
+        )}
+        {showSuggestions && (
+          <SuggestionsPanel
+            suggestions={suggestions}
+            suggesting={suggesting}
+            canDecide={!readOnly}
+            onToggleSuggesting={handleToggleSuggesting}
+            onAccept={(id) => engineRef.current?.acceptSuggestion(id)}
+            onReject={(id) => engineRef.current?.rejectSuggestion(id)}
+            onSelect={handleSelectSuggestion}
+            onClose={() => setShowSuggestions(false)}
+          />
+        )}
+        {showComments && (
+          <CommentsPanel
+            threads={comments}
+            selectedText={text.slice(selection.start, selection.end)}
+            canComment={mayComment && !showAuthorship}
+            onAdd={handleAddComment}
+            onReply={(threadId, body) => engineRef.current?.replyToComment(threadId, body)}
+            onResolve={(threadId) => engineRef.current?.resolveComment(threadId)}
+            onReopen={(threadId) => engineRef.current?.reopenComment(threadId)}
+            onSelect={handleSelectThread}
+            onClose={() => setShowComments(false)}
+          />
+        )}
+        {showUndoHistory && (
+          <UndoHistoryPanel
+            history={undoHistory}
+            changes={changes}
+            readOnly={readOnly}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            onRevert={handleRevert}
+            onClose={() => setShowUndoHistory(false)}
+          />
+        )}
+        {showHistory && (
+          <HistoryPanel
+            versions={versions}
+            currentText={text}
+            getVersionText={getVersionText}
+            readOnly={readOnly}
+            onSave={handleSaveVersion}
+            onRestore={handleRestoreVersion}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+        {showDiagnostics && (
+          <DiagnosticsPanel
+            getMetrics={getMetrics}
+            encrypted={Boolean(encryptionKey)}
+            onDownload={handleDownloadDiagnostics}
+            onClose={() => setShowDiagnostics(false)}
+          />
+        )}
+      </div>
 
       {/* Info */}
       <div style={styles.info}>
@@ -206,6 +888,11 @@ export default function CollaborativeEditor({ documentId }) {
         <div style={styles.infoItem}>
           <strong>Document ID:</strong> {documentId}
         </div>
+        <div style={styles.infoItem}>
+          <strong>Share link:</strong>
+          <a href={shareLink(documentId, encryptionKey)}>{shareLink(documentId, encryptionKey)}</a>
+          {encryptionKey && ' (includes the document key)'}
+        </div>
         <div style={styles.infoItem}>
           <strong>Characters:</strong> {text.length}
         </div>
@@ -221,15 +908,80 @@ export default function CollaborativeEditor({ documentId }) {
           </li>
           <li>
             <strong>Per-Client Undo:</strong> Each client can undo only their own changes
-            without affecting others' work.
+            without affecting others' work. Typing is undone a word at a time, the caret
+            returns to where the change was made, and Steps lists every undo step. Revert
+            any single step there while keeping everything after it.
           </li>
           <li>
-            <strong>Offline Support:</strong> Disconnect and keep editing. Changes sync
-            automatically when you reconnect.
+            <strong>Offline Support:</strong> Disconnect (or click Work offline) and keep
+            editing. Changes sync automatically when you reconnect; the badges show how many
+            are still unsynced and when the server last confirmed them.
           </li>
           <li>
-            <strong>Robot Testing:</strong> Click "Start Robots" to simulate two clients
-            making conflicting edits while one goes offline and returns.
+            <strong>Presence:</strong> See who else is in the document and where their
+            cursors are. Click your avatar to change your display name.
+          </li>
+          <li>
+            <strong>Local Persistence:</strong> Documents are stored in IndexedDB, so edits
+            survive reloads and restarts even while offline.
+          </li>
+          <li>
+            <strong>Import &amp; Export:</strong> Download the document as text, Markdown,
+            HTML or a Yjs file with its full history; import files at the caret, or merge a
+            Yjs file into the document.
+          </li>
+          <li>
+            <strong>Rich Text:</strong> Click "Rich Text" to format the selection (bold,
+            italic, headings, lists, links) and see the formatted document below the editor.
+          </li>
+          <li>
+            <strong>Authorship:</strong> Click "Authors" to color the text by who wrote it;
+            hover a passage to see the author and when it was written.
+          </li>
+          <li>
+            <strong>Version History:</strong> Save named versions (or let auto-save take
+            them), preview and diff any version, and restore it as a new undoable change.
+          </li>
+          <li>
+            <strong>Title, Tags &amp; Outline:</strong> Name and tag the document above the
+            editor. Click "Outline" to add named sections, reorder them and write in each one;
+            all of it syncs, merges offline and is undone with your other edits.
+          </li>
+          <li>
+            <strong>Suggestions:</strong> Open "Suggestions" and switch on suggesting to
+            propose edits instead of making them: additions are underlined and deletions
+            struck through below the editor, with their author. Editors accept or reject
+            each one, and decisions merge like any other edit.
+          </li>
+          <li>
+            <strong>Branches:</strong> Click "Branch" to copy the document, with its
+            history, into a new one and edit it separately. On the branch, "Merge" previews
+            the text it added and removed, then merges it back into the original as one
+            change.
+          </li>
+          <li>
+            <strong>Comments:</strong> Click "Comments", select some text and comment on it.
+            Comments stay on their text while others edit, can be answered, resolved and
+            reopened, and are shown as orphaned once their text is deleted.
+          </li>
+          <li>
+            <strong>Permissions:</strong> On a server with auth enabled your role is shown
+            in the header. Viewers and commenters can read the document but not change it;
+            commenters can still comment.
+          </li>
+          <li>
+            <strong>End-to-End Encryption:</strong> Click the lock in the document list to
+            create an encrypted document. The server only stores what it cannot read; the key
+            travels in the share link, so share it only with collaborators.
+          </li>
+          <li>
+            <strong>Diagnostics:</strong> Click "Diagnostics" to chart sync traffic, latency
+            and document size live, and download a diagnostics file to attach to bug reports.
+          </li>
+          <li>
+            <strong>Robot Testing:</strong> Click "Start Robots" and a robot joins the
+            document while you (as robot A) go offline and return. The steps come from
+            scenarios/editor-robots.json, the format the Visual Tests use.
           </li>
         </ul>
       </div>
@@ -237,6 +989,30 @@ export default function CollaborativeEditor({ documentId }) {
   );
 }
 
+function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Pause between robot steps so they can be followed
+const ROBOT_STEP_DELAY = 500;
+
+// Keystrokes typed within this many ms are sent as one update
+const BATCH_INTERVAL = 50;
+
+// Connection badge for each YjsEngine sync status
+const SYNC_STATUS = {
+  connecting: { icon: Wifi, label: 'Connecting...', color: '#64748b' },
+  syncing: { icon: CloudCog, label: 'Syncing...', color: '#3b82f6' },
+  synced: { icon: Cloud, label: 'Synced', color: '#10b981' },
+  offline: { icon: WifiOff, label: 'Offline', color: '#f59e0b' },
+  error: { icon: AlertTriangle, label: 'Sync error', color: '#ef4444' },
+};
+
 const styles = {
   container: {
     maxWidth: '1200px',
@@ -276,6 +1052,16 @@ const styles = {
     fontSize: '0.875rem',
     fontWeight: '500',
   },
+  syncBadge: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.25rem 0.75rem',
+    background: '#e2e8f0',
+    color: '#475569',
+    borderRadius: '1rem',
+    fontSize: '0.875rem',
+    fontWeight: '500',
+  },
   button: {
     display: 'flex',
     alignItems: 'center',
@@ -289,11 +1075,41 @@ const styles = {
     fontSize: '0.875rem',
     background: '#f59e0b',
   },
+  activeButton: {
+    background: '#3730a3',
+  },
+  deniedBadge: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.25rem 0.75rem',
+    background: '#fee2e2',
+    color: '#b91c1c',
+    borderRadius: '1rem',
+    fontSize: '0.875rem',
+    fontWeight: '500',
+  },
+  body: {
+    display: 'flex',
+    gap: '1rem',
+    alignItems: 'flex-start',
+  },
+  editorColumn: {
+    flex: 1,
+    minWidth: 0,
+  },
+  editorWrapper: {
+    position: 'relative',
+  },
+  richTextView: {
+    marginTop: '1rem',
+  },
   textarea: {
+    display: 'block',
     width: '100%',
     height: '400px',
     padding: '1rem',
     fontSize: '1rem',
+    lineHeight: '1.5',
     border: '2px solid #e2e8f0',
     borderRadius: '0.5rem',
     resize: 'vertical',
@@ -301,6 +1117,13 @@ const styles = {
     background: 'white',
     boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
   },
+  // Must match the textarea's box and font metrics
+  overlay: {
+    padding: '1rem',
+    fontSize: '1rem',
+    lineHeight: '1.5',
+    border: '2px solid transparent',
+  },
   info: {
     display: 'flex',
     gap: '2rem',
@@ -0,0 +1,310 @@
+import React, { useState } from 'react';
+import { MessageSquare, CheckCircle2, RotateCcw, Send, X } from 'lucide-react';
+
+/**
+ * Comment threads in document order, shown in the margin next to the editor.
+ * Clicking a thread selects its text; threads whose text was deleted are
+ * listed as orphaned at the end.
+ */
+export default function CommentsPanel({ threads, selectedText, canComment, onAdd, onReply, onResolve, onReopen, onSelect, onClose }) {
+  const [draft, setDraft] = useState('');
+  const [showResolved, setShowResolved] = useState(false);
+
+  const visible = threads.filter((thread) => showResolved || !thread.resolved);
+  const anchored = visible.filter((thread) => !thread.orphaned);
+  const orphaned = visible.filter((thread) => thread.orphaned);
+  const resolvedCount = threads.filter((thread) => thread.resolved).length;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (draft.trim()) {
+      onAdd(draft);
+      setDraft('');
+    }
+  };
+
+  const renderThread = (thread) => (
+    <CommentThread
+      key={thread.id}
+      thread={thread}
+      canComment={canComment}
+      onReply={onReply}
+      onResolve={onResolve}
+      onReopen={onReopen}
+      onSelect={onSelect}
+    />
+  );
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          <MessageSquare size={16} style={{ marginRight: 6 }} />
+          Comments
+        </h3>
+        <button onClick={onClose} style={styles.iconButton} title="Close comments">
+          <X size={16} />
+        </button>
+      </div>
+
+      {canComment && (
+        selectedText ? (
+          <form onSubmit={handleAdd} style={styles.form}>
+            <blockquote style={styles.quote}>{selectedText}</blockquote>
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder="Comment on the selection..."
+              rows={2}
+              style={styles.input}
+            />
+            <button type="submit" disabled={!draft.trim()} style={styles.addButton}>
+              <MessageSquare size={14} style={{ marginRight: 4 }} />
+              Add comment
+            </button>
+          </form>
+        ) : (
+          <p style={styles.hint}>Select some text to comment on it.</p>
+        )
+      )}
+
+      {resolvedCount > 0 && (
+        <label style={styles.toggle}>
+          <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+          Show {resolvedCount} resolved
+        </label>
+      )}
+
+      <ul style={styles.list}>
+        {visible.length === 0 && <li style={styles.empty}>No open comments.</li>}
+        {anchored.map(renderThread)}
+      </ul>
+
+      {orphaned.length > 0 && (
+        <>
+          <h4 style={styles.sectionTitle}>Orphaned</h4>
+          <p style={styles.hint}>The text these comments were on has been deleted.</p>
+          <ul style={styles.list}>{orphaned.map(renderThread)}</ul>
+        </>
+      )}
+    </aside>
+  );
+}
+
+function CommentThread({ thread, canComment, onReply, onResolve, onReopen, onSelect }) {
+  const [reply, setReply] = useState('');
+
+  const handleReply = (e) => {
+    e.preventDefault();
+    if (reply.trim()) {
+      onReply(thread.id, reply);
+      setReply('');
+    }
+  };
+
+  return (
+    <li style={{ ...styles.thread, opacity: thread.resolved ? 0.6 : 1 }}>
+      <button
+        onClick={() => onSelect(thread)}
+        disabled={thread.orphaned}
+        style={styles.quoteButton}
+        title={thread.orphaned ? 'The commented text was deleted' : 'Select the commented text'}
+      >
+        <blockquote style={{ ...styles.quote, ...(thread.orphaned ? styles.orphanedQuote : {}) }}>
+          {thread.quote}
+        </blockquote>
+      </button>
+
+      {thread.comments.map((comment) => (
+        <div key={comment.id} style={styles.comment}>
+          <span style={{ ...styles.author, color: comment.author.color || '#334155' }}>
+            {comment.author.name}
+          </span>
+          <span style={styles.meta}>{new Date(comment.createdAt).toLocaleString()}</span>
+          <p style={styles.body}>{comment.body}</p>
+        </div>
+      ))}
+
+      {thread.resolved && (
+        <p style={styles.meta}>
+          Resolved by {thread.resolvedBy} · {new Date(thread.resolvedAt).toLocaleString()}
+        </p>
+      )}
+
+      {canComment && (
+        <div style={styles.actions}>
+          {!thread.resolved && (
+            <form onSubmit={handleReply} style={styles.replyForm}>
+              <input
+                value={reply}
+                onChange={(e) => setReply(e.target.value)}
+                placeholder="Reply..."
+                style={styles.replyInput}
+              />
+              <button type="submit" disabled={!reply.trim()} style={styles.iconButton} title="Send reply">
+                <Send size={14} />
+              </button>
+            </form>
+          )}
+          {thread.resolved ? (
+            <button onClick={() => onReopen(thread.id)} style={styles.smallButton}>
+              <RotateCcw size={12} style={{ marginRight: 4 }} />
+              Reopen
+            </button>
+          ) : (
+            <button onClick={() => onResolve(thread.id)} style={styles.smallButton}>
+              <CheckCircle2 size={12} style={{ marginRight: 4 }} />
+              Resolve
+            </button>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
+
+const styles = {
+  panel: {
+    width: '300px',
+    flexShrink: 0,
+    padding: '1rem',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+    maxHeight: '600px',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.75rem',
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  sectionTitle: {
+    marginTop: '0.75rem',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    color: '#b45309',
+  },
+  iconButton: {
+    display: 'flex',
+    padding: '0.25rem',
+    background: 'transparent',
+    color: '#94a3b8',
+  },
+  form: {
+    marginBottom: '0.75rem',
+  },
+  input: {
+    width: '100%',
+    padding: '0.5rem',
+    border: '1px solid #e2e8f0',
+    borderRadius: '0.375rem',
+    fontSize: '0.875rem',
+    resize: 'vertical',
+  },
+  addButton: {
+    display: 'flex',
+    alignItems: 'center',
+    width: '100%',
+    justifyContent: 'center',
+    marginTop: '0.25rem',
+  },
+  hint: {
+    marginBottom: '0.75rem',
+    fontSize: '0.75rem',
+    color: '#94a3b8',
+  },
+  toggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    marginBottom: '0.5rem',
+    fontSize: '0.75rem',
+    color: '#64748b',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+  },
+  empty: {
+    fontSize: '0.875rem',
+    color: '#94a3b8',
+  },
+  thread: {
+    marginBottom: '0.75rem',
+    paddingBottom: '0.75rem',
+    borderBottom: '1px solid #e2e8f0',
+  },
+  quoteButton: {
+    display: 'block',
+    width: '100%',
+    padding: 0,
+    background: 'transparent',
+    textAlign: 'left',
+  },
+  quote: {
+    margin: '0 0 0.5rem',
+    padding: '0.25rem 0.5rem',
+    borderLeft: '3px solid #facc15',
+    background: '#fefce8',
+    fontSize: '0.75rem',
+    color: '#475569',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+  orphanedQuote: {
+    borderLeftColor: '#cbd5e1',
+    background: '#f8fafc',
+    textDecoration: 'line-through',
+  },
+  comment: {
+    marginBottom: '0.5rem',
+  },
+  author: {
+    marginRight: '0.5rem',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+  },
+  meta: {
+    fontSize: '0.75rem',
+    color: '#94a3b8',
+  },
+  body: {
+    fontSize: '0.875rem',
+    color: '#334155',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+  },
+  replyForm: {
+    display: 'flex',
+    flex: 1,
+    alignItems: 'center',
+  },
+  replyInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: '0.25rem 0.5rem',
+    border: '1px solid #e2e8f0',
+    borderRadius: '0.375rem',
+    fontSize: '0.75rem',
+  },
+  smallButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.25rem 0.5rem',
+    fontSize: '0.75rem',
+  },
+};
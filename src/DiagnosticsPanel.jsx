@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { Activity, Download, X } from 'lucide-react';
+
+// How often the charts sample the engine, and how many samples they show
+const SAMPLE_INTERVAL = 1000;
+const SAMPLES = 60;
+const CHART_WIDTH = 240;
+const CHART_HEIGHT = 32;
+
+/**
+ * Live sync metrics for developers: traffic, latency and document size
+ * charted over the last minute, plus a diagnostics bundle to attach to bug
+ * reports. `getMetrics` is YjsEngine.getMetrics.
+ */
+export default function DiagnosticsPanel({ getMetrics, encrypted, onDownload, onClose }) {
+  const [samples, setSamples] = useState([]);
+
+  useEffect(() => {
+    let previous = null;
+    const sample = () => {
+      const metrics = getMetrics();
+      if (!metrics) return;
+      const point = {
+        metrics,
+        sentRate: previous ? metrics.sent.bytes - previous.sent.bytes : 0,
+        receivedRate: previous ? metrics.received.bytes - previous.received.bytes : 0,
+      };
+      previous = metrics;
+      setSamples((current) => [...current, point].slice(-SAMPLES));
+    };
+    sample();
+    const interval = setInterval(sample, SAMPLE_INTERVAL);
+    return () => clearInterval(interval);
+  }, [getMetrics]);
+
+  const latest = samples[samples.length - 1]?.metrics;
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          <Activity size={16} style={{ marginRight: 6 }} />
+          Diagnostics
+        </h3>
+        <button onClick={onClose} style={styles.iconButton} title="Close diagnostics">
+          <X size={16} />
+        </button>
+      </div>
+
+      {latest && (
+        <>
+          <Chart
+            label="Sent"
+            value={`${formatBytes(samples[samples.length - 1].sentRate)}/s`}
+            points={samples.map((point) => point.sentRate)}
+            color="#3b82f6"
+          />
+          <Chart
+            label="Received"
+            value={`${formatBytes(samples[samples.length - 1].receivedRate)}/s`}
+            points={samples.map((point) => point.receivedRate)}
+            color="#10b981"
+          />
+          <Chart
+            label="Latency"
+            value={latest.latency.last === null ? 'n/a' : `${latest.latency.last} ms`}
+            points={samples.map((point) => point.metrics.latency.last || 0)}
+            color="#f59e0b"
+          />
+          <Chart
+            label="State size"
+            value={formatBytes(latest.stateSize)}
+            points={samples.map((point) => point.metrics.stateSize)}
+            color="#8b5cf6"
+          />
+          <Chart
+            label="Tombstones"
+            value={latest.tombstones}
+            points={samples.map((point) => point.metrics.tombstones)}
+            color="#64748b"
+          />
+
+          <dl style={styles.counters}>
+            <dt>Updates sent</dt>
+            <dd>{latest.sent.updates} ({formatBytes(latest.sent.bytes)})</dd>
+            <dt>Updates received</dt>
+            <dd>{latest.received.updates} ({formatBytes(latest.received.bytes)})</dd>
+            <dt>Latency avg / max</dt>
+            <dd>
+              {latest.latency.average === null ? 'n/a' : `${latest.latency.average} / ${latest.latency.max} ms`}
+            </dd>
+            <dt>Reconnects</dt>
+            <dd>{latest.reconnects}</dd>
+          </dl>
+        </>
+      )}
+
+      <button onClick={onDownload} style={styles.downloadButton}>
+        <Download size={14} style={{ marginRight: 4 }} />
+        Download diagnostics
+      </button>
+      <p style={styles.hint}>
+        {encrypted
+          ? 'Includes the state vector and the sizes of recent updates. Their content is left out, since it is the decrypted text.'
+          : 'Includes the state vector and the recent update log. Updates contain document text.'}
+      </p>
+    </aside>
+  );
+}
+
+/**
+ * A labelled sparkline scaled to its own maximum
+ */
+function Chart({ label, value, points, color }) {
+  const max = Math.max(1, ...points);
+  const step = CHART_WIDTH / (SAMPLES - 1);
+  const path = points
+    .map((point, idx) => `${idx === 0 ? 'M' : 'L'}${(idx * step).toFixed(1)},${(CHART_HEIGHT - (point / max) * CHART_HEIGHT).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <div style={styles.chart}>
+      <div style={styles.chartLabel}>
+        <span>{label}</span>
+        <strong>{value}</strong>
+      </div>
+      <svg width="100%" height={CHART_HEIGHT} viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+        <path d={path} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const styles = {
+  panel: {
+    width: '280px',
+    flexShrink: 0,
+    padding: '1rem',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+    maxHeight: '600px',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.75rem',
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  iconButton: {
+    display: 'flex',
+    padding: '0.25rem',
+    background: 'transparent',
+    color: '#94a3b8',
+  },
+  chart: {
+    marginBottom: '0.75rem',
+  },
+  chartLabel: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    marginBottom: '0.25rem',
+    fontSize: '0.75rem',
+    color: '#64748b',
+  },
+  counters: {
+    display: 'grid',
+    gridTemplateColumns: 'auto auto',
+    gap: '0.25rem 0.5rem',
+    marginBottom: '0.75rem',
+    fontSize: '0.75rem',
+    color: '#334155',
+  },
+  downloadButton: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '100%',
+  },
+  hint: {
+    marginTop: '0.5rem',
+    fontSize: '0.75rem',
+    color: '#94a3b8',
+  },
+};
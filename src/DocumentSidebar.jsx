@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { FileText, FileLock, GitBranch, Plus, Lock, Pencil, Check } from 'lucide-react';
+
+export default function DocumentSidebar({ documents, currentId, onOpen, onCreate, onRename }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const startRename = (document) => {
+    setEditingId(document.id);
+    setDraftName(document.name);
+  };
+
+  const commitRename = () => {
+    const name = draftName.trim();
+    if (name) {
+      onRename(editingId, name);
+    }
+    setEditingId(null);
+  };
+
+  return (
+    <aside style={styles.sidebar}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Documents</h3>
+        <div style={styles.headerButtons}>
+          <button onClick={() => onCreate({ encrypted: true })} style={styles.newButton} title="New end-to-end encrypted document">
+            <Lock size={16} />
+          </button>
+          <button onClick={() => onCreate()} style={styles.newButton} title="New document">
+            <Plus size={16} />
+          </button>
+        </div>
+      </div>
+
+      <ul style={styles.list}>
+        {documents.map((document) => (
+          <li
+            key={document.id}
+            style={{
+              ...styles.item,
+              background: document.id === currentId ? '#eef2ff' : 'transparent',
+              color: document.id === currentId ? '#4f46e5' : '#334155',
+            }}
+          >
+            {editingId === document.id ? (
+              <form
+                style={styles.renameForm}
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  commitRename();
+                }}
+              >
+                <input
+                  autoFocus
+                  value={draftName}
+                  onChange={(e) => setDraftName(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                  style={styles.renameInput}
+                />
+                <button type="submit" style={styles.iconButton} title="Save name">
+                  <Check size={14} />
+                </button>
+              </form>
+            ) : (
+              <>
+                <button onClick={() => onOpen(document.id)} style={styles.openButton}>
+                  {document.key ? (
+                    <FileLock size={14} style={{ marginRight: 6, flexShrink: 0 }} />
+                  ) : document.branchOf ? (
+                    <GitBranch size={14} style={{ marginRight: 6, flexShrink: 0 }} />
+                  ) : (
+                    <FileText size={14} style={{ marginRight: 6, flexShrink: 0 }} />
+                  )}
+                  <span style={styles.name}>{document.name}</span>
+                </button>
+                <button
+                  onClick={() => startRename(document)}
+                  style={styles.iconButton}
+                  title="Rename"
+                >
+                  <Pencil size={14} />
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+const styles = {
+  sidebar: {
+    width: '240px',
+    flexShrink: 0,
+    padding: '1rem',
+    background: 'white',
+    borderRight: '1px solid #e2e8f0',
+    minHeight: 'calc(100vh - 66px)',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.75rem',
+  },
+  title: {
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+    color: '#64748b',
+  },
+  headerButtons: {
+    display: 'flex',
+    gap: '0.25rem',
+  },
+  newButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.25rem',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    borderRadius: '0.375rem',
+    marginBottom: '0.25rem',
+  },
+  openButton: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    minWidth: 0,
+    padding: '0.5rem',
+    background: 'transparent',
+    color: 'inherit',
+    textAlign: 'left',
+  },
+  name: {
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  iconButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.375rem',
+    background: 'transparent',
+    color: '#94a3b8',
+  },
+  renameForm: {
+    display: 'flex',
+    flex: 1,
+    alignItems: 'center',
+    gap: '0.25rem',
+    padding: '0.25rem',
+  },
+  renameInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: '0.25rem 0.5rem',
+    fontSize: '0.875rem',
+    border: '1px solid #c7d2fe',
+    borderRadius: '0.25rem',
+    outline: 'none',
+  },
+};
@@ -0,0 +1,108 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * FilePersistence - Node persistence adapter storing a document's update log on disk
+ *
+ * Same interface as the adapters in persistence.js. Each document is one
+ * file of length-prefixed records (4-byte big-endian length + update bytes),
+ * so storing an update is a single append. The acknowledged state vector
+ * is a file of its own next to it.
+ */
+export class FilePersistence {
+  constructor(directory, documentId) {
+    this.documentId = documentId;
+    this.directory = directory;
+    this.filePath = path.join(directory, `${encodeURIComponent(documentId)}.ylog`);
+    this.ackedPath = path.join(directory, `${encodeURIComponent(documentId)}.acked`);
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Serialize file operations so appends and compactions never interleave
+   */
+  _run(fn) {
+    const result = this._queue.then(fn);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  load() {
+    return this._run(async () => {
+      let data;
+      try {
+        data = await fs.readFile(this.filePath);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return decodeRecords(data);
+    });
+  }
+
+  storeUpdate(update) {
+    return this._run(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.appendFile(this.filePath, encodeRecord(update));
+    });
+  }
+
+  compact(state) {
+    return this._run(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, encodeRecord(state));
+      await fs.rename(tmpPath, this.filePath);
+    });
+  }
+
+  loadAcked() {
+    return this._run(async () => {
+      try {
+        return new Uint8Array(await fs.readFile(this.ackedPath));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    });
+  }
+
+  storeAcked(vector) {
+    return this._run(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      const tmpPath = `${this.ackedPath}.tmp`;
+      await fs.writeFile(tmpPath, vector);
+      await fs.rename(tmpPath, this.ackedPath);
+    });
+  }
+
+  forDocument(documentId) {
+    return new FilePersistence(this.directory, documentId);
+  }
+
+  destroy() {
+    return this._queue;
+  }
+}
+
+function encodeRecord(update) {
+  const record = Buffer.alloc(4 + update.length);
+  record.writeUInt32BE(update.length, 0);
+  record.set(update, 4);
+  return record;
+}
+
+function decodeRecords(data) {
+  const updates = [];
+  let offset = 0;
+  while (offset + 4 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    // A torn final append (crash mid-write) is dropped rather than failing the load
+    if (offset + 4 + length > data.length) break;
+    updates.push(new Uint8Array(data.subarray(offset + 4, offset + 4 + length)));
+    offset += 4 + length;
+  }
+  return updates;
+}
+
+export default FilePersistence;
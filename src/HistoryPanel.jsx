@@ -0,0 +1,218 @@
+import React, { useState, useMemo } from 'react';
+import { History, Save, RotateCcw, X } from 'lucide-react';
+import { diffText } from './diff';
+
+export default function HistoryPanel({ versions, currentText, getVersionText, readOnly, onSave, onRestore, onClose }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [view, setView] = useState('preview'); // 'preview' or 'diff'
+
+  const selected = versions.find((v) => v.id === selectedId) || null;
+  const versionText = useMemo(
+    () => (selected ? getVersionText(selected.id) : ''),
+    [selected, getVersionText]
+  );
+  const parts = useMemo(
+    () => (selected && view === 'diff' ? diffText(versionText, currentText) : []),
+    [selected, view, versionText, currentText]
+  );
+
+  const handleSave = () => {
+    const name = window.prompt('Version name', `Version ${versions.length + 1}`);
+    if (name !== null) {
+      onSave(name.trim());
+    }
+  };
+
+  const handleRestore = () => {
+    if (window.confirm(`Restore "${versionLabel(selected)}"? This adds a new change on top of the current text.`)) {
+      onRestore(selected.id);
+    }
+  };
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          <History size={16} style={{ marginRight: 6 }} />
+          Version History
+        </h3>
+        <button onClick={onClose} style={styles.iconButton} title="Close history">
+          <X size={16} />
+        </button>
+      </div>
+
+      {!readOnly && (
+        <button onClick={handleSave} style={styles.saveButton}>
+          <Save size={14} style={{ marginRight: 4 }} />
+          Save version
+        </button>
+      )}
+
+      <ul style={styles.list}>
+        {versions.length === 0 && (
+          <li style={styles.empty}>No versions yet. Versions are also saved automatically while you edit.</li>
+        )}
+        {versions.map((version) => (
+          <li key={version.id}>
+            <button
+              onClick={() => setSelectedId(version.id === selectedId ? null : version.id)}
+              style={{
+                ...styles.version,
+                background: version.id === selectedId ? '#eef2ff' : 'transparent',
+              }}
+            >
+              <span style={styles.versionName}>{versionLabel(version)}</span>
+              <span style={styles.versionMeta}>
+                {new Date(version.createdAt).toLocaleString()} · {version.createdBy}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {selected && (
+        <div style={styles.preview}>
+          <div style={styles.tabs}>
+            {['preview', 'diff'].map((tab) => (
+              <button
+                key={tab}
+                onClick={() => setView(tab)}
+                style={{
+                  ...styles.tab,
+                  background: view === tab ? '#4f46e5' : '#e2e8f0',
+                  color: view === tab ? 'white' : '#64748b',
+                }}
+              >
+                {tab === 'preview' ? 'Preview' : 'Changes since'}
+              </button>
+            ))}
+          </div>
+
+          <pre style={styles.previewText}>
+            {view === 'preview'
+              ? versionText || '(empty document)'
+              : parts.map((part, idx) => (
+                <span key={idx} style={diffStyles[part.type]}>{part.text}</span>
+              ))}
+          </pre>
+
+          {!readOnly && (
+            <button onClick={handleRestore} style={styles.restoreButton}>
+              <RotateCcw size={14} style={{ marginRight: 4 }} />
+              Restore this version
+            </button>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+}
+
+function versionLabel(version) {
+  return version.name || (version.auto ? 'Auto-saved version' : 'Untitled version');
+}
+
+const diffStyles = {
+  equal: {},
+  insert: { background: '#dcfce7', color: '#166534' },
+  delete: { background: '#fee2e2', color: '#991b1b', textDecoration: 'line-through' },
+};
+
+const styles = {
+  panel: {
+    width: '320px',
+    flexShrink: 0,
+    padding: '1rem',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+    maxHeight: '600px',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.75rem',
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  iconButton: {
+    display: 'flex',
+    padding: '0.25rem',
+    background: 'transparent',
+    color: '#94a3b8',
+  },
+  saveButton: {
+    display: 'flex',
+    alignItems: 'center',
+    width: '100%',
+    justifyContent: 'center',
+    marginBottom: '0.75rem',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+  },
+  empty: {
+    fontSize: '0.875rem',
+    color: '#94a3b8',
+  },
+  version: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'flex-start',
+    width: '100%',
+    padding: '0.5rem',
+    marginBottom: '0.25rem',
+    color: '#334155',
+    textAlign: 'left',
+  },
+  versionName: {
+    fontWeight: '600',
+  },
+  versionMeta: {
+    fontSize: '0.75rem',
+    color: '#94a3b8',
+  },
+  preview: {
+    marginTop: '0.75rem',
+    borderTop: '1px solid #e2e8f0',
+    paddingTop: '0.75rem',
+  },
+  tabs: {
+    display: 'flex',
+    gap: '0.25rem',
+    marginBottom: '0.5rem',
+  },
+  tab: {
+    flex: 1,
+    padding: '0.25rem 0.5rem',
+    fontSize: '0.75rem',
+  },
+  previewText: {
+    maxHeight: '240px',
+    overflowY: 'auto',
+    padding: '0.5rem',
+    background: '#f8fafc',
+    border: '1px solid #e2e8f0',
+    borderRadius: '0.375rem',
+    fontFamily: "'Menlo', 'Monaco', 'Courier New', monospace",
+    fontSize: '0.75rem',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+  restoreButton: {
+    display: 'flex',
+    alignItems: 'center',
+    width: '100%',
+    justifyContent: 'center',
+    marginTop: '0.5rem',
+    background: '#f59e0b',
+  },
+};
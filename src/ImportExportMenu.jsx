@@ -0,0 +1,85 @@
+import React, { useState, useRef } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { FILE_FORMATS } from './fileFormats';
+
+export default function ImportExportMenu({ onExport, onImport, buttonStyle }) {
+  const [open, setOpen] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (file) {
+      onImport(file);
+    }
+  };
+
+  return (
+    <div style={styles.wrapper}>
+      <button onClick={() => fileInputRef.current?.click()} disabled={!onImport} style={buttonStyle}>
+        <Upload size={16} style={{ marginRight: 4 }} />
+        Import
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".txt,.md,.markdown,.html,.htm,.yjs"
+        onChange={handleFile}
+        style={{ display: 'none' }}
+      />
+
+      <button onClick={() => setOpen((isOpen) => !isOpen)} style={buttonStyle}>
+        <Download size={16} style={{ marginRight: 4 }} />
+        Export
+      </button>
+      {open && (
+        <ul style={styles.menu}>
+          {Object.entries(FILE_FORMATS).map(([format, { label }]) => (
+            <li key={format}>
+              <button
+                onClick={() => {
+                  setOpen(false);
+                  onExport(format);
+                }}
+                style={styles.menuItem}
+              >
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  wrapper: {
+    position: 'relative',
+    display: 'flex',
+    gap: '0.5rem',
+  },
+  menu: {
+    position: 'absolute',
+    top: '100%',
+    right: 0,
+    zIndex: 10,
+    marginTop: '0.25rem',
+    padding: '0.25rem',
+    listStyle: 'none',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+    minWidth: '260px',
+  },
+  menuItem: {
+    display: 'block',
+    width: '100%',
+    padding: '0.5rem 0.75rem',
+    background: 'transparent',
+    color: '#334155',
+    fontSize: '0.875rem',
+    textAlign: 'left',
+  },
+};
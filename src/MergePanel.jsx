@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { GitMerge, RefreshCw, ExternalLink, X } from 'lucide-react';
+
+/**
+ * Preview and merge this branch into the document it was forked from. The
+ * original is opened alongside the branch while the panel is open; nothing
+ * is applied to it until "Merge" is clicked.
+ */
+export default function MergePanel({ forkedFrom, openOriginal, getBranchUpdate, onOpenOriginal, onClose }) {
+  const originalRef = useRef(null);
+  const [syncState, setSyncState] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [merged, setMerged] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Preview once the original's local copy is loaded and it caught up with
+  // the server (or cannot)
+  const refresh = () => {
+    const original = originalRef.current;
+    if (!original?.isLoaded || ['connecting', 'syncing'].includes(original.getSyncState().status)) return;
+    try {
+      setPreview(original.previewMerge(getBranchUpdate()));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    const original = openOriginal();
+    originalRef.current = original;
+    original.onLocalLoad = refresh;
+    original.onSyncStateChange = (state) => {
+      setSyncState(state);
+      refresh();
+    };
+    setSyncState(original.getSyncState());
+    refresh();
+    return () => {
+      originalRef.current = null;
+      original.destroy();
+    };
+  }, [forkedFrom.documentId]);
+
+  const handleMerge = () => {
+    try {
+      originalRef.current.mergeBranch(getBranchUpdate());
+      setMerged(true);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const pending = syncState?.pending ?? 0;
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          <GitMerge size={16} style={{ marginRight: 6 }} />
+          Merge branch
+        </h3>
+        <button onClick={onClose} style={styles.iconButton} title="Close merge">
+          <X size={16} />
+        </button>
+      </div>
+
+      <p style={styles.meta}>
+        Into "{forkedFrom.title || forkedFrom.documentId}", forked by {forkedFrom.forkedBy}{' '}
+        {new Date(forkedFrom.forkedAt).toLocaleString()}
+      </p>
+
+      {error && <p style={styles.error}>{error}</p>}
+
+      {!preview ? (
+        <p style={styles.empty}>Loading the original document...</p>
+      ) : merged ? (
+        <div style={styles.section}>
+          <p style={styles.done}>
+            {pending > 0
+              ? `Merged; ${pending} ${pending === 1 ? 'change' : 'changes'} not synced yet`
+              : 'Merged into the original.'}
+          </p>
+          <button onClick={() => onOpenOriginal(forkedFrom.documentId)} style={styles.actionButton}>
+            <ExternalLink size={14} style={{ marginRight: 4 }} />
+            Open original
+          </button>
+        </div>
+      ) : preview.empty ? (
+        <p style={styles.empty}>Nothing to merge: the original has every change of this branch.</p>
+      ) : (
+        <>
+          {preview.title && (
+            <p style={styles.change}>
+              Title: <span style={diffStyles.delete}>{preview.title.from || 'Untitled'}</span>{' '}
+              <span style={diffStyles.insert}>{preview.title.to || 'Untitled'}</span>
+            </p>
+          )}
+          {preview.tags.added.length + preview.tags.removed.length > 0 && (
+            <p style={styles.change}>
+              Tags:{' '}
+              {preview.tags.added.map((tag) => <span key={`+${tag}`} style={diffStyles.insert}>{tag} </span>)}
+              {preview.tags.removed.map((tag) => <span key={`-${tag}`} style={diffStyles.delete}>{tag} </span>)}
+            </p>
+          )}
+          {preview.text.some(({ type }) => type !== 'equal') && (
+            <div style={styles.section}>
+              <h4 style={styles.sectionTitle}>Text</h4>
+              <DiffText parts={preview.text} />
+            </div>
+          )}
+          {preview.sections.map((section) => (
+            <div key={section.id} style={styles.section}>
+              <h4 style={styles.sectionTitle}>
+                Section "{section.name}" ({section.status})
+              </h4>
+              <DiffText parts={section.parts} />
+            </div>
+          ))}
+          <div style={styles.actions}>
+            <button onClick={refresh} style={styles.iconButton} title="Preview again">
+              <RefreshCw size={14} />
+            </button>
+            <button onClick={handleMerge} style={styles.actionButton}>
+              <GitMerge size={14} style={{ marginRight: 4 }} />
+              Merge
+            </button>
+          </div>
+        </>
+      )}
+    </aside>
+  );
+}
+
+function DiffText({ parts }) {
+  return (
+    <pre style={styles.diff}>
+      {parts.map((part, idx) => (
+        <span key={idx} style={diffStyles[part.type]}>{part.text}</span>
+      ))}
+    </pre>
+  );
+}
+
+const diffStyles = {
+  equal: {},
+  insert: { background: '#dcfce7', color: '#166534' },
+  delete: { background: '#fee2e2', color: '#991b1b', textDecoration: 'line-through' },
+};
+
+const styles = {
+  panel: {
+    width: '320px',
+    flexShrink: 0,
+    padding: '1rem',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+    maxHeight: '600px',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.75rem',
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  iconButton: {
+    display: 'flex',
+    padding: '0.25rem',
+    background: 'transparent',
+    color: '#94a3b8',
+  },
+  meta: {
+    marginBottom: '0.75rem',
+    fontSize: '0.75rem',
+    color: '#94a3b8',
+  },
+  error: {
+    marginBottom: '0.75rem',
+    fontSize: '0.875rem',
+    color: '#ef4444',
+  },
+  empty: {
+    fontSize: '0.875rem',
+    color: '#94a3b8',
+  },
+  change: {
+    marginBottom: '0.5rem',
+    fontSize: '0.875rem',
+    color: '#334155',
+  },
+  section: {
+    marginBottom: '0.75rem',
+  },
+  sectionTitle: {
+    marginBottom: '0.25rem',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    color: '#334155',
+  },
+  diff: {
+    maxHeight: '240px',
+    overflowY: 'auto',
+    padding: '0.5rem',
+    background: '#f8fafc',
+    border: '1px solid #e2e8f0',
+    borderRadius: '0.375rem',
+    fontFamily: "'Menlo', 'Monaco', 'Courier New', monospace",
+    fontSize: '0.75rem',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+  done: {
+    marginBottom: '0.5rem',
+    fontSize: '0.875rem',
+    color: '#166534',
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  actionButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.375rem 0.75rem',
+  },
+};
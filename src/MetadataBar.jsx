@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Tag, X } from 'lucide-react';
+
+/**
+ * Title, tags and who created and last updated the document, above the
+ * editor. The title is saved when the field loses focus or on Enter, so
+ * each edit of it is one undo step.
+ */
+export default function MetadataBar({ metadata, readOnly, onTitleChange, onAddTag, onRemoveTag }) {
+  // The title being typed; null while the field shows the document's title
+  const [titleDraft, setTitleDraft] = useState(null);
+  const [tagDraft, setTagDraft] = useState('');
+
+  const commitTitle = () => {
+    if (titleDraft !== null) {
+      onTitleChange(titleDraft.trim());
+      setTitleDraft(null);
+    }
+  };
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    if (tagDraft.trim()) {
+      onAddTag(tagDraft);
+      setTagDraft('');
+    }
+  };
+
+  return (
+    <div style={styles.bar}>
+      <input
+        value={titleDraft ?? metadata.title}
+        onFocus={() => setTitleDraft(metadata.title)}
+        onChange={(e) => setTitleDraft(e.target.value)}
+        onBlur={commitTitle}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.target.blur();
+          if (e.key === 'Escape') {
+            setTitleDraft(null);
+            e.target.blur();
+          }
+        }}
+        readOnly={readOnly}
+        placeholder="Untitled document"
+        style={styles.title}
+        aria-label="Document title"
+      />
+      <div style={styles.row}>
+        <Tag size={14} style={{ color: '#94a3b8', flexShrink: 0 }} />
+        {metadata.tags.map((tag) => (
+          <span key={tag} style={styles.tag}>
+            {tag}
+            {!readOnly && (
+              <button onClick={() => onRemoveTag(tag)} style={styles.removeTag} title={`Remove tag "${tag}"`}>
+                <X size={12} />
+              </button>
+            )}
+          </span>
+        ))}
+        {!readOnly && (
+          <form onSubmit={handleAddTag}>
+            <input
+              value={tagDraft}
+              onChange={(e) => setTagDraft(e.target.value)}
+              placeholder="Add tag..."
+              style={styles.tagInput}
+            />
+          </form>
+        )}
+        {metadata.createdAt && (
+          <span style={styles.meta}>
+            Created by {metadata.createdBy} {new Date(metadata.createdAt).toLocaleDateString()}
+            {metadata.updatedAt && ` · Updated by ${metadata.updatedBy} ${new Date(metadata.updatedAt).toLocaleString()}`}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  bar: {
+    marginBottom: '1rem',
+  },
+  title: {
+    width: '100%',
+    padding: '0.25rem 0',
+    border: 'none',
+    borderBottom: '1px solid #e2e8f0',
+    background: 'transparent',
+    fontSize: '1.25rem',
+    fontWeight: '600',
+    color: '#1e293b',
+    outline: 'none',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '0.375rem',
+    marginTop: '0.5rem',
+  },
+  tag: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.125rem 0.5rem',
+    background: '#eef2ff',
+    color: '#4f46e5',
+    borderRadius: '1rem',
+    fontSize: '0.75rem',
+    fontWeight: '500',
+  },
+  removeTag: {
+    display: 'flex',
+    marginLeft: '0.25rem',
+    padding: 0,
+    background: 'transparent',
+    color: '#818cf8',
+  },
+  tagInput: {
+    width: '100px',
+    padding: '0.125rem 0.375rem',
+    border: '1px solid #e2e8f0',
+    borderRadius: '0.375rem',
+    fontSize: '0.75rem',
+  },
+  meta: {
+    marginLeft: 'auto',
+    fontSize: '0.75rem',
+    color: '#94a3b8',
+  },
+};
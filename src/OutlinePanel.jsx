@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { ListTree, ChevronDown, ChevronUp, ArrowUp, ArrowDown, Pencil, Trash2, Check, Plus, X } from 'lucide-react';
+
+/**
+ * The document's sections in order. Sections can be added, renamed,
+ * reordered and removed, and opening one edits its text in place.
+ */
+export default function OutlinePanel({ sections, readOnly, onAdd, onRename, onMove, onRemove, onEdit, onClose }) {
+  const [openId, setOpenId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [newName, setNewName] = useState('');
+
+  const startRename = (section) => {
+    setEditingId(section.id);
+    setDraftName(section.name);
+  };
+
+  const commitRename = () => {
+    if (draftName.trim()) {
+      onRename(editingId, draftName);
+    }
+    setEditingId(null);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (newName.trim()) {
+      setOpenId(onAdd(newName));
+      setNewName('');
+    }
+  };
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          <ListTree size={16} style={{ marginRight: 6 }} />
+          Outline
+        </h3>
+        <button onClick={onClose} style={styles.iconButton} title="Close outline">
+          <X size={16} />
+        </button>
+      </div>
+
+      <ol style={styles.list}>
+        {sections.length === 0 && <li style={styles.empty}>No sections yet.</li>}
+        {sections.map((section, index) => (
+          <li key={section.id} style={styles.section}>
+            {editingId === section.id ? (
+              <form
+                style={styles.row}
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  commitRename();
+                }}
+              >
+                <input
+                  autoFocus
+                  value={draftName}
+                  onChange={(e) => setDraftName(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                  style={styles.nameInput}
+                />
+                <button type="submit" style={styles.iconButton} title="Save name">
+                  <Check size={14} />
+                </button>
+              </form>
+            ) : (
+              <div style={styles.row}>
+                <button
+                  onClick={() => setOpenId(openId === section.id ? null : section.id)}
+                  style={styles.nameButton}
+                  title={openId === section.id ? 'Close section' : 'Open section'}
+                >
+                  {openId === section.id ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                  <span style={styles.name}>{section.name}</span>
+                </button>
+                {!readOnly && (
+                  <>
+                    <button onClick={() => onMove(section.id, index - 1)} disabled={index === 0} style={styles.iconButton} title="Move up">
+                      <ArrowUp size={14} />
+                    </button>
+                    <button onClick={() => onMove(section.id, index + 1)} disabled={index === sections.length - 1} style={styles.iconButton} title="Move down">
+                      <ArrowDown size={14} />
+                    </button>
+                    <button onClick={() => startRename(section)} style={styles.iconButton} title="Rename">
+                      <Pencil size={14} />
+                    </button>
+                    <button onClick={() => onRemove(section.id)} style={styles.iconButton} title="Remove section">
+                      <Trash2 size={14} />
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+            {openId === section.id ? (
+              <textarea
+                value={section.text}
+                onChange={(e) => onEdit(section.id, e.target.value)}
+                readOnly={readOnly}
+                rows={6}
+                placeholder={`Write "${section.name}"...`}
+                style={styles.text}
+              />
+            ) : (
+              section.text && <p style={styles.preview}>{section.text}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {!readOnly && (
+        <form onSubmit={handleAdd} style={styles.addForm}>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New section name..."
+            style={styles.nameInput}
+          />
+          <button type="submit" disabled={!newName.trim()} style={styles.addButton} title="Add section">
+            <Plus size={14} />
+          </button>
+        </form>
+      )}
+    </aside>
+  );
+}
+
+const styles = {
+  panel: {
+    width: '300px',
+    flexShrink: 0,
+    padding: '1rem',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+    maxHeight: '600px',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.75rem',
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  iconButton: {
+    display: 'flex',
+    padding: '0.25rem',
+    background: 'transparent',
+    color: '#94a3b8',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+  },
+  empty: {
+    fontSize: '0.875rem',
+    color: '#94a3b8',
+  },
+  section: {
+    marginBottom: '0.5rem',
+    paddingBottom: '0.5rem',
+    borderBottom: '1px solid #e2e8f0',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.125rem',
+  },
+  nameButton: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    minWidth: 0,
+    padding: '0.25rem 0',
+    background: 'transparent',
+    color: '#334155',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    textAlign: 'left',
+  },
+  name: {
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  nameInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: '0.25rem 0.5rem',
+    border: '1px solid #c7d2fe',
+    borderRadius: '0.25rem',
+    fontSize: '0.875rem',
+  },
+  text: {
+    width: '100%',
+    marginTop: '0.25rem',
+    padding: '0.5rem',
+    border: '1px solid #e2e8f0',
+    borderRadius: '0.375rem',
+    fontSize: '0.875rem',
+    fontFamily: 'inherit',
+    resize: 'vertical',
+  },
+  preview: {
+    marginTop: '0.25rem',
+    fontSize: '0.75rem',
+    color: '#64748b',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  addForm: {
+    display: 'flex',
+    gap: '0.25rem',
+    marginTop: '0.5rem',
+  },
+  addButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.25rem 0.5rem',
+  },
+};
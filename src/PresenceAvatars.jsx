@@ -0,0 +1,61 @@
+import React from 'react';
+import { initials } from './presence';
+
+export default function PresenceAvatars({ localUser, users, onRename }) {
+  const handleRename = () => {
+    const name = window.prompt('Your display name', localUser.name);
+    if (name && name.trim()) {
+      onRename(name.trim());
+    }
+  };
+
+  return (
+    <div style={styles.strip}>
+      <button
+        onClick={handleRename}
+        title={`${localUser.name} (you) - click to rename`}
+        style={{ ...styles.avatar, background: localUser.color, boxShadow: '0 0 0 2px white, 0 0 0 4px #4f46e5' }}
+      >
+        {initials(localUser.name)}
+      </button>
+      {users.map(({ clientId, user }) => (
+        <div
+          key={clientId}
+          title={user.name}
+          style={{ ...styles.avatar, background: user.color }}
+        >
+          {initials(user.name)}
+        </div>
+      ))}
+      <span style={styles.count}>
+        {users.length === 0 ? 'Only you' : `${users.length + 1} online`}
+      </span>
+    </div>
+  );
+}
+
+const styles = {
+  strip: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.375rem',
+  },
+  avatar: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '28px',
+    height: '28px',
+    padding: 0,
+    borderRadius: '50%',
+    color: 'white',
+    fontSize: '0.75rem',
+    fontWeight: '600',
+    border: '2px solid white',
+  },
+  count: {
+    marginLeft: '0.25rem',
+    fontSize: '0.875rem',
+    color: '#64748b',
+  },
+};
@@ -0,0 +1,95 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Draws other users' carets and selections on top of the textarea.
+ *
+ * The overlay mirrors the textarea's box and font with transparent text, so
+ * each character lands exactly where the textarea renders it; only the
+ * highlights and carets are visible.
+ */
+export default function RemoteCursorsOverlay({ text, users, scrollTop, style }) {
+  const overlayRef = useRef(null);
+
+  useEffect(() => {
+    if (overlayRef.current) {
+      overlayRef.current.scrollTop = scrollTop;
+    }
+  }, [scrollTop, text]);
+
+  const visible = users.filter((u) => u.selection);
+
+  // Every selection edge and caret splits the text into chunks
+  const boundaries = new Set([0, text.length]);
+  visible.forEach(({ selection }) => {
+    boundaries.add(Math.min(selection.start, text.length));
+    boundaries.add(Math.min(selection.end, text.length));
+  });
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  const carets = (index) => visible
+    .filter(({ selection }) => Math.min(selection.head, text.length) === index)
+    .map(({ clientId, user }) => (
+      <span key={`caret-${clientId}`} style={{ ...styles.caret, borderColor: user.color }}>
+        <span style={{ ...styles.label, background: user.color }}>{user.name}</span>
+      </span>
+    ));
+
+  const children = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    children.push(...carets(start));
+    const owner = visible.find(({ selection }) => selection.start <= start && selection.end >= end);
+    children.push(
+      <span
+        key={`text-${start}`}
+        style={owner ? { background: `${owner.user.color}33` } : undefined}
+      >
+        {text.slice(start, end)}
+      </span>
+    );
+  }
+  children.push(...carets(text.length));
+
+  return (
+    <div ref={overlayRef} style={{ ...styles.overlay, ...style }} aria-hidden="true">
+      {children}
+      {/* Keeps a trailing newline from collapsing the last line */}
+      {' '}
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'absolute',
+    inset: 0,
+    overflow: 'hidden',
+    pointerEvents: 'none',
+    color: 'transparent',
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word',
+    fontFamily: "'Menlo', 'Monaco', 'Courier New', monospace",
+  },
+  caret: {
+    position: 'relative',
+    display: 'inline-block',
+    width: 0,
+    height: '1.2em',
+    marginLeft: '-1px',
+    borderLeft: '2px solid',
+    verticalAlign: 'text-bottom',
+  },
+  label: {
+    position: 'absolute',
+    top: '-1.4em',
+    left: '-2px',
+    padding: '0 4px',
+    borderRadius: '3px',
+    color: 'white',
+    fontSize: '0.625rem',
+    fontFamily: 'sans-serif',
+    lineHeight: '1.4em',
+    whiteSpace: 'nowrap',
+  },
+};
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Bold, Italic, List, ListOrdered, Link } from 'lucide-react';
+
+/**
+ * Formatting buttons for the rich-text mode. `format` is the formatting of
+ * the current selection (see YjsEngine.getFormat), used to show active state.
+ */
+export default function RichTextToolbar({ format, onToggle, onHeading, onList, onLink }) {
+  const button = (active) => ({
+    ...styles.button,
+    background: active ? '#4f46e5' : '#e2e8f0',
+    color: active ? 'white' : '#334155',
+  });
+
+  // onMouseDown keeps focus (and the selection) in the textarea
+  const keepFocus = (e) => e.preventDefault();
+
+  return (
+    <div style={styles.toolbar}>
+      <select
+        value={format.heading || ''}
+        onChange={(e) => onHeading(e.target.value ? Number(e.target.value) : null)}
+        style={styles.select}
+      >
+        <option value="">Normal</option>
+        <option value="1">Heading 1</option>
+        <option value="2">Heading 2</option>
+        <option value="3">Heading 3</option>
+      </select>
+      <button onMouseDown={keepFocus} onClick={() => onToggle('bold')} style={button(format.bold)} title="Bold (Ctrl+B)">
+        <Bold size={16} />
+      </button>
+      <button onMouseDown={keepFocus} onClick={() => onToggle('italic')} style={button(format.italic)} title="Italic (Ctrl+I)">
+        <Italic size={16} />
+      </button>
+      <button onMouseDown={keepFocus} onClick={() => onList('bullet')} style={button(format.list === 'bullet')} title="Bulleted list">
+        <List size={16} />
+      </button>
+      <button onMouseDown={keepFocus} onClick={() => onList('ordered')} style={button(format.list === 'ordered')} title="Numbered list">
+        <ListOrdered size={16} />
+      </button>
+      <button onMouseDown={keepFocus} onClick={onLink} style={button(format.link)} title="Link">
+        <Link size={16} />
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    marginBottom: '0.5rem',
+    padding: '0.375rem',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 1px 3px 0 rgba(0, 0, 0, 0.1)',
+  },
+  select: {
+    padding: '0.375rem 0.5rem',
+    border: '1px solid #e2e8f0',
+    borderRadius: '0.375rem',
+    fontSize: '0.875rem',
+    marginRight: '0.25rem',
+  },
+  button: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.375rem 0.5rem',
+  },
+};
@@ -0,0 +1,93 @@
+import React from 'react';
+import { deltaToLines, groupLists, safeHref } from './richText';
+
+/**
+ * Rendered view of a rich-text delta. Block formats (heading, list) come from
+ * each line's terminating "\n"; inline formats from the runs inside the line.
+ * Suggested insertions are underlined and suggested deletions struck through.
+ */
+export default function RichTextView({ delta, style }) {
+  const blocks = groupLists(deltaToLines(delta));
+
+  return (
+    <div style={{ ...styles.view, ...style }}>
+      {blocks.map((block, idx) => {
+        if (block.list) {
+          const ListTag = block.list === 'ordered' ? 'ol' : 'ul';
+          return (
+            <ListTag key={idx} style={styles.list}>
+              {block.lines.map((line, lineIdx) => (
+                <li key={lineIdx}>{renderRuns(line.runs)}</li>
+              ))}
+            </ListTag>
+          );
+        }
+        const { runs, attributes } = block.lines[0];
+        if (attributes.heading) {
+          const HeadingTag = `h${Math.min(Math.max(attributes.heading, 1), 3)}`;
+          return <HeadingTag key={idx} style={styles[HeadingTag]}>{renderRuns(runs)}</HeadingTag>;
+        }
+        return <p key={idx} style={styles.paragraph}>{runs.length > 0 ? renderRuns(runs) : <br />}</p>;
+      })}
+    </div>
+  );
+}
+
+function renderRuns(runs) {
+  return runs.map(({ text, attributes }, idx) => {
+    const style = {
+      fontWeight: attributes.bold ? 'bold' : undefined,
+      fontStyle: attributes.italic ? 'italic' : undefined,
+      ...(attributes.suggestion ? suggestionStyles[attributes.suggestion.type] : {}),
+    };
+    const title = attributes.suggestion
+      ? `Suggested by ${attributes.suggestion.author}`
+      : undefined;
+    const href = safeHref(attributes.link);
+    if (href) {
+      return <a key={idx} href={href} target="_blank" rel="noopener noreferrer" style={style} title={title}>{text}</a>;
+    }
+    return <span key={idx} style={style} title={title}>{text}</span>;
+  });
+}
+
+const suggestionStyles = {
+  insert: { color: '#15803d', textDecoration: 'underline' },
+  delete: { color: '#b91c1c', textDecoration: 'line-through' },
+};
+
+const styles = {
+  view: {
+    padding: '1rem',
+    background: 'white',
+    border: '2px solid #e2e8f0',
+    borderRadius: '0.5rem',
+    boxShadow: '0 1px 3px 0 rgba(0, 0, 0, 0.1)',
+    color: '#1e293b',
+    lineHeight: '1.5',
+    overflowWrap: 'break-word',
+  },
+  h1: {
+    fontSize: '1.75rem',
+    fontWeight: 'bold',
+    margin: '0.5rem 0',
+  },
+  h2: {
+    fontSize: '1.375rem',
+    fontWeight: 'bold',
+    margin: '0.5rem 0',
+  },
+  h3: {
+    fontSize: '1.125rem',
+    fontWeight: 'bold',
+    margin: '0.5rem 0',
+  },
+  paragraph: {
+    margin: 0,
+    whiteSpace: 'pre-wrap',
+  },
+  list: {
+    margin: '0.25rem 0',
+    paddingLeft: '1.5rem',
+  },
+};
@@ -0,0 +1,156 @@
+import React from 'react';
+import { FileDiff, Check, X } from 'lucide-react';
+
+/**
+ * Pending suggestions in document order, with the switch into suggestion
+ * mode. Clicking a suggestion selects its text; editors accept or reject it.
+ */
+export default function SuggestionsPanel({ suggestions, suggesting, canDecide, onToggleSuggesting, onAccept, onReject, onSelect, onClose }) {
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          <FileDiff size={16} style={{ marginRight: 6 }} />
+          Suggestions
+        </h3>
+        <button onClick={onClose} style={styles.iconButton} title="Close suggestions">
+          <X size={16} />
+        </button>
+      </div>
+
+      {canDecide && (
+        <label style={styles.toggle}>
+          <input type="checkbox" checked={suggesting} onChange={(e) => onToggleSuggesting(e.target.checked)} />
+          Suggest edits instead of making them
+        </label>
+      )}
+
+      <ul style={styles.list}>
+        {suggestions.length === 0 && <li style={styles.empty}>No pending suggestions.</li>}
+        {suggestions.map((suggestion) => (
+          <li key={suggestion.id} style={styles.suggestion}>
+            <button onClick={() => onSelect(suggestion)} style={styles.quoteButton} title="Select the suggested text">
+              <span style={styles.kind}>{suggestion.type === 'insert' ? 'Add' : 'Delete'}</span>
+              <blockquote style={{ ...styles.quote, ...quoteStyles[suggestion.type] }}>
+                {suggestion.text}
+              </blockquote>
+            </button>
+            <p style={styles.meta}>
+              {suggestion.author} · {new Date(suggestion.createdAt).toLocaleString()}
+            </p>
+            {canDecide && (
+              <div style={styles.actions}>
+                <button onClick={() => onAccept(suggestion.id)} style={styles.smallButton}>
+                  <Check size={12} style={{ marginRight: 4 }} />
+                  Accept
+                </button>
+                <button onClick={() => onReject(suggestion.id)} style={{ ...styles.smallButton, ...styles.rejectButton }}>
+                  <X size={12} style={{ marginRight: 4 }} />
+                  Reject
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+const quoteStyles = {
+  insert: { borderLeftColor: '#22c55e', background: '#f0fdf4', textDecoration: 'underline' },
+  delete: { borderLeftColor: '#ef4444', background: '#fef2f2', textDecoration: 'line-through' },
+};
+
+const styles = {
+  panel: {
+    width: '300px',
+    flexShrink: 0,
+    padding: '1rem',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+    maxHeight: '600px',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.75rem',
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  iconButton: {
+    display: 'flex',
+    padding: '0.25rem',
+    background: 'transparent',
+    color: '#94a3b8',
+  },
+  toggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    marginBottom: '0.75rem',
+    fontSize: '0.75rem',
+    color: '#64748b',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+  },
+  empty: {
+    fontSize: '0.875rem',
+    color: '#94a3b8',
+  },
+  suggestion: {
+    marginBottom: '0.75rem',
+    paddingBottom: '0.75rem',
+    borderBottom: '1px solid #e2e8f0',
+  },
+  quoteButton: {
+    display: 'block',
+    width: '100%',
+    padding: 0,
+    background: 'transparent',
+    textAlign: 'left',
+  },
+  kind: {
+    fontSize: '0.75rem',
+    fontWeight: '600',
+    color: '#334155',
+  },
+  quote: {
+    margin: '0.25rem 0',
+    padding: '0.25rem 0.5rem',
+    borderLeft: '3px solid',
+    fontSize: '0.75rem',
+    color: '#475569',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+  meta: {
+    marginBottom: '0.25rem',
+    fontSize: '0.75rem',
+    color: '#94a3b8',
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+  },
+  smallButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.25rem 0.5rem',
+    fontSize: '0.75rem',
+  },
+  rejectButton: {
+    background: '#ef4444',
+  },
+};
@@ -1,178 +1,106 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { YjsEngine } from './YjsEngine';
-import { Play, CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import React, { useState, useRef } from 'react';
+import { DEFAULT_TRANSPORT } from './transports';
+import { runScenario, liveDriver, validateScenario } from './scenario';
+import { Play, CheckCircle, XCircle, Loader2, FolderOpen } from 'lucide-react';
+
+// Scenario files shared with the headless runner (tests/scenarios-test.js)
+const BUNDLED_SCENARIOS = Object.values(import.meta.glob('../scenarios/*.json', { eager: true, import: 'default' }))
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+// Pause between steps so each one can be followed on screen
+const STEP_DELAY = 1200;
+
+const ROBOT_COLORS = ['#06b6d4', '#a855f7', '#f59e0b', '#10b981', '#ef4444', '#3b82f6'];
 
 export default function TestRunner() {
   const [testStatus, setTestStatus] = useState('idle'); // idle, running, passed, failed
   const [logs, setLogs] = useState([]);
-  const [robotAText, setRobotAText] = useState('');
-  const [robotBText, setRobotBText] = useState('');
+  const [scenarios, setScenarios] = useState(BUNDLED_SCENARIOS);
+  const [scenarioName, setScenarioName] = useState(BUNDLED_SCENARIOS[0]?.name || '');
+  // name -> { text, status } for one pane per robot
+  const [robots, setRobots] = useState({});
   const [step, setStep] = useState('');
+  const [transport, setTransport] = useState(DEFAULT_TRANSPORT);
+  const fileInputRef = useRef(null);
 
-  const robotARef = useRef(null);
-  const robotBRef = useRef(null);
+  const scenario = scenarios.find((s) => s.name === scenarioName) || null;
+  const robotColor = (name) => ROBOT_COLORS[Math.max(0, scenario?.robots.indexOf(name) ?? 0) % ROBOT_COLORS.length];
 
   const addLog = (message, type = 'info', robot = null) => {
     const timestamp = new Date().toLocaleTimeString();
     setLogs(prev => [...prev, { message, type, robot, timestamp }]);
   };
 
-  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const updateRobot = (name, changes) => {
+    setRobots((prev) => ({ ...prev, [name]: { ...prev[name], ...changes } }));
+  };
+
+  // Load a scenario file from disk; it replaces a bundled one of the same name
+  const handleLoadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const loaded = validateScenario(JSON.parse(await file.text()));
+      setScenarios((prev) => [...prev.filter((s) => s.name !== loaded.name), loaded]);
+      setScenarioName(loaded.name);
+    } catch (err) {
+      window.alert(`Could not load "${file.name}": ${err.message}`);
+    }
+  };
 
   const runTest = async () => {
     setTestStatus('running');
     setLogs([]);
-    setRobotAText('');
-    setRobotBText('');
+    setRobots(Object.fromEntries(scenario.robots.map((name) => [name, { text: '', status: 'connecting' }])));
+
+    // Watch each robot the runner creates, so the panes follow every change
+    const testDocId = 'test-visual-' + Date.now();
+    const driver = liveDriver(testDocId, { transport });
+    const watchedDriver = {
+      ...driver,
+      createRobot: (name) => {
+        const engine = driver.createRobot(name);
+        engine.onTextChange((text) => updateRobot(name, { text }));
+        engine.onSyncStateChange = (state) => updateRobot(name, { status: state.status });
+        updateRobot(name, { status: engine.getSyncState().status });
+        return engine;
+      },
+    };
 
     try {
-      addLog('Starting test...', 'info');
-      addLog('This simulates: Two robots typing conflicting edits while one goes offline and returns', 'info');
-      await sleep(2000);
-
-      // Create shared document ID for both robots
-      const testDocId = 'test-visual-' + Date.now();
+      addLog(`Scenario: ${scenario.name}`, 'info');
+      if (scenario.description) addLog(scenario.description, 'info');
       addLog(`Document ID: ${testDocId}`, 'info');
-      await sleep(1000);
-
-      // Create robots
-      setStep('Creating robots...');
-      addLog('Creating Robot A', 'info', 'A');
-      const robotA = new YjsEngine(testDocId, 'robot-a');
-      robotARef.current = robotA;
-      await sleep(500);
-
-      addLog('Creating Robot B', 'info', 'B');
-      const robotB = new YjsEngine(testDocId, 'robot-b');
-      robotBRef.current = robotB;
-      await sleep(500);
-
-      // Set up text observers
-      robotA.onTextChange((text) => {
-        setRobotAText(text);
-        addLog(`Text updated: "${text}"`, 'success', 'A');
+      addLog(`Transport: ${transport}`, 'info');
+      setStep(`Connecting ${scenario.robots.length} robots...`);
+
+      const result = await runScenario(scenario, watchedDriver, {
+        stepDelay: STEP_DELAY,
+        onLog: (message, type, robot) => {
+          if (type === 'step') setStep(message);
+          addLog(message, type === 'step' ? 'info' : type, robot);
+        },
       });
 
-      robotB.onTextChange((text) => {
-        setRobotBText(text);
-        addLog(`Text updated: "${text}"`, 'success', 'B');
+      setStep(result.passed ? 'Scenario finished' : 'Scenario finished with failed checks');
+      Object.entries(result.texts).forEach(([name, text]) => {
+        addLog(`Final text (${text.length} chars): "${text}"`, 'info', name);
       });
-
-      // Wait for connection
-      setStep('Waiting for connection...');
-      addLog('Waiting for WebSocket connection...', 'info');
-      await sleep(2500);
-
-      if (!robotA.isConnected || !robotB.isConnected) {
-        throw new Error('Failed to connect to WebSocket server. Make sure y-websocket is running on port 1234.');
-      }
-
-      addLog('✓ Both robots connected!', 'success');
-      await sleep(2000);
-
-      // Step 1: Robot A types at the beginning
-      setStep('Step 1: Robot A types "AAA"');
-      addLog('Inserting "AAA" at position 0', 'info', 'A');
-      robotA.insert(0, 'AAA');
-      await sleep(2500);
-
-      // Step 2: Robot B types at the same position (concurrent edit)
-      setStep('Step 2: Robot B types "BBB" at the same position');
-      addLog('Inserting "BBB" at position 0 (concurrent with A)', 'info', 'B');
-      robotB.insert(0, 'BBB');
-      await sleep(2500);
-
-      // Step 3: Robot A adds more text
-      setStep('Step 3: Robot A adds " more text"');
-      const len = robotA.getText().length;
-      addLog(`Inserting " more text" at position ${len}`, 'info', 'A');
-      robotA.insert(len, ' more text');
-      await sleep(3000);
-
-      // Step 4: Robot A goes offline
-      setStep('Step 4: Robot A goes offline - Check both windows!');
-      addLog('Going offline...', 'warning', 'A');
-      addLog('⚠ Robot A is now OFFLINE - only local changes visible', 'warning');
-      robotA.disconnect();
-      await sleep(3500);
-
-      // Step 5: Robot A inserts in the middle while offline
-      setStep('Step 5: Robot A inserts "XXX" (OFFLINE) - Notice only Robot A updates!');
-      addLog('Inserting "XXX" at position 3 (OFFLINE)', 'warning', 'A');
-      addLog('⚠ This change will NOT sync to Robot B yet', 'warning', 'A');
-      robotA.insert(3, 'XXX');
-      await sleep(4000);
-
-      // Step 6: Robot B also edits at the SAME position while A is offline
-      setStep('Step 6: Robot B ALSO inserts "ZZZ" at position 3 - Conflict!');
-      addLog('Inserting "ZZZ" at position 3 (same position as Robot A!)', 'info', 'B');
-      addLog('⚠ Both robots editing at same position - CRDT will resolve this!', 'warning', 'B');
-      robotB.insert(3, 'ZZZ');
-      await sleep(4000);
-
-      // Step 7: Robot A reconnects
-      setStep('Step 7: Robot A reconnects - Watch the merge happen!');
-      addLog('Reconnecting to server...', 'info', 'A');
-      addLog('🔄 Syncing offline changes...', 'info', 'A');
-      robotA.connect();
-      await sleep(5000); // Wait for sync
-
-      // Verification
-      setStep('Verifying results...');
-      addLog('Checking convergence...', 'info');
-      await sleep(1000);
-
-      const textA = robotA.getText();
-      const textB = robotB.getText();
-
-      addLog(`Robot A final text (${textA.length} chars): "${textA}"`, 'info', 'A');
-      addLog(`Robot B final text (${textB.length} chars): "${textB}"`, 'info', 'B');
-
-      if (textA === textB) {
-        addLog('✓ SUCCESS: Both robots converged to identical state!', 'success');
-        addLog('✓ No lost updates - all edits preserved', 'success');
-        addLog('✓ Deterministic merge - texts match exactly', 'success');
-
-        // Check all edits are present
-        const hasAAA = textA.includes('AAA');
-        const hasBBB = textA.includes('BBB');
-        const hasXXX = textA.includes('XXX');
-        const hasZZZ = textA.includes('ZZZ');
-        const hasMoreText = textA.includes('more text');
-
-        if (hasAAA && hasBBB && hasXXX && hasZZZ && hasMoreText) {
-          addLog('✓ All edits preserved: AAA, BBB, XXX, ZZZ, "more text"', 'success');
-          addLog(`✓ Final merged text: "${textA}"`, 'success');
-          addLog('✓ CRDT resolved the conflict at position 3 deterministically!', 'success');
-          setTestStatus('passed');
-        } else {
-          addLog('✗ Some edits missing!', 'error');
-          addLog(`Missing: ${!hasAAA ? 'AAA ' : ''}${!hasBBB ? 'BBB ' : ''}${!hasXXX ? 'XXX ' : ''}${!hasZZZ ? 'ZZZ ' : ''}${!hasMoreText ? 'more text' : ''}`, 'error');
-          setTestStatus('failed');
-        }
-      } else {
-        addLog('✗ FAILURE: Robots did not converge!', 'error');
-        addLog(`Difference: ${Math.abs(textA.length - textB.length)} characters`, 'error');
-        setTestStatus('failed');
-      }
-
-      // Cleanup
-      setTimeout(() => {
-        robotA.destroy();
-        robotB.destroy();
-      }, 2000);
-
+      setTestStatus(result.passed ? 'passed' : 'failed');
     } catch (error) {
       addLog(`✗ Error: ${error.message}`, 'error');
+      if (transport === 'websocket') {
+        addLog('Make sure the sync server is running (npm run server).', 'error');
+      }
       setTestStatus('failed');
     }
   };
 
   const getLogColor = (type, robot) => {
-    if (robot === 'A') return '#06b6d4'; // Cyan
-    if (robot === 'B') return '#a855f7'; // Purple
-    if (type === 'success') return '#10b981'; // Green
     if (type === 'error') return '#ef4444'; // Red
+    if (robot) return robotColor(robot);
+    if (type === 'success') return '#10b981'; // Green
     if (type === 'warning') return '#f59e0b'; // Orange
     return '#64748b'; // Gray
   };
@@ -182,14 +110,47 @@ export default function TestRunner() {
       <div style={styles.header}>
         <h1 style={styles.title}>CRDT Visual Test Runner</h1>
         <p style={styles.subtitle}>
-          Watch the robots perform concurrent edits in real-time
+          Watch the robots of a scenario perform concurrent edits in real-time
         </p>
       </div>
 
       <div style={styles.controls}>
+        <select
+          value={scenarioName}
+          onChange={(e) => setScenarioName(e.target.value)}
+          disabled={testStatus === 'running'}
+          style={styles.select}
+        >
+          {scenarios.map((s) => (
+            <option key={s.name} value={s.name}>{s.name} ({s.robots.length} robots)</option>
+          ))}
+        </select>
+
         <button
-          onClick={runTest}
+          onClick={() => fileInputRef.current.click()}
+          disabled={testStatus === 'running'}
+          style={styles.secondaryButton}
+          title="Load a scenario JSON file"
+        >
+          <FolderOpen size={20} style={{ marginRight: 8 }} />
+          Load...
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleLoadFile} hidden />
+
+        <select
+          value={transport}
+          onChange={(e) => setTransport(e.target.value)}
           disabled={testStatus === 'running'}
+          style={styles.select}
+        >
+          <option value="websocket">WebSocket server</option>
+          <option value="memory">In-memory (no server)</option>
+          <option value="broadcast">BroadcastChannel (no server)</option>
+        </select>
+
+        <button
+          onClick={runTest}
+          disabled={testStatus === 'running' || !scenario}
           style={{
             ...styles.button,
             opacity: testStatus === 'running' ? 0.5 : 1,
@@ -230,25 +191,20 @@ export default function TestRunner() {
       )}
 
       <div style={styles.robotsContainer}>
-        <div style={styles.robot}>
-          <h3 style={{ ...styles.robotTitle, color: '#06b6d4' }}>Robot A</h3>
-          <textarea
-            value={robotAText}
-            readOnly
-            placeholder="Robot A's view..."
-            style={{ ...styles.textarea, borderColor: '#06b6d4' }}
-          />
-        </div>
-
-        <div style={styles.robot}>
-          <h3 style={{ ...styles.robotTitle, color: '#a855f7' }}>Robot B</h3>
-          <textarea
-            value={robotBText}
-            readOnly
-            placeholder="Robot B's view..."
-            style={{ ...styles.textarea, borderColor: '#a855f7' }}
-          />
-        </div>
+        {(scenario?.robots || []).map((name) => (
+          <div key={name} style={styles.robot}>
+            <h3 style={{ ...styles.robotTitle, color: robotColor(name) }}>
+              Robot {name}
+              {robots[name] && <span style={styles.robotStatus}>{robots[name].status}</span>}
+            </h3>
+            <textarea
+              value={robots[name]?.text || ''}
+              readOnly
+              placeholder={`Robot ${name}'s view...`}
+              style={{ ...styles.textarea, borderColor: robotColor(name) }}
+            />
+          </div>
+        ))}
       </div>
 
       <div style={styles.logsContainer}>
@@ -314,6 +270,25 @@ const styles = {
     cursor: 'pointer',
     fontWeight: '600',
   },
+  secondaryButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.75rem 1rem',
+    fontSize: '1rem',
+    background: 'white',
+    color: '#1e293b',
+    border: '2px solid #e2e8f0',
+    borderRadius: '0.5rem',
+    cursor: 'pointer',
+  },
+  select: {
+    padding: '0.75rem 1rem',
+    fontSize: '1rem',
+    border: '2px solid #e2e8f0',
+    borderRadius: '0.5rem',
+    background: 'white',
+    color: '#1e293b',
+  },
   statusPassed: {
     display: 'flex',
     alignItems: 'center',
@@ -337,7 +312,7 @@ const styles = {
   },
   robotsContainer: {
     display: 'grid',
-    gridTemplateColumns: '1fr 1fr',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
     gap: '1.5rem',
     marginBottom: '2rem',
   },
@@ -346,10 +321,18 @@ const styles = {
     flexDirection: 'column',
   },
   robotTitle: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
     fontSize: '1.25rem',
     fontWeight: '600',
     marginBottom: '0.5rem',
   },
+  robotStatus: {
+    fontSize: '0.875rem',
+    fontWeight: '400',
+    color: '#64748b',
+  },
   textarea: {
     width: '100%',
     height: '200px',
@@ -0,0 +1,178 @@
+import React from 'react';
+import { Layers, Undo2, Redo2, RotateCcw, AlertTriangle, X } from 'lucide-react';
+
+/**
+ * This client's undo and redo steps. Clicking a step undoes (or redoes)
+ * everything up to and including it; Revert undoes just that step and keeps
+ * everything after it.
+ */
+export default function UndoHistoryPanel({ history, changes, readOnly, onUndo, onRedo, onRevert, onClose }) {
+  // Furthest redo step at the top, then the current state, then older steps
+  const redoSteps = [...history.redo].reverse();
+  const isEmpty = history.undo.length === 0 && history.redo.length === 0;
+  const changesById = new Map(changes.map((change) => [change.id, change]));
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          <Layers size={16} style={{ marginRight: 6 }} />
+          Undo History
+        </h3>
+        <button onClick={onClose} style={styles.iconButton} title="Close undo history">
+          <X size={16} />
+        </button>
+      </div>
+
+      <ul style={styles.list}>
+        {isEmpty && (
+          <li style={styles.empty}>Nothing to undo yet. Only your own changes appear here.</li>
+        )}
+        {redoSteps.map((step, idx) => (
+          <li key={`redo-${idx}`}>
+            <button
+              onClick={() => onRedo(redoSteps.length - idx)}
+              disabled={readOnly}
+              style={{ ...styles.step, color: '#94a3b8' }}
+              title="Redo up to this step"
+            >
+              <span style={styles.stepName}>
+                <Redo2 size={12} style={{ marginRight: 4 }} />
+                {step.description}
+              </span>
+              <span style={styles.stepMeta}>{new Date(step.time).toLocaleTimeString()}</span>
+            </button>
+          </li>
+        ))}
+        {!isEmpty && <li style={styles.current}>Current state</li>}
+        {history.undo.map((step, idx) => {
+          const change = changesById.get(step.id);
+          return (
+            <li key={`undo-${idx}`} style={styles.row}>
+              <button
+                onClick={() => onUndo(idx + 1)}
+                disabled={readOnly}
+                style={{ ...styles.step, ...(change?.reverted ? styles.reverted : {}) }}
+                title="Undo back to before this step"
+              >
+                <span style={styles.stepName}>
+                  <Undo2 size={12} style={{ marginRight: 4 }} />
+                  {step.description}
+                </span>
+                <span style={styles.stepMeta}>
+                  {new Date(step.time).toLocaleTimeString()}
+                  {change?.reverted && ' · reverted'}
+                </span>
+                {change?.conflict && (
+                  <span style={styles.conflict}>
+                    <AlertTriangle size={12} style={{ marginRight: 4 }} />
+                    Changed since; reverting conflicts
+                  </span>
+                )}
+              </button>
+              {change && !change.reverted && !readOnly && (
+                <button
+                  onClick={() => onRevert(change)}
+                  style={styles.revertButton}
+                  title="Revert only this step, keeping later edits"
+                >
+                  <RotateCcw size={12} />
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
+
+const styles = {
+  panel: {
+    width: '280px',
+    flexShrink: 0,
+    padding: '1rem',
+    background: 'white',
+    borderRadius: '0.5rem',
+    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+    maxHeight: '600px',
+    overflowY: 'auto',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.75rem',
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  iconButton: {
+    display: 'flex',
+    padding: '0.25rem',
+    background: 'transparent',
+    color: '#94a3b8',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+  },
+  empty: {
+    fontSize: '0.875rem',
+    color: '#94a3b8',
+  },
+  current: {
+    margin: '0.25rem 0',
+    padding: '0.25rem 0.5rem',
+    borderTop: '2px solid #4f46e5',
+    fontSize: '0.75rem',
+    fontWeight: '600',
+    color: '#4f46e5',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '0.25rem',
+  },
+  step: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'flex-start',
+    width: '100%',
+    padding: '0.5rem',
+    marginBottom: '0.25rem',
+    background: 'transparent',
+    color: '#334155',
+    textAlign: 'left',
+  },
+  stepName: {
+    display: 'flex',
+    alignItems: 'center',
+    fontWeight: '600',
+    wordBreak: 'break-word',
+  },
+  stepMeta: {
+    fontSize: '0.75rem',
+    color: '#94a3b8',
+  },
+  reverted: {
+    color: '#94a3b8',
+    textDecoration: 'line-through',
+  },
+  conflict: {
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '0.75rem',
+    color: '#b45309',
+  },
+  revertButton: {
+    display: 'flex',
+    padding: '0.5rem',
+    background: 'transparent',
+    color: '#64748b',
+  },
+};
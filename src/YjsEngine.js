@@ -1,41 +1,452 @@
 import * as Y from 'yjs';
-import { WebsocketProvider } from 'y-websocket';
+import { toBase64 } from 'lib0/buffer';
+import { createTransport, EncryptedTransport, ENVELOPE_TYPE, DEFAULT_SYNC_URL, DEFAULT_TRANSPORT } from './transports.js';
+import { createDefaultPersistence } from './persistence.js';
+import { diffText } from './diff.js';
+import { canEdit, canComment } from './roles.js';
+
+// Merge the persisted update log into one snapshot after this many appends
+const COMPACT_AFTER_UPDATES = 200;
+
+// Take an automatic version after local edits at most this often
+const AUTO_VERSION_INTERVAL = 5 * 60 * 1000;
+
+// How local edits are grouped into undo steps, see YjsEngine options
+const UNDO_GROUPINGS = ['operation', 'word', 'time'];
+const UNDO_CAPTURE_TIMEOUT = 500;
+
+// Longest quoted text in an undo step description
+const DESCRIPTION_LENGTH = 24;
+
+// Updates kept for the diagnostics bundle, and round trips kept for latency
+const UPDATE_LOG_SIZE = 50;
+const LATENCY_SAMPLES = 50;
+
+// Who last changed the document is recorded at most this often per client,
+// in transactions of its own that undo ignores
+const METADATA_INTERVAL = 60 * 1000;
+const METADATA_ORIGIN = 'metadata';
+
+// A client's insertions share one authorship record for this long, so typing
+// does not add a record per keystroke
+const AUTHORSHIP_INTERVAL = 60 * 1000;
+
+// Metadata keys holding a tag, one per tag: "tag:<name>" -> true
+const TAG_PREFIX = 'tag:';
+
+// Metadata key recording where a branch was forked from: "forkedFrom:<branch ID>".
+// Keyed by the branch, so merging it back does not mark the original as a fork
+const FORK_PREFIX = 'forkedFrom:';
+
+// Origins of the transactions that seed a branch and merge one back
+const FORK_ORIGIN = 'fork';
+const MERGE_ORIGIN = 'merge';
+
+// Undo step descriptions for changes that are not typing
+const STRUCTURE_CHANGES = {
+  title: 'Changed title',
+  tags: 'Changed tags',
+  sections: 'Changed sections',
+};
+
+// Rich-text attributes that describe a whole line; they are stored on the
+// line's terminating "\n". Every other attribute (bold, italic, link) is inline.
+export const BLOCK_FORMATS = ['heading', 'list'];
+
+// Inline attribute marking suggested text (see suggestion mode, setSuggesting()):
+// { id, type: 'insert' | 'delete', author, clientId, createdAt }. It is neither
+// an inline nor a block format, so typing next to a suggestion does not continue it.
+export const SUGGESTION_FORMAT = 'suggestion';
 
 /**
  * YjsEngine - Wrapper around Yjs for collaborative editing
  * Replaces custom CRDT implementation with battle-tested Yjs
  */
 export class YjsEngine {
-  constructor(documentId, clientId) {
+  /**
+   * @param {string} documentId
+   * @param {string} clientId
+   * @param {object} [options]
+   * @param {string|Function} [options.transport] 'websocket' | 'memory' | 'broadcast' or a transport factory
+   * @param {string} [options.url] Sync server endpoint (defaults to VITE_SYNC_URL)
+   * @param {object} [options.transportOptions] Extra options passed to the transport
+   * @param {number} [options.batchInterval] Milliseconds to collect local updates before sending
+   *   them as one merged update, 0 (default) to send each at once
+   * @param {string} [options.token] Auth token sent to the sync server
+   * @param {string} [options.encryptionKey] Document key (see encryption.js): encrypt everything
+   *   sent, so the server only relays and stores ciphertext. Every client needs the same key.
+   * @param {object|false} [options.persistence] Local persistence adapter (defaults to IndexedDB in the browser)
+   * @param {boolean} [options.history] Keep deleted content for version history (disables gc, default true)
+   * @param {number} [options.autoVersionInterval] Milliseconds between automatic versions, 0 to disable
+   * @param {string} [options.undoGrouping] What one undo step covers: 'operation' (each call, default),
+   *   'word' (typing or deleting one character at a time, up to the next word) or 'time' (edits less
+   *   than undoCaptureTimeout apart). beginGroup()/endGroup() group explicitly in every mode.
+   * @param {number} [options.undoCaptureTimeout] Milliseconds for 'time' grouping (default 500)
+   * @param {boolean} [options.workOffline] Start without connecting, as after disconnect()
+   * @param {boolean} [options.suggesting] Start in suggestion mode, see setSuggesting()
+   */
+  constructor(documentId, clientId, options = {}) {
     this.documentId = documentId;
     this.clientId = clientId;
+    // Branches are created with the same options, see fork()
+    this.options = options;
 
-    // Create Yjs document
-    this.doc = new Y.Doc();
+    // Create Yjs document. Snapshots can only be rendered if deleted
+    // content is kept, so garbage collection is off while history is on.
+    this.history = options.history !== false;
+    this.doc = new Y.Doc({ gc: !this.history });
 
     // Get the shared text type
     this.ytext = this.doc.getText('content');
 
-    // Create WebSocket provider for real-time sync
-    this.provider = new WebsocketProvider(
-      'ws://localhost:1234',
-      documentId,
-      this.doc
-    );
+    // Saved versions: [{ id, name, auto, createdAt, createdBy, snapshot }]
+    this.versions = this.doc.getArray('versions');
+    this.autoVersionInterval = options.autoVersionInterval ?? AUTO_VERSION_INTERVAL;
+    this.lastAutoVersionAt = Date.now();
+
+    // Who inserted what. Text items carry the Yjs client that inserted them, so
+    // each client's author is stored once: "<yjs client>" -> { clientId, name, color }.
+    // When: "<yjs client>:<clock>" -> time, for that client's insertions from
+    // clock up to its next record (see _recordAuthorship)
+    this.authors = this.doc.getMap('authors');
+    this.authorship = this.doc.getMap('authorship');
+    this._authorshipAt = 0;
+
+    // Comments, one entry per comment so concurrent replies never collide:
+    // id -> { id, thread, body, author, createdAt }. A thread's first comment
+    // has thread null and also holds its anchor, quote and resolved state.
+    this.comments = this.doc.getMap('comments');
+
+    // Document metadata: title, createdBy/createdAt, updatedBy/updatedAt and
+    // one entry per tag (see TAG_PREFIX), so tags added concurrently never collide
+    this.meta = this.doc.getMap('meta');
+
+    // Named sections besides the main text: id -> Y.Map { name, position, text },
+    // with text a Y.Text. They are ordered by position, so moving a section
+    // does not recreate it and concurrent typing in it survives.
+    this.sections = this.doc.getMap('sections');
+
+    // Create the sync transport (WebSocket server, in-memory relay or BroadcastChannel),
+    // wrapped in an encrypting one when the document has a key
+    this.encrypted = Boolean(options.encryptionKey);
+    const transportType = options.transport || DEFAULT_TRANSPORT;
+    const transportOptions = {
+      url: options.url || DEFAULT_SYNC_URL,
+      batchInterval: options.batchInterval ?? 0,
+      ...options.transportOptions,
+      params: options.token
+        ? { ...options.transportOptions?.params, token: options.token }
+        : options.transportOptions?.params,
+      connect: false,
+    };
+    this.transport = this.encrypted
+      ? new EncryptedTransport(this.doc, documentId, {
+        ...transportOptions,
+        key: options.encryptionKey,
+        transport: transportType,
+      })
+      : createTransport(transportType, this.doc, documentId, transportOptions);
+
+    // Create undo manager with per-client tracking. Outside 'time' grouping
+    // the engine ends undo steps itself, see _beginUndoStep().
+    this.undoGrouping = options.undoGrouping || 'operation';
+    if (!UNDO_GROUPINGS.includes(this.undoGrouping)) {
+      throw new Error(`Unknown undoGrouping "${this.undoGrouping}". Expected one of: ${UNDO_GROUPINGS.join(', ')}`);
+    }
+    this._captureTimeout = this.undoGrouping === 'time'
+      ? options.undoCaptureTimeout ?? UNDO_CAPTURE_TIMEOUT
+      : Infinity;
+    // Undo covers the text, the metadata and the sections
+    this._undoScope = [this.ytext, this.meta, this.sections];
+    this.undoManager = new Y.UndoManager(this._undoScope, {
+      trackedOrigins: new Set([clientId, MERGE_ORIGIN]),
+      captureTimeout: this._captureTimeout,
+    });
+    this._groupDepth = 0;
+    this._lastEdit = null;
+    // Undo steps are numbered so they can be reverted out of order, see revertChange()
+    this._nextChangeId = 1;
+    this._reverting = null;
+    // Description for the undo step being recorded, instead of one from its change
+    this._stepDescription = null;
+    this.suggesting = !!options.suggesting;
+
+    // Record what the change did for the undo history, and who updated the
+    // document. Edits record their authorship themselves (see _editText);
+    // undo/redo and reverts run in the UndoManager's transactions, so theirs
+    // follows in a transaction of its own.
+    this._lastChange = null;
+    this._touchedAt = 0;
+    this.ytext.observe((event) => {
+      const { origin } = event.transaction;
+      if (this._isOwnChange(origin)) {
+        this._lastChange = summarizeChange(event);
+        if (origin !== this.clientId) {
+          this.doc.transact(() => this._recordAuthorship(event.transaction), this.clientId);
+        }
+        this._touch();
+      }
+    });
+    this.meta.observe((event) => {
+      if (this._isOwnChange(event.transaction.origin)) {
+        this._lastChange = { ...NO_CHANGE, structure: event.keysChanged.has('title') ? 'title' : 'tags' };
+        this._touch();
+      }
+    });
+    this.sections.observeDeep((events, transaction) => {
+      if (!this._isOwnChange(transaction.origin)) return;
+      // Typing in one section is described like typing in the main text
+      const [event] = events;
+      this._lastChange = events.length === 1 && event.target instanceof Y.Text
+        ? { ...summarizeChange(event), section: event.target.parent.get('name') }
+        : { ...NO_CHANGE, structure: 'sections' };
+      this._touch();
+    });
+
+    // Undo steps remember what they changed, when, the selection before it
+    // and which updates were known by then; undoing or redoing a step puts
+    // that selection back
+    this.undoManager.on('stack-item-added', ({ stackItem, type }) => {
+      stackItem.meta.set('id', this._nextChangeId++);
+      stackItem.meta.set('selection', this.selection);
+      stackItem.meta.set('time', Date.now());
+      stackItem.meta.set('state', Y.decodeStateVector(Y.encodeStateVector(this.doc)));
+      // A redo step does the opposite of the undo that created it
+      stackItem.meta.set('change', type === 'redo' ? invertChange(this._lastChange) : this._lastChange);
+      if (this._reverting) {
+        const target = this._reverting.stackItem;
+        stackItem.meta.set('reverts', target.meta.get('id'));
+        stackItem.meta.set('description', `Reverted: ${describeChange(target.meta.get('change'))}`);
+      }
+      if (this._stepDescription) {
+        stackItem.meta.set('description', this._stepDescription);
+      }
+    });
+    this.undoManager.on('stack-item-updated', ({ stackItem }) => {
+      stackItem.meta.set('state', Y.decodeStateVector(Y.encodeStateVector(this.doc)));
+      stackItem.meta.set('change', mergeChanges(stackItem.meta.get('change'), this._lastChange));
+    });
+    this.undoManager.on('stack-item-popped', ({ stackItem, type }) => {
+      // The step moves to the other stack as a new stack item; it stays the same change
+      const stack = type === 'undo' ? this.undoManager.redoStack : this.undoManager.undoStack;
+      const moved = stack[stack.length - 1];
+      if (moved) {
+        ['id', 'reverts', 'description'].forEach((key) => {
+          if (stackItem.meta.has(key)) moved.meta.set(key, stackItem.meta.get(key));
+        });
+      }
+      const selection = stackItem.meta.get('selection');
+      if (selection) {
+        this._setSelection(selection);
+      }
+      this._reanchorComments();
+    });
 
-    // Create undo manager with per-client tracking
-    this.undoManager = new Y.UndoManager(this.ytext, {
-      trackedOrigins: new Set([clientId])
+    // Traffic and round trips for getMetrics(); updates from local storage
+    // were neither sent nor received
+    this._metrics = {
+      sent: { updates: 0, bytes: 0 },
+      received: { updates: 0, bytes: 0 },
+      reconnects: 0,
+    };
+    this._connectedBefore = false;
+    // Our clock after each update not acknowledged yet -> when it was made
+    this._sentAt = new Map();
+    this._roundTrips = [];
+    this._updateLog = [];
+    this.doc.on('update', (update, origin, doc, transaction) => {
+      if (origin === this.persistence) return;
+      const direction = transaction.local ? 'sent' : 'received';
+      this._metrics[direction].updates++;
+      this._metrics[direction].bytes += update.length;
+      this._updateLog.push({ time: Date.now(), direction, bytes: update.length, update });
+      if (this._updateLog.length > UPDATE_LOG_SIZE) {
+        this._updateLog.shift();
+      }
     });
 
     // Track connection status
     this.isConnected = false;
-    this.provider.on('status', (event) => {
+    this.transportStatus = 'connecting';
+    this.syncError = null;
+    this.transport.on('status', (event) => {
+      if (event.status === 'connected' && this._connectedBefore) {
+        this._metrics.reconnects++;
+      }
+      this._connectedBefore = this._connectedBefore || event.status === 'connected';
       this.isConnected = event.status === 'connected';
+      this.transportStatus = event.status;
+      if (this.isConnected) {
+        this.syncError = null;
+        // Connecting starts a sync exchange, which the transport acknowledges
+        this._ackRequested = true;
+      } else if (event.status === 'disconnected') {
+        this._ackRequested = false;
+      }
       if (this.onConnectionChange) {
         this.onConnectionChange(this.isConnected);
       }
+      this._updateSyncState();
+    });
+    this.transport.on('error', (err) => {
+      this.syncError = err instanceof Error ? err.message : 'Could not reach the sync server';
+      this._updateSyncState();
+    });
+
+    // Local updates the server (or a peer) has not acknowledged yet, as our
+    // own clock after each one. At most one acknowledgement is requested at
+    // a time; each answer asks again while something is still unconfirmed.
+    this._unacked = [];
+    this._ackedClock = 0;
+    // Acknowledged clock of this session's Yjs client and of earlier sessions
+    // whose stored edits were not confirmed yet, kept with the local copy.
+    // Those sessions count as one pending update each.
+    this._ackedState = new Map();
+    this._ackRequested = false;
+    this.lastAckAt = null;
+    this.doc.on('update', (update, origin, doc, transaction) => {
+      if (!transaction.local || origin === this.persistence) return;
+      const clock = Y.getState(this.doc.store, this.doc.clientID);
+      this._sentAt.set(clock, Date.now());
+      if (this._sentAt.size > LATENCY_SAMPLES) {
+        this._sentAt.delete(this._sentAt.keys().next().value);
+      }
+      if (!this._ackedState.has(this.doc.clientID)) {
+        this._ackedState.set(this.doc.clientID, this._ackedClock);
+        this._storeAckedState();
+      }
+      // Transports that deliver synchronously can be acknowledged before we get here
+      if (clock <= this._ackedClock) {
+        this._recordRoundTrip(clock);
+        return;
+      }
+      // Metadata records and the authorship of an undo/redo follow in updates
+      // of their own; count them as one
+      const recordOnly = origin === METADATA_ORIGIN ||
+        [...transaction.changed.keys()].every((type) => type === this.authorship || type === this.authors);
+      if (recordOnly && this._unacked.length > 0) {
+        this._unacked[this._unacked.length - 1] = clock;
+      } else {
+        this._unacked.push(clock);
+      }
+      this._requestAck();
+      this._updateSyncState();
+    });
+    this.transport.on('ack', (clock) => {
+      this._ackRequested = false;
+      this.lastAckAt = Date.now();
+      this._ackedClock = Math.max(this._ackedClock, clock);
+      this._recordRoundTrip(clock);
+      this._unacked = this._unacked.filter((end) => end > clock);
+      // Earlier sessions' edits went out in the sync exchange on connecting,
+      // which comes before any acknowledgement
+      this._ackedState = new Map([[this.doc.clientID, this._ackedClock]]);
+      this._storeAckedState();
+      this._requestAck();
+      this._updateSyncState();
+    });
+
+    // Local selection as Y.RelativePositions ({ anchor, head }), see updateSelection()
+    this.selection = null;
+
+    // Role granted by the sync server; null when access is not controlled
+    this.role = null;
+    this.transport.on('role', (role) => {
+      this.role = role;
+      if (this.onRoleChange) {
+        this.onRoleChange(role);
+      }
+    });
+    this.transport.on('permission-denied', (reason) => {
+      console.warn(`Sync server denied access to "${documentId}": ${reason}`);
+      this.syncError = reason;
+      this._updateSyncState();
+      if (this.onPermissionDenied) {
+        this.onPermissionDenied(reason);
+      }
+    });
+
+    // Track initial sync with the server
+    this.isSynced = false;
+    this.transport.on('sync', (isSynced) => {
+      this.isSynced = isSynced;
+      // Without the key, an encrypted document syncs as an empty text
+      if (isSynced && !this.encrypted && this.doc.share.get(ENVELOPE_TYPE)?._length > 0) {
+        this.syncError = 'This document is end-to-end encrypted. Open it with a link that includes its key.';
+      }
+      if (this.onSyncChange) {
+        this.onSyncChange(isSynced);
+      }
+      this._updateSyncState();
     });
+
+    // Local persistence: restore the stored copy before connecting
+    this.persistence = options.persistence === undefined
+      ? createDefaultPersistence(documentId)
+      : options.persistence || null;
+    this.isLoaded = false;
+    this.shouldConnect = !options.workOffline;
+    this.destroyed = false;
+    this._syncState = this.getSyncState();
+    this.whenLoaded = this.persistence ? this._loadLocal() : Promise.resolve();
+    if (!this.persistence) {
+      this._onLoaded();
+    }
+  }
+
+  /**
+   * Apply the persisted update log, then start recording new updates
+   */
+  async _loadLocal() {
+    const persistence = this.persistence;
+    try {
+      const updates = await persistence.load();
+      if (this.destroyed) return;
+      this.doc.transact(() => {
+        updates.forEach((update) => Y.applyUpdate(this.doc, update));
+      }, persistence);
+      this._storedUpdates = updates.length;
+      const acked = await persistence.loadAcked?.();
+      if (this.destroyed) return;
+      if (acked) {
+        Y.decodeStateVector(acked).forEach((clock, client) => {
+          if (client !== this.doc.clientID && Y.getState(this.doc.store, client) > clock) {
+            this._ackedState.set(client, clock);
+          }
+        });
+      }
+    } catch (err) {
+      console.error(`Failed to load local copy of "${this.documentId}"`, err);
+      this._storedUpdates = 0;
+    }
+
+    this._persistUpdate = (update, origin) => {
+      if (origin === persistence) return;
+      persistence.storeUpdate(update);
+      if (++this._storedUpdates >= COMPACT_AFTER_UPDATES) {
+        this._storedUpdates = 1;
+        persistence.compact(Y.encodeStateAsUpdate(this.doc));
+      }
+    };
+    this.doc.on('update', this._persistUpdate);
+
+    // Start from one merged snapshot; this also captures edits made while loading
+    persistence.compact(Y.encodeStateAsUpdate(this.doc));
+    this._storedUpdates = 1;
+    this._storeAckedState();
+    this._updateSyncState();
+    this._onLoaded();
+  }
+
+  _onLoaded() {
+    this.isLoaded = true;
+    if (this.onLocalLoad) {
+      this.onLocalLoad();
+    }
+    // Connect once listeners are attached (in-memory transports connect synchronously)
+    if (this.shouldConnect) {
+      this.transport.connect();
+    }
   }
 
   /**
@@ -46,73 +457,1850 @@ export class YjsEngine {
   }
 
   /**
-   * Insert text at position (wrapped in transaction with client origin)
+   * Insert text at position (wrapped in transaction with client origin).
+   * Without `attributes` the text continues the inline formatting before it,
+   * and new lines keep the block format of the line they split. In
+   * suggestion mode the text is a suggested insertion.
+   */
+  insert(index, text, attributes) {
+    this._assertEditable();
+    this._beginUndoStep({ type: 'insert', index, text });
+    this._editText(() => {
+      const suggestion = this.suggesting
+        ? { [SUGGESTION_FORMAT]: this._suggestionFor('insert', index, index) }
+        : {};
+      if (attributes) {
+        this.ytext.insert(index, text, { ...attributes, ...suggestion });
+        return;
+      }
+      const before = index > 0 && this.getText()[index - 1] !== '\n'
+        ? this._attributesAt(index - 1)
+        : {};
+      this.ytext.insert(index, text, { ...pickFormats(before, false), ...suggestion });
+      if (text.includes('\n')) {
+        this._splitLineFormat(index, text);
+      }
+    });
+    this._maybeAutoVersion();
+  }
+
+  /**
+   * Delete text from position (wrapped in transaction with client origin).
+   * In suggestion mode the text is marked as a suggested deletion instead.
+   */
+  delete(index, length) {
+    this._assertEditable();
+    this._beginUndoStep({ type: 'delete', index, text: this.getText().slice(index, index + length) });
+    this._editText(() => {
+      if (this.suggesting) {
+        this._suggestDeletion(index, length);
+      } else {
+        this.ytext.delete(index, length);
+      }
+    });
+    this._maybeAutoVersion();
+  }
+
+  /**
+   * Apply inline formatting ({ bold: true }, { link: url }, { italic: null } to remove)
    */
-  insert(index, text) {
+  format(index, length, attributes) {
+    this._assertEditable();
+    this._beginUndoStep(null);
     this.doc.transact(() => {
-      this.ytext.insert(index, text);
+      this.ytext.format(index, length, attributes);
     }, this.clientId);
+  }
 
-    // Separate logical operations for undo
-    this.undoManager.stopCapturing();
+  /**
+   * Apply block formatting ({ heading: 1 }, { list: 'bullet' }) to every line
+   * the range touches
+   */
+  formatLine(index, length, attributes) {
+    this._assertEditable();
+    this._beginUndoStep(null);
+    this._editText(() => {
+      this._lineEnds(index, length).forEach((end) => {
+        if (end === this.ytext.length) {
+          // The last line has no terminator yet
+          this.ytext.insert(end, '\n', attributes);
+        } else {
+          this.ytext.format(end, 1, attributes);
+        }
+      });
+    });
   }
 
   /**
-   * Delete text from position (wrapped in transaction with client origin)
+   * Formatting shared by the whole range (or the character before the caret):
+   * inline attributes of its characters plus block attributes of its lines
    */
-  delete(index, length) {
+  getFormat(index, length = 0) {
+    const from = length > 0 ? index : Math.max(0, index - 1);
+    const to = Math.max(index + length, from + 1);
+    const ends = this._lineEnds(index, length);
+    let inline = null;
+    let block = null;
+    let pos = 0;
+    this.ytext.toDelta().forEach((op) => {
+      const opLength = typeof op.insert === 'string' ? op.insert.length : 1;
+      const attributes = op.attributes || {};
+      if (pos < to && pos + opLength > from) {
+        inline = intersectFormats(inline, pickFormats(attributes, false));
+      }
+      if (ends.some((end) => end >= pos && end < pos + opLength)) {
+        block = intersectFormats(block, pickFormats(attributes, true));
+      }
+      pos += opLength;
+    });
+    // A missing terminator means the last line is unformatted
+    if (ends.includes(pos)) {
+      block = {};
+    }
+    return { ...inline, ...block };
+  }
+
+  /**
+   * Document as a Quill-style delta: [{ insert, attributes? }]
+   */
+  getDelta() {
+    return this.ytext.toDelta();
+  }
+
+  /**
+   * Apply a delta ([{ retain }, { insert, attributes }, { delete }]) as one change
+   */
+  applyDelta(delta) {
+    this._assertEditable();
+    this._beginUndoStep(null);
+    this._editText(() => {
+      this.ytext.applyDelta(delta);
+    });
+    this._maybeAutoVersion();
+  }
+
+  /**
+   * Insert a rich-text delta at `index` as one transaction (one undo step)
+   */
+  insertDelta(index, delta) {
+    this.applyDelta([{ retain: index }, ...delta]);
+  }
+
+  /**
+   * The whole document, including its full CRDT history, as one Yjs update
+   */
+  exportUpdate() {
+    return Y.encodeStateAsUpdate(this.doc);
+  }
+
+  /**
+   * Merge a Yjs update (e.g. an exported .yjs file) into the document. The
+   * merged content keeps its original authors, so it is not undoable here.
+   */
+  importUpdate(update) {
+    this._assertEditable();
+    try {
+      Y.decodeUpdate(update);
+    } catch (err) {
+      throw new Error('Not a valid Yjs update file');
+    }
+    Y.applyUpdate(this.doc, update, 'import');
+  }
+
+  /**
+   * Fork this document into the new document `branchId`: a copy that keeps
+   * the full shared history, so it can be edited separately and merged back
+   * with mergeBranch(). Returns the branch's engine, created with this
+   * engine's options plus `options`; its metadata records the fork as
+   * forkedFrom. Unless `options` has one, the branch's local copy goes to
+   * the persistence adapter's store for branchId (see forDocument() in
+   * persistence.js), never to this document's.
+   */
+  fork(branchId, options = {}) {
+    if (branchId === this.documentId) {
+      throw new Error('A branch needs a document ID of its own');
+    }
+    let { persistence = this.options.persistence } = options;
+    if (persistence && persistence === this.options.persistence) {
+      if (!persistence.forDocument) {
+        throw new Error(`Pass a persistence adapter for the branch "${branchId}": this one cannot store other documents`);
+      }
+      persistence = persistence.forDocument(branchId);
+    }
+    const branch = new YjsEngine(branchId, this.clientId, { ...this.options, ...options, persistence });
+    // Both documents' histories end up in one, so the IDs must differ
+    if (branch.doc.clientID === this.doc.clientID) {
+      branch.destroy();
+      throw new Error(`The branch "${branchId}" would share this document's Yjs client ID`);
+    }
+    // The record gets a transaction of its own: Yjs takes our writes in a
+    // transaction that applies an update for another client using our ID
+    Y.applyUpdate(branch.doc, Y.encodeStateAsUpdate(this.doc), FORK_ORIGIN);
+    branch.doc.transact(() => {
+      branch.meta.set(FORK_PREFIX + branchId, {
+        documentId: this.documentId,
+        title: this.getMetadata().title,
+        forkedAt: Date.now(),
+        forkedBy: this.user?.name || this.clientId,
+      });
+    }, FORK_ORIGIN);
+    return branch;
+  }
+
+  /**
+   * What merging a branch (its exportUpdate()) would change, without
+   * changing anything: { text, title, tags, sections, empty }. `text` is
+   * the main text as diff parts ([{ type: 'equal' | 'insert' | 'delete', text }]),
+   * `title` { from, to } or null, `tags` { added, removed }, and `sections`
+   * [{ id, name, status: 'added' | 'removed' | 'changed', parts }].
+   */
+  previewMerge(branchUpdate) {
+    const changes = this._branchChanges(branchUpdate);
+    const merged = new Y.Doc({ gc: false });
+    Y.applyUpdate(merged, Y.encodeStateAsUpdate(this.doc));
+    // Texts are compared by what the branch's changes do to them, as Yjs
+    // reports it, rather than by diffing the results: sections by ID, the
+    // main text as null
+    const deltas = new Map();
+    merged.getText('content').observe((event) => deltas.set(null, event.delta));
+    merged.getMap('sections').observeDeep((events) => {
+      events.forEach((event) => {
+        if (event.target instanceof Y.Text) deltas.set(event.path[0], event.delta);
+      });
+    });
+    Y.applyUpdate(merged, changes);
+    const before = { metadata: this.getMetadata(), sections: this.getSections() };
+    const after = { metadata: readMetadata(merged.getMap('meta'), this.documentId), sections: readSections(merged.getMap('sections')) };
+    const text = deltaToParts(this.getText(), deltas.get(null) || []);
+    merged.destroy();
+
+    const sections = [];
+    after.sections.forEach((section) => {
+      const previous = before.sections.find(({ id }) => id === section.id);
+      if (!previous) {
+        sections.push({ id: section.id, name: section.name, status: 'added', parts: deltaToParts('', [{ insert: section.text }]) });
+      } else if (deltas.has(section.id) || previous.name !== section.name) {
+        sections.push({ id: section.id, name: section.name, status: 'changed', parts: deltaToParts(previous.text, deltas.get(section.id) || []) });
+      }
+    });
+    before.sections.forEach((section) => {
+      if (!after.sections.some(({ id }) => id === section.id)) {
+        sections.push({ id: section.id, name: section.name, status: 'removed', parts: deltaToParts(section.text, [{ delete: section.text.length }]) });
+      }
+    });
+    const preview = {
+      text,
+      title: before.metadata.title !== after.metadata.title
+        ? { from: before.metadata.title, to: after.metadata.title }
+        : null,
+      tags: {
+        added: after.metadata.tags.filter((tag) => !before.metadata.tags.includes(tag)),
+        removed: before.metadata.tags.filter((tag) => !after.metadata.tags.includes(tag)),
+      },
+      sections,
+    };
+    preview.empty = text.every(({ type }) => type === 'equal') && !preview.title &&
+      preview.tags.added.length + preview.tags.removed.length + sections.length === 0;
+    return preview;
+  }
+
+  /**
+   * Merge a branch (its exportUpdate()) into this document as one update
+   * and one undo step. Edits made here since the fork are kept, as with
+   * any concurrent edits. Returns whether anything was merged.
+   */
+  mergeBranch(branchUpdate) {
+    this._assertEditable();
+    const changes = this._branchChanges(branchUpdate);
+    let merged = false;
+    this._beginUndoStep(null);
+    this._stepDescription = 'Merged branch';
+    // The step is described as a merge, not as our last edit
+    this._lastChange = { ...NO_CHANGE };
+    try {
+      this.doc.transact((transaction) => {
+        Y.applyUpdate(this.doc, changes);
+        merged = transaction.changed.size > 0;
+      }, MERGE_ORIGIN);
+    } finally {
+      this._stepDescription = null;
+      this.undoManager.stopCapturing();
+    }
+    return merged;
+  }
+
+  /**
+   * The part of a branch's state this document lacks
+   */
+  _branchChanges(branchUpdate) {
+    try {
+      return Y.diffUpdate(branchUpdate, Y.encodeStateVector(this.doc));
+    } catch (err) {
+      throw new Error('Not a valid branch update');
+    }
+  }
+
+  /**
+   * Subscribe to content or formatting changes: callback(delta, change)
+   * where change is the delta of this update
+   */
+  onDeltaChange(callback) {
+    this.ytext.observe((event) => {
+      callback(this.getDelta(), event.delta);
+    });
+  }
+
+  _attributesAt(index) {
+    let pos = 0;
+    for (const op of this.ytext.toDelta()) {
+      const length = typeof op.insert === 'string' ? op.insert.length : 1;
+      if (index < pos + length) {
+        return op.attributes || {};
+      }
+      pos += length;
+    }
+    return {};
+  }
+
+  /**
+   * Positions of the "\n" ending each line the range touches; the text
+   * length stands for the last line when it has no terminator
+   */
+  _lineEnds(index, length) {
+    const text = this.getText();
+    const ends = [];
+    let end = text.indexOf('\n', index);
+    while (end !== -1) {
+      ends.push(end);
+      if (end >= index + length) return ends;
+      end = text.indexOf('\n', end + 1);
+    }
+    ends.push(text.length);
+    return ends;
+  }
+
+  /**
+   * After `text` was inserted at `index`, give each new "\n" the block format
+   * of the line it split. A heading does not carry over to the line after it.
+   */
+  _splitLineFormat(index, text) {
+    const end = this.getText().indexOf('\n', index + text.length);
+    if (end === -1) return;
+    const block = pickFormats(this._attributesAt(end), true);
+    if (Object.keys(block).length === 0) return;
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+      this.ytext.format(index + i, 1, block);
+    }
+    if (block.heading && end === index + text.length) {
+      this.ytext.format(end, 1, { heading: null });
+    }
+  }
+
+  /**
+   * Whether this client may change the document (see roles.js)
+   */
+  canEdit() {
+    return canEdit(this.role);
+  }
+
+  _assertEditable() {
+    if (!this.canEdit()) {
+      throw new Error(`"${this.documentId}" is read-only for the ${this.role} role`);
+    }
+  }
+
+  /**
+   * Save the current state as a named version
+   */
+  createVersion(name, { auto = false } = {}) {
+    this._assertEditable();
+    if (!this.history) {
+      throw new Error('Version history requires the engine to be created with history enabled');
+    }
+    const version = {
+      id: `v-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+      name: name || null,
+      auto,
+      createdAt: Date.now(),
+      createdBy: this.user?.name || this.clientId,
+      snapshot: Y.encodeSnapshot(Y.snapshot(this.doc)),
+    };
     this.doc.transact(() => {
-      this.ytext.delete(index, length);
+      this.versions.push([version]);
     }, this.clientId);
+    return version.id;
+  }
 
-    // Separate logical operations for undo
-    this.undoManager.stopCapturing();
+  _maybeAutoVersion() {
+    if (!this.history || this.autoVersionInterval <= 0) return;
+    if (Date.now() - this.lastAutoVersionAt >= this.autoVersionInterval) {
+      this.lastAutoVersionAt = Date.now();
+      this.createVersion(null, { auto: true });
+    }
   }
 
   /**
-   * Undo last operation by this client
+   * Saved versions without their snapshot payload, newest first
    */
-  undo() {
-    this.undoManager.undo();
+  listVersions() {
+    return this.versions.toArray()
+      .map(({ snapshot, ...version }) => version)
+      .sort((a, b) => b.createdAt - a.createdAt);
   }
 
   /**
-   * Redo last undone operation by this client
+   * Text of the document as it was when a version was saved
    */
-  redo() {
-    this.undoManager.redo();
+  getVersionText(versionId) {
+    const version = this.versions.toArray().find((v) => v.id === versionId);
+    if (!version) {
+      throw new Error(`Unknown version "${versionId}"`);
+    }
+    const snapshot = Y.decodeSnapshot(version.snapshot);
+    const versionDoc = Y.createDocFromSnapshot(this.doc, snapshot);
+    const text = versionDoc.getText('content').toString();
+    versionDoc.destroy();
+    return text;
   }
 
   /**
-   * Subscribe to text changes
+   * Bring back a version's text as a new, undoable change on top of the
+   * current document; history after the version is kept
    */
-  onTextChange(callback) {
-    this.ytext.observe(() => {
-      callback(this.getText());
+  restoreVersion(versionId) {
+    const target = this.getVersionText(versionId);
+    this.setText(target);
+  }
+
+  /**
+   * Turn the current text into `target` with a minimal set of inserts and
+   * deletes in one transaction, so concurrent edits elsewhere survive
+   */
+  setText(target) {
+    this._assertEditable();
+    const parts = diffText(this.getText(), target);
+    this._beginUndoStep(null);
+    this._editText(() => {
+      let index = 0;
+      parts.forEach(({ type, text }) => {
+        if (type === 'equal') {
+          index += text.length;
+        } else if (type === 'delete') {
+          this.ytext.delete(index, text.length);
+        } else {
+          this.ytext.insert(index, text);
+          index += text.length;
+        }
+      });
     });
   }
 
   /**
-   * Disconnect from WebSocket server (simulate offline)
+   * Subscribe to the version list changing (local or remote saves)
    */
-  disconnect() {
-    this.provider.disconnect();
+  onVersionsChange(callback) {
+    this.versions.observe(() => {
+      callback(this.listVersions());
+    });
   }
 
   /**
-   * Reconnect to WebSocket server
+   * Run a local edit of the main text in one transaction with its authorship records
    */
-  connect() {
-    this.provider.connect();
+  _editText(fn) {
+    this.doc.transact((transaction) => {
+      fn();
+      this._recordAuthorship(transaction);
+    }, this.clientId);
   }
 
   /**
-   * Clean up resources
+   * Update the authorship records for what `transaction` inserted and deleted,
+   * in the current transaction
    */
-  destroy() {
-    this.provider.destroy();
-    this.doc.destroy();
+  _recordAuthorship(transaction) {
+    const client = this.doc.clientID;
+    const structs = this.doc.store.clients.get(client) || [];
+    const before = transaction.beforeState.get(client) || 0;
+    // Our first insertion into the text, if any
+    let inserted = null;
+    for (let i = structs.length - 1; i >= 0 && structs[i].id.clock >= before; i--) {
+      if (isTextItem(structs[i], this.ytext)) inserted = structs[i];
+    }
+    if (inserted) {
+      const author = { clientId: this.clientId, name: this.user?.name || this.clientId, color: this.user?.color || null };
+      const known = this.authors.get(String(client));
+      if (!known || known.name !== author.name || known.color !== author.color) {
+        this.authors.set(String(client), author);
+      }
+      // Later insertions extend the previous record until it is too old
+      const now = Date.now();
+      if (now - this._authorshipAt >= AUTHORSHIP_INTERVAL) {
+        this._authorshipAt = now;
+        this.authorship.set(`${client}:${inserted.id.clock}`, now);
+      }
+    }
+    if (transaction.deleteSet.clients.size > 0) {
+      this._dropDeletedAuthorship(transaction.deleteSet);
+    }
+  }
+
+  /**
+   * Remove records whose text has all been deleted. Deleted text never comes
+   * back (undo inserts it anew), so they are not needed again. A client's
+   * last record can still be extended and is kept.
+   */
+  _dropDeletedAuthorship(deleteSet) {
+    const records = this._authorshipRecords();
+    deleteSet.clients.forEach((deletes, client) => {
+      const list = records.get(client);
+      if (!list) return;
+      const structs = this.doc.store.clients.get(client) || [];
+      const affected = new Set();
+      deletes.forEach(({ clock, len }) => {
+        list.forEach((record, i) => {
+          const end = list[i + 1]?.clock ?? Infinity;
+          if (record.clock < clock + len && end > clock) affected.add(i);
+        });
+      });
+      affected.forEach((i) => {
+        if (i === list.length - 1) return;
+        const end = list[i + 1].clock;
+        let visible = false;
+        for (let j = Y.findIndexSS(structs, list[i].clock); j < structs.length && structs[j].id.clock < end; j++) {
+          if (isTextItem(structs[j], this.ytext)) {
+            visible = true;
+            break;
+          }
+        }
+        if (!visible) this.authorship.delete(`${client}:${list[i].clock}`);
+      });
+    });
+  }
+
+  /**
+   * Authorship records by Yjs client, sorted by clock: client -> [{ clock, time }]
+   */
+  _authorshipRecords() {
+    const records = new Map();
+    this.authorship.forEach((time, key) => {
+      const [client, clock] = key.split(':').map(Number);
+      if (!records.has(client)) records.set(client, []);
+      records.get(client).push({ clock, time });
+    });
+    records.forEach((list) => list.sort((a, b) => a.clock - b.clock));
+    return records;
+  }
+
+  /**
+   * Split the text into runs by author:
+   * [{ start, end, text, author: { clientId, name, color } | null, firstAt, lastAt }]
+   * Text inserted by a client without an author record (e.g. before authorship
+   * was tracked) has author null; firstAt/lastAt are null when unknown.
+   */
+  getAuthorship() {
+    const records = this._authorshipRecords();
+    const runs = [];
+    const pushRun = (start, end, author, time) => {
+      const last = runs[runs.length - 1];
+      if (last && last.end === start && (last.author?.clientId ?? null) === (author?.clientId ?? null)) {
+        last.end = end;
+        if (time !== null) {
+          last.firstAt = last.firstAt === null ? time : Math.min(last.firstAt, time);
+          last.lastAt = last.lastAt === null ? time : Math.max(last.lastAt, time);
+        }
+      } else {
+        runs.push({ start, end, author, firstAt: time, lastAt: time });
+      }
+    };
+
+    // Walk the visible items; each covers clocks [clock, clock + length) of one
+    // client and may span several of its records
+    let index = 0;
+    for (let item = this.ytext._start; item !== null; item = item.right) {
+      if (item.deleted || !item.countable) continue;
+      const stored = this.authors.get(String(item.id.client));
+      const author = stored ? { clientId: stored.clientId, name: stored.name, color: stored.color } : null;
+      const list = records.get(item.id.client) || [];
+      const end = item.id.clock + item.length;
+      let clock = item.id.clock;
+      while (clock < end) {
+        const i = findRecord(list, clock);
+        const until = Math.min(end, list[i + 1]?.clock ?? end);
+        pushRun(index + clock - item.id.clock, index + until - item.id.clock, author, list[i]?.time ?? null);
+        clock = until;
+      }
+      index += item.length;
+    }
+
+    const text = this.getText();
+    return runs.map((run) => ({ ...run, text: text.slice(run.start, run.end) }));
+  }
+
+  /**
+   * Subscribe to authorship records changing
+   */
+  onAuthorshipChange(callback) {
+    this.authors.observe(() => callback());
+    this.authorship.observe(() => callback());
+  }
+
+  /**
+   * Whether this client may comment (see roles.js). The server cannot tell
+   * encrypted comments from other changes, so there only editors may.
+   */
+  canComment() {
+    return this.encrypted ? canEdit(this.role) : canComment(this.role);
+  }
+
+  _assertCanComment() {
+    if (!this.canComment()) {
+      throw new Error(`Comments on "${this.documentId}" are not allowed for the ${this.role} role`);
+    }
+  }
+
+  /**
+   * Start a comment thread on the text in [start, end). The anchor is kept as
+   * relative positions, so it stays on the same text while others edit;
+   * text typed right at its edges lands outside it. Returns the thread ID.
+   */
+  addComment(start, end, body) {
+    this._assertCanComment();
+    if (end <= start) {
+      throw new Error('A comment needs a non-empty range of text');
+    }
+    const comment = this._newComment(null, body);
+    comment.anchor = {
+      start: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(this.ytext, start)),
+      end: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(this.ytext, end, -1)),
+    };
+    comment.quote = this.getText().slice(start, end);
+    comment.resolved = false;
+    this.doc.transact(() => {
+      this.comments.set(comment.id, comment);
+    }, this.clientId);
+    return comment.id;
+  }
+
+  /**
+   * Add a comment to an existing thread. Returns its ID.
+   */
+  replyToComment(threadId, body) {
+    this._assertCanComment();
+    this._getThreadRoot(threadId);
+    const comment = this._newComment(threadId, body);
+    this.doc.transact(() => {
+      this.comments.set(comment.id, comment);
+    }, this.clientId);
+    return comment.id;
+  }
+
+  resolveComment(threadId) {
+    this._setResolved(threadId, true);
+  }
+
+  reopenComment(threadId) {
+    this._setResolved(threadId, false);
+  }
+
+  _setResolved(threadId, resolved) {
+    this._assertCanComment();
+    const root = this._getThreadRoot(threadId);
+    this.doc.transact(() => {
+      this.comments.set(threadId, {
+        ...root,
+        resolved,
+        resolvedBy: resolved ? this.user?.name || this.clientId : null,
+        resolvedAt: resolved ? Date.now() : null,
+      });
+    }, this.clientId);
+  }
+
+  /**
+   * Undoing a deletion brings back copies of the deleted text. Only this
+   * client knows which copy replaced which, so it moves anchors on the
+   * deleted text over to the copies for everyone.
+   */
+  _reanchorComments() {
+    if (!this.canComment()) return;
+    const redone = (json) => {
+      const { item } = Y.createRelativePositionFromJSON(json);
+      const struct = item && item.clock < Y.getState(this.doc.store, item.client) ? Y.getItem(this.doc.store, item) : null;
+      return struct instanceof Y.Item && struct.deleted && struct.redone !== null;
+    };
+    const toIndex = (json) => Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(json), this.doc)?.index;
+
+    this.doc.transact(() => {
+      this.comments.forEach((comment) => {
+        if (comment.thread !== null || !(redone(comment.anchor.start) || redone(comment.anchor.end))) return;
+        const start = toIndex(comment.anchor.start);
+        const end = toIndex(comment.anchor.end);
+        if (start === undefined || end === undefined || end <= start) return;
+        this.comments.set(comment.id, {
+          ...comment,
+          anchor: {
+            start: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(this.ytext, start)),
+            end: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(this.ytext, end, -1)),
+          },
+        });
+      });
+    }, this.clientId);
+  }
+
+  _getThreadRoot(threadId) {
+    const root = this.comments.get(threadId);
+    if (!root || root.thread !== null) {
+      throw new Error(`Unknown comment thread "${threadId}"`);
+    }
+    return root;
+  }
+
+  _newComment(thread, body) {
+    if (!body || !body.trim()) {
+      throw new Error('A comment cannot be empty');
+    }
+    return {
+      id: `c-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+      thread,
+      body: body.trim(),
+      author: {
+        clientId: this.clientId,
+        name: this.user?.name || this.clientId,
+        color: this.user?.color || null,
+      },
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Comment threads in document order, orphaned ones last:
+   * [{ id, start, end, quote, orphaned, resolved, resolvedBy, resolvedAt,
+   *    comments: [{ id, body, author, createdAt }] }]
+   * A thread is orphaned once all of its anchored text is deleted; undoing
+   * the deletion brings the anchor back (see _reanchorComments()).
+   */
+  getComments() {
+    const toIndex = (json) => {
+      const position = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(json), this.doc);
+      return position && position.type === this.ytext ? position.index : null;
+    };
+
+    const threads = new Map();
+    const replies = [];
+    this.comments.forEach((comment) => {
+      if (comment.thread !== null) {
+        replies.push(comment);
+        return;
+      }
+      const start = toIndex(comment.anchor.start);
+      const end = toIndex(comment.anchor.end);
+      const orphaned = start === null || end === null || end <= start;
+      threads.set(comment.id, {
+        id: comment.id,
+        start: orphaned ? null : start,
+        end: orphaned ? null : end,
+        quote: comment.quote,
+        orphaned,
+        resolved: comment.resolved,
+        resolvedBy: comment.resolvedBy || null,
+        resolvedAt: comment.resolvedAt || null,
+        comments: [toThreadComment(comment)],
+      });
+    });
+    // A reply can arrive before its thread; it shows up once the thread does
+    replies.forEach((reply) => {
+      threads.get(reply.thread)?.comments.push(toThreadComment(reply));
+    });
+
+    return [...threads.values()]
+      .map((thread) => ({
+        ...thread,
+        comments: thread.comments.sort((a, b) => a.createdAt - b.createdAt || (a.id < b.id ? -1 : 1)),
+      }))
+      .sort((a, b) => (a.orphaned - b.orphaned) || (a.start - b.start) || (a.comments[0].createdAt - b.comments[0].createdAt));
+  }
+
+  /**
+   * Subscribe to comments being added, answered, resolved or reopened.
+   * Anchors also move with text changes; call getComments() after those.
+   */
+  onCommentsChange(callback) {
+    this.comments.observe(() => {
+      callback(this.getComments());
+    });
+  }
+
+  /**
+   * Suggestion mode: while on, insert() and delete() record suggestions
+   * attributed to this client instead of changing the text, to be accepted
+   * or rejected by anyone who can edit
+   */
+  setSuggesting(suggesting) {
+    this.suggesting = suggesting;
   }
+
+  /**
+   * Pending suggestions in document order:
+   * [{ id, type: 'insert' | 'delete', author, clientId, createdAt, start, end, text }].
+   * Text typed into someone else's suggestion splits it; `text` is then the
+   * suggested parts only, between `start` and `end`.
+   */
+  getSuggestions() {
+    const suggestions = new Map();
+    this._suggestionRuns().forEach(({ index, length, text, suggestion }) => {
+      const entry = suggestions.get(suggestion.id);
+      if (entry) {
+        entry.end = index + length;
+        entry.text += text;
+      } else {
+        suggestions.set(suggestion.id, { ...suggestion, start: index, end: index + length, text });
+      }
+    });
+    return [...suggestions.values()];
+  }
+
+  /**
+   * Accept a suggestion: a suggested insertion becomes ordinary text, a
+   * suggested deletion deletes its text. One undo step.
+   */
+  acceptSuggestion(id) {
+    this._decideSuggestion(id, true);
+  }
+
+  /**
+   * Reject a suggestion: a suggested insertion is deleted, a suggested
+   * deletion keeps its text. One undo step.
+   */
+  rejectSuggestion(id) {
+    this._decideSuggestion(id, false);
+  }
+
+  /**
+   * Subscribe to suggestions being made, accepted or rejected: callback(suggestions)
+   */
+  onSuggestionsChange(callback) {
+    this.ytext.observe(() => {
+      callback(this.getSuggestions());
+    });
+  }
+
+  /**
+   * Accepting an insertion and rejecting a deletion only drop the mark, the
+   * other two delete the text. Replicas that decide the same suggestion
+   * differently while apart converge on the deletion.
+   */
+  _decideSuggestion(id, accept) {
+    this._assertEditable();
+    const runs = this._suggestionRuns().filter(({ suggestion }) => suggestion.id === id);
+    if (runs.length === 0) {
+      throw new Error(`Unknown suggestion "${id}"`);
+    }
+    const keep = (runs[0].suggestion.type === 'insert') === accept;
+    this._beginUndoStep(null);
+    this._stepDescription = `${accept ? 'Accepted' : 'Rejected'} suggestion by ${runs[0].suggestion.author}`;
+    try {
+      this._editText(() => {
+        // From the end, so deleting a run leaves the earlier ones in place
+        runs.reverse().forEach(({ index, length }) => {
+          if (keep) {
+            this.ytext.format(index, length, { [SUGGESTION_FORMAT]: null });
+          } else {
+            this.ytext.delete(index, length);
+          }
+        });
+      });
+    } finally {
+      this._stepDescription = null;
+      this.undoManager.stopCapturing();
+    }
+  }
+
+  /**
+   * Mark a range as suggested for deletion. Our own suggested insertions in
+   * it are simply removed; text already marked, or suggested by someone
+   * else, is left for them to accept or reject.
+   */
+  _suggestDeletion(index, length) {
+    const suggestion = this._suggestionFor('delete', index, index + length);
+    const runs = [];
+    let pos = 0;
+    this.ytext.toDelta().forEach((op) => {
+      const opLength = typeof op.insert === 'string' ? op.insert.length : 1;
+      const start = Math.max(pos, index);
+      const end = Math.min(pos + opLength, index + length);
+      if (start < end) {
+        runs.push({ index: start, length: end - start, marked: op.attributes?.[SUGGESTION_FORMAT] });
+      }
+      pos += opLength;
+    });
+    runs.reverse().forEach(({ index: start, length: runLength, marked }) => {
+      if (!marked) {
+        this.ytext.format(start, runLength, { [SUGGESTION_FORMAT]: suggestion });
+      } else if (marked.type === 'insert' && marked.clientId === this.clientId) {
+        this.ytext.delete(start, runLength);
+      }
+    });
+  }
+
+  /**
+   * The suggestion an edit of `type` between `start` and `end` belongs to:
+   * our own suggestion of that type right next to it, so typing or deleting
+   * on is one suggestion, or a new one
+   */
+  _suggestionFor(type, start, end) {
+    const neighbours = [start > 0 ? this._attributesAt(start - 1) : {}, this._attributesAt(end)];
+    const own = neighbours
+      .map((attributes) => attributes[SUGGESTION_FORMAT])
+      .find((suggestion) => suggestion?.type === type && suggestion.clientId === this.clientId);
+    return own || {
+      id: `sg-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`,
+      type,
+      author: this.user?.name || this.clientId,
+      clientId: this.clientId,
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Runs of suggested text: [{ index, length, text, suggestion }]
+   */
+  _suggestionRuns() {
+    const runs = [];
+    let pos = 0;
+    this.ytext.toDelta().forEach((op) => {
+      const text = typeof op.insert === 'string' ? op.insert : '';
+      const length = text ? text.length : 1;
+      const suggestion = op.attributes?.[SUGGESTION_FORMAT];
+      if (suggestion) {
+        runs.push({ index: pos, length, text, suggestion });
+      }
+      pos += length;
+    });
+    return runs;
+  }
+
+  /**
+   * Whether a transaction is one of this client's changes: an edit, an undo
+   * or redo, or a revert
+   */
+  _isOwnChange(origin) {
+    return origin === this.clientId || origin === this.undoManager || origin === this._reverting?.origin;
+  }
+
+  /**
+   * Record who changed the document: createdBy/createdAt once, then
+   * updatedBy/updatedAt at most every METADATA_INTERVAL
+   */
+  _touch() {
+    const now = Date.now();
+    if (this.meta.has('createdAt') && now - this._touchedAt < METADATA_INTERVAL) return;
+    this._touchedAt = now;
+    const author = this.user?.name || this.clientId;
+    // Observers run after the edit's transaction, so this is a separate update
+    this.doc.transact(() => {
+      if (!this.meta.has('createdAt')) {
+        this.meta.set('createdBy', author);
+        this.meta.set('createdAt', now);
+      }
+      this.meta.set('updatedBy', author);
+      this.meta.set('updatedAt', now);
+    }, METADATA_ORIGIN);
+  }
+
+  /**
+   * Document metadata: { title, tags, createdBy, createdAt, updatedBy, updatedAt,
+   * forkedFrom }, with tags sorted and null for what was not recorded yet.
+   * forkedFrom is set on branches, see fork().
+   */
+  getMetadata() {
+    return readMetadata(this.meta, this.documentId);
+  }
+
+  /**
+   * Set the document title. Concurrent titles resolve to one of them.
+   */
+  setTitle(title) {
+    this._assertEditable();
+    if (title === this.getMetadata().title) return;
+    this._beginUndoStep(null);
+    this.doc.transact(() => {
+      this.meta.set('title', title);
+    }, this.clientId);
+  }
+
+  addTag(tag) {
+    const key = TAG_PREFIX + normalizeName(tag, 'Tag');
+    this._assertEditable();
+    if (this.meta.has(key)) return;
+    this._beginUndoStep(null);
+    this.doc.transact(() => {
+      this.meta.set(key, true);
+    }, this.clientId);
+  }
+
+  removeTag(tag) {
+    const key = TAG_PREFIX + normalizeName(tag, 'Tag');
+    this._assertEditable();
+    if (!this.meta.has(key)) return;
+    this._beginUndoStep(null);
+    this.doc.transact(() => {
+      this.meta.delete(key);
+    }, this.clientId);
+  }
+
+  /**
+   * Subscribe to metadata changes: callback(metadata, { local })
+   */
+  onMetadataChange(callback) {
+    this.meta.observe((event) => {
+      callback(this.getMetadata(), { local: event.transaction.local });
+    });
+  }
+
+  /**
+   * Sections in order: [{ id, name, text }]
+   */
+  getSections() {
+    return readSections(this.sections);
+  }
+
+  _sortedSections() {
+    return sortSections(this.sections);
+  }
+
+  _getSection(id) {
+    const section = this.sections.get(id);
+    if (!section) {
+      throw new Error(`Unknown section "${id}"`);
+    }
+    return section;
+  }
+
+  /**
+   * A position that sorts a section at `index` among `others` ([id, section] in order)
+   */
+  _positionAt(others, index) {
+    const before = others[index - 1]?.[1].get('position');
+    const after = others[index]?.[1].get('position');
+    if (before === undefined && after === undefined) return 0;
+    if (before === undefined) return after - 1;
+    if (after === undefined) return before + 1;
+    return (before + after) / 2;
+  }
+
+  /**
+   * Add a section at `index` (default: last). Returns its ID.
+   */
+  addSection(name, index = this.sections.size, text = '') {
+    const sectionName = normalizeName(name, 'Section name');
+    this._assertEditable();
+    const id = `s-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+    const position = this._positionAt(this._sortedSections(), index);
+    this._beginUndoStep(null);
+    this.doc.transact(() => {
+      const section = new Y.Map();
+      this.sections.set(id, section);
+      section.set('name', sectionName);
+      section.set('position', position);
+      section.set('text', new Y.Text(text));
+    }, this.clientId);
+    return id;
+  }
+
+  renameSection(id, name) {
+    const sectionName = normalizeName(name, 'Section name');
+    this._assertEditable();
+    const section = this._getSection(id);
+    this._beginUndoStep(null);
+    this.doc.transact(() => {
+      section.set('name', sectionName);
+    }, this.clientId);
+  }
+
+  /**
+   * Move a section to `index` in the order. Only its position changes.
+   */
+  moveSection(id, index) {
+    this._assertEditable();
+    const section = this._getSection(id);
+    const others = this._sortedSections().filter(([otherId]) => otherId !== id);
+    this._beginUndoStep(null);
+    this.doc.transact(() => {
+      section.set('position', this._positionAt(others, index));
+    }, this.clientId);
+  }
+
+  removeSection(id) {
+    this._assertEditable();
+    this._getSection(id);
+    this._beginUndoStep(null);
+    this.doc.transact(() => {
+      this.sections.delete(id);
+    }, this.clientId);
+  }
+
+  getSectionText(id) {
+    return this._getSection(id).get('text').toString();
+  }
+
+  insertInSection(id, index, text) {
+    this._assertEditable();
+    const sectionText = this._getSection(id).get('text');
+    this._beginUndoStep({ type: 'insert', index, text, section: id });
+    this.doc.transact(() => {
+      sectionText.insert(index, text);
+    }, this.clientId);
+  }
+
+  deleteInSection(id, index, length) {
+    this._assertEditable();
+    const sectionText = this._getSection(id).get('text');
+    this._beginUndoStep({ type: 'delete', index, text: sectionText.toString().slice(index, index + length), section: id });
+    this.doc.transact(() => {
+      sectionText.delete(index, length);
+    }, this.clientId);
+  }
+
+  /**
+   * Turn a section's text into `target` with minimal inserts and deletes, as
+   * setText() does for the main text. Typing one character at a time is
+   * grouped into undo steps like insert() and delete().
+   */
+  setSectionText(id, target) {
+    this._assertEditable();
+    const sectionText = this._getSection(id).get('text');
+    const parts = diffText(sectionText.toString(), target);
+    const changes = parts.filter(({ type }) => type !== 'equal');
+    if (changes.length === 0) return;
+    const index = parts[0].type === 'equal' ? parts[0].text.length : 0;
+    this._beginUndoStep(changes.length === 1 ? { type: changes[0].type, index, text: changes[0].text, section: id } : null);
+    this.doc.transact(() => {
+      let position = 0;
+      parts.forEach(({ type, text }) => {
+        if (type === 'equal') {
+          position += text.length;
+        } else if (type === 'delete') {
+          sectionText.delete(position, text.length);
+        } else {
+          sectionText.insert(position, text);
+          position += text.length;
+        }
+      });
+    }, this.clientId);
+  }
+
+  /**
+   * Subscribe to sections being added, renamed, moved, removed or edited:
+   * callback(sections, { local })
+   */
+  onSectionsChange(callback) {
+    this.sections.observeDeep((events, transaction) => {
+      callback(this.getSections(), { local: transaction.local });
+    });
+  }
+
+  /**
+   * Start a new undo step before a local edit, unless the edit continues the
+   * current one. `edit` is { type: 'insert' | 'delete', index, text, section? }
+   * for plain typing, null for anything else.
+   */
+  _beginUndoStep(edit) {
+    const last = this._lastEdit;
+    this._lastEdit = edit;
+    if (this._groupDepth > 0) return;
+    if (!this._continuesUndoStep(last, edit)) {
+      this.undoManager.stopCapturing();
+    }
+  }
+
+  _continuesUndoStep(last, edit) {
+    if (!last || !edit) return false;
+    if (this.undoGrouping === 'time') return true;
+    if (this.undoGrouping !== 'word') return false;
+    if (edit.type !== last.type || edit.section !== last.section) return false;
+    if (edit.text.length !== 1 || last.text.length !== 1) return false;
+    const adjacent = edit.type === 'insert'
+      ? edit.index === last.index + 1
+      // Backspace moves left, Delete stays put
+      : edit.index === last.index - 1 || edit.index === last.index;
+    // A word ends where whitespace is followed by something else
+    return adjacent && !(/\s/.test(last.text) && !/\s/.test(edit.text));
+  }
+
+  /**
+   * Make every edit until the matching endGroup() one undo step. Groups nest.
+   */
+  beginGroup() {
+    if (this._groupDepth++ === 0) {
+      this.undoManager.stopCapturing();
+      this.undoManager.captureTimeout = Infinity;
+    }
+  }
+
+  /**
+   * Close the group opened by the last beginGroup()
+   */
+  endGroup() {
+    if (this._groupDepth === 0) {
+      throw new Error('endGroup() called without a matching beginGroup()');
+    }
+    if (--this._groupDepth === 0) {
+      this.undoManager.captureTimeout = this._captureTimeout;
+      this.undoManager.stopCapturing();
+      this._lastEdit = null;
+    }
+  }
+
+  /**
+   * Undo last operation by this client. Returns whether there was one;
+   * the selection goes back to where it was before that operation.
+   */
+  undo() {
+    this._assertEditable();
+    this._lastEdit = null;
+    return this.undoManager.undo() !== null;
+  }
+
+  /**
+   * Redo last undone operation by this client. Returns whether there was one.
+   */
+  redo() {
+    this._assertEditable();
+    this._lastEdit = null;
+    return this.undoManager.redo() !== null;
+  }
+
+  canUndo() {
+    return this.undoManager.canUndo();
+  }
+
+  canRedo() {
+    return this.undoManager.canRedo();
+  }
+
+  /**
+   * This client's undo and redo steps, most recent first:
+   * { undo: [{ id, description, time }], redo: [{ id, description, time }] }
+   */
+  getUndoHistory() {
+    const toEntry = (stackItem) => ({
+      id: stackItem.meta.get('id'),
+      description: stackItem.meta.get('description') || describeChange(stackItem.meta.get('change')),
+      time: stackItem.meta.get('time'),
+    });
+    return {
+      undo: this.undoManager.undoStack.map(toEntry).reverse(),
+      redo: this.undoManager.redoStack.map(toEntry).reverse(),
+    };
+  }
+
+  /**
+   * This client's changes that are in effect (its undo steps), most recent
+   * first: [{ id, description, time, reverted, conflict }]. `reverted` is
+   * set once a later revertChange() undid the change; `conflict` once the
+   * text it changed was changed again since, so reverting it would not
+   * give back the text from before it.
+   */
+  getChanges() {
+    const reverted = new Set();
+    const { undo } = this.getUndoHistory();
+    return [...this.undoManager.undoStack].reverse().map((stackItem, idx) => {
+      const change = { ...undo[idx], reverted: reverted.has(stackItem.meta.get('id')) };
+      change.conflict = !change.reverted && this._changeConflicts(stackItem);
+      // A revert that was itself reverted no longer counts
+      if (!change.reverted && stackItem.meta.has('reverts')) {
+        reverted.add(stackItem.meta.get('reverts'));
+      }
+      return change;
+    });
+  }
+
+  /**
+   * Revert one of this client's earlier changes (see getChanges()) without
+   * undoing the ones after it. The revert is a new change, undone like any
+   * other; edits made since, by anyone, are kept. Returns whether the text
+   * changed.
+   */
+  revertChange(changeId) {
+    this._assertEditable();
+    const change = this.getChanges().find((entry) => entry.id === changeId);
+    if (!change) {
+      throw new Error(`Unknown change "${changeId}"`);
+    }
+    if (change.reverted) {
+      throw new Error(`Change "${changeId}" is already reverted`);
+    }
+    const stackItem = this.undoManager.undoStack.find((item) => item.meta.get('id') === changeId);
+
+    // Undo just this step with a second undo manager; ours records the
+    // result as a new step
+    this._beginUndoStep(null);
+    const reverter = new Y.UndoManager(this._undoScope, { trackedOrigins: new Set() });
+    reverter.undoStack.push(stackItem);
+    this._reverting = { origin: reverter, stackItem };
+    this.undoManager.trackedOrigins.add(reverter);
+    try {
+      return reverter.undo() !== null;
+    } finally {
+      this.undoManager.trackedOrigins.delete(reverter);
+      this._reverting = null;
+      reverter.destroy();
+      this.undoManager.stopCapturing();
+      this._reanchorComments();
+    }
+  }
+
+  /**
+   * Whether text changed by an undo step was changed again since: text it
+   * inserted was deleted, or text was added inside the range it changed.
+   * Text deleted and brought back by undo or revert counts as unchanged.
+   */
+  _changeConflicts(stackItem) {
+    const state = stackItem.meta.get('state');
+    // How many of an item's clocks fall in a delete set
+    const overlap = (ds, item) => (ds.clients.get(item.id.client) || []).reduce((count, { clock, len }) =>
+      count + Math.max(0, Math.min(clock + len, item.id.clock + item.length) - Math.max(clock, item.id.clock)), 0);
+    const restored = new Set();
+    for (let item = this.ytext._start; item !== null; item = item.right) {
+      let copy = item;
+      while (copy.deleted && copy.redone !== null) {
+        copy = Y.getItem(this.doc.store, copy.redone);
+      }
+      if (copy !== item && !copy.deleted && overlap(stackItem.insertions, item) > 0) {
+        restored.add(item).add(copy);
+      }
+    }
+
+    let inside = false;
+    let added = false;
+    for (let item = this.ytext._start; item !== null; item = item.right) {
+      if (restored.has(item)) {
+        inside = inside || !item.deleted;
+        continue;
+      }
+      const inserted = overlap(stackItem.insertions, item);
+      const deleted = overlap(stackItem.deletions, item);
+      if (inserted > 0 || deleted > 0) {
+        if (added || (item.deleted && deleted < inserted)) return true;
+        inside = true;
+      } else if (inside && !item.deleted && item.id.clock + item.length > (state.get(item.id.client) || 0)) {
+        // Only a conflict if more of the change follows
+        added = true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Subscribe to the undo or redo stack changing: callback(history)
+   */
+  onUndoHistoryChange(callback) {
+    const notify = () => callback(this.getUndoHistory());
+    ['stack-item-added', 'stack-item-updated', 'stack-item-popped', 'stack-cleared'].forEach((name) => {
+      this.undoManager.on(name, notify);
+    });
+  }
+
+  /**
+   * Subscribe to text changes: callback(text, { delta, local }).
+   * `delta` is the Yjs change ([{ retain }, { insert, attributes }, { delete }]);
+   * `local` is true for this client's own edits, undo and redo.
+   */
+  onTextChange(callback) {
+    this.ytext.observe((event) => {
+      callback(this.getText(), { delta: event.delta, local: event.transaction.local });
+    });
+  }
+
+  /**
+   * Publish local user info ({ name, color }) to other clients
+   */
+  setLocalUser(user) {
+    this.user = user;
+    this.transport.awareness.setLocalStateField('user', user);
+  }
+
+  /**
+   * Track and publish the local selection. It is stored as relative
+   * positions so it stays on the same characters while others edit: text
+   * inserted right at either edge of a range lands outside it, and a caret
+   * moves past text inserted where it sits.
+   */
+  updateSelection(start, end) {
+    const collapsed = start === end;
+    this._setSelection({
+      anchor: Y.createRelativePositionFromTypeIndex(this.ytext, start),
+      head: Y.createRelativePositionFromTypeIndex(this.ytext, end, collapsed ? 0 : -1),
+    });
+  }
+
+  _setSelection(selection) {
+    this.selection = selection;
+    this.transport.awareness.setLocalStateField('selection', {
+      anchor: Y.relativePositionToJSON(this.selection.anchor),
+      head: Y.relativePositionToJSON(this.selection.head),
+    });
+  }
+
+  /**
+   * The local selection as indices in the current text ({ start, end }),
+   * or null before updateSelection() was called
+   */
+  getSelection() {
+    if (!this.selection) return null;
+    const toIndex = (relative) => {
+      const position = Y.createAbsolutePositionFromRelativePosition(relative, this.doc);
+      return position && position.type === this.ytext ? position.index : null;
+    };
+    const start = toIndex(this.selection.anchor);
+    const end = toIndex(this.selection.head);
+    if (start === null || end === null) return null;
+    return { start: Math.min(start, end), end: Math.max(start, end) };
+  }
+
+  /**
+   * Other clients' presence: [{ clientId, user, selection: { start, end, head } | null }]
+   */
+  getRemoteUsers() {
+    const awareness = this.transport.awareness;
+    const toIndex = (json) => {
+      const position = Y.createAbsolutePositionFromRelativePosition(
+        Y.createRelativePositionFromJSON(json),
+        this.doc
+      );
+      return position && position.type === this.ytext ? position.index : null;
+    };
+
+    const users = [];
+    awareness.getStates().forEach((state, clientId) => {
+      if (clientId === this.doc.clientID || !state.user) return;
+      let selection = null;
+      if (state.selection) {
+        const anchor = toIndex(state.selection.anchor);
+        const head = toIndex(state.selection.head);
+        if (anchor !== null && head !== null) {
+          selection = { start: Math.min(anchor, head), end: Math.max(anchor, head), head };
+        }
+      }
+      users.push({ clientId, user: state.user, selection });
+    });
+    return users;
+  }
+
+  /**
+   * Subscribe to presence changes (users joining, leaving or moving their cursor)
+   */
+  onAwarenessChange(callback) {
+    this.transport.awareness.on('change', () => {
+      callback(this.getRemoteUsers());
+    });
+  }
+
+  /**
+   * Where this client stands with the server:
+   * { status, pending, lastAckAt, workOffline, error }.
+   * `status` is 'connecting', 'syncing' (connected, but the initial sync or
+   * an acknowledgement is outstanding), 'synced', 'offline' or 'error';
+   * `pending` counts local updates not acknowledged yet; edits restored from
+   * the local copy of an earlier session count as one update per session.
+   */
+  getSyncState() {
+    let status;
+    if (!this.shouldConnect || (this.transportStatus === 'disconnected' && !this.syncError)) {
+      status = 'offline';
+    } else if (this.syncError) {
+      status = 'error';
+    } else if (!this.isConnected) {
+      status = 'connecting';
+    } else {
+      status = this.isSynced && this._pendingCount() === 0 ? 'synced' : 'syncing';
+    }
+    return {
+      status,
+      pending: this._pendingCount(),
+      lastAckAt: this.lastAckAt,
+      workOffline: !this.shouldConnect,
+      error: this.syncError,
+    };
+  }
+
+  _updateSyncState() {
+    const state = this.getSyncState();
+    const previous = this._syncState;
+    if (previous && Object.keys(state).every((key) => state[key] === previous[key])) return;
+    this._syncState = state;
+    if (this.onSyncStateChange) {
+      this.onSyncStateChange(state);
+    }
+  }
+
+  _pendingCount() {
+    let count = this._unacked.length;
+    this._ackedState.forEach((clock, client) => {
+      if (client !== this.doc.clientID) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Keep the acknowledged clocks with the local copy, so a reload can tell
+   * which stored edits were never confirmed
+   */
+  _storeAckedState() {
+    if (!this._persistUpdate || !this.persistence.storeAcked) return;
+    this.persistence.storeAcked(Y.encodeStateVector(this._ackedState));
+  }
+
+  _requestAck() {
+    if (this._ackRequested || !this.isConnected || this._pendingCount() === 0) return;
+    this._ackRequested = true;
+    this.transport.requestAck();
+  }
+
+  _recordRoundTrip(clock) {
+    for (const [end, sentAt] of this._sentAt) {
+      if (end > clock) break;
+      this._roundTrips.push(Date.now() - sentAt);
+      this._sentAt.delete(end);
+    }
+    if (this._roundTrips.length > LATENCY_SAMPLES) {
+      this._roundTrips.splice(0, this._roundTrips.length - LATENCY_SAMPLES);
+    }
+  }
+
+  /**
+   * Counters for diagnosing slow sync:
+   *   sent, received   { updates, bytes } since the engine was created
+   *   latency          ms from a local update to its acknowledgement over
+   *                    the last round trips: { last, average, max, samples }
+   *                    (null values before the first one)
+   *   stateSize        bytes of the whole document encoded as one update
+   *   tombstones       deleted items the document still keeps
+   *   reconnects       times the transport connected again after the first
+   * stateSize and tombstones walk the whole document; poll, don't loop.
+   */
+  getMetrics() {
+    const trips = this._roundTrips;
+    let tombstones = 0;
+    this.doc.store.clients.forEach((structs) => {
+      structs.forEach((struct) => {
+        if (struct instanceof Y.Item && struct.deleted) tombstones++;
+      });
+    });
+    return {
+      sent: { ...this._metrics.sent },
+      received: { ...this._metrics.received },
+      latency: {
+        last: trips.length > 0 ? trips[trips.length - 1] : null,
+        average: trips.length > 0 ? Math.round(trips.reduce((sum, ms) => sum + ms, 0) / trips.length) : null,
+        max: trips.length > 0 ? Math.max(...trips) : null,
+        samples: trips.length,
+      },
+      stateSize: Y.encodeStateAsUpdate(this.doc).length,
+      tombstones,
+      reconnects: this._metrics.reconnects,
+    };
+  }
+
+  /**
+   * Everything worth attaching to a bug report, as plain JSON: metrics,
+   * sync state, the state vector ({ yjsClientId: clock }) and the recent
+   * update log with each update base64-encoded. The log of an encrypted
+   * document keeps only times, directions and sizes, since its updates are
+   * the plaintext.
+   */
+  getDiagnostics() {
+    return {
+      documentId: this.documentId,
+      clientId: this.clientId,
+      yjsClientId: this.doc.clientID,
+      createdAt: new Date().toISOString(),
+      role: this.role,
+      syncState: this.getSyncState(),
+      metrics: this.getMetrics(),
+      stateVector: Object.fromEntries(Y.decodeStateVector(Y.encodeStateVector(this.doc))),
+      encrypted: this.encrypted,
+      updateLog: this._updateLog.map(({ time, direction, bytes, update }) => ({
+        time: new Date(time).toISOString(),
+        direction,
+        bytes,
+        ...(this.encrypted ? {} : { update: toBase64(update) }),
+      })),
+    };
+  }
+
+  /**
+   * Disconnect from the sync transport (simulate offline)
+   */
+  disconnect() {
+    this.shouldConnect = false;
+    this.transport.disconnect();
+    this._updateSyncState();
+  }
+
+  /**
+   * Reconnect to the sync transport
+   */
+  connect() {
+    this.shouldConnect = true;
+    if (this.isLoaded) {
+      this.transport.connect();
+    }
+    this._updateSyncState();
+  }
+
+  /**
+   * Clean up resources. Resolves once pending local writes are flushed.
+   */
+  destroy() {
+    if (this.destroyed) return Promise.resolve();
+    this.destroyed = true;
+    this.transport.destroy();
+    if (this._persistUpdate) {
+      this.doc.off('update', this._persistUpdate);
+    }
+    this.doc.destroy();
+    return this.persistence ? this.persistence.destroy() : Promise.resolve();
+  }
+}
+
+/**
+ * Block (or inline) attributes of a format; suggestions are neither
+ */
+function pickFormats(attributes, block) {
+  const picked = {};
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (key !== SUGGESTION_FORMAT && BLOCK_FORMATS.includes(key) === block) {
+      picked[key] = value;
+    }
+  });
+  return picked;
+}
+
+/**
+ * Attributes with the same value in both formats (null starts the intersection)
+ */
+function intersectFormats(current, attributes) {
+  if (current === null) return attributes;
+  const shared = {};
+  Object.entries(current).forEach(([key, value]) => {
+    if (attributes[key] === value) {
+      shared[key] = value;
+    }
+  });
+  return shared;
+}
+
+/**
+ * A text event's delta as diff parts ([{ type: 'equal' | 'insert' | 'delete', text }])
+ * over the text it was applied to, like diffText() returns
+ */
+function deltaToParts(before, delta) {
+  const parts = [];
+  const push = (type, text) => {
+    if (!text) return;
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+  let index = 0;
+  delta.forEach((op) => {
+    if (op.retain !== undefined) {
+      push('equal', before.slice(index, index + op.retain));
+      index += op.retain;
+    } else if (op.delete !== undefined) {
+      push('delete', before.slice(index, index + op.delete));
+      index += op.delete;
+    } else if (typeof op.insert === 'string') {
+      push('insert', op.insert);
+    }
+  });
+  push('equal', before.slice(index));
+  return parts;
+}
+
+/**
+ * Metadata of the document `documentId` held in its meta map, see
+ * YjsEngine.getMetadata()
+ */
+export function readMetadata(meta, documentId) {
+  const tags = [];
+  meta.forEach((value, key) => {
+    if (key.startsWith(TAG_PREFIX)) {
+      tags.push(key.slice(TAG_PREFIX.length));
+    }
+  });
+  return {
+    title: meta.get('title') || '',
+    tags: tags.sort(),
+    createdBy: meta.get('createdBy') ?? null,
+    createdAt: meta.get('createdAt') ?? null,
+    updatedBy: meta.get('updatedBy') ?? null,
+    updatedAt: meta.get('updatedAt') ?? null,
+    forkedFrom: meta.get(FORK_PREFIX + documentId) ?? null,
+  };
+}
+
+/**
+ * [id, section] pairs ordered by position; equal positions (sections
+ * placed concurrently) are ordered by ID so every replica agrees
+ */
+function sortSections(sections) {
+  return [...sections.entries()]
+    .sort(([idA, a], [idB, b]) => (a.get('position') - b.get('position')) || (idA < idB ? -1 : 1));
+}
+
+/**
+ * Sections in order: [{ id, name, text }], see YjsEngine.getSections()
+ */
+export function readSections(sections) {
+  return sortSections(sections).map(([id, section]) => ({
+    id,
+    name: section.get('name'),
+    text: section.get('text').toString(),
+  }));
+}
+
+function toThreadComment({ id, body, author, createdAt }) {
+  return { id, body, author, createdAt };
+}
+
+// A change that inserted, deleted and formatted nothing
+const NO_CHANGE = { from: null, inserted: '', deleted: '', formatted: false, suggested: false };
+
+/**
+ * What a local text event did: { from, inserted, deleted, formatted, suggested },
+ * with `from` the index of the first inserted or deleted character. Text
+ * marked as a suggested deletion counts as deleted. Changes to sections also
+ * carry the section's name, and changes to the metadata or the section list
+ * a `structure` key instead (see STRUCTURE_CHANGES).
+ */
+function summarizeChange(event) {
+  const change = { ...NO_CHANGE };
+  let index = 0;
+  // The suggestion marking the text reached so far, before and after the change
+  let markedBefore = null;
+  let markedAfter = null;
+  for (let item = event.target._start; item !== null; item = item.right) {
+    const added = event.adds(item);
+    const removed = event.deletes(item);
+    if (item.content instanceof Y.ContentFormat) {
+      change.formatted = change.formatted || added || removed;
+      if (item.content.key === SUGGESTION_FORMAT) {
+        if (!added && (!item.deleted || removed)) markedBefore = item.content.value;
+        if (!item.deleted) markedAfter = item.content.value;
+      }
+    } else if (item.content instanceof Y.ContentString && added !== removed) {
+      change.from ??= index;
+      if (added) {
+        change.inserted += item.content.str;
+        change.suggested = change.suggested || Boolean(markedAfter);
+      } else {
+        change.deleted += item.content.str;
+      }
+    } else if (item.content instanceof Y.ContentString && !item.deleted &&
+      markedAfter?.type === 'delete' && markedAfter.id !== markedBefore?.id) {
+      // Newly marked as a suggested deletion: the text stays, but counts as deleted
+      change.from ??= index;
+      change.deleted += item.content.str;
+      change.suggested = true;
+    }
+    if (!item.deleted && item.countable) {
+      index += item.length;
+    }
+  }
+  return change;
+}
+
+/**
+ * Fold a change into the undo step it extends. Text removed before the
+ * step's start (backspacing) goes in front.
+ */
+function mergeChanges(step, change) {
+  if (!step || !change) return step || change;
+  if (step.structure || change.structure) {
+    return { ...step, structure: step.structure || change.structure };
+  }
+  const before = change.from !== null && step.from !== null && change.from < step.from;
+  const join = (a, b) => (before ? b + a : a + b);
+  return {
+    from: before ? change.from : step.from ?? change.from,
+    inserted: join(step.inserted, change.inserted),
+    deleted: join(step.deleted, change.deleted),
+    formatted: step.formatted || change.formatted,
+    suggested: step.suggested || change.suggested,
+    section: step.section,
+  };
+}
+
+function invertChange(change) {
+  return change && { ...change, inserted: change.deleted, deleted: change.inserted };
+}
+
+/**
+ * Short label for an undo step, e.g. 'Typed "hello"'
+ */
+function describeChange(change) {
+  if (!change) return 'Edit';
+  if (change.structure) return STRUCTURE_CHANGES[change.structure];
+  const description = describeTextChange(change);
+  return change.section ? `${description} in "${change.section}"` : description;
+}
+
+function describeTextChange(change) {
+  const quote = (text) => JSON.stringify(
+    text.length > DESCRIPTION_LENGTH ? `${text.slice(0, DESCRIPTION_LENGTH)}…` : text
+  );
+  if (change.suggested) {
+    if (change.inserted && change.deleted) return `Suggested replacing ${quote(change.deleted)} with ${quote(change.inserted)}`;
+    if (change.inserted) return `Suggested adding ${quote(change.inserted)}`;
+    if (change.deleted) return `Suggested deleting ${quote(change.deleted)}`;
+  }
+  // Block formats on a last line add its terminator
+  if (change.formatted && !change.deleted && /^\n*$/.test(change.inserted)) return 'Formatting';
+  if (change.inserted && change.deleted) return `Replaced ${quote(change.deleted)} with ${quote(change.inserted)}`;
+  if (change.inserted) return `Typed ${quote(change.inserted)}`;
+  if (change.deleted) return `Deleted ${quote(change.deleted)}`;
+  return 'Edit';
+}
+
+/**
+ * A tag or section name without surrounding whitespace; `label` names it in the error
+ */
+function normalizeName(name, label) {
+  const normalized = typeof name === 'string' ? name.trim() : '';
+  if (!normalized) {
+    throw new Error(`${label} cannot be empty`);
+  }
+  return normalized;
+}
+
+/**
+ * Binary search for the index of the last record at or before `clock` in a
+ * clock-sorted list, -1 if there is none
+ */
+function findRecord(list, clock) {
+  let low = 0;
+  let high = list.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (clock < list[mid].clock) {
+      high = mid - 1;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return high;
+}
+
+/**
+ * Whether a struct is visible text in `ytext`
+ */
+function isTextItem(struct, ytext) {
+  return struct instanceof Y.Item && struct.parent === ytext && struct.countable && !struct.deleted;
 }
 
 export default YjsEngine;
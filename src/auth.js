@@ -0,0 +1,33 @@
+/**
+ * Client side of sync server auth - where the token comes from
+ *
+ * A token can arrive in a link (`?token=...`), which stores it for later
+ * visits and removes it from the address bar, or be set at build time with
+ * VITE_AUTH_TOKEN.
+ */
+
+const env = import.meta.env || {};
+
+export function loadAuthToken() {
+  const params = new URLSearchParams(window.location.search);
+  const fromLink = params.get('token');
+  if (fromLink) {
+    localStorage.setItem('authToken', fromLink);
+    params.delete('token');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+  }
+  return localStorage.getItem('authToken') || env.VITE_AUTH_TOKEN || null;
+}
+
+/**
+ * The user a token was issued to. Not verified - only the server can do that.
+ */
+export function tokenUser(token) {
+  try {
+    const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).sub || null;
+  } catch (err) {
+    return null;
+  }
+}
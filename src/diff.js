@@ -0,0 +1,106 @@
+/**
+ * Text diff - Myers' O(ND) algorithm over characters
+ *
+ * diffText(a, b) returns [{ type: 'equal' | 'insert' | 'delete', text }]
+ * describing how to turn a into b.
+ */
+
+// Beyond this many edits the middle is reported as one delete + insert
+const MAX_EDIT_DISTANCE = 1000;
+
+export function diffText(a, b) {
+  // Trim the common prefix and suffix first; typical edits are local
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const parts = [];
+  push(parts, 'equal', a.slice(0, prefix));
+  myers(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix))
+    .forEach(({ type, text }) => push(parts, type, text));
+  push(parts, 'equal', a.slice(a.length - suffix));
+  return parts;
+}
+
+function push(parts, type, text) {
+  if (!text) return;
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) {
+    return [{ type: 'delete', text: a }, { type: 'insert', text: b }];
+  }
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  let v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset, d);
+      }
+    }
+  }
+
+  return [{ type: 'delete', text: a }, { type: 'insert', text: b }];
+}
+
+function backtrack(trace, a, b, offset, depth) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = depth; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', text: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'insert', text: b[--y] });
+    } else {
+      ops.push({ type: 'delete', text: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', text: a[--x] });
+    y--;
+  }
+
+  const parts = [];
+  ops.reverse().forEach(({ type, text }) => push(parts, type, text));
+  return parts;
+}
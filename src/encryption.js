@@ -0,0 +1,83 @@
+import { toBase64, fromBase64 } from 'lib0/buffer';
+
+/**
+ * End-to-end encryption - AES-GCM with a per-document key
+ *
+ * A document key is 32 random bytes, written as base64url. It travels in a
+ * share link's fragment (`/doc/:id#key=...`), which browsers never send to
+ * the server, and stays with the clients. Every message is encrypted with a
+ * fresh 12-byte IV, bound to its document ID, and sent as IV + ciphertext.
+ *
+ * Uses WebCrypto: `crypto.subtle` in the browser, Node's webcrypto (global
+ * since Node 19) in tests.
+ */
+
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+const subtle = () => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('End-to-end encryption needs WebCrypto (crypto.subtle), which is only available in secure contexts');
+  }
+  return globalThis.crypto.subtle;
+};
+
+const toBase64Url = (bytes) => toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => fromBase64(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+/**
+ * A new random document key, as base64url text
+ */
+export function generateDocumentKey() {
+  return toBase64Url(globalThis.crypto.getRandomValues(new Uint8Array(KEY_LENGTH)));
+}
+
+/**
+ * Turn a document key (base64url text) into a CryptoKey
+ */
+export async function importDocumentKey(key) {
+  let raw;
+  try {
+    raw = fromBase64Url(key);
+  } catch (err) {
+    raw = null;
+  }
+  if (!raw || raw.length !== KEY_LENGTH) {
+    throw new Error(`Invalid document key: expected ${KEY_LENGTH} bytes as base64url`);
+  }
+  return subtle().importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt `data` for the document `documentId`: IV followed by ciphertext
+ */
+export async function encrypt(cryptoKey, data, documentId) {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const additionalData = new TextEncoder().encode(documentId);
+  const ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv, additionalData }, cryptoKey, data);
+  const blob = new Uint8Array(IV_LENGTH + ciphertext.byteLength);
+  blob.set(iv);
+  blob.set(new Uint8Array(ciphertext), IV_LENGTH);
+  return blob;
+}
+
+/**
+ * Decrypt what encrypt() produced. Rejects when the key or document is
+ * wrong or the blob was tampered with.
+ */
+export async function decrypt(cryptoKey, blob, documentId) {
+  const additionalData = new TextEncoder().encode(documentId);
+  const plaintext = await subtle().decrypt(
+    { name: 'AES-GCM', iv: blob.subarray(0, IV_LENGTH), additionalData },
+    cryptoKey,
+    blob.subarray(IV_LENGTH)
+  );
+  return new Uint8Array(plaintext);
+}
+
+/**
+ * base64url helpers for sending blobs as text (awareness states are JSON)
+ */
+export const encodeBlob = toBase64Url;
+export const decodeBlob = fromBase64Url;
@@ -0,0 +1,233 @@
+/**
+ * File formats - convert rich-text deltas to and from Markdown, HTML and plain text
+ *
+ * Only the formats the editor supports survive a round trip: bold, italic,
+ * links, headings 1-3 and bulleted/numbered lists.
+ */
+
+import { deltaToLines, groupLists, safeHref, pushInsert } from './richText.js';
+
+export const FILE_FORMATS = {
+  txt: { label: 'Plain text (.txt)', extension: 'txt', type: 'text/plain' },
+  md: { label: 'Markdown (.md)', extension: 'md', type: 'text/markdown' },
+  html: { label: 'HTML (.html)', extension: 'html', type: 'text/html' },
+  yjs: { label: 'Yjs update with full history (.yjs)', extension: 'yjs', type: 'application/octet-stream' },
+};
+
+/**
+ * Which format a file name is in; unknown extensions are read as plain text
+ */
+export function formatForFileName(name) {
+  const extension = name.toLowerCase().split('.').pop();
+  if (extension === 'markdown') return 'md';
+  if (extension === 'htm') return 'html';
+  return FILE_FORMATS[extension] ? extension : 'txt';
+}
+
+/**
+ * Plain text as a delta, with Windows line endings normalized
+ */
+export function textToDelta(text) {
+  const delta = [];
+  pushInsert(delta, text.replace(/\r\n?/g, '\n'));
+  return delta;
+}
+
+// --- Markdown ---------------------------------------------------------------
+
+export function deltaToMarkdown(delta) {
+  const lines = deltaToLines(delta);
+  return lines.map((line, idx) => {
+    const text = line.runs.map(markdownRun).join('');
+    const { heading, list } = line.attributes;
+    if (heading) {
+      return `${'#'.repeat(Math.min(Math.max(heading, 1), 3))} ${text}`;
+    }
+    if (list === 'bullet') {
+      return `- ${text}`;
+    }
+    if (list === 'ordered') {
+      // Number within the current run of ordered items
+      let number = 1;
+      for (let i = idx - 1; i >= 0 && lines[i].attributes.list === 'ordered'; i--) number++;
+      return `${number}. ${text}`;
+    }
+    // Keep plain lines from being read back as headings or list items
+    return text.replace(/^(#{1,6}\s|[-*+]\s|\d+[.)]\s)/, '\\$1');
+  }).join('\n') + '\n';
+}
+
+function markdownRun({ text, attributes }) {
+  let out = text.replace(/([\\*_[\]`])/g, '\\$1');
+  if (attributes.italic) out = `_${out}_`;
+  if (attributes.bold) out = `**${out}**`;
+  const href = safeHref(attributes.link);
+  if (href) out = `[${out}](${href})`;
+  return out;
+}
+
+export function markdownToDelta(markdown) {
+  const delta = [];
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  lines.forEach((line) => {
+    let attributes = {};
+    let content = line;
+    let match;
+    if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+      attributes = { heading: Math.min(match[1].length, 3) };
+      content = match[2];
+    } else if ((match = line.match(/^\s*[-*+]\s+(.*)$/))) {
+      attributes = { list: 'bullet' };
+      content = match[1];
+    } else if ((match = line.match(/^\s*\d+[.)]\s+(.*)$/))) {
+      attributes = { list: 'ordered' };
+      content = match[1];
+    }
+    parseInlineMarkdown(content, {}, delta);
+    pushInsert(delta, '\n', attributes);
+  });
+  return delta;
+}
+
+const INLINE_MARKDOWN = /\\([\\`*_[\]#+\-.!()])|\*\*(.+?)\*\*|__(.+?)__|\*(.+?)\*|_(.+?)_|\[(.+?)\]\(([^)\s]+)\)/;
+
+function parseInlineMarkdown(text, attributes, delta) {
+  let rest = text;
+  let match;
+  while ((match = rest.match(INLINE_MARKDOWN))) {
+    pushInsert(delta, rest.slice(0, match.index), attributes);
+    const [, escaped, bold1, bold2, italic1, italic2, linkText, href] = match;
+    if (escaped !== undefined) {
+      pushInsert(delta, escaped, attributes);
+    } else if (bold1 !== undefined || bold2 !== undefined) {
+      parseInlineMarkdown(bold1 ?? bold2, { ...attributes, bold: true }, delta);
+    } else if (italic1 !== undefined || italic2 !== undefined) {
+      parseInlineMarkdown(italic1 ?? italic2, { ...attributes, italic: true }, delta);
+    } else {
+      const link = safeHref(href);
+      parseInlineMarkdown(linkText, link ? { ...attributes, link } : attributes, delta);
+    }
+    rest = rest.slice(match.index + match[0].length);
+  }
+  pushInsert(delta, rest, attributes);
+}
+
+// --- HTML -------------------------------------------------------------------
+
+export function deltaToHtml(delta, title = 'Document') {
+  const body = groupLists(deltaToLines(delta)).map((block) => {
+    if (block.list) {
+      const tag = block.list === 'ordered' ? 'ol' : 'ul';
+      const items = block.lines.map((line) => `  <li>${htmlRuns(line.runs)}</li>`).join('\n');
+      return `<${tag}>\n${items}\n</${tag}>`;
+    }
+    const { runs, attributes } = block.lines[0];
+    if (attributes.heading) {
+      const level = Math.min(Math.max(attributes.heading, 1), 3);
+      return `<h${level}>${htmlRuns(runs)}</h${level}>`;
+    }
+    return `<p>${runs.length > 0 ? htmlRuns(runs) : '<br>'}</p>`;
+  }).join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+function htmlRuns(runs) {
+  return runs.map(({ text, attributes }) => {
+    let out = escapeHtml(text);
+    if (attributes.italic) out = `<em>${out}</em>`;
+    if (attributes.bold) out = `<strong>${out}</strong>`;
+    const href = safeHref(attributes.link);
+    if (href) out = `<a href="${escapeHtml(href)}">${out}</a>`;
+    return out;
+  }).join('');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const INLINE_TAGS = {
+  B: { bold: true },
+  STRONG: { bold: true },
+  I: { italic: true },
+  EM: { italic: true },
+};
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'HEAD', 'TEMPLATE']);
+
+/**
+ * Parse HTML into a delta. Needs a DOMParser (browser) or one passed in.
+ */
+export function htmlToDelta(html, parser = new DOMParser()) {
+  const body = parser.parseFromString(html, 'text/html').body;
+  const delta = [];
+  let lineHasContent = false;
+
+  const endLine = (attributes = {}) => {
+    pushInsert(delta, '\n', attributes);
+    lineHasContent = false;
+  };
+
+  const walk = (node, attributes, list) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === 3) {
+        // Collapse whitespace like a browser; drop it between blocks
+        let text = child.textContent.replace(/\s+/g, ' ');
+        if (!lineHasContent) text = text.trimStart();
+        if (text) {
+          pushInsert(delta, text, attributes);
+          lineHasContent = true;
+        }
+        return;
+      }
+      if (child.nodeType !== 1 || SKIPPED_TAGS.has(child.tagName)) return;
+
+      const tag = child.tagName;
+      if (INLINE_TAGS[tag]) {
+        walk(child, { ...attributes, ...INLINE_TAGS[tag] }, list);
+      } else if (tag === 'A') {
+        const link = safeHref(child.getAttribute('href'));
+        walk(child, link ? { ...attributes, link } : attributes, list);
+      } else if (tag === 'BR') {
+        endLine();
+      } else if (/^H[1-6]$/.test(tag)) {
+        walk(child, attributes, list);
+        endLine({ heading: Math.min(Number(tag[1]), 3) });
+      } else if (tag === 'UL' || tag === 'OL') {
+        if (lineHasContent) endLine();
+        walk(child, attributes, tag === 'OL' ? 'ordered' : 'bullet');
+      } else if (tag === 'LI') {
+        walk(child, attributes, list);
+        endLine(list ? { list } : {});
+      } else if (tag === 'SPAN' || tag === 'CODE' || tag === 'U' || tag === 'SMALL') {
+        walk(child, attributes, list);
+      } else {
+        // Any other element is treated as a block (p, div, pre, blockquote, ...)
+        if (lineHasContent) endLine();
+        walk(child, attributes, list);
+        if (lineHasContent) endLine();
+      }
+    });
+  };
+
+  walk(body, {}, null);
+  if (lineHasContent) endLine();
+  return delta;
+}
@@ -0,0 +1,15 @@
+/**
+ * "Work offline" preference - kept across reloads, for every document
+ */
+
+export function loadWorkOffline() {
+  return localStorage.getItem('workOffline') === 'true';
+}
+
+export function saveWorkOffline(offline) {
+  if (offline) {
+    localStorage.setItem('workOffline', 'true');
+  } else {
+    localStorage.removeItem('workOffline');
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Persistence adapters - keep a local copy of a document across reloads
+ *
+ * Every adapter stores an append-only log of Yjs updates for one document:
+ *
+ *   load()              -> Promise<Uint8Array[]>  stored updates, oldest first
+ *   storeUpdate(update) -> Promise                append one update
+ *   compact(state)      -> Promise                replace the log with one merged update
+ *   loadAcked()         -> Promise<Uint8Array|null>  state vector stored by storeAcked()
+ *   storeAcked(vector)  -> Promise                replace the stored state vector
+ *   destroy()           -> Promise                flush pending writes and release resources
+ *   forDocument(id)     -> adapter                the same kind of store for another document
+ *
+ * The log holds local edits that have not reached the server yet as well as
+ * everything received from it, so a restart while offline loses nothing. The
+ * state vector records how much of the local edits the server acknowledged.
+ */
+
+/**
+ * IndexedDB persistence - one database per document, browser only
+ */
+export class IndexedDBPersistence {
+  constructor(documentId, { prefix = 'yjs-engine' } = {}) {
+    this.documentId = documentId;
+    this.prefix = prefix;
+    this.dbName = `${prefix}/${documentId}`;
+    this._db = null;
+    this._queue = Promise.resolve();
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 2);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('updates')) {
+            db.createObjectStore('updates', { autoIncrement: true });
+          }
+          db.createObjectStore('acked');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Run fn(store) in a transaction, serialized behind earlier writes
+   */
+  _run(mode, fn, storeName = 'updates') {
+    const result = this._queue.then(async () => {
+      const db = await this._open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const value = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(value?.result);
+        tx.onerror = () => reject(tx.error);
+      });
+    });
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  async load() {
+    const updates = await this._run('readonly', (store) => store.getAll());
+    return updates.map((update) => new Uint8Array(update));
+  }
+
+  storeUpdate(update) {
+    return this._run('readwrite', (store) => store.add(update));
+  }
+
+  compact(state) {
+    return this._run('readwrite', (store) => {
+      store.clear();
+      store.add(state);
+    });
+  }
+
+  async loadAcked() {
+    const vector = await this._run('readonly', (store) => store.get('state'), 'acked');
+    return vector ? new Uint8Array(vector) : null;
+  }
+
+  storeAcked(vector) {
+    return this._run('readwrite', (store) => store.put(vector, 'state'), 'acked');
+  }
+
+  forDocument(documentId) {
+    return new IndexedDBPersistence(documentId, { prefix: this.prefix });
+  }
+
+  async destroy() {
+    await this._queue;
+    if (this._db) {
+      (await this._db).close();
+      this._db = null;
+    }
+  }
+}
+
+/**
+ * In-memory persistence - survives engine re-creation within one process
+ */
+export class MemoryPersistence {
+  static stores = new Map();
+  static acked = new Map();
+
+  constructor(documentId) {
+    this.documentId = documentId;
+    if (!MemoryPersistence.stores.has(documentId)) {
+      MemoryPersistence.stores.set(documentId, []);
+    }
+    this.updates = MemoryPersistence.stores.get(documentId);
+  }
+
+  async load() {
+    return [...this.updates];
+  }
+
+  async storeUpdate(update) {
+    this.updates.push(update);
+  }
+
+  async compact(state) {
+    this.updates.splice(0, this.updates.length, state);
+  }
+
+  async loadAcked() {
+    return MemoryPersistence.acked.get(this.documentId) || null;
+  }
+
+  async storeAcked(vector) {
+    MemoryPersistence.acked.set(this.documentId, vector);
+  }
+
+  forDocument(documentId) {
+    return new MemoryPersistence(documentId);
+  }
+
+  async destroy() {}
+}
+
+/**
+ * Pick the persistence for the current environment: IndexedDB in the browser,
+ * nothing elsewhere (Node callers pass a FilePersistence explicitly)
+ */
+export function createDefaultPersistence(documentId) {
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDBPersistence(documentId);
+  }
+  return null;
+}
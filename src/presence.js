@@ -0,0 +1,40 @@
+/**
+ * Presence helpers - local user identity shown to other clients
+ */
+
+const USER_COLORS = [
+  '#ef4444', '#f59e0b', '#10b981', '#06b6d4',
+  '#3b82f6', '#8b5cf6', '#ec4899', '#84cc16',
+];
+
+/**
+ * Stable color for an ID, so a user keeps their color across sessions
+ */
+export function colorForId(id) {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) | 0;
+  }
+  return USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+}
+
+export function loadLocalUser(clientId) {
+  return {
+    id: clientId,
+    name: localStorage.getItem('userName') || `Guest ${clientId.slice(-4)}`,
+    color: colorForId(clientId),
+  };
+}
+
+export function saveUserName(name) {
+  localStorage.setItem('userName', name);
+}
+
+export function initials(name) {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join('');
+}
@@ -0,0 +1,74 @@
+/**
+ * Rich-text line model shared by the rendered view and the file formats.
+ *
+ * A document is a delta ([{ insert, attributes }]). Block formats (heading,
+ * list) sit on the "\n" that ends a line; inline formats on the text runs.
+ */
+
+/**
+ * Split a delta into lines: [{ runs: [{ text, attributes }], attributes }]
+ */
+export function deltaToLines(delta) {
+  const lines = [];
+  let runs = [];
+  delta.forEach(({ insert, attributes = {} }) => {
+    if (typeof insert !== 'string') return;
+    insert.split('\n').forEach((text, idx) => {
+      if (idx > 0) {
+        lines.push({ runs, attributes });
+        runs = [];
+      }
+      if (text) runs.push({ text, attributes });
+    });
+  });
+  if (runs.length > 0) {
+    lines.push({ runs, attributes: {} });
+  }
+  return lines;
+}
+
+/**
+ * Group lines into blocks; consecutive lines of the same list type share one
+ * block: [{ list: 'bullet' | 'ordered' | null, lines }]
+ */
+export function groupLists(lines) {
+  const blocks = [];
+  lines.forEach((line) => {
+    const list = line.attributes.list || null;
+    const last = blocks[blocks.length - 1];
+    if (list && last && last.list === list) {
+      last.lines.push(line);
+    } else {
+      blocks.push({ list, lines: [line] });
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Links come from other users and imported files; only allow web and mail URLs
+ */
+export function safeHref(link) {
+  if (typeof link !== 'string') return null;
+  return /^(https?:|mailto:)/i.test(link.trim()) ? link.trim() : null;
+}
+
+/**
+ * Append an insert to a delta, merging it with the previous one when the
+ * attributes match
+ */
+export function pushInsert(delta, text, attributes = {}) {
+  if (!text) return;
+  const last = delta[delta.length - 1];
+  const hasAttributes = Object.keys(attributes).length > 0;
+  if (last && typeof last.insert === 'string' && sameAttributes(last.attributes || {}, attributes)) {
+    last.insert += text;
+  } else {
+    delta.push(hasAttributes ? { insert: text, attributes: { ...attributes } } : { insert: text });
+  }
+}
+
+function sameAttributes(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+}
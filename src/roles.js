@@ -0,0 +1,25 @@
+/**
+ * Document roles, strongest first. Shared by the client and the sync server.
+ *
+ *   owner      full access; first user to open a document on the server
+ *   editor     can change the document
+ *   commenter  read-only text, may comment
+ *   viewer     read-only
+ */
+export const ROLES = ['owner', 'editor', 'commenter', 'viewer'];
+
+export function isRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Whether a role may change the document. A null role means the connection
+ * is not access-controlled (local transports, or a server without auth).
+ */
+export function canEdit(role) {
+  return role === null || role === undefined || role === 'owner' || role === 'editor';
+}
+
+export function canComment(role) {
+  return canEdit(role) || role === 'commenter';
+}
@@ -0,0 +1,257 @@
+import { YjsEngine } from './YjsEngine.js';
+import { Simulation, enginesConverged } from './simulation.js';
+
+/**
+ * Scenarios - scripted robot runs shared by the visual TestRunner and Node
+ *
+ * A scenario is plain JSON (see scenarios/*.json):
+ *
+ *   {
+ *     "name": "Offline conflict",
+ *     "description": "...",
+ *     "robots": ["A", "B"],
+ *     "network": { "seed": 1, "latency": 40, "jitter": 20 },
+ *     "steps": [
+ *       { "robot": "A", "action": "insert", "index": 0, "text": "AAA" },
+ *       { "robot": "A", "action": "offline", "note": "Robot A loses its connection" },
+ *       { "action": "sync" },
+ *       { "action": "assert", "converged": true, "contains": ["AAA"] }
+ *     ]
+ *   }
+ *
+ * Actions:
+ *   insert    robot inserts `text` at `index` (a number or "end")
+ *   delete    robot deletes `length` characters from `index`
+ *   undo      robot undoes its last step; redo redoes it
+ *   offline   robot disconnects; reconnect connects it again
+ *   sync      wait until every online robot holds the same document
+ *   wait      let `ms` milliseconds pass
+ *   assert    check `text` (of `robot`, or of every robot), `contains`,
+ *             `excludes` and `converged`; failures are collected, the run
+ *             goes on
+ *
+ * `network` only applies to headless runs on a simulated network; the
+ * TestRunner uses a real transport.
+ */
+
+export const ACTIONS = ['insert', 'delete', 'undo', 'redo', 'offline', 'reconnect', 'sync', 'wait', 'assert'];
+
+// Actions that need a `robot`
+const ROBOT_ACTIONS = ['insert', 'delete', 'undo', 'redo', 'offline', 'reconnect'];
+
+// How long a live sync step waits for robots to agree
+const SYNC_TIMEOUT = 10000;
+const SYNC_POLL_INTERVAL = 50;
+
+/**
+ * Check a scenario's shape; throws an Error naming the first problem
+ */
+export function validateScenario(scenario) {
+  const name = scenario?.name || 'unnamed';
+  const fail = (message) => {
+    throw new Error(`Scenario "${name}": ${message}`);
+  };
+  if (!scenario || typeof scenario !== 'object') fail('not an object');
+  if (!scenario.name) fail('missing "name"');
+  if (!Array.isArray(scenario.robots) || scenario.robots.length === 0) fail('"robots" must list at least one robot');
+  if (new Set(scenario.robots).size !== scenario.robots.length) fail('robot names must be unique');
+  if (!Array.isArray(scenario.steps)) fail('"steps" must be an array');
+
+  scenario.steps.forEach((step, idx) => {
+    const at = `step ${idx + 1}`;
+    if (!ACTIONS.includes(step.action)) {
+      fail(`${at}: unknown action "${step.action}". Expected one of: ${ACTIONS.join(', ')}`);
+    }
+    if (ROBOT_ACTIONS.includes(step.action) || step.robot !== undefined) {
+      if (!scenario.robots.includes(step.robot)) fail(`${at}: unknown robot "${step.robot}"`);
+    }
+    if (step.action === 'insert' && typeof step.text !== 'string') fail(`${at}: insert needs "text"`);
+    if ((step.action === 'insert' || step.action === 'delete') && !(Number.isInteger(step.index) || step.index === 'end')) {
+      fail(`${at}: ${step.action} needs an "index" (a number or "end")`);
+    }
+    if (step.action === 'delete' && !(Number.isInteger(step.length) && step.length > 0)) {
+      fail(`${at}: delete needs a positive "length"`);
+    }
+    if (step.action === 'wait' && !(step.ms >= 0)) fail(`${at}: wait needs "ms"`);
+  });
+  return scenario;
+}
+
+/**
+ * Short label for a step, e.g. 'A inserts "AAA" at 0'
+ */
+export function describeStep(step) {
+  if (step.note) return step.note;
+  switch (step.action) {
+    case 'insert':
+      return `${step.robot} inserts ${JSON.stringify(step.text)} at ${step.index}`;
+    case 'delete':
+      return `${step.robot} deletes ${step.length} from ${step.index}`;
+    case 'undo':
+      return `${step.robot} undoes`;
+    case 'redo':
+      return `${step.robot} redoes`;
+    case 'offline':
+      return `${step.robot} goes offline`;
+    case 'reconnect':
+      return `${step.robot} reconnects`;
+    case 'sync':
+      return 'Wait for sync';
+    case 'wait':
+      return `Wait ${step.ms}ms`;
+    default:
+      return `Check ${step.robot || 'all robots'}`;
+  }
+}
+
+/**
+ * Run a scenario with a driver (see simulationDriver() and liveDriver()).
+ * `onStep(step, index, robots)` is called after each step, `onLog(message,
+ * type, robot)` for what happens; `stepDelay` pauses between steps so a
+ * visual run can be followed. Resolves to { passed, failures, texts }.
+ */
+export async function runScenario(scenario, driver, { onStep, onLog, stepDelay = 0 } = {}) {
+  validateScenario(scenario);
+  const log = onLog || (() => {});
+  const robots = new Map();
+  const failures = [];
+
+  try {
+    for (const name of scenario.robots) {
+      robots.set(name, await driver.createRobot(name));
+    }
+    await driver.sync(online(robots));
+
+    for (const [idx, step] of scenario.steps.entries()) {
+      const robot = step.robot !== undefined ? robots.get(step.robot) : null;
+      log(describeStep(step), step.action === 'assert' ? 'info' : 'step', step.robot || null);
+      switch (step.action) {
+        case 'insert':
+          robot.insert(step.index === 'end' ? robot.getText().length : step.index, step.text);
+          break;
+        case 'delete':
+          robot.delete(step.index === 'end' ? robot.getText().length - step.length : step.index, step.length);
+          break;
+        case 'undo':
+          robot.undo();
+          break;
+        case 'redo':
+          robot.redo();
+          break;
+        case 'offline':
+          robot.disconnect();
+          break;
+        case 'reconnect':
+          robot.connect();
+          break;
+        case 'sync':
+          await driver.sync(online(robots));
+          break;
+        case 'wait':
+          await driver.wait(step.ms);
+          break;
+        case 'assert':
+          checkStep(step, robots).forEach((failure) => {
+            failures.push({ step: idx + 1, message: failure });
+            log(`✗ ${failure}`, 'error', step.robot || null);
+          });
+          break;
+      }
+      onStep?.(step, idx, robots);
+      if (stepDelay > 0) {
+        await driver.wait(stepDelay);
+      }
+    }
+
+    const texts = Object.fromEntries([...robots].map(([name, engine]) => [name, engine.getText()]));
+    log(failures.length === 0 ? '✓ All checks passed' : `✗ ${failures.length} check(s) failed`,
+      failures.length === 0 ? 'success' : 'error');
+    return { passed: failures.length === 0, failures, texts };
+  } finally {
+    await driver.destroy();
+  }
+}
+
+function online(robots) {
+  return [...robots.values()].filter((engine) => engine.getSyncState().status !== 'offline');
+}
+
+/**
+ * Failed checks of an assert step, as messages
+ */
+function checkStep(step, robots) {
+  const failures = [];
+  const targets = step.robot !== undefined ? [[step.robot, robots.get(step.robot)]] : [...robots];
+  for (const [name, engine] of targets) {
+    const text = engine.getText();
+    if (step.text !== undefined && text !== step.text) {
+      failures.push(`${name} has ${JSON.stringify(text)}, expected ${JSON.stringify(step.text)}`);
+    }
+    (step.contains || []).forEach((part) => {
+      if (!text.includes(part)) failures.push(`${name} is missing ${JSON.stringify(part)}`);
+    });
+    (step.excludes || []).forEach((part) => {
+      if (text.includes(part)) failures.push(`${name} still has ${JSON.stringify(part)}`);
+    });
+  }
+  if (step.converged && !enginesConverged([...robots.values()])) {
+    failures.push('Robots did not converge');
+  }
+  return failures;
+}
+
+/**
+ * Headless driver: robots on a seeded SimulatedNetwork, where sync drains
+ * the network and wait advances its virtual clock
+ */
+export function simulationDriver(scenario, { engineOptions } = {}) {
+  const sim = new Simulation(`scenario-${scenario.name}`, { ...scenario.network, engineOptions });
+  return {
+    simulation: sim,
+    createRobot: (name) => sim.addClient(name),
+    sync: () => {
+      sim.settle();
+    },
+    wait: (ms) => {
+      sim.tick(ms);
+    },
+    destroy: () => sim.destroy(),
+  };
+}
+
+/**
+ * Live driver: robots are YjsEngines on a real transport, and sync polls
+ * until the online robots agree. `engines` maps robot names to existing
+ * engines to use instead of new ones; those are left running afterwards.
+ */
+export function liveDriver(documentId, { transport, engines = {}, engineOptions = {}, syncTimeout = SYNC_TIMEOUT } = {}) {
+  const created = [];
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  return {
+    createRobot: (name) => {
+      if (engines[name]) return engines[name];
+      const engine = new YjsEngine(documentId, `robot-${name}`, {
+        persistence: false,
+        autoVersionInterval: 0,
+        ...engineOptions,
+        transport,
+      });
+      created.push(engine);
+      return engine;
+    },
+    sync: async (robots) => {
+      const start = Date.now();
+      // Pending acknowledgements are not waited for: a robot alone in a
+      // serverless room never gets any
+      const settled = () => robots.every((engine) => engine.isConnected && engine.isSynced) && enginesConverged(robots);
+      while (!settled()) {
+        if (Date.now() - start > syncTimeout) {
+          throw new Error(`Robots did not sync within ${syncTimeout}ms`);
+        }
+        await sleep(SYNC_POLL_INTERVAL);
+      }
+    },
+    wait: sleep,
+    destroy: () => Promise.all(created.map((engine) => engine.destroy())),
+  };
+}
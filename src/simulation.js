@@ -0,0 +1,272 @@
+import * as Y from 'yjs';
+import { YjsEngine } from './YjsEngine.js';
+import { MemoryNetwork, MemoryTransport } from './transports.js';
+
+/**
+ * Simulation - a deterministic, serverless network for robots and tests
+ *
+ * SimulatedNetwork is a MemoryNetwork (MemoryTransport's `network` option)
+ * that queues messages on a virtual clock instead of delivering them at once.
+ * Network conditions can be changed at any point of a run:
+ *
+ *   latency, jitter    delay of each message in virtual ms; jitter reorders them
+ *   dropRate           chance that a message is lost
+ *   partition / heal   split peers into groups that cannot reach each other
+ *
+ * Nothing is delivered until the clock is advanced (tick) or the queue is
+ * drained (settle), and all randomness comes from a seed, so the same seed
+ * and steps always produce the same run - no sleeps, no server.
+ */
+
+// Give up on settle() after this many deliveries; peers that keep answering
+// each other would otherwise spin forever
+const MAX_DELIVERIES = 100000;
+
+/**
+ * Seeded pseudo-random generator (mulberry32): returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Whether engines hold the same document state (not just the same text)
+ */
+export function enginesConverged(engines) {
+  const [first, ...rest] = engines;
+  if (!first) return true;
+  const stateVector = Y.encodeStateVector(first.doc).toString();
+  return rest.every((engine) =>
+    engine.getText() === first.getText() &&
+    Y.encodeStateVector(engine.doc).toString() === stateVector
+  );
+}
+
+export class SimulatedNetwork extends MemoryNetwork {
+  constructor({ seed = 1, latency = 0, jitter = 0, dropRate = 0 } = {}) {
+    super();
+    this.random = createRandom(seed);
+    this.now = 0;
+    // Pending deliveries sorted by (at, seq): [{ at, seq, room, from, to, message }]
+    this.queue = [];
+    this._seq = 0;
+    // peer -> group while partitioned; peers not named in partition() share a group
+    this.groups = null;
+    this.stats = { sent: 0, delivered: 0, dropped: 0 };
+    this.setConditions({ latency, jitter, dropRate });
+  }
+
+  setConditions({ latency = this.latency, jitter = this.jitter, dropRate = this.dropRate } = {}) {
+    this.latency = latency;
+    this.jitter = jitter;
+    this.dropRate = dropRate;
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  send(room, message) {
+    const peers = this.rooms.get(room);
+    if (!peers) return;
+    const from = [...peers].find((peer) => peer.peerId === message.from);
+    for (const to of peers) {
+      if (to === from || (message.to && message.to !== to.peerId)) continue;
+      this.stats.sent++;
+      if (this.dropRate > 0 && this.random() < this.dropRate) {
+        this.stats.dropped++;
+        continue;
+      }
+      const delay = this.latency + (this.jitter > 0 ? Math.round(this.random() * this.jitter) : 0);
+      this._enqueue({ at: this.now + delay, seq: this._seq++, room, from, to, message });
+    }
+  }
+
+  /**
+   * Advance the clock by `ms`, delivering every message that falls due
+   */
+  tick(ms) {
+    const until = this.now + ms;
+    while (this.queue.length > 0 && this.queue[0].at <= until) {
+      this._deliver(this.queue.shift());
+    }
+    this.now = until;
+  }
+
+  /**
+   * Deliver until no message is in flight, including the replies that
+   * deliveries trigger. Returns the number of messages delivered.
+   */
+  settle() {
+    let delivered = 0;
+    while (this.queue.length > 0) {
+      if (++delivered > MAX_DELIVERIES) {
+        throw new Error(`Network did not settle after ${MAX_DELIVERIES} messages`);
+      }
+      this._deliver(this.queue.shift());
+    }
+    return delivered;
+  }
+
+  /**
+   * Split peers into groups; messages between groups are lost, including
+   * those already in flight. Peers not listed form one more group.
+   */
+  partition(...groups) {
+    this.groups = new Map();
+    groups.forEach((group, index) => {
+      group.forEach((peer) => this.groups.set(peer, index));
+    });
+  }
+
+  /**
+   * Reconnect all groups and have every peer resync, which also recovers
+   * whatever dropped messages lost
+   */
+  heal() {
+    this.groups = null;
+    for (const peers of this.rooms.values()) {
+      [...peers].forEach((peer) => peer.resync());
+    }
+  }
+
+  canReach(from, to) {
+    if (!this.groups) return true;
+    return (this.groups.get(from) ?? -1) === (this.groups.get(to) ?? -1);
+  }
+
+  _enqueue(entry) {
+    let low = 0;
+    let high = this.queue.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      const other = this.queue[mid];
+      if (other.at < entry.at || (other.at === entry.at && other.seq < entry.seq)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.queue.splice(low, 0, entry);
+  }
+
+  _deliver({ at, room, from, to, message }) {
+    this.now = Math.max(this.now, at);
+    // Lost if the recipient went offline meanwhile or a partition is in the way
+    if (!this.rooms.get(room)?.has(to) || !this.canReach(from, to)) {
+      this.stats.dropped++;
+      return;
+    }
+    this.stats.delivered++;
+    to._receive(message);
+  }
+}
+
+/**
+ * N engines editing one document over a SimulatedNetwork, addressed by name
+ */
+export class Simulation {
+  /**
+   * @param {string} documentId
+   * @param {object} [options]
+   * @param {number} [options.seed] Seed for the network's randomness
+   * @param {number} [options.latency] Virtual ms before a message arrives
+   * @param {number} [options.jitter] Extra random delay of up to this many ms
+   * @param {number} [options.dropRate] Chance (0-1) that a message is lost
+   * @param {object} [options.engineOptions] Passed to every YjsEngine
+   */
+  constructor(documentId, { seed = 1, latency, jitter, dropRate, engineOptions = {} } = {}) {
+    this.documentId = documentId;
+    this.seed = seed;
+    this.network = new SimulatedNetwork({ seed, latency, jitter, dropRate });
+    this.engineOptions = engineOptions;
+    this.clients = new Map();
+    this._nextYjsClientId = 1;
+  }
+
+  /**
+   * Create an engine joined to the network
+   */
+  addClient(name, options = {}) {
+    if (this.clients.has(name)) {
+      throw new Error(`Simulation already has a client named "${name}"`);
+    }
+    // Concurrent inserts at one position are ordered by Yjs client ID;
+    // numbering them instead of picking at random makes runs repeatable
+    const yjsClientId = this._nextYjsClientId++;
+    const engine = new YjsEngine(this.documentId, name, {
+      persistence: false,
+      autoVersionInterval: 0,
+      ...this.engineOptions,
+      ...options,
+      transport: (doc, documentId, transportOptions) => {
+        doc.clientID = yjsClientId;
+        return new MemoryTransport(doc, documentId, { ...transportOptions, network: this.network });
+      },
+    });
+    this.clients.set(name, engine);
+    return engine;
+  }
+
+  client(name) {
+    const engine = this.clients.get(name);
+    if (!engine) {
+      throw new Error(`Simulation has no client named "${name}"`);
+    }
+    return engine;
+  }
+
+  get engines() {
+    return [...this.clients.values()];
+  }
+
+  setConditions(conditions) {
+    this.network.setConditions(conditions);
+  }
+
+  tick(ms) {
+    this.network.tick(ms);
+  }
+
+  settle() {
+    return this.network.settle();
+  }
+
+  /**
+   * Split clients into groups by name, e.g. partition(['A', 'B'], ['C'])
+   */
+  partition(...groups) {
+    this.network.partition(...groups.map((names) => names.map((name) => this.client(name).transport)));
+  }
+
+  heal() {
+    this.network.heal();
+  }
+
+  /**
+   * Text of every client: { name: text }
+   */
+  texts() {
+    return Object.fromEntries(this.engines.map((engine) => [engine.clientId, engine.getText()]));
+  }
+
+  /**
+   * Whether every client holds the same document state (not just the same text)
+   */
+  converged() {
+    return enginesConverged(this.engines);
+  }
+
+  destroy() {
+    const engines = this.engines;
+    this.clients.clear();
+    return Promise.all(engines.map((engine) => engine.destroy()));
+  }
+}
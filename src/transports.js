@@ -0,0 +1,798 @@
+import * as Y from 'yjs';
+import { WebsocketProvider } from 'y-websocket';
+import { ObservableV2 } from 'lib0/observable';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as authProtocol from 'y-protocols/auth';
+import * as syncProtocol from 'y-protocols/sync';
+import * as decoding from 'lib0/decoding';
+import * as encoding from 'lib0/encoding';
+import { importDocumentKey, encrypt, decrypt, encodeBlob, decodeBlob } from './encryption.js';
+import { canEdit } from './roles.js';
+
+/**
+ * Transports - pluggable sync layers for YjsEngine
+ *
+ * Every transport is bound to one Y.Doc and one document ID and exposes the
+ * same small surface, so the engine never cares how updates travel:
+ *
+ *   connect() / disconnect() / destroy()
+ *   connected, synced
+ *   awareness                           y-protocols Awareness shared with peers
+ *   on('status', ({ status }) => ...)   'connecting' | 'connected' | 'disconnected'
+ *   on('sync', (isSynced) => ...)
+ *
+ * and acknowledgements of what this client sent:
+ *
+ *   requestAck()                        ask the server (or peers) what they hold
+ *   on('ack', (clock) => ...)           they hold this client's updates up to `clock`
+ *
+ * The built-in transports take a `batchInterval` option: local updates are
+ * collected for that many milliseconds and sent as one merged update
+ * (0, the default, sends each one at once). Disconnecting sends what is
+ * collected first.
+ *
+ * Transports to an access-controlled server also emit:
+ *
+ *   on('role', (role) => ...)                 role granted for this document
+ *   on('permission-denied', (reason) => ...)  connection or update rejected
+ *   on('error', (event) => ...)               the connection failed
+ */
+
+const env = import.meta.env || {};
+
+export const DEFAULT_SYNC_URL = env.VITE_SYNC_URL || 'ws://localhost:1234';
+export const DEFAULT_TRANSPORT = env.VITE_SYNC_TRANSPORT || 'websocket';
+
+/**
+ * Collects outgoing updates for `interval` ms after the first one and hands
+ * them to `send` as a single update. The window is not extended by later
+ * updates, so nothing waits longer than `interval`.
+ */
+export class UpdateBatcher {
+  constructor(interval, send) {
+    this.interval = interval;
+    this.send = send;
+    this.pending = [];
+    this._timer = null;
+  }
+
+  get size() {
+    return this.pending.length;
+  }
+
+  add(update) {
+    if (this.interval <= 0) {
+      this.send(update);
+      return;
+    }
+    this.pending.push(update);
+    if (this._timer === null) {
+      this._timer = setTimeout(() => this.flush(), this.interval);
+    }
+  }
+
+  flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this.pending.length === 0) return;
+    const update = this.pending.length === 1 ? this.pending[0] : Y.mergeUpdates(this.pending);
+    this.pending = [];
+    this.send(update);
+  }
+
+  /**
+   * Drop what is collected; a later sync exchange delivers it instead
+   */
+  clear() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.pending = [];
+  }
+}
+
+/**
+ * WebSocket transport - talks the y-websocket protocol to a sync server
+ */
+// Message types and close codes of the auth extension in server/SyncServer.js
+const messageSync = 0;
+const messageAuth = 2;
+const messageRole = 3;
+const closeUnauthorized = 4401;
+const closeForbidden = 4403;
+
+export class WebsocketTransport extends ObservableV2 {
+  constructor(doc, documentId, {
+    url = DEFAULT_SYNC_URL,
+    connect = true,
+    params,
+    WebSocketPolyfill,
+    batchInterval = 0,
+    // Cross-tab sync is BroadcastChannelTransport's job; keep this transport server-only
+    disableBc = true,
+  } = {}) {
+    super();
+    this.doc = doc;
+    this.documentId = documentId;
+    this.url = url;
+
+    const providerOptions = { connect, params, disableBc };
+    if (WebSocketPolyfill) {
+      providerOptions.WebSocketPolyfill = WebSocketPolyfill;
+    }
+    this.provider = new WebsocketProvider(url, documentId, doc, providerOptions);
+    this.awareness = this.provider.awareness;
+
+    // Send local updates through the batcher instead of the provider's own handler
+    this._ackAfterFlush = false;
+    this._batcher = new UpdateBatcher(batchInterval, (update) => {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, messageSync);
+      syncProtocol.writeUpdate(encoder, update);
+      this._send(encoding.toUint8Array(encoder));
+      if (this._ackAfterFlush) {
+        this._ackAfterFlush = false;
+        this._sendSyncStep1();
+      }
+    });
+    this._updateHandler = (update, origin) => {
+      if (origin !== this.provider) {
+        this._batcher.add(update);
+      }
+    };
+    doc.off('update', this.provider._updateHandler);
+    doc.on('update', this._updateHandler);
+
+    // The server answers each sync step 1 with a step 2, in order. Each
+    // answer confirms our updates up to the clock queued with its request.
+    this._ackQueue = [];
+    const syncHandler = this.provider.messageHandlers[messageSync];
+    this.provider.messageHandlers[messageSync] = (encoder, decoder, provider, emitSynced, messageType) => {
+      const isAnswer = decoding.peekVarUint(decoder) === syncProtocol.messageYjsSyncStep2;
+      syncHandler(encoder, decoder, provider, emitSynced, messageType);
+      if (isAnswer && this._ackQueue.length > 0) {
+        this.emit('ack', [this._ackQueue.shift()]);
+      }
+    };
+
+    this.provider.on('status', (event) => {
+      // The provider sends sync step 1 right after connecting
+      this._ackQueue = event.status === 'connected' ? [this._ownClock()] : [];
+      // The server dropped our presence when we left; a newer clock makes it accept it again
+      if (event.status === 'connected' && this.awareness.getLocalState() !== null) {
+        this.awareness.setLocalState(this.awareness.getLocalState());
+      }
+      this.emit('status', [event]);
+    });
+    this.provider.on('sync', (isSynced) => this.emit('sync', [isSynced]));
+    this.provider.on('connection-error', (event) => this.emit('error', [event]));
+
+    // Access control: the server tells us our role, and why it rejected us
+    this.role = null;
+    this.provider.messageHandlers[messageRole] = (_encoder, decoder) => {
+      this.role = decoding.readVarString(decoder);
+      this.emit('role', [this.role]);
+    };
+    this.provider.messageHandlers[messageAuth] = (_encoder, decoder) => {
+      authProtocol.readAuthMessage(decoder, doc, (_doc, reason) => {
+        this.emit('permission-denied', [reason]);
+      });
+    };
+    this.provider.on('connection-close', (event) => {
+      // Retrying with the same token cannot succeed
+      if (event && (event.code === closeUnauthorized || event.code === closeForbidden)) {
+        this.provider.disconnect();
+      }
+    });
+  }
+
+  get connected() {
+    return this.provider.wsconnected;
+  }
+
+  get synced() {
+    return this.provider.synced;
+  }
+
+  connect() {
+    this.provider.connect();
+  }
+
+  disconnect() {
+    this._batcher.flush();
+    this.provider.disconnect();
+  }
+
+  requestAck() {
+    if (!this.connected) return;
+    // The answer would confirm updates still waiting in the batch; ask after sending them
+    if (this._batcher.size > 0) {
+      this._ackAfterFlush = true;
+      return;
+    }
+    this._sendSyncStep1();
+  }
+
+  _sendSyncStep1() {
+    if (!this.connected) return;
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageSync);
+    syncProtocol.writeSyncStep1(encoder, this.doc);
+    this._ackQueue.push(this._ownClock());
+    this._send(encoding.toUint8Array(encoder));
+  }
+
+  _send(message) {
+    const ws = this.provider.ws;
+    if (this.connected && ws && ws.readyState === ws.OPEN) {
+      ws.send(message);
+    }
+  }
+
+  _ownClock() {
+    return Y.getState(this.doc.store, this.doc.clientID);
+  }
+
+  destroy() {
+    this._batcher.flush();
+    this.doc.off('update', this._updateHandler);
+    this.provider.destroy();
+    super.destroy();
+  }
+}
+
+/**
+ * Shared base for the peer-to-peer transports (memory, BroadcastChannel).
+ *
+ * There is no server, so peers sync with each other directly: a joining peer
+ * announces its state vector, every other peer answers with what it is
+ * missing plus its own state vector, and the joiner sends back the rest.
+ * Subclasses only implement _post(message) and the join/leave plumbing.
+ *
+ * Peers answer every update with an ack carrying their state vector, and
+ * sync messages carry it too, so each tells us what that peer holds of ours.
+ * There is no server, so reaching one peer counts.
+ */
+class PeerTransport extends ObservableV2 {
+  constructor(doc, documentId, { batchInterval = 0 } = {}) {
+    super();
+    this.doc = doc;
+    this.documentId = documentId;
+    this.peerId = `${doc.clientID}-${Math.random().toString(36).substr(2, 9)}`;
+    this.connected = false;
+    this.synced = false;
+    this.role = null;
+    this.awareness = new awarenessProtocol.Awareness(doc);
+
+    this._batcher = new UpdateBatcher(batchInterval, (update) => {
+      if (this.connected) {
+        this._post({ type: 'update', update });
+      }
+    });
+    this._updateHandler = (update, origin) => {
+      if (origin !== this && this.connected) {
+        this._batcher.add(update);
+      }
+    };
+    this.doc.on('update', this._updateHandler);
+
+    this._awarenessUpdateHandler = ({ added, updated, removed }, origin) => {
+      if (origin !== this && this.connected) {
+        const changed = added.concat(updated, removed);
+        this._post({ type: 'awareness', update: awarenessProtocol.encodeAwarenessUpdate(this.awareness, changed) });
+      }
+    };
+    this.awareness.on('update', this._awarenessUpdateHandler);
+  }
+
+  /**
+   * Re-announce our presence. Re-setting the state bumps its clock, so peers
+   * that dropped us earlier accept it again; the update handler posts it.
+   */
+  _announceAwareness() {
+    const state = this.awareness.getLocalState();
+    if (state !== null) {
+      this.awareness.setLocalState(state);
+    }
+  }
+
+  connect() {
+    if (this.connected) return;
+    this.emit('status', [{ status: 'connecting' }]);
+    this._join();
+    this.connected = true;
+    this.emit('status', [{ status: 'connected' }]);
+    this.resync();
+  }
+
+  /**
+   * Exchange missing updates with every peer, as on connect. Peers only
+   * broadcast live updates, so this is how lost messages are recovered.
+   */
+  resync() {
+    if (!this.connected) return;
+    this._post({ type: 'sync-step-1', stateVector: Y.encodeStateVector(this.doc) });
+    this._announceAwareness();
+  }
+
+  /**
+   * Nothing to ask for: peers acknowledge each update they receive
+   */
+  requestAck() {}
+
+  _acknowledge(stateVector) {
+    this.emit('ack', [Y.decodeStateVector(stateVector).get(this.doc.clientID) || 0]);
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+    this._batcher.flush();
+    // Tell peers to drop our presence, and forget theirs
+    this._post({ type: 'leave', clientId: this.doc.clientID });
+    this._leave();
+    this.connected = false;
+    const remoteIds = [...this.awareness.getStates().keys()].filter((id) => id !== this.doc.clientID);
+    awarenessProtocol.removeAwarenessStates(this.awareness, remoteIds, this);
+    this._setSynced(false);
+    this.emit('status', [{ status: 'disconnected' }]);
+  }
+
+  destroy() {
+    this.disconnect();
+    this.doc.off('update', this._updateHandler);
+    this.awareness.off('update', this._awarenessUpdateHandler);
+    this.awareness.destroy();
+    super.destroy();
+  }
+
+  _setSynced(isSynced) {
+    if (this.synced !== isSynced) {
+      this.synced = isSynced;
+      this.emit('sync', [isSynced]);
+    }
+  }
+
+  /**
+   * Handle a message from another peer in the same room
+   */
+  _receive(message) {
+    if (!this.connected || message.from === this.peerId) return;
+    if (message.to && message.to !== this.peerId) return;
+
+    switch (message.type) {
+      case 'sync-step-1':
+        this._post({
+          type: 'sync-step-2',
+          to: message.from,
+          update: Y.encodeStateAsUpdate(this.doc, message.stateVector),
+          stateVector: Y.encodeStateVector(this.doc),
+        });
+        this._acknowledge(message.stateVector);
+        // Introduce ourselves to the newcomer
+        this._announceAwareness();
+        break;
+      case 'sync-step-2':
+        Y.applyUpdate(this.doc, message.update, this);
+        this._post({
+          type: 'update',
+          to: message.from,
+          update: Y.encodeStateAsUpdate(this.doc, message.stateVector),
+        });
+        this._setSynced(true);
+        this._acknowledge(message.stateVector);
+        break;
+      case 'update':
+        Y.applyUpdate(this.doc, message.update, this);
+        this._post({ type: 'ack', to: message.from, stateVector: Y.encodeStateVector(this.doc) });
+        break;
+      case 'ack':
+        this._acknowledge(message.stateVector);
+        break;
+      case 'awareness':
+        awarenessProtocol.applyAwarenessUpdate(this.awareness, message.update, this);
+        break;
+      case 'leave':
+        awarenessProtocol.removeAwarenessStates(this.awareness, [message.clientId], this);
+        break;
+      default:
+        break;
+    }
+  }
+
+  _post(message) {
+    throw new Error('PeerTransport subclasses must implement _post()');
+  }
+
+  _join() {}
+
+  _leave() {}
+}
+
+/**
+ * In-process relay that memory transports join by document ID.
+ * Delivery is synchronous, which keeps single-process tests deterministic.
+ * See SimulatedNetwork (simulation.js) for latency, loss and partitions.
+ */
+export class MemoryNetwork {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  join(room, peer) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+    this.rooms.get(room).add(peer);
+  }
+
+  leave(room, peer) {
+    const peers = this.rooms.get(room);
+    if (!peers) return;
+    peers.delete(peer);
+    if (peers.size === 0) {
+      this.rooms.delete(room);
+    }
+  }
+
+  /**
+   * Number of peers currently in a room
+   */
+  size(room) {
+    return this.rooms.get(room)?.size || 0;
+  }
+
+  send(room, message) {
+    const peers = this.rooms.get(room);
+    if (!peers) return;
+    for (const peer of [...peers]) {
+      peer._receive(message);
+    }
+  }
+}
+
+export const defaultMemoryNetwork = new MemoryNetwork();
+
+/**
+ * In-memory transport - syncs engines living in the same JS process
+ */
+export class MemoryTransport extends PeerTransport {
+  constructor(doc, documentId, { network = defaultMemoryNetwork, connect = true, batchInterval } = {}) {
+    super(doc, documentId, { batchInterval });
+    this.network = network;
+    if (connect) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    super.connect();
+    // Alone in the room: nobody will answer sync step 1, so we are as synced as we get
+    if (this.connected && this.network.size(this.documentId) === 1) {
+      this._setSynced(true);
+    }
+  }
+
+  _join() {
+    this.network.join(this.documentId, this);
+  }
+
+  _leave() {
+    this.network.leave(this.documentId, this);
+  }
+
+  _post(message) {
+    this.network.send(this.documentId, { ...message, from: this.peerId });
+  }
+}
+
+/**
+ * BroadcastChannel transport - syncs tabs of the same origin without a server
+ */
+export class BroadcastChannelTransport extends PeerTransport {
+  constructor(doc, documentId, { channelPrefix = 'yjs-engine', syncTimeout = 200, connect = true, batchInterval } = {}) {
+    super(doc, documentId, { batchInterval });
+    this.channelName = `${channelPrefix}/${documentId}`;
+    this.syncTimeout = syncTimeout;
+    this.channel = null;
+    this._syncTimer = null;
+    if (connect) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    super.connect();
+    // No peer may be listening; consider ourselves synced if nobody answers
+    clearTimeout(this._syncTimer);
+    this._syncTimer = setTimeout(() => {
+      if (this.connected) this._setSynced(true);
+    }, this.syncTimeout);
+  }
+
+  disconnect() {
+    clearTimeout(this._syncTimer);
+    super.disconnect();
+  }
+
+  _join() {
+    this.channel = new BroadcastChannel(this.channelName);
+    this.channel.onmessage = (event) => this._receive(event.data);
+  }
+
+  _leave() {
+    this.channel.close();
+    this.channel = null;
+  }
+
+  _post(message) {
+    this.channel?.postMessage({ ...message, from: this.peerId });
+  }
+}
+
+/**
+ * End-to-end encrypted wrapper around any other transport.
+ *
+ * The wrapped transport syncs an envelope document instead of the real one.
+ * Its ENVELOPE_TYPE array holds every update of the real document, encrypted
+ * with the document key (see encryption.js), and each client's presence is
+ * an encrypted awareness update in its envelope awareness state. A server
+ * relays and stores the envelope like any other document without being able
+ * to read it.
+ *
+ * Encryption is asynchronous, so local updates are encrypted and appended in
+ * order on one queue, and remote entries are decrypted and applied on the
+ * same queue. Options are the wrapped transport's, plus:
+ *
+ *   key                document key (base64url text)
+ *   transport          what to wrap: a transport name or factory (default DEFAULT_TRANSPORT)
+ *   compactThreshold   entries after which the envelope is replaced by one
+ *                      encrypted snapshot (default 200)
+ */
+export const ENVELOPE_TYPE = 'encrypted';
+const ENVELOPE_COMPACT_THRESHOLD = 200;
+
+export class EncryptedTransport extends ObservableV2 {
+  constructor(doc, documentId, {
+    key,
+    transport = DEFAULT_TRANSPORT,
+    compactThreshold = ENVELOPE_COMPACT_THRESHOLD,
+    connect = true,
+    ...options
+  } = {}) {
+    super();
+    this.doc = doc;
+    this.documentId = documentId;
+    this.compactThreshold = compactThreshold;
+    this.synced = false;
+    this.role = null;
+    this.awareness = new awarenessProtocol.Awareness(doc);
+
+    // Awareness states are keyed by client ID, so the envelope shares ours
+    this.envelope = new Y.Doc();
+    this.envelope.clientID = doc.clientID;
+    this.entries = this.envelope.getArray(ENVELOPE_TYPE);
+    this.inner = createTransport(transport, this.envelope, documentId, { ...options, connect: false });
+
+    this._key = importDocumentKey(key);
+    // Rejections are reported where the key is used
+    this._key.catch(() => {});
+    this._queue = Promise.resolve();
+    this._decryptFailed = false;
+    // Envelope clock after each pushed entry -> our clock in the real document
+    this._pushed = [];
+    this._ackedClock = 0;
+    // Until the first sync, remote entries are also applied to a mirror, and
+    // local updates are not sent one by one: the first sync sends whatever
+    // this replica has that the mirror lacks, which also covers the local
+    // copy loaded at startup and edits stored offline in earlier sessions
+    this._mirror = new Y.Doc({ gc: false });
+
+    this._updateHandler = (update, origin) => {
+      if (origin === this || this._mirror) return;
+      const clock = Y.getState(doc.store, doc.clientID);
+      this._run(() => this._push(update, clock));
+    };
+    doc.on('update', this._updateHandler);
+
+    this.entries.observe((event, transaction) => {
+      if (transaction.origin === this) return;
+      event.changes.delta.forEach(({ insert }) => {
+        (insert || []).forEach((blob) => this._run(() => this._apply(blob)));
+      });
+    });
+
+    this.inner.on('ack', (envelopeClock) => {
+      while (this._pushed.length > 0 && this._pushed[0].envelopeClock <= envelopeClock) {
+        this._ackedClock = this._pushed.shift().clock;
+      }
+      this.emit('ack', [this._ackedClock]);
+    });
+    this.inner.on('sync', (isSynced) => {
+      if (!isSynced) {
+        this._setSynced(false);
+        return;
+      }
+      // Synced once every entry that arrived with the sync is applied
+      this._run(async () => {
+        if (this._mirror) {
+          await this._pushMissing();
+        }
+        this._setSynced(this.inner.synced);
+        this._maybeCompact();
+      });
+    });
+    ['status', 'role', 'permission-denied', 'error'].forEach((name) => {
+      this.inner.on(name, (...args) => this.emit(name, args));
+    });
+    this.inner.on('role', (role) => {
+      this.role = role;
+    });
+
+    // Presence: ours goes out encrypted, others' are decrypted into ours
+    this._awarenessUpdateHandler = ({ added, updated, removed }, origin) => {
+      if (origin === this || !added.concat(updated, removed).includes(doc.clientID)) return;
+      const update = awarenessProtocol.encodeAwarenessUpdate(this.awareness, [doc.clientID]);
+      this._run(async () => {
+        const blob = await encrypt(await this._key, update, documentId);
+        this.inner.awareness.setLocalState({ encrypted: encodeBlob(blob) });
+      });
+    };
+    this.awareness.on('update', this._awarenessUpdateHandler);
+    this.inner.awareness.on('change', ({ added, updated, removed }) => {
+      added.concat(updated).forEach((clientId) => {
+        const state = this.inner.awareness.getStates().get(clientId);
+        if (clientId === doc.clientID || !state?.encrypted) return;
+        this._run(async () => {
+          const update = await decrypt(await this._key, decodeBlob(state.encrypted), documentId);
+          awarenessProtocol.applyAwarenessUpdate(this.awareness, update, this);
+        });
+      });
+      const gone = removed.filter((clientId) => clientId !== doc.clientID);
+      if (gone.length > 0) {
+        this._run(() => awarenessProtocol.removeAwarenessStates(this.awareness, gone, this));
+      }
+    });
+
+    if (connect) {
+      this.connect();
+    }
+  }
+
+  get connected() {
+    return this.inner.connected;
+  }
+
+  /**
+   * Run `fn` after everything queued before it; a failure is reported and
+   * does not stop the queue
+   */
+  _run(fn) {
+    this._queue = this._queue.then(fn).catch((err) => this.emit('error', [err]));
+    return this._queue;
+  }
+
+  async _push(update, clock) {
+    const blob = await encrypt(await this._key, update, this.documentId);
+    this.envelope.transact(() => {
+      this.entries.push([blob]);
+    }, this);
+    this._pushed.push({ envelopeClock: Y.getState(this.envelope.store, this.envelope.clientID), clock });
+    this._maybeCompact();
+  }
+
+  async _apply(blob) {
+    let update;
+    try {
+      update = await decrypt(await this._key, blob, this.documentId);
+    } catch (err) {
+      // Report a wrong key once, not for every entry
+      if (!this._decryptFailed) {
+        this._decryptFailed = true;
+        throw new Error(`Could not decrypt "${this.documentId}": the document key is wrong`);
+      }
+      return;
+    }
+    Y.applyUpdate(this.doc, update, this);
+    if (this._mirror) {
+      Y.applyUpdate(this._mirror, update);
+    }
+  }
+
+  /**
+   * After the first sync: send what this replica has that the envelope did not
+   */
+  async _pushMissing() {
+    const missing = Y.encodeStateAsUpdate(this.doc, Y.encodeStateVector(this._mirror));
+    let changed = false;
+    this._mirror.on('update', () => {
+      changed = true;
+    });
+    Y.applyUpdate(this._mirror, missing);
+    this._mirror.destroy();
+    this._mirror = null;
+    if (changed) {
+      await this._push(missing, Y.getState(this.doc.store, this.doc.clientID));
+    }
+  }
+
+  /**
+   * Replace the envelope's entries with one encrypted snapshot once there
+   * are too many. Only entries already applied here are removed: anything
+   * that arrives meanwhile is kept. Read-only roles leave it to editors.
+   */
+  _maybeCompact() {
+    if (!this.synced || this._compacting || this.entries.length <= this.compactThreshold) return;
+    if (!canEdit(this.role)) return;
+    this._compacting = true;
+    const applied = new Set(this.entries.toArray());
+    this._run(async () => {
+      const blob = await encrypt(await this._key, Y.encodeStateAsUpdate(this.doc), this.documentId);
+      this.envelope.transact(() => {
+        for (let index = this.entries.length - 1; index >= 0; index--) {
+          if (applied.has(this.entries.get(index))) {
+            this.entries.delete(index, 1);
+          }
+        }
+        this.entries.push([blob]);
+      }, this);
+      this._pushed.push({
+        envelopeClock: Y.getState(this.envelope.store, this.envelope.clientID),
+        clock: Y.getState(this.doc.store, this.doc.clientID),
+      });
+    }).finally(() => {
+      this._compacting = false;
+    });
+  }
+
+  _setSynced(isSynced) {
+    if (this.synced !== isSynced) {
+      this.synced = isSynced;
+      this.emit('sync', [isSynced]);
+    }
+  }
+
+  connect() {
+    this.inner.connect();
+  }
+
+  disconnect() {
+    this.inner.disconnect();
+  }
+
+  /**
+   * Ask once everything queued so far is encrypted and appended
+   */
+  requestAck() {
+    this._run(() => this.inner.requestAck());
+  }
+
+  destroy() {
+    this.doc.off('update', this._updateHandler);
+    this.awareness.off('update', this._awarenessUpdateHandler);
+    this.inner.destroy();
+    this.awareness.destroy();
+    this.envelope.destroy();
+    this._mirror?.destroy();
+    super.destroy();
+  }
+}
+
+const transports = {
+  websocket: WebsocketTransport,
+  memory: MemoryTransport,
+  broadcast: BroadcastChannelTransport,
+};
+
+/**
+ * Create a transport by name ('websocket' | 'memory' | 'broadcast'),
+ * or call a custom factory `(doc, documentId, options) => transport`
+ */
+export function createTransport(type, doc, documentId, options = {}) {
+  if (typeof type === 'function') {
+    return type(doc, documentId, options);
+  }
+  const Transport = transports[type];
+  if (!Transport) {
+    throw new Error(`Unknown transport "${type}". Expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return new Transport(doc, documentId, options);
+}
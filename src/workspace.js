@@ -0,0 +1,125 @@
+import { generateDocumentKey } from './encryption';
+
+/**
+ * Workspace - the list of documents known to this browser, plus URL routing helpers
+ *
+ * The list lives in localStorage under 'documents' as
+ * [{ id, name, createdAt, openedAt, key?, branchOf? }]. Documents opened
+ * through a shared link are added on first visit. `key` is set on end-to-end
+ * encrypted documents and never leaves this browser except in share links.
+ * `branchOf` is the ID of the document a branch was forked from.
+ */
+
+const STORAGE_KEY = 'documents';
+export const DEFAULT_DOCUMENT_ID = 'shared-doc-1';
+
+export function listDocuments() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveDocuments(documents) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(documents));
+  return documents;
+}
+
+// A fresh, URL-safe document ID
+function newDocumentId(now) {
+  return `doc-${now.toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * Create a document entry with a fresh, URL-safe ID, and a fresh key when
+ * it is `encrypted`
+ */
+export function createDocument(name = 'Untitled document', { encrypted = false } = {}) {
+  const now = Date.now();
+  const document = {
+    id: newDocumentId(now),
+    name,
+    createdAt: now,
+    openedAt: now,
+    ...(encrypted ? { key: generateDocumentKey() } : {}),
+  };
+  saveDocuments([...listDocuments(), document]);
+  return document;
+}
+
+/**
+ * Create the entry of a branch of document `id`, for YjsEngine.fork(). The
+ * branch shares the original's key, so merging it back needs no new one.
+ */
+export function createBranch(id) {
+  const original = listDocuments().find((document) => document.id === id);
+  const now = Date.now();
+  const branch = {
+    id: newDocumentId(now),
+    name: `${original?.name || id} (branch)`,
+    createdAt: now,
+    openedAt: now,
+    branchOf: id,
+    ...(original?.key ? { key: original.key } : {}),
+  };
+  saveDocuments([...listDocuments(), branch]);
+  return branch;
+}
+
+export function renameDocument(id, name) {
+  return saveDocuments(
+    listDocuments().map((document) => (document.id === id ? { ...document, name } : document))
+  );
+}
+
+/**
+ * Record that a document was opened, adding it if it came from a shared link
+ */
+export function touchDocument(id) {
+  const documents = listDocuments();
+  const now = Date.now();
+  if (documents.some((document) => document.id === id)) {
+    return saveDocuments(
+      documents.map((document) => (document.id === id ? { ...document, openedAt: now } : document))
+    );
+  }
+  return saveDocuments([...documents, { id, name: id, createdAt: now, openedAt: now }]);
+}
+
+/**
+ * The key of an end-to-end encrypted document. A key in a link
+ * (`/doc/:id#key=...`) is stored with the document and removed from the
+ * address bar, like auth tokens are.
+ */
+export function loadDocumentKey(id) {
+  const fromLink = new URLSearchParams(window.location.hash.slice(1)).get('key');
+  if (fromLink && parseDocumentPath(window.location.pathname) === id) {
+    touchDocument(id);
+    saveDocuments(
+      listDocuments().map((document) => (document.id === id ? { ...document, key: fromLink } : document))
+    );
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+  return listDocuments().find((document) => document.id === id)?.key || null;
+}
+
+/**
+ * Route helpers: documents live at /doc/:id
+ */
+export function documentPath(id) {
+  return `/doc/${encodeURIComponent(id)}`;
+}
+
+/**
+ * A full link to a document, carrying its key in the fragment, which
+ * browsers do not send to the server
+ */
+export function shareLink(id, key = null) {
+  return `${window.location.origin}${documentPath(id)}${key ? `#key=${key}` : ''}`;
+}
+
+export function parseDocumentPath(pathname) {
+  const match = pathname.match(/^\/doc\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
@@ -0,0 +1,269 @@
+/**
+ * REST API & Webhooks Test
+ *
+ * Starts the sync server with file storage and works on a document over
+ * HTTP while a robot edits it over WebSocket, with a local webhook receiver
+ * registered. This test verifies:
+ * 1. Documents are listed and read as JSON, text, state vector and update;
+ *    unknown documents and malformed paths are rejected
+ * 2. A Yjs update posted over HTTP reaches connected clients; invalid
+ *    updates and unknown documents are rejected
+ * 3. Webhooks get one debounced summary per burst of changes, with the
+ *    authors and changed ranges, only for their documents, until removed
+ * 4. Documents not open anywhere are loaded for a request and unloaded
+ *    again, and a failed load is tried again by the next request
+ * 5. With auth, requests need a token and the same roles as sync connections;
+ *    only a valid update claims a document nobody has a role on yet
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import * as Y from 'yjs';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { SyncServer } from '../server/SyncServer.js';
+import { FileStorage } from '../server/storage.js';
+import { createToken, PermissionStore } from '../server/auth.js';
+import { WebhookReceiver } from '../server/webhooks.js';
+
+const DOCUMENT_ID = 'test-api-' + Date.now();
+const OTHER_DOCUMENT_ID = DOCUMENT_ID + '-other';
+const SECRET = 'test-secret';
+const DEBOUNCE = 200;
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createClient = (port, documentId, clientId) => new YjsEngine(documentId, clientId, {
+  transport: 'websocket',
+  url: `ws://localhost:${port}`,
+  transportOptions: { WebSocketPolyfill: WebSocket },
+  persistence: false,
+  autoVersionInterval: 0,
+});
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(50);
+  }
+  return true;
+}
+
+/**
+ * Call the server's REST API: { status, json, text, bytes }
+ */
+async function request(port, route, { method = 'GET', body, token } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body && !(body instanceof Uint8Array)) headers['Content-Type'] = 'application/json';
+  const res = await fetch(`http://localhost:${port}/api/${route}`, {
+    method,
+    headers,
+    body: body instanceof Uint8Array ? body : body && JSON.stringify(body),
+  });
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  const text = Buffer.from(bytes).toString();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    // Not every route answers JSON
+  }
+  return { status: res.status, json, text, bytes };
+}
+
+/**
+ * What a service without a connection does: fetch the document, edit a
+ * copy and post back only the new part
+ */
+async function appendOverHttp(port, documentId, text, token) {
+  const state = await request(port, `documents/${documentId}/update`, { token });
+  const copy = new Y.Doc();
+  Y.applyUpdate(copy, state.bytes);
+  const stateVector = Y.encodeStateVector(copy);
+  const content = copy.getText('content');
+  content.insert(content.length, text);
+  return request(port, `documents/${documentId}/update`, { method: 'POST', body: Y.encodeStateAsUpdate(copy, stateVector), token });
+}
+
+async function runApiTest() {
+  console.log(`${colors.info}=== REST API & Webhooks Test ===${colors.reset}\n`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-api-'));
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  const receiver = new WebhookReceiver();
+  const receiverUrl = await receiver.listen(0);
+  let server = new SyncServer({ storage: new FileStorage(directory), webhookDebounce: DEBOUNCE });
+  let port = await server.listen(0);
+  const robot = createClient(port, DOCUMENT_ID, 'robot-a');
+  robot.setLocalUser({ name: 'Robot A', color: '#3b82f6' });
+  await waitFor(() => robot.isSynced);
+
+  // Step 1: Reading
+  console.log(`${colors.info}--- Step 1: Reading documents ---${colors.reset}`);
+  robot.insert(0, 'Release notes.');
+  robot.setTitle('Notes');
+  const changes = robot.addSection('Changes', 0, 'Faster sync');
+  await waitFor(() => server.docs.size === 1 && robot.getSyncState().pending === 0);
+  const listed = await request(port, 'documents');
+  const document = await request(port, `documents/${DOCUMENT_ID}`);
+  const text = await request(port, `documents/${DOCUMENT_ID}/text`);
+  const stateVector = await request(port, `documents/${DOCUMENT_ID}/state-vector`);
+  log(colors.client2, 'HTTP', `"${document.json?.text}" titled "${document.json?.metadata.title}"`);
+  check('Documents listed', listed.status === 200 && listed.json.documents.includes(DOCUMENT_ID));
+  check('Document read as JSON', document.json?.text === 'Release notes.' &&
+    document.json.metadata.title === 'Notes' && document.json.sections[0]?.id === changes &&
+    document.json.sections[0].text === 'Faster sync');
+  check('Text read as plain text', text.status === 200 && text.text === 'Release notes.');
+  check('State vector matches the client\'s',
+    Buffer.from(stateVector.bytes).equals(Buffer.from(Y.encodeStateVector(robot.doc))));
+  check('Unknown document and route rejected', (await request(port, 'documents/missing-doc')).status === 404 &&
+    (await request(port, `documents/${DOCUMENT_ID}/nothing`)).status === 404 &&
+    (await request(port, `documents/${DOCUMENT_ID}`, { method: 'DELETE' })).status === 405);
+  check('Malformed path rejected', (await request(port, 'documents/%E0%A4%A')).status === 400);
+
+  // Step 2: Writing
+  console.log(`\n${colors.info}--- Step 2: Posting updates ---${colors.reset}`);
+  const posted = await appendOverHttp(port, DOCUMENT_ID, ' Posted over HTTP.');
+  await waitFor(() => robot.getText().endsWith('HTTP.'));
+  log(colors.client1, 'Robot A', `"${robot.getText()}"`);
+  check('Posted update reached the client', posted.json?.changed === true &&
+    robot.getText() === 'Release notes. Posted over HTTP.');
+  const again = await request(port, `documents/${DOCUMENT_ID}/update`, { method: 'POST', body: Y.encodeStateAsUpdate(robot.doc) });
+  check('Known changes change nothing', again.status === 200 && again.json.changed === false);
+  const since = Buffer.from(stateVector.bytes).toString('base64');
+  const newer = await request(port, `documents/${DOCUMENT_ID}/update?since=${encodeURIComponent(since)}`);
+  const full = await request(port, `documents/${DOCUMENT_ID}/update`);
+  check('Update since a state vector holds only newer changes', newer.bytes.length > 0 && newer.bytes.length < full.bytes.length);
+  check('Invalid update rejected', (await request(port, `documents/${DOCUMENT_ID}/update`, {
+    method: 'POST', body: new Uint8Array([1, 2, 3]),
+  })).status === 400);
+
+  // Step 3: Webhooks
+  console.log(`\n${colors.info}--- Step 3: Webhooks ---${colors.reset}`);
+  // Let the changes so far settle into a burst nobody is registered for
+  await sleep(DEBOUNCE * 2);
+  const hook = await request(port, 'webhooks', { method: 'POST', body: { url: receiverUrl, documents: [DOCUMENT_ID] } });
+  check('Webhook registered', hook.status === 201 && (await request(port, 'webhooks')).json.webhooks.length === 1);
+  check('Invalid webhook URL rejected', (await request(port, 'webhooks', { method: 'POST', body: { url: 'ftp://nowhere' } })).status === 400);
+  check('Webhook body must be a JSON object', (await request(port, 'webhooks', { method: 'POST', body: Buffer.from('null') })).status === 400 &&
+    (await request(port, 'webhooks', { method: 'POST', body: [] })).status === 400);
+  robot.delete(0, 'Release '.length);
+  robot.insert(robot.getText().length, ' Thanks!');
+  await waitFor(() => receiver.deliveries.length > 0);
+  await sleep(DEBOUNCE * 2);
+  const burst = receiver.deliveries[0]?.body;
+  log(colors.client2, 'Receiver', JSON.stringify(burst?.ranges));
+  check('One delivery per burst', receiver.deliveries.length === 1 && burst.document === DOCUMENT_ID &&
+    burst.event === 'document.changed' && burst.updates > 1);
+  check('Delivery names the author', burst?.authors.length === 1 && burst.authors[0].name === 'Robot A');
+  check('Delivery lists the changed ranges', JSON.stringify(burst?.ranges) === JSON.stringify([
+    { index: 0, deleted: 'Release ', inserted: '' },
+    { index: 'notes. Posted over HTTP.'.length, deleted: '', inserted: ' Thanks!' },
+  ]));
+  await appendOverHttp(port, DOCUMENT_ID, ' Bye.');
+  await waitFor(() => receiver.deliveries.length > 1);
+  check('Updates over HTTP delivered too', receiver.deliveries[1]?.body.authors[0]?.name === 'API' &&
+    receiver.deliveries[1].body.ranges[0]?.inserted === ' Bye.');
+  const other = createClient(port, OTHER_DOCUMENT_ID, 'robot-b');
+  await waitFor(() => other.isSynced);
+  other.insert(0, 'Elsewhere');
+  await sleep(DEBOUNCE * 2);
+  check('Other documents not delivered', receiver.deliveries.length === 2);
+  const removed = await request(port, `webhooks/${hook.json.id}`, { method: 'DELETE' });
+  robot.insert(0, '! ');
+  await sleep(DEBOUNCE * 2);
+  check('Removed webhook gets nothing', removed.status === 204 && receiver.deliveries.length === 2 &&
+    (await request(port, 'webhooks')).json.webhooks.length === 0);
+  await other.destroy();
+
+  // Step 4: Documents nobody has open
+  console.log(`\n${colors.info}--- Step 4: Unloaded documents ---${colors.reset}`);
+  const expected = robot.getText();
+  await robot.destroy();
+  await waitFor(() => server.docs.size === 0);
+  const stored = await request(port, `documents/${DOCUMENT_ID}/text`);
+  await waitFor(() => server.docs.size === 0);
+  log(colors.client2, 'HTTP', `"${stored.text}"`);
+  check('Stored document read over HTTP', stored.text === expected);
+  check('Document unloaded after the request', server.docs.size === 0);
+  await appendOverHttp(port, DOCUMENT_ID, ' Later.');
+  await server.close();
+  // Storage that fails the first time it is read
+  const flaky = new FileStorage(directory);
+  const getUpdates = flaky.getUpdates.bind(flaky);
+  let failures = 1;
+  flaky.getUpdates = (name) => (failures-- > 0 ? Promise.reject(new Error('Storage unavailable')) : getUpdates(name));
+  server = new SyncServer({ storage: flaky });
+  port = await server.listen(0);
+  const failed = await request(port, `documents/${DOCUMENT_ID}/text`);
+  const retried = await request(port, `documents/${DOCUMENT_ID}/text`);
+  check('Failed load answered 500 and tried again', failed.status === 500 && retried.status === 200);
+  check('Posted update stored', retried.text === expected + ' Later.');
+  await server.close();
+
+  // Step 5: Auth
+  console.log(`\n${colors.info}--- Step 5: Auth ---${colors.reset}`);
+  const permissions = new PermissionStore();
+  server = new SyncServer({ storage: new FileStorage(directory), auth: { secret: SECRET, permissions } });
+  port = await server.listen(0);
+  const alice = createToken({ sub: 'alice' }, SECRET);
+  const bob = createToken({ sub: 'bob' }, SECRET);
+  check('Requests without a token rejected', (await request(port, 'documents')).status === 401 &&
+    (await request(port, `documents/${DOCUMENT_ID}`)).status === 401);
+  const peeked = await request(port, `documents/${OTHER_DOCUMENT_ID}/text`, { token: bob });
+  const unclaimed = `${DOCUMENT_ID}-unclaimed`;
+  const watched = await request(port, 'webhooks', { method: 'POST', body: { url: receiverUrl, documents: [unclaimed] }, token: bob });
+  check('Reads and webhooks do not claim a document', peeked.status === 200 && watched.status === 201 &&
+    permissions.getRole(OTHER_DOCUMENT_ID, 'bob') === null && permissions.getRole(unclaimed, 'bob') === null);
+  await request(port, `webhooks/${watched.json?.id}`, { method: 'DELETE', token: bob });
+  const invalid = await request(port, `documents/${unclaimed}/update`, { method: 'POST', body: new Uint8Array([1, 2, 3]), token: bob });
+  check('Invalid updates do not claim a document', invalid.status === 400 && permissions.getRole(unclaimed, 'bob') === null);
+  const owned = await appendOverHttp(port, OTHER_DOCUMENT_ID, ' Owned.', alice);
+  check('First user becomes owner and can write', owned.json?.changed === true &&
+    permissions.getRole(OTHER_DOCUMENT_ID, 'alice') === 'owner');
+  const viewed = await request(port, `documents/${OTHER_DOCUMENT_ID}/text`, { token: bob });
+  const denied = await appendOverHttp(port, OTHER_DOCUMENT_ID, ' Vandalism.', bob);
+  log(colors.client2, 'Bob', `${viewed.status} "${viewed.text}", post: ${denied.status} ${denied.json?.error}`);
+  check('Viewers read but cannot write', viewed.text === 'Elsewhere Owned.' && denied.status === 403);
+  check('Webhooks must name documents',
+    (await request(port, 'webhooks', { method: 'POST', body: { url: receiverUrl }, token: alice })).status === 400);
+  await request(port, 'webhooks', { method: 'POST', body: { url: receiverUrl, documents: [OTHER_DOCUMENT_ID] }, token: alice });
+  check('Users see only their own webhooks',
+    (await request(port, 'webhooks', { token: alice })).json.webhooks.length === 1 &&
+    (await request(port, 'webhooks', { token: bob })).json.webhooks.length === 0);
+
+  await server.close();
+  await receiver.close();
+  await rm(directory, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Documents are read and updated over HTTP, and webhooks report changes${colors.reset}`
+    : `${colors.error}✗ Some API checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runApiTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,172 @@
+/**
+ * Auth & Permissions Test
+ *
+ * Starts the sync server with auth enabled and connects clients with tokens.
+ * This test verifies:
+ * 1. Connections without a valid token are rejected
+ * 2. The first user to open a document becomes its owner
+ * 3. Other users get the default (viewer) role and cannot edit locally
+ * 4. Updates a viewer forces through are rejected by the server
+ * 5. A user granted the editor role can edit
+ * 6. Document and user names like "__proto__" and "constructor" are plain
+ *    keys in the permission store, also after it is reloaded from its file
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { SyncServer } from '../server/SyncServer.js';
+import { FileStorage } from '../server/storage.js';
+import { createToken, PermissionStore } from '../server/auth.js';
+
+const DOCUMENT_ID = 'test-auth-' + Date.now();
+const SECRET = 'test-secret';
+
+const colors = {
+  reset: '\x1b[0m',
+  owner: '\x1b[36m',
+  viewer: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createClient = (port, clientId, token) => new YjsEngine(DOCUMENT_ID, clientId, {
+  transport: 'websocket',
+  url: `ws://localhost:${port}`,
+  transportOptions: { WebSocketPolyfill: WebSocket },
+  token,
+  persistence: false,
+});
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(50);
+  }
+  return true;
+}
+
+async function runAuthTest() {
+  console.log(`${colors.info}=== Auth & Permissions Test ===${colors.reset}\n`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-auth-'));
+  const permissions = new PermissionStore();
+  const server = new SyncServer({
+    storage: new FileStorage(directory),
+    auth: { secret: SECRET, permissions },
+  });
+  const port = await server.listen(0);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: Missing and forged tokens are turned away
+  console.log(`${colors.info}--- Step 1: Connect without a valid token ---${colors.reset}`);
+  const anonymous = createClient(port, 'anonymous', null);
+  const forged = createClient(port, 'forged', createToken({ sub: 'mallory' }, 'wrong-secret'));
+  const denied = [];
+  anonymous.onPermissionDenied = (reason) => denied.push(reason);
+  forged.onPermissionDenied = (reason) => denied.push(reason);
+  await waitFor(() => denied.length === 2);
+  await sleep(300);
+  check('Both connections were denied', denied.length === 2);
+  check('Denied clients never synced', !anonymous.isSynced && !forged.isSynced);
+  check('Denied clients stop reconnecting', !anonymous.isConnected && !anonymous.transport.provider.shouldConnect);
+  check('Nobody claimed the document', permissions.getRole(DOCUMENT_ID, 'mallory') === null);
+  await anonymous.destroy();
+  await forged.destroy();
+
+  // Step 2: The first user claims the document
+  console.log(`\n${colors.info}--- Step 2: First user opens the document ---${colors.reset}`);
+  const owner = createClient(port, 'owner', createToken({ sub: 'alice' }, SECRET));
+  await waitFor(() => owner.isSynced && owner.role);
+  console.log(`${colors.owner}[Alice]${colors.reset} role: ${owner.role}`);
+  check('First user became owner', owner.role === 'owner' && permissions.getRole(DOCUMENT_ID, 'alice') === 'owner');
+  owner.insert(0, 'Owned text');
+
+  // Step 3: A second user gets the default viewer role
+  console.log(`\n${colors.info}--- Step 3: A viewer joins ---${colors.reset}`);
+  const viewer = createClient(port, 'viewer', createToken({ sub: 'bob' }, SECRET));
+  await waitFor(() => viewer.isSynced && viewer.role && viewer.getText() === 'Owned text');
+  console.log(`${colors.viewer}[Bob]${colors.reset} role: ${viewer.role}, text: "${viewer.getText()}"`);
+  check('Second user is a viewer', viewer.role === 'viewer');
+  check('Viewer receives the document', viewer.getText() === 'Owned text');
+  check('Viewer cannot edit', !viewer.canEdit());
+  let threw = false;
+  try {
+    viewer.insert(0, 'nope ');
+  } catch (err) {
+    threw = true;
+  }
+  check('Viewer edits throw locally', threw && viewer.getText() === 'Owned text');
+
+  // Step 4: Bypass the engine and push an update anyway
+  console.log(`\n${colors.info}--- Step 4: Viewer forces an update ---${colors.reset}`);
+  const rejections = [];
+  viewer.onPermissionDenied = (reason) => rejections.push(reason);
+  viewer.ytext.insert(0, 'FORGED ');
+  await waitFor(() => rejections.length > 0);
+  owner.insert(owner.getText().length, '!');
+  await waitFor(() => viewer.getText().endsWith('!'));
+  const stored = (await server.getDocument(DOCUMENT_ID)).getText('content').toString();
+  console.log(`${colors.owner}[Alice]${colors.reset} "${owner.getText()}"`);
+  console.log(`${colors.info}[Server]${colors.reset} "${stored}"`);
+  check('Server told the viewer the update was rejected', rejections.length > 0);
+  check('Forged update not applied on the server', stored === 'Owned text!');
+  check('Forged update not seen by the owner', owner.getText() === 'Owned text!');
+  check('Viewer still receives updates', viewer.getText().endsWith('Owned text!'));
+  await viewer.destroy();
+
+  // Step 5: Grant editor access
+  console.log(`\n${colors.info}--- Step 5: An editor joins ---${colors.reset}`);
+  await permissions.setRole(DOCUMENT_ID, 'carol', 'editor');
+  const editor = createClient(port, 'editor', createToken({ sub: 'carol' }, SECRET));
+  await waitFor(() => editor.isSynced && editor.role);
+  check('Granted user is an editor', editor.role === 'editor' && editor.canEdit());
+  editor.insert(editor.getText().length, ' Edited.');
+  const propagated = await waitFor(() => owner.getText() === 'Owned text! Edited.');
+  console.log(`${colors.owner}[Alice]${colors.reset} "${owner.getText()}"`);
+  check('Editor changes reach the owner', propagated);
+
+  await owner.destroy();
+  await editor.destroy();
+  await server.close();
+
+  // Step 6: Names that are Object.prototype keys
+  console.log(`\n${colors.info}--- Step 6: Unusual document and user names ---${colors.reset}`);
+  const file = path.join(directory, 'permissions.json');
+  const store = await PermissionStore.open(file);
+  check('Unclaimed documents and users have no role', store.getRole('constructor', 'alice') === null &&
+    store.getRole(DOCUMENT_ID, 'toString') === null);
+  const claimed = [
+    await store.resolveRole('__proto__', 'alice', 'viewer'),
+    await store.resolveRole('constructor', 'bob', 'viewer'),
+    await store.resolveRole('constructor', 'constructor', 'viewer'),
+  ];
+  check('Such documents are claimed like any other', claimed.join() === 'owner,owner,viewer' &&
+    Object.getPrototypeOf(store.documents) === null && store.getRole('__proto__', 'alice') === 'owner');
+  const reopened = await PermissionStore.open(file);
+  check('Roles reload from the file', reopened.getRole('__proto__', 'alice') === 'owner' &&
+    reopened.getRole('constructor', 'bob') === 'owner' && reopened.getRole('constructor', 'constructor') === null);
+  await rm(directory, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ All auth checks passed${colors.reset}`
+    : `${colors.error}✗ Some auth checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runAuthTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+/**
+ * Authorship Test
+ *
+ * Two robots write into the same document; the text is then split into runs
+ * by author.
+ * This test verifies:
+ * 1. Each run is attributed to the robot that inserted it
+ * 2. Undo/redo keeps the attribution
+ * 3. Authorship survives a restart from the on-disk copy
+ * 4. A client that joins later sees the same authorship
+ * 5. Typing adds one record per client and minute, not per keystroke, and
+ *    records whose text was deleted are dropped
+ *
+ * Runs over the in-memory transport, so no server is required.
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { FilePersistence } from '../src/FilePersistence.js';
+
+const DOCUMENT_ID = 'test-authorship-' + Date.now();
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const describe = (engine) => engine.getAuthorship()
+  .map(({ text, author }) => `${author ? author.name : '?'}:${JSON.stringify(text)}`)
+  .join(' ');
+
+async function runAuthorshipTest() {
+  console.log(`${colors.info}=== Authorship Test ===${colors.reset}\n`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'yjs-engine-'));
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: both robots write, interleaved
+  console.log(`${colors.info}--- Step 1: Robots A and B write ---${colors.reset}`);
+  const robotA = new YjsEngine(DOCUMENT_ID, 'robot-a', {
+    transport: 'memory',
+    persistence: new FilePersistence(directory, DOCUMENT_ID),
+  });
+  await robotA.whenLoaded;
+  robotA.setLocalUser({ name: 'Robot A', color: '#ef4444' });
+  const robotB = new YjsEngine(DOCUMENT_ID, 'robot-b', { transport: 'memory', persistence: false });
+  robotB.setLocalUser({ name: 'Robot B', color: '#3b82f6' });
+
+  robotA.insert(0, 'Hello world');
+  robotB.insert(5, ', dear');
+  robotA.delete(0, 1);
+  robotA.insert(0, 'J');
+  log(colors.client1, 'Robot A', describe(robotA));
+  const expected = 'Robot A:"Jello" Robot B:", dear" Robot A:" world"';
+  const written = describe(robotA);
+  const recordsAfterTyping = robotA.authorship.size;
+  const authorsAfterTyping = robotA.authors.size;
+
+  // Step 2: Robot B undoes and redoes its insertion
+  console.log(`\n${colors.info}--- Step 2: Robot B undoes and redoes ---${colors.reset}`);
+  robotB.undo();
+  robotB.redo();
+  log(colors.client2, 'Robot B', describe(robotB));
+  const afterRedo = describe(robotB);
+
+  // Step 3: Robot A restarts from disk while Robot B is away
+  console.log(`\n${colors.info}--- Step 3: Robot A restarts offline ---${colors.reset}`);
+  await robotB.destroy();
+  await robotA.destroy();
+  const restarted = new YjsEngine(DOCUMENT_ID, 'robot-a', {
+    transport: 'memory',
+    persistence: new FilePersistence(directory, DOCUMENT_ID),
+  });
+  restarted.disconnect();
+  await restarted.whenLoaded;
+  log(colors.client1, 'Robot A', describe(restarted));
+  const afterRestart = describe(restarted);
+
+  // Step 4: Robot C joins and syncs from Robot A
+  console.log(`\n${colors.info}--- Step 4: Robot C joins ---${colors.reset}`);
+  restarted.connect();
+  const robotC = new YjsEngine(DOCUMENT_ID, 'robot-c', { transport: 'memory', persistence: false });
+  log(colors.client2, 'Robot C', describe(robotC));
+
+  const runs = robotC.getAuthorship();
+  const joined = describe(robotC);
+
+  // Step 5: Robot C writes twice, a minute apart, then deletes the first part
+  console.log(`\n${colors.info}--- Step 5: Robot C writes and deletes ---${colors.reset}`);
+  const end = robotC.getText().length;
+  robotC.insert(end, ' Bye');
+  const recordsBefore = restarted.authorship.size;
+  // As if a minute had passed since Robot C's last record
+  robotC._authorshipAt -= 60 * 1000;
+  robotC.insert(end + ' Bye'.length, '!');
+  const recordsAfterPause = restarted.authorship.size;
+  robotC.delete(end, ' Bye'.length);
+  log(colors.client1, 'Robot A', describe(restarted));
+
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}\n`);
+  check('Runs attributed to their authors', written === expected);
+  check('Undo/redo keeps attribution', afterRedo === expected);
+  check('Authorship survived a restart', afterRestart === expected);
+  check('Late joiner sees the same authorship', joined === expected);
+  check('Runs carry author color and time',
+    runs[1].author.color === '#3b82f6' && typeof runs[1].firstAt === 'number');
+  check('Typing adds one record and one author per client',
+    recordsAfterTyping === 2 && authorsAfterTyping === 2);
+  check('A pause starts a new record', recordsAfterPause === recordsBefore + 1);
+  check('Records of deleted text are dropped', restarted.authorship.size === recordsBefore &&
+    describe(restarted) === `${expected} robot-c:"!"`);
+
+  await restarted.destroy();
+  await robotC.destroy();
+  await rm(directory, { recursive: true, force: true });
+
+  const success = results.every(Boolean);
+  console.log('');
+  process.exit(success ? 0 : 1);
+}
+
+runAuthorshipTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,207 @@
+/**
+ * Batching & Compaction Test
+ *
+ * A robot types in bursts with update batching on, then its document's
+ * stored history is compacted. This test verifies:
+ * 1. A burst of keystrokes goes out as one merged update message, and the
+ *    other robot ends up with the same text
+ * 2. Disconnecting sends what is still collected
+ * 3. Through the sync server, batched updates are acknowledged only once
+ *    they were sent
+ * 4. pruneHistory() drops deleted content but keeps what saved versions show
+ * 5. The server stores pruned snapshots, with file and LevelDB storage, and
+ *    documents reload from them with their text and versions intact
+ *
+ * Runs over an in-process memory network, then starts its own sync server.
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import * as Y from 'yjs';
+import WebSocket from 'ws';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { MemoryNetwork } from '../src/transports.js';
+import { SyncServer } from '../server/SyncServer.js';
+import { FileStorage, LevelStorage } from '../server/storage.js';
+import { pruneHistory, compactStoredDocument } from '../server/compaction.js';
+
+const DOCUMENT_ID = 'test-batching';
+const BATCH_INTERVAL = 50;
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(20);
+  }
+  return true;
+}
+
+/**
+ * Memory network that counts the update messages it relays
+ */
+class CountingNetwork extends MemoryNetwork {
+  constructor() {
+    super();
+    this.updates = 0;
+  }
+
+  send(room, message) {
+    if (message.type === 'update') this.updates++;
+    super.send(room, message);
+  }
+}
+
+const type = (robot, text) => {
+  [...text].forEach((char) => robot.insert(robot.getText().length, char));
+};
+
+async function runBatchingTest() {
+  console.log(`${colors.info}=== Batching & Compaction Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: A burst of keystrokes
+  console.log(`${colors.info}--- Step 1: Batching a burst ---${colors.reset}`);
+  const network = new CountingNetwork();
+  const createRobot = (clientId, batchInterval) => new YjsEngine(DOCUMENT_ID, clientId, {
+    transport: 'memory',
+    transportOptions: { network },
+    persistence: false,
+    autoVersionInterval: 0,
+    batchInterval,
+  });
+  const robotA = createRobot('robot-a', BATCH_INTERVAL);
+  const robotB = createRobot('robot-b', 0);
+  await waitFor(() => robotA.isSynced && robotB.isSynced);
+  network.updates = 0;
+  type(robotA, 'hello world');
+  check('Nothing sent during the batch window', network.updates === 0 && robotB.getText() === '');
+  await waitFor(() => robotB.getText() === 'hello world');
+  log(colors.client1, 'Robot A', `11 keystrokes, ${network.updates} update message(s)`);
+  check('Burst sent as one merged update', network.updates === 1 && robotB.getText() === 'hello world');
+  check('Merged update acknowledged', await waitFor(() => robotA.getSyncState().pending === 0));
+
+  network.updates = 0;
+  type(robotB, '!!!');
+  log(colors.client2, 'Robot B', `3 keystrokes, ${network.updates} update message(s)`);
+  check('Without batching every keystroke is sent', network.updates >= 3 && robotA.getText() === 'hello world!!!');
+
+  // Step 2: Disconnecting flushes the batch
+  console.log(`\n${colors.info}--- Step 2: Disconnecting ---${colors.reset}`);
+  type(robotA, ' bye');
+  robotA.disconnect();
+  log(colors.client2, 'Robot B', `"${robotB.getText()}"`);
+  check('Collected updates sent before leaving', robotB.getText() === 'hello world!!! bye');
+  await robotA.destroy();
+  await robotB.destroy();
+
+  // Step 3: Through the sync server
+  console.log(`\n${colors.info}--- Step 3: Batching through the server ---${colors.reset}`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-batching-'));
+  let server = new SyncServer({ storage: new FileStorage(directory) });
+  let port = await server.listen(0);
+  const createClient = (clientId) => new YjsEngine(DOCUMENT_ID, clientId, {
+    transport: 'websocket',
+    url: `ws://localhost:${port}`,
+    transportOptions: { WebSocketPolyfill: WebSocket },
+    persistence: false,
+    autoVersionInterval: 0,
+    batchInterval: BATCH_INTERVAL,
+  });
+  const writer = createClient('writer');
+  const reader = createClient('reader');
+  await waitFor(() => writer.isSynced && reader.isSynced);
+  type(writer, 'The first draft of a long document. ');
+  check('Updates waiting in the batch stay pending', writer.getSyncState().status === 'syncing');
+  const synced = await waitFor(() => writer.getSyncState().status === 'synced' && reader.getText() === writer.getText());
+  check('Acknowledged once sent', synced);
+  writer.createVersion('Draft');
+  writer.delete(0, writer.getText().length);
+  type(writer, 'Final text.');
+  // A pasted block removed again, with no version in between
+  writer.insert(0, 'Pasted by mistake. '.repeat(100));
+  writer.delete(0, 1900);
+  await waitFor(() => writer.getSyncState().status === 'synced' && reader.getText() === 'Final text.');
+  const versionId = writer.listVersions()[0].id;
+
+  // Step 4: Pruning
+  console.log(`\n${colors.info}--- Step 4: Pruning deleted content ---${colors.reset}`);
+  const full = Y.encodeStateAsUpdate(writer.doc);
+  const pruned = pruneHistory(full);
+  log(colors.client1, 'Writer', `state ${full.length} bytes, pruned ${pruned.length} bytes`);
+  const prunedDoc = new Y.Doc({ gc: false });
+  Y.applyUpdate(prunedDoc, pruned);
+  const draftSnapshot = Y.decodeSnapshot(prunedDoc.getArray('versions').get(0).snapshot);
+  const draftDoc = Y.createDocFromSnapshot(prunedDoc, draftSnapshot);
+  check('Deleted content dropped', pruned.length <= full.length - 1900);
+  check('Text and saved versions survive pruning',
+    prunedDoc.getText('content').toString() === 'Final text.' &&
+    draftDoc.getText('content').toString() === 'The first draft of a long document. ');
+  check('Pruning again changes nothing', pruneHistory(pruned).length === pruned.length);
+
+  // Step 5: Server compaction
+  console.log(`\n${colors.info}--- Step 5: Compacting stored history ---${colors.reset}`);
+  await writer.destroy();
+  await reader.destroy();
+  await waitFor(() => server.docs.size === 0);
+  await server.close();
+  const storage = new FileStorage(directory);
+  const [stored] = await storage.getUpdates(DOCUMENT_ID);
+  log(colors.info, 'Server', `stored snapshot ${stored.length} bytes`);
+  check('Server stored a pruned snapshot', stored.length <= full.length - 1900);
+  const again = await compactStoredDocument(storage, DOCUMENT_ID);
+  check('Compacting a compact document keeps its size', again.updates === 1 && again.after === again.before);
+  await storage.close();
+  const level = await LevelStorage.open(path.join(directory, 'leveldb'));
+  level.storeUpdate(DOCUMENT_ID, full);
+  await level.compact(DOCUMENT_ID, pruned);
+  const [levelStored] = await level.getUpdates(DOCUMENT_ID);
+  const levelDoc = new Y.Doc();
+  Y.applyUpdate(levelDoc, levelStored);
+  check('LevelDB storage keeps the pruned snapshot',
+    levelStored.length <= full.length - 1900 && levelDoc.getText('content').toString() === 'Final text.');
+  await level.close();
+
+  server = new SyncServer({ storage: new FileStorage(directory) });
+  port = await server.listen(0);
+  const returning = createClient('returning');
+  await waitFor(() => returning.getText() === 'Final text.');
+  log(colors.client2, 'Returning', `"${returning.getText()}", ${returning.listVersions().length} version(s)`);
+  check('Document reloads from the pruned snapshot', returning.getText() === 'Final text.');
+  check('Saved versions still open after reload',
+    returning.getVersionText(versionId) === 'The first draft of a long document. ');
+  await returning.destroy();
+  await server.close();
+  await rm(directory, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Updates batched and history compacted${colors.reset}`
+    : `${colors.error}✗ Some batching checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runBatchingTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
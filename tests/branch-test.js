@@ -0,0 +1,231 @@
+/**
+ * Branch & Merge Test
+ *
+ * A robot forks a document into a branch, edits it there while another
+ * robot keeps editing the original, then merges the branch back. This test
+ * verifies:
+ * 1. The branch keeps the document's text, structure and saved versions,
+ *    gets a Yjs client ID of its own and records where it was forked from
+ * 2. The merge preview shows the branch's added and removed text, title,
+ *    tag and section changes before anything is applied
+ * 3. The merge is one update message and one undo step, and keeps edits
+ *    made to the original since the fork
+ * 4. Undoing the merge takes the branch's changes out again; redo puts
+ *    them back
+ * 5. Merging again brings only the branch's new changes; with none left
+ *    nothing is merged, and invalid updates are rejected
+ * 6. A branch's local copy is stored apart from the original's
+ *
+ * Runs over an in-process memory network, so no server is required.
+ */
+
+import { YjsEngine } from '../src/YjsEngine.js';
+import { MemoryNetwork } from '../src/transports.js';
+import { MemoryPersistence } from '../src/persistence.js';
+
+const DOCUMENT_ID = 'test-branch';
+const BRANCH_ID = 'test-branch-copy';
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(20);
+  }
+  return true;
+}
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return true;
+  }
+};
+
+/**
+ * Memory network that counts the update messages it relays per room
+ */
+class CountingNetwork extends MemoryNetwork {
+  constructor() {
+    super();
+    this.updates = new Map();
+  }
+
+  send(room, message) {
+    if (message.type === 'update') this.updates.set(room, (this.updates.get(room) || 0) + 1);
+    super.send(room, message);
+  }
+}
+
+const changed = (parts, type) => parts.filter((part) => part.type === type).map((part) => part.text);
+
+async function runBranchTest() {
+  console.log(`${colors.info}=== Branch & Merge Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  const network = new CountingNetwork();
+  const createRobot = (clientId) => new YjsEngine(DOCUMENT_ID, clientId, {
+    transport: 'memory',
+    transportOptions: { network },
+    persistence: false,
+    autoVersionInterval: 0,
+  });
+  const robotA = createRobot('robot-a');
+  const robotB = createRobot('robot-b');
+  await waitFor(() => robotA.isSynced && robotB.isSynced);
+
+  // Step 1: Forking
+  console.log(`${colors.info}--- Step 1: Forking ---${colors.reset}`);
+  robotA.insert(0, 'The plan is simple. Ship it.');
+  robotA.setTitle('Plan');
+  const goals = robotA.addSection('Goals', 0, 'Ship sync');
+  const draft = robotA.createVersion('Draft');
+  const branch = robotA.fork(BRANCH_ID);
+  await waitFor(() => branch.isSynced);
+  log(colors.client1, 'Branch', `"${branch.getText()}" forked from ${branch.getMetadata().forkedFrom?.documentId}`);
+  check('Branch has the text, title and sections', branch.getText() === robotA.getText() &&
+    branch.getMetadata().title === 'Plan' && branch.getSectionText(goals) === 'Ship sync');
+  check('Branch keeps saved versions', branch.listVersions().some(({ id }) => id === draft) &&
+    branch.getVersionText(draft) === 'The plan is simple. Ship it.');
+  check('Branch has its own Yjs client ID', branch.doc.clientID !== robotA.doc.clientID);
+  check('Fork recorded on the branch only', branch.getMetadata().forkedFrom?.title === 'Plan' &&
+    branch.getMetadata().forkedFrom.forkedBy === 'robot-a' && robotA.getMetadata().forkedFrom === null);
+  check('Forking into the same document rejected', throws(() => robotA.fork(DOCUMENT_ID)));
+
+  // Step 2: Editing apart, then previewing
+  console.log(`\n${colors.info}--- Step 2: Merge preview ---${colors.reset}`);
+  branch.insert(branch.getText().indexOf(' Ship'), ' Test it.');
+  branch.delete(branch.getText().indexOf(' simple'), ' simple'.length);
+  branch.setTitle('Plan v2');
+  branch.addTag('reviewed');
+  branch.setSectionText(goals, 'Ship sync and search');
+  const risks = branch.addSection('Risks', 1, 'Outages');
+  robotB.insert(robotB.getText().length, ' Soon.');
+  await waitFor(() => robotA.getText().endsWith('Soon.'));
+  const before = robotA.getText();
+  const preview = robotA.previewMerge(branch.exportUpdate());
+  log(colors.client1, 'Robot A', `preview: +${JSON.stringify(changed(preview.text, 'insert'))} -${JSON.stringify(changed(preview.text, 'delete'))}`);
+  check('Preview shows added and removed text', changed(preview.text, 'insert').join() === ' Test it.' &&
+    changed(preview.text, 'delete').join() === ' simple');
+  check('Preview keeps the original\'s own edits', !changed(preview.text, 'delete').some((text) => text.includes('Soon')));
+  check('Preview shows title and tag changes', preview.title?.from === 'Plan' && preview.title.to === 'Plan v2' &&
+    preview.tags.added.join() === 'reviewed' && preview.tags.removed.length === 0);
+  check('Preview shows section changes',
+    preview.sections.some(({ id, status }) => id === goals && status === 'changed') &&
+    preview.sections.some(({ id, status }) => id === risks && status === 'added') && !preview.empty);
+  check('Nothing applied by previewing', robotA.getText() === before && robotA.getMetadata().title === 'Plan' &&
+    robotA.getSections().length === 1);
+
+  // Step 3: Merging
+  console.log(`\n${colors.info}--- Step 3: Merging ---${colors.reset}`);
+  network.updates.clear();
+  const merged = robotA.mergeBranch(branch.exportUpdate());
+  await waitFor(() => robotB.getText() === robotA.getText());
+  log(colors.client1, 'Robot A', `"${robotA.getText()}"`);
+  log(colors.client2, 'Robot B', `"${robotB.getText()}"`);
+  check('Branch merged', merged && robotA.getText() === 'The plan is. Test it. Ship it. Soon.' &&
+    robotA.getMetadata().title === 'Plan v2' && robotA.getSectionText(risks) === 'Outages');
+  check('Merge sent as one update', network.updates.get(DOCUMENT_ID) === 1 &&
+    robotB.getMetadata().tags.join() === 'reviewed');
+  check('Merge is one undo step', robotA.getUndoHistory().undo[0]?.description === 'Merged branch' &&
+    robotA.getUndoHistory().undo[1]?.description !== 'Merged branch');
+  check('Original not marked as a branch', robotA.getMetadata().forkedFrom === null &&
+    branch.getMetadata().forkedFrom?.documentId === DOCUMENT_ID);
+
+  // Step 4: Undo and redo
+  console.log(`\n${colors.info}--- Step 4: Undoing the merge ---${colors.reset}`);
+  robotA.undo();
+  await waitFor(() => robotB.getText() === robotA.getText());
+  log(colors.client2, 'Robot B', `"${robotB.getText()}"`);
+  check('Undo takes the branch out again', robotB.getText() === before &&
+    robotB.getMetadata().title === 'Plan' && robotB.getSections().length === 1 &&
+    robotB.getSectionText(goals) === 'Ship sync');
+  robotA.redo();
+  await waitFor(() => robotB.getText() === robotA.getText());
+  check('Redo merges it back', robotB.getText() === 'The plan is. Test it. Ship it. Soon.' &&
+    robotB.getMetadata().title === 'Plan v2');
+
+  // Step 5: Merging again
+  console.log(`\n${colors.info}--- Step 5: Merging again ---${colors.reset}`);
+  branch.insert(branch.getText().length, ' Then rest.');
+  const again = robotA.previewMerge(branch.exportUpdate());
+  check('Preview shows only new changes', changed(again.text, 'insert').join() === ' Then rest.' &&
+    changed(again.text, 'delete').length === 0 && !again.title && again.sections.length === 0);
+  const mergedAgain = robotA.mergeBranch(branch.exportUpdate());
+  log(colors.client1, 'Robot A', `"${robotA.getText()}"`);
+  // Both robots appended at the end, so either may come first
+  check('New changes merged', mergedAgain && robotA.getText().startsWith('The plan is. Test it. Ship it.') &&
+    robotA.getText().includes(' Then rest.') && robotA.getText().includes(' Soon.'));
+  check('Nothing left to merge', robotA.previewMerge(branch.exportUpdate()).empty &&
+    robotA.mergeBranch(branch.exportUpdate()) === false);
+  check('Invalid update rejected', throws(() => robotA.mergeBranch(new Uint8Array([1, 2, 3]))) &&
+    throws(() => robotA.previewMerge(new Uint8Array([1, 2, 3]))));
+
+  await branch.destroy();
+  await robotA.destroy();
+  await robotB.destroy();
+
+  // Step 6: Local copies
+  console.log(`\n${colors.info}--- Step 6: Storing a branch locally ---${colors.reset}`);
+  const openStored = (documentId, persistence) => new YjsEngine(documentId, 'robot-c', {
+    transport: 'memory',
+    transportOptions: { network: new MemoryNetwork() },
+    persistence,
+    autoVersionInterval: 0,
+  });
+  const stored = openStored('test-branch-stored', new MemoryPersistence('test-branch-stored'));
+  await stored.whenLoaded;
+  stored.insert(0, 'Hello');
+  const storedBranch = stored.fork('test-branch-stored-copy');
+  await storedBranch.whenLoaded;
+  storedBranch.insert(storedBranch.getText().length, ' BRANCH');
+  await storedBranch.destroy();
+  await stored.destroy();
+  const reloaded = openStored('test-branch-stored', new MemoryPersistence('test-branch-stored'));
+  const reloadedBranch = openStored('test-branch-stored-copy', new MemoryPersistence('test-branch-stored-copy'));
+  await Promise.all([reloaded.whenLoaded, reloadedBranch.whenLoaded]);
+  log(colors.client1, 'Original', `"${reloaded.getText()}", branch "${reloadedBranch.getText()}"`);
+  check('Branch edits stay out of the original\'s local copy', reloaded.getText() === 'Hello');
+  check('Branch stored under its own ID', reloadedBranch.getText() === 'Hello BRANCH');
+  // An adapter that can only store its own document
+  const single = new MemoryPersistence('test-branch-single');
+  single.forDocument = undefined;
+  const singleStored = openStored('test-branch-single', single);
+  check('Adapters without forDocument() need one passed for the branch',
+    throws(() => singleStored.fork('test-branch-single-copy')));
+  await reloaded.destroy();
+  await reloadedBranch.destroy();
+  await singleStored.destroy();
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Branches fork with their history and merge back as one change${colors.reset}`
+    : `${colors.error}✗ Some branch checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runBranchTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,198 @@
+/**
+ * Comments Test
+ *
+ * Robots discuss a passage while others edit around it. This test verifies:
+ * 1. A comment's anchor stays on its text through concurrent edits, and text
+ *    typed at its edges lands outside it
+ * 2. Concurrent replies to one thread are all kept, in order
+ * 3. Threads resolve and reopen on every replica
+ * 4. A thread whose text is deleted is orphaned, and undoing the deletion
+ *    brings its anchor back
+ * 5. Through the sync server, commenters may comment but not edit, and
+ *    viewers may do neither
+ *
+ * Runs over a simulated in-process network, then starts its own sync server.
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { Simulation } from '../src/simulation.js';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { SyncServer } from '../server/SyncServer.js';
+import { FileStorage } from '../server/storage.js';
+import { createToken, PermissionStore } from '../server/auth.js';
+
+const DOCUMENT_ID = 'test-comments';
+const SECRET = 'comments-test-secret';
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(50);
+  }
+  return true;
+}
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return true;
+  }
+};
+
+async function runCommentsTest() {
+  console.log(`${colors.info}=== Comments Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  const sim = new Simulation(DOCUMENT_ID, { latency: 20, jitter: 30 });
+  const robotA = sim.addClient('robot-a');
+  const robotB = sim.addClient('robot-b');
+  robotA.setLocalUser({ name: 'Ada', color: '#3b82f6' });
+  robotB.setLocalUser({ name: 'Bob', color: '#ef4444' });
+  sim.settle();
+  const anchored = (robot, id) => {
+    const thread = robot.getComments().find((t) => t.id === id);
+    return thread.orphaned ? null : robot.getText().slice(thread.start, thread.end);
+  };
+
+  // Step 1: Robot A comments on a word while Robot B edits around it
+  console.log(`${colors.info}--- Step 1: Anchors follow their text ---${colors.reset}`);
+  robotA.insert(0, 'The quick fox jumps.');
+  sim.settle();
+  const threadId = robotA.addComment(4, 9, 'Is "quick" the right word?');
+  robotB.insert(0, 'Look: ');
+  robotB.insert(10, '[');
+  sim.settle();
+  robotB.insert(16, ']');
+  sim.settle();
+  log(colors.client2, 'Robot B', `"${robotB.getText()}" comment on "${anchored(robotB, threadId)}"`);
+  check('Comment reached Robot B with its quote', robotB.getComments()[0]?.quote === 'quick');
+  check('Anchor moved with the text on both replicas',
+    anchored(robotA, threadId) === 'quick' && anchored(robotB, threadId) === 'quick');
+  check('Empty ranges cannot be commented', throws(() => robotA.addComment(3, 3, 'Nothing here')));
+
+  // Step 2: Concurrent replies
+  console.log(`\n${colors.info}--- Step 2: Both robots reply at once ---${colors.reset}`);
+  robotA.replyToComment(threadId, 'Maybe "swift"?');
+  robotB.replyToComment(threadId, 'I like it as is.');
+  sim.settle();
+  const thread = robotA.getComments()[0];
+  thread.comments.forEach((comment) => log(colors.client1, comment.author.name, comment.body));
+  check('Both replies kept on both replicas', thread.comments.length === 3 &&
+    JSON.stringify(robotB.getComments()[0].comments) === JSON.stringify(thread.comments));
+  check('Unknown threads cannot be answered', throws(() => robotA.replyToComment('c-missing', 'Hello?')));
+
+  // Step 3: Resolve and reopen
+  console.log(`\n${colors.info}--- Step 3: Resolve and reopen ---${colors.reset}`);
+  const changes = [];
+  robotA.onCommentsChange((threads) => changes.push(threads));
+  robotB.resolveComment(threadId);
+  sim.settle();
+  check('Resolved on both replicas', robotA.getComments()[0].resolved &&
+    robotA.getComments()[0].resolvedBy === 'Bob' && changes.length === 1);
+  robotA.reopenComment(threadId);
+  sim.settle();
+  check('Reopened on both replicas', !robotB.getComments()[0].resolved && robotB.getComments()[0].comments.length === 3);
+
+  // Step 4: The anchored text is deleted, then the deletion undone
+  console.log(`\n${colors.info}--- Step 4: Orphaned comments ---${colors.reset}`);
+  const second = robotA.addComment(robotA.getText().indexOf('jumps'), robotA.getText().indexOf('jumps') + 5, 'Tense?');
+  sim.settle();
+  robotB.delete(robotB.getText().indexOf('[quick]'), 12);
+  sim.settle();
+  log(colors.client1, 'Robot A', `"${robotA.getText()}"`);
+  const orphan = robotA.getComments().find((t) => t.id === threadId);
+  check('Thread on deleted text is orphaned', orphan.orphaned && orphan.start === null);
+  check('Orphaned threads come last, other anchors survive',
+    robotA.getComments()[1].id === threadId && anchored(robotA, second) === 'jumps');
+  robotB.undo();
+  sim.settle();
+  check('Undoing the deletion brings the anchor back',
+    anchored(robotA, threadId) === 'quick' && anchored(robotB, threadId) === 'quick');
+  await sim.destroy();
+
+  // Step 5: Roles on the sync server
+  console.log(`\n${colors.info}--- Step 5: Commenters and viewers ---${colors.reset}`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-comments-'));
+  const permissions = new PermissionStore();
+  await permissions.setRole(DOCUMENT_ID, 'ada', 'owner');
+  await permissions.setRole(DOCUMENT_ID, 'cleo', 'commenter');
+  const server = new SyncServer({
+    storage: new FileStorage(directory),
+    auth: { secret: SECRET, permissions },
+  });
+  const port = await server.listen(0);
+  const createClient = (clientId, user) => new YjsEngine(DOCUMENT_ID, clientId, {
+    transport: 'websocket',
+    url: `ws://localhost:${port}`,
+    transportOptions: { WebSocketPolyfill: WebSocket },
+    token: createToken({ sub: user }, SECRET),
+    persistence: false,
+    autoVersionInterval: 0,
+  });
+
+  const owner = createClient('owner', 'ada');
+  await waitFor(() => owner.isSynced && owner.role);
+  owner.insert(0, 'Reviewed text');
+  const commenter = createClient('commenter', 'cleo');
+  const viewer = createClient('viewer', 'vic');
+  await waitFor(() => commenter.getText() === 'Reviewed text' && viewer.getText() === 'Reviewed text' && viewer.role);
+  check('Commenter may comment but not edit', commenter.canComment() && !commenter.canEdit());
+  check('Viewer may not comment', !viewer.canComment() && throws(() => viewer.addComment(0, 8, 'Hi')));
+
+  const reviewId = commenter.addComment(0, 8, 'Needs a source');
+  commenter.resolveComment(reviewId);
+  const reached = await waitFor(() => owner.getComments()[0]?.resolved === true);
+  log(colors.client1, 'Owner', `sees "${owner.getComments()[0]?.comments[0].body}" on "${owner.getComments()[0]?.quote}"`);
+  check("Commenter's comment and resolve reach the owner", reached);
+
+  const rejections = [];
+  commenter.onPermissionDenied = (reason) => rejections.push(reason);
+  commenter.ytext.insert(0, 'FORGED ');
+  await waitFor(() => rejections.length > 0);
+  owner.replyToComment(reviewId, 'Added one');
+  await waitFor(() => commenter.getComments()[0]?.comments.length === 2);
+  check("Commenter's text edits are rejected", rejections.length > 0 && owner.getText() === 'Reviewed text');
+  check('Commenter still receives replies', commenter.getComments()[0].comments.length === 2);
+
+  await owner.destroy();
+  await commenter.destroy();
+  await viewer.destroy();
+  await server.close();
+  await rm(directory, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Comments stayed anchored and in sync${colors.reset}`
+    : `${colors.error}✗ Some comment checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runCommentsTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
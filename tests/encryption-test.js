@@ -0,0 +1,209 @@
+/**
+ * End-to-End Encryption Test
+ *
+ * Two robots share an encrypted document through the sync server. This test
+ * verifies:
+ * 1. Document keys encrypt and decrypt, and tampered blobs or another
+ *    document's ID are rejected
+ * 2. Robots holding the key converge, and their edits are acknowledged
+ * 3. The server stores no plaintext, only the encrypted envelope, and
+ *    diagnostics leave the plaintext updates out
+ * 4. Presence (names and selections) decrypts on the other robot
+ * 5. Edits made offline sync after reconnecting
+ * 6. A client without the key is told the document is encrypted, and a
+ *    wrong key is reported instead of corrupting the document
+ * 7. Many entries are compacted into one encrypted snapshot, and a new
+ *    client still loads the document from it
+ *
+ * Starts its own sync server with file storage.
+ */
+
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { generateDocumentKey, importDocumentKey, encrypt, decrypt } from '../src/encryption.js';
+import { SyncServer } from '../server/SyncServer.js';
+import { FileStorage } from '../server/storage.js';
+
+const DOCUMENT_ID = 'test-encryption';
+const SECRET = 'The launch date is the fourteenth';
+const COMPACT_THRESHOLD = 20;
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(20);
+  }
+  return true;
+}
+
+async function rejects(promise) {
+  try {
+    await promise;
+    return false;
+  } catch (err) {
+    return true;
+  }
+}
+
+async function runEncryptionTest() {
+  console.log(`${colors.info}=== End-to-End Encryption Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: Keys and blobs
+  console.log(`${colors.info}--- Step 1: Document keys ---${colors.reset}`);
+  const key = generateDocumentKey();
+  const cryptoKey = await importDocumentKey(key);
+  const plaintext = new TextEncoder().encode(SECRET);
+  const blob = await encrypt(cryptoKey, plaintext, DOCUMENT_ID);
+  log(colors.info, 'Key', `${key.length} characters, blob ${blob.length} bytes`);
+  check('Key is URL-safe', /^[A-Za-z0-9_-]+$/.test(key));
+  check('Blob decrypts to the original',
+    new TextDecoder().decode(await decrypt(cryptoKey, blob, DOCUMENT_ID)) === SECRET);
+  const tampered = blob.slice();
+  tampered[tampered.length - 1] ^= 1;
+  check('Tampered blob rejected', await rejects(decrypt(cryptoKey, tampered, DOCUMENT_ID)));
+  check('Blob bound to its document', await rejects(decrypt(cryptoKey, blob, 'another-document')));
+  check('Malformed key rejected', await rejects(importDocumentKey('not-a-key')));
+
+  // Step 2: Syncing through the server
+  console.log(`\n${colors.info}--- Step 2: Encrypted sync ---${colors.reset}`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-encryption-'));
+  let server = new SyncServer({ storage: new FileStorage(directory) });
+  let port = await server.listen(0);
+  const createClient = (clientId, encryptionKey) => new YjsEngine(DOCUMENT_ID, clientId, {
+    transport: 'websocket',
+    url: `ws://localhost:${port}`,
+    transportOptions: { WebSocketPolyfill: WebSocket, compactThreshold: COMPACT_THRESHOLD },
+    encryptionKey,
+    persistence: false,
+    autoVersionInterval: 0,
+  });
+  const robotA = createClient('robot-a', key);
+  const robotB = createClient('robot-b', key);
+  await waitFor(() => robotA.isSynced && robotB.isSynced);
+  robotA.insert(0, SECRET);
+  robotB.insert(0, 'Note: ');
+  const converged = await waitFor(() =>
+    robotA.getText() === robotB.getText() && robotA.getText().includes(SECRET));
+  log(colors.client1, 'Robot A', `"${robotA.getText()}"`);
+  log(colors.client2, 'Robot B', `"${robotB.getText()}"`);
+  check('Robots converge', converged);
+  check('Encrypted edits acknowledged', await waitFor(() =>
+    robotA.getSyncState().status === 'synced' && robotB.getSyncState().status === 'synced'));
+
+  // Step 3: What the server holds
+  console.log(`\n${colors.info}--- Step 3: Server storage ---${colors.reset}`);
+  const stored = await readFile(path.join(directory, `${DOCUMENT_ID}.ylog`));
+  const serverDoc = await server.docs.get(DOCUMENT_ID);
+  log(colors.info, 'Server', `${stored.length} bytes stored, text type holds "${serverDoc.getText('content').toString()}"`);
+  check('Stored log has no plaintext', !stored.includes(Buffer.from('launch date')));
+  check('Server document has no readable text', serverDoc.getText('content').length === 0 &&
+    serverDoc.getArray('encrypted').length > 0);
+  const diagnostics = robotA.getDiagnostics();
+  check('Diagnostics keep only update sizes', diagnostics.encrypted && diagnostics.updateLog.length > 0 &&
+    diagnostics.updateLog.every((entry) => entry.update === undefined && entry.bytes > 0) &&
+    !JSON.stringify(diagnostics).includes('launch date'));
+
+  // Step 4: Presence
+  console.log(`\n${colors.info}--- Step 4: Presence ---${colors.reset}`);
+  robotA.setLocalUser({ name: 'Robot A', color: '#06b6d4' });
+  robotA.updateSelection(6, 9);
+  const seen = await waitFor(() => robotB.getRemoteUsers()[0]?.selection?.start === 6);
+  const [remote] = robotB.getRemoteUsers();
+  log(colors.client2, 'Robot B', `sees ${remote?.user.name} at ${remote?.selection?.start}-${remote?.selection?.end}`);
+  check('Presence decrypted', seen && remote.user.name === 'Robot A' && remote.selection.end === 9);
+  const relayed = robotB.transport.inner.awareness.getStates().get(robotA.doc.clientID);
+  check('Relayed presence is encrypted', typeof relayed?.encrypted === 'string' && !relayed.user);
+
+  // Step 5: Offline edits
+  console.log(`\n${colors.info}--- Step 5: Offline edits ---${colors.reset}`);
+  robotB.disconnect();
+  robotB.insert(robotB.getText().length, ' (offline)');
+  robotA.insert(robotA.getText().length, '.');
+  await sleep(200);
+  check('Offline edit not shared yet', !robotA.getText().includes('(offline)'));
+  robotB.connect();
+  const merged = await waitFor(() =>
+    robotA.getText() === robotB.getText() && robotA.getText().includes('(offline)') &&
+    robotB.getText().includes('.'));
+  log(colors.client1, 'Robot A', `"${robotA.getText()}"`);
+  check('Offline edits merged after reconnecting', merged);
+  check('Offline edits acknowledged', await waitFor(() => robotB.getSyncState().status === 'synced'));
+
+  // Step 6: Without the right key
+  console.log(`\n${colors.info}--- Step 6: Missing and wrong keys ---${colors.reset}`);
+  const keyless = createClient('keyless', undefined);
+  await waitFor(() => keyless.getSyncState().status === 'error');
+  log(colors.info, 'Keyless', keyless.getSyncState().error);
+  check('Keyless client told the document is encrypted',
+    /end-to-end encrypted/.test(keyless.getSyncState().error) && keyless.getText() === '');
+  await keyless.destroy();
+  const wrongKey = createClient('wrong-key', generateDocumentKey());
+  await waitFor(() => wrongKey.getSyncState().status === 'error');
+  log(colors.info, 'Wrong key', wrongKey.getSyncState().error);
+  check('Wrong key reported', /document key is wrong/.test(wrongKey.getSyncState().error) &&
+    wrongKey.getText() === '');
+  await wrongKey.destroy();
+  check('Others unaffected', robotA.getText() === robotB.getText() && robotA.getText().includes(SECRET));
+
+  // Step 7: Compacting the envelope
+  console.log(`\n${colors.info}--- Step 7: Envelope compaction ---${colors.reset}`);
+  for (let i = 0; i < COMPACT_THRESHOLD * 2; i++) {
+    robotA.insert(robotA.getText().length, '!');
+    await sleep(10);
+  }
+  await waitFor(() => robotB.getText() === robotA.getText() &&
+    robotA.getSyncState().status === 'synced');
+  const entries = await waitFor(() => serverDoc.getArray('encrypted').length <= COMPACT_THRESHOLD);
+  log(colors.info, 'Server', `${serverDoc.getArray('encrypted').length} envelope entries`);
+  check('Entries compacted into a snapshot', entries);
+  const text = robotA.getText();
+  await robotA.destroy();
+  await robotB.destroy();
+  await waitFor(() => server.docs.size === 0);
+  await server.close();
+
+  server = new SyncServer({ storage: new FileStorage(directory) });
+  port = await server.listen(0);
+  const returning = createClient('returning', key);
+  const loaded = await waitFor(() => returning.getText() === text);
+  log(colors.client1, 'Returning', `${returning.getText().length} characters`);
+  check('New client loads the compacted document', loaded);
+  await returning.destroy();
+  await server.close();
+  await rm(directory, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Encrypted documents sync without the server reading them${colors.reset}`
+    : `${colors.error}✗ Some encryption checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runEncryptionTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
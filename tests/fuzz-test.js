@@ -0,0 +1,324 @@
+/**
+ * Convergence Fuzz Test
+ *
+ * Generates random op logs (insert, delete, undo, redo, disconnect, reconnect,
+ * partitions and network delays) for 3-6 engines from a seed, runs them over
+ * a lossy, reordering simulated network, heals it and checks that:
+ * 1. Every replica converges to the same document
+ * 2. No insert is lost: every replica holds every inserted character
+ * 3. Nothing disappears that no client deleted (by delete or undo)
+ *
+ * A failing run is shrunk to a minimal op log, printed as JSON so it can be
+ * replayed with FUZZ_REPLAY=<file>. FUZZ_SEED and FUZZ_RUNS pick the runs.
+ *
+ * Runs over a simulated in-process network, so no server is required.
+ */
+
+import { readFile } from 'fs/promises';
+import * as Y from 'yjs';
+import { Simulation, createRandom } from '../src/simulation.js';
+
+const DOCUMENT_ID = 'test-fuzz';
+const BASE_SEED = Number(process.env.FUZZ_SEED) || 1;
+const RUNS = Number(process.env.FUZZ_RUNS) || 25;
+const OPS_PER_RUN = 120;
+// Runs tried while shrinking one failure
+const MAX_SHRINK_RUNS = 2000;
+
+const colors = {
+  reset: '\x1b[0m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+// Relative weights of generated ops
+const OP_WEIGHTS = {
+  insert: 35,
+  delete: 20,
+  undo: 8,
+  redo: 5,
+  disconnect: 4,
+  connect: 6,
+  tick: 18,
+  partition: 2,
+  heal: 2,
+};
+
+/**
+ * Random test case for a seed: { seed, clients, conditions, ops }.
+ * Positions are fractions of the current text, so ops stay valid when the
+ * shrinker removes the ones before them.
+ */
+function generateCase(seed) {
+  const random = createRandom(seed);
+  const int = (n) => Math.floor(random() * n);
+  const fraction = () => Math.round(random() * 100) / 100;
+  const clients = 3 + int(4);
+  const conditions = {
+    latency: int(50),
+    jitter: int(100),
+    dropRate: random() < 0.5 ? 0 : int(20) / 100,
+  };
+
+  const kinds = Object.keys(OP_WEIGHTS);
+  const totalWeight = kinds.reduce((sum, kind) => sum + OP_WEIGHTS[kind], 0);
+  const pickKind = () => {
+    let roll = random() * totalWeight;
+    return kinds.find((kind) => (roll -= OP_WEIGHTS[kind]) < 0);
+  };
+
+  const ops = [];
+  for (let i = 0; i < OPS_PER_RUN; i++) {
+    const op = pickKind();
+    const client = int(clients);
+    switch (op) {
+      case 'insert':
+        ops.push({ op, client, at: fraction(), text: 'abcdefghij'.slice(int(10)).slice(0, 1 + int(3)) });
+        break;
+      case 'delete':
+        ops.push({ op, client, at: fraction(), length: 1 + int(4) });
+        break;
+      case 'tick':
+        ops.push({ op, ms: 1 + int(100) });
+        break;
+      case 'partition': {
+        const group = Array.from({ length: clients }, (_, i) => i).filter(() => random() < 0.5);
+        ops.push({ op, group });
+        break;
+      }
+      case 'heal':
+        ops.push({ op });
+        break;
+      default:
+        ops.push({ op, client });
+    }
+  }
+  return { seed, clients, conditions, ops };
+}
+
+/**
+ * Apply one op to the simulation
+ */
+function applyOp(sim, engines, { op, client, at, text, length, ms, group }) {
+  const engine = engines[client];
+  const textLength = engine ? engine.getText().length : 0;
+  switch (op) {
+    case 'insert':
+      engine.insert(Math.floor(at * (textLength + 1)), text);
+      break;
+    case 'delete':
+      if (textLength > 0) {
+        const index = Math.min(Math.floor(at * textLength), textLength - 1);
+        engine.delete(index, Math.min(length, textLength - index));
+      }
+      break;
+    case 'undo':
+      engine.undo();
+      break;
+    case 'redo':
+      engine.redo();
+      break;
+    case 'disconnect':
+      engine.disconnect();
+      break;
+    case 'connect':
+      engine.connect();
+      break;
+    case 'tick':
+      sim.tick(ms);
+      break;
+    case 'partition':
+      sim.partition(group.map((index) => engines[index].clientId));
+      break;
+    case 'heal':
+      sim.heal();
+      break;
+    default:
+      throw new Error(`Unknown op "${op}"`);
+  }
+}
+
+/**
+ * IDs of the text's items as [{ id, length, deleted }]
+ */
+function textItems(ytext) {
+  const items = [];
+  for (let item = ytext._start; item !== null; item = item.right) {
+    if (item.countable) {
+      items.push({ id: item.id, length: item.length, deleted: item.deleted });
+    }
+  }
+  return items;
+}
+
+/**
+ * Run a test case. Returns null if every property holds, otherwise what broke.
+ */
+function runCase({ seed, clients, conditions, ops }) {
+  const sim = new Simulation(DOCUMENT_ID, { seed, ...conditions });
+  // Everything clients did locally: the items they created and deleted
+  const created = [];
+  const deleteSets = [];
+  const engines = Array.from({ length: clients }, (_, i) => {
+    const engine = sim.addClient(`client-${i}`);
+    engine.doc.on('afterTransaction', (transaction) => {
+      if (!transaction.local) return;
+      const clientID = engine.doc.clientID;
+      const before = transaction.beforeState.get(clientID) || 0;
+      const after = transaction.afterState.get(clientID) || 0;
+      if (after > before) {
+        created.push({ client: clientID, clock: before, length: after - before });
+      }
+      deleteSets.push(transaction.deleteSet);
+    });
+    return engine;
+  });
+
+  try {
+    sim.settle();
+    ops.forEach((op) => applyOp(sim, engines, op));
+
+    // Bring everyone back and let the network repair what it lost
+    engines.forEach((engine) => engine.connect());
+    sim.setConditions({ dropRate: 0 });
+    sim.heal();
+    sim.settle();
+
+    const [first, ...rest] = engines;
+    const delta = JSON.stringify(first.getDelta());
+    const diverged = rest.find((engine) => JSON.stringify(engine.getDelta()) !== delta);
+    if (!sim.converged() || diverged) {
+      return `Replicas diverged: ${JSON.stringify(sim.texts())}`;
+    }
+
+    for (const engine of engines) {
+      const lost = created.find(({ client, clock, length }) => Y.getState(engine.doc.store, client) < clock + length);
+      if (lost) {
+        return `${engine.clientId} is missing insert ${lost.client}:${lost.clock} (${lost.length} items)`;
+      }
+    }
+
+    const deletedLocally = Y.mergeDeleteSets(deleteSets);
+    const vanished = textItems(first.ytext).find((item) => item.deleted && !Y.isDeleted(deletedLocally, item.id));
+    if (vanished) {
+      return `Text at ${vanished.id.client}:${vanished.id.clock} was deleted without any client deleting it`;
+    }
+    return null;
+  } catch (err) {
+    return `Threw: ${err.message}`;
+  } finally {
+    sim.destroy();
+  }
+}
+
+/**
+ * Smallest variant of a failing case that still fails: drops chunks of ops
+ * (halving the chunk size down to single ops), then simplifies what is left
+ */
+function shrink(testCase, fails) {
+  let best = testCase;
+  let attempts = 0;
+  const tryCase = (candidate) => {
+    if (attempts >= MAX_SHRINK_RUNS) return false;
+    attempts++;
+    if (fails(candidate)) {
+      best = candidate;
+      return true;
+    }
+    return false;
+  };
+
+  for (let chunk = Math.ceil(best.ops.length / 2); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+    for (let start = 0; start < best.ops.length;) {
+      const ops = [...best.ops.slice(0, start), ...best.ops.slice(start + chunk)];
+      if (!tryCase({ ...best, ops })) {
+        start += chunk;
+      }
+    }
+  }
+
+  // Calmer network conditions and shorter inserts make a log easier to read
+  for (const key of Object.keys(best.conditions)) {
+    if (best.conditions[key] !== 0) {
+      tryCase({ ...best, conditions: { ...best.conditions, [key]: 0 } });
+    }
+  }
+  best.ops.forEach((op, index) => {
+    if (op.op === 'insert' && op.text.length > 1) {
+      const ops = [...best.ops];
+      ops[index] = { ...op, text: op.text[0] };
+      tryCase({ ...best, ops });
+    }
+  });
+
+  // Clients no op refers to can go, as long as the rest are renumbered
+  for (let client = best.clients - 1; client > 0; client--) {
+    const used = best.ops.some((op) => op.client === client || op.group?.includes(client));
+    if (!used) {
+      const ops = best.ops.map((op) => (op.group
+        ? { ...op, group: op.group.map((index) => (index > client ? index - 1 : index)) }
+        : op.client > client ? { ...op, client: op.client - 1 } : op));
+      tryCase({ ...best, clients: best.clients - 1, ops });
+    }
+  }
+
+  return { shrunk: best, attempts };
+}
+
+async function runFuzzTest() {
+  console.log(`${colors.info}=== Convergence Fuzz Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: The shrinker finds the two ops behind a planted failure
+  console.log(`${colors.info}--- Step 1: Shrinker self-check ---${colors.reset}`);
+  const planted = (testCase) => {
+    const offline = testCase.ops.findIndex((op) => op.op === 'disconnect' && op.client === 1);
+    return offline !== -1 && testCase.ops.slice(offline).some((op) => op.op === 'undo' && op.client === 1);
+  };
+  let seed = BASE_SEED;
+  while (!planted(generateCase(seed))) seed++;
+  const { shrunk } = shrink(generateCase(seed), planted);
+  console.log(`${colors.info}Seed ${seed}:${colors.reset} ${JSON.stringify(shrunk.ops)}`);
+  check(`Planted failure shrunk from ${OPS_PER_RUN} ops to ${shrunk.ops.length}`,
+    shrunk.ops.length === 2 && shrunk.clients === 2);
+
+  // Step 2: Random runs
+  let cases;
+  if (process.env.FUZZ_REPLAY) {
+    console.log(`\n${colors.info}--- Step 2: Replaying ${process.env.FUZZ_REPLAY} ---${colors.reset}`);
+    cases = [JSON.parse(await readFile(process.env.FUZZ_REPLAY, 'utf8'))];
+  } else {
+    console.log(`\n${colors.info}--- Step 2: ${RUNS} random runs from seed ${BASE_SEED} ---${colors.reset}`);
+    cases = Array.from({ length: RUNS }, (_, i) => generateCase(BASE_SEED + i));
+  }
+
+  for (const testCase of cases) {
+    const failure = runCase(testCase);
+    const label = `Seed ${testCase.seed}: ${testCase.clients} clients, ${testCase.ops.length} ops, ` +
+      `latency ${testCase.conditions.latency}±${testCase.conditions.jitter}ms, ${Math.round(testCase.conditions.dropRate * 100)}% loss`;
+    check(failure ? `${label} - ${failure}` : label, !failure);
+    if (failure) {
+      const { shrunk: minimal, attempts } = shrink(testCase, (candidate) => runCase(candidate) !== null);
+      console.log(`${colors.error}  Shrunk to ${minimal.ops.length} ops in ${attempts} runs: ${runCase(minimal)}${colors.reset}`);
+      console.log(JSON.stringify(minimal));
+    }
+  }
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ All replicas converged with no lost inserts${colors.reset}`
+    : `${colors.error}✗ Save a minimal case above to a file and replay it with FUZZ_REPLAY=<file>${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runFuzzTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
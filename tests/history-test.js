@@ -0,0 +1,141 @@
+/**
+ * Version History Test
+ *
+ * Two robots save a version, keep editing, and restore it.
+ * This test verifies:
+ * 1. Saved versions sync to other clients
+ * 2. A version's text can be rendered from its snapshot after later deletes
+ * 3. Restoring is a new change that converges on every client
+ * 4. The restore is undoable by the client that made it
+ * 5. Versions whose text was deleted still render after the sync server
+ *    reloads the document from LevelDB storage
+ *
+ * Runs over the in-memory transport, then starts its own sync server.
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { SyncServer } from '../server/SyncServer.js';
+import { LevelStorage } from '../server/storage.js';
+
+const DOCUMENT_ID = 'test-history-' + Date.now();
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(20);
+  }
+  return true;
+}
+
+async function runHistoryTest() {
+  console.log(`${colors.info}=== Version History Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  const robotA = new YjsEngine(DOCUMENT_ID, 'robot-a', { transport: 'memory', persistence: false });
+  const robotB = new YjsEngine(DOCUMENT_ID, 'robot-b', { transport: 'memory', persistence: false });
+  robotA.setLocalUser({ name: 'Robot A', color: '#ef4444' });
+
+  // Step 1: Robot A writes a draft and saves it
+  console.log(`${colors.info}--- Step 1: Robot A saves a draft ---${colors.reset}`);
+  robotA.insert(0, 'Hello world\n');
+  const draftId = robotA.createVersion('Draft');
+  log(colors.client1, 'Robot A', `Saved "Draft": ${JSON.stringify(robotA.getText())}`);
+
+  // Step 2: both robots keep editing, deleting part of the draft
+  console.log(`\n${colors.info}--- Step 2: Both robots edit after the draft ---${colors.reset}`);
+  robotB.delete(0, 5);
+  robotB.insert(0, 'Goodbye');
+  robotA.insert(robotA.getText().length, 'PS\n');
+  log(colors.client2, 'Robot B', `Text: ${JSON.stringify(robotB.getText())}`);
+
+  const versionsOnB = robotB.listVersions();
+  log(colors.client2, 'Robot B', `Versions: ${versionsOnB.map((v) => v.name).join(', ')}`);
+
+  // Step 3: Robot B restores the draft
+  console.log(`\n${colors.info}--- Step 3: Robot B restores the draft ---${colors.reset}`);
+  robotB.restoreVersion(draftId);
+  log(colors.client1, 'Robot A', `Text: ${JSON.stringify(robotA.getText())}`);
+  log(colors.client2, 'Robot B', `Text: ${JSON.stringify(robotB.getText())}`);
+  const restored = [robotA.getText(), robotB.getText()];
+
+  // Step 4: Robot B undoes the restore
+  console.log(`\n${colors.info}--- Step 4: Robot B undoes the restore ---${colors.reset}`);
+  robotB.undo();
+  log(colors.client1, 'Robot A', `Text: ${JSON.stringify(robotA.getText())}`);
+
+  // Step 5: The server reloads the document from LevelDB
+  console.log(`\n${colors.info}--- Step 5: Reloading from LevelDB storage ---${colors.reset}`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-history-'));
+  const location = path.join(directory, 'leveldb');
+  let server = new SyncServer({ storage: await LevelStorage.open(location) });
+  let port = await server.listen(0);
+  const connect = (clientId) => new YjsEngine(DOCUMENT_ID, clientId, {
+    transport: 'websocket',
+    url: `ws://localhost:${port}`,
+    transportOptions: { WebSocketPolyfill: WebSocket },
+    persistence: false,
+    autoVersionInterval: 0,
+  });
+  const writer = connect('writer');
+  await waitFor(() => writer.isSynced);
+  writer.insert(0, 'secret old text');
+  const oldId = writer.createVersion('Old');
+  writer.delete(0, 'secret '.length);
+  await waitFor(() => writer.getSyncState().status === 'synced');
+  await writer.destroy();
+  await waitFor(() => server.docs.size === 0);
+  await server.close();
+
+  server = new SyncServer({ storage: await LevelStorage.open(location) });
+  port = await server.listen(0);
+  const reader = connect('reader');
+  await waitFor(() => reader.getText() === 'old text');
+  const reloadedText = reader.getVersionText(oldId);
+  log(colors.client2, 'Reader', `Text: ${JSON.stringify(reader.getText())}, "Old": ${JSON.stringify(reloadedText)}`);
+  await reader.destroy();
+  await server.close();
+  await rm(directory, { recursive: true, force: true });
+
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}\n`);
+  check('Version synced to Robot B',
+    versionsOnB.length === 1 && versionsOnB[0].name === 'Draft' && versionsOnB[0].createdBy === 'Robot A');
+  check('Snapshot text rendered after later deletes', robotB.getVersionText(draftId) === 'Hello world\n');
+  check('Restore converged on both robots', restored.every((text) => text === 'Hello world\n'));
+  check('Undo reverts the restore', robotA.getText() === 'Goodbye world\nPS\n');
+  check('Version list kept after restore', robotA.listVersions().length === 1);
+  check('Deleted text of a version kept in LevelDB', reloadedText === 'secret old text');
+
+  await robotA.destroy();
+  await robotB.destroy();
+
+  const success = results.every(Boolean);
+  console.log('');
+  process.exit(success ? 0 : 1);
+}
+
+runHistoryTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
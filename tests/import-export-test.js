@@ -0,0 +1,109 @@
+/**
+ * Import/Export Test
+ *
+ * Exports a formatted document and imports it into other documents.
+ * This test verifies:
+ * 1. Markdown export/import keeps headings, lists, bold, italic and links
+ * 2. HTML export contains the formatting as tags
+ * 3. A plain-text import is a single undo step
+ * 4. A Yjs update file merges with concurrent edits and keeps its history
+ *
+ * Runs over the in-memory transport, so no server is required.
+ */
+
+import { YjsEngine } from '../src/YjsEngine.js';
+import { deltaToMarkdown, markdownToDelta, deltaToHtml, textToDelta } from '../src/fileFormats.js';
+
+const DOCUMENT_ID = 'test-import-export-' + Date.now();
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+async function runImportExportTest() {
+  console.log(`${colors.info}=== Import/Export Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: Robot A writes a formatted document and saves a version
+  console.log(`${colors.info}--- Step 1: Robot A writes a formatted document ---${colors.reset}`);
+  const robotA = new YjsEngine(`${DOCUMENT_ID}-a`, 'robot-a', { transport: 'memory', persistence: false });
+  robotA.insert(0, 'Plan\nShip the *new* editor\nWrite docs\nSee the site\n');
+  robotA.formatLine(0, 0, { heading: 2 });
+  robotA.format(5, 4, { bold: true });
+  robotA.format(14, 5, { italic: true });
+  robotA.formatLine(28, 12, { list: 'bullet' });
+  robotA.format(46, 4, { link: 'https://example.com' });
+  robotA.createVersion('Before export');
+
+  // Step 2: Markdown and HTML export
+  console.log(`\n${colors.info}--- Step 2: Export Markdown and HTML ---${colors.reset}`);
+  const markdown = deltaToMarkdown(robotA.getDelta());
+  const html = deltaToHtml(robotA.getDelta(), 'Plan');
+  console.log(markdown);
+
+  // Step 3: Robot B imports the Markdown and a plain-text file
+  console.log(`${colors.info}--- Step 3: Robot B imports Markdown and text ---${colors.reset}`);
+  const robotB = new YjsEngine(`${DOCUMENT_ID}-b`, 'robot-b', { transport: 'memory', persistence: false });
+  robotB.insertDelta(0, markdownToDelta(markdown));
+  const markdownRoundTrip = JSON.stringify(robotB.getDelta()) === JSON.stringify(robotA.getDelta());
+  robotB.insertDelta(robotB.getText().length, textToDelta('line one\r\nline two\r\n'));
+  log(colors.client2, 'Robot B', JSON.stringify(robotB.getText()));
+  const withText = robotB.getText();
+  robotB.undo();
+  const textUndone = robotB.getText() === robotA.getText();
+
+  // Step 4: Robot C opens Robot A's .yjs file, edits, then merges a newer export
+  console.log(`\n${colors.info}--- Step 4: Robot C merges a .yjs export ---${colors.reset}`);
+  const file = robotA.exportUpdate();
+  const robotC = new YjsEngine(`${DOCUMENT_ID}-c`, 'robot-c', { transport: 'memory', persistence: false });
+  robotC.importUpdate(file);
+  robotC.insert(0, 'DRAFT ');
+  robotA.insert(robotA.getText().length, 'Done\n');
+  robotC.importUpdate(robotA.exportUpdate());
+  log(colors.client1, 'Robot C', JSON.stringify(robotC.getText()));
+
+  let rejected = false;
+  try {
+    robotC.importUpdate(new TextEncoder().encode('not a yjs file'));
+  } catch (err) {
+    rejected = true;
+  }
+
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}\n`);
+  check('Markdown round trip keeps all formatting', markdownRoundTrip);
+  check('HTML export contains the formatting',
+    ['<h2>Plan</h2>', '<strong>Ship</strong>', '<em>*new*</em>', '<li>Write docs</li>',
+      '<a href="https://example.com">site</a>'].every((tag) => html.includes(tag)));
+  check('Text import normalizes line endings', withText.endsWith('line one\nline two\n'));
+  check('Text import undone in one step', textUndone);
+  check('Yjs file merged with concurrent edits',
+    robotC.getText() === 'DRAFT ' + robotA.getText());
+  const [version] = robotC.listVersions();
+  check('Yjs file keeps version history',
+    version?.name === 'Before export' && robotC.getVersionText(version.id) === robotA.getVersionText(version.id));
+  check('Invalid Yjs file rejected', rejected);
+
+  await robotA.destroy();
+  await robotB.destroy();
+  await robotC.destroy();
+
+  const success = results.every(Boolean);
+  console.log('');
+  process.exit(success ? 0 : 1);
+}
+
+runImportExportTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+/**
+ * Persistence Test
+ *
+ * Simulates a client that edits while offline, closes, and restarts.
+ * This test verifies:
+ * 1. Offline edits are written to disk and restored on restart
+ * 2. The restored copy is available before the engine connects
+ * 3. Restored edits still sync to other clients after reconnecting
+ *
+ * Runs over the in-memory transport, so no server is required.
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { FilePersistence } from '../src/FilePersistence.js';
+
+const DOCUMENT_ID = 'test-persistence-' + Date.now();
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+async function runPersistenceTest() {
+  console.log(`${colors.info}=== Persistence Test ===${colors.reset}\n`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'yjs-engine-'));
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: Robot A starts offline and edits
+  console.log(`${colors.info}--- Step 1: Robot A edits while offline ---${colors.reset}`);
+  const robotA = new YjsEngine(DOCUMENT_ID, 'robot-a', {
+    transport: 'memory',
+    persistence: new FilePersistence(directory, DOCUMENT_ID),
+  });
+  robotA.disconnect();
+  await robotA.whenLoaded;
+  robotA.insert(0, 'AAA\n');
+  robotA.insert(4, 'XXX\n');
+  log(colors.client1, 'Robot A', `Text: ${JSON.stringify(robotA.getText())}`);
+
+  // Step 2: Robot A closes without ever syncing
+  console.log(`\n${colors.info}--- Step 2: Robot A closes the tab ---${colors.reset}`);
+  await robotA.destroy();
+  log(colors.client1, 'Robot A', 'Destroyed');
+
+  // Step 3: Robot B is online with its own edit
+  console.log(`\n${colors.info}--- Step 3: Robot B edits online ---${colors.reset}`);
+  const robotB = new YjsEngine(DOCUMENT_ID, 'robot-b', { transport: 'memory', persistence: false });
+  robotB.insert(0, 'BBB\n');
+  log(colors.client2, 'Robot B', `Text: ${JSON.stringify(robotB.getText())}`);
+
+  // Step 4: Robot A restarts from disk
+  console.log(`\n${colors.info}--- Step 4: Robot A restarts ---${colors.reset}`);
+  const restarted = new YjsEngine(DOCUMENT_ID, 'robot-a', {
+    transport: 'memory',
+    persistence: new FilePersistence(directory, DOCUMENT_ID),
+  });
+  let textAtLoad = null;
+  let connectedAtLoad = null;
+  restarted.onLocalLoad = () => {
+    textAtLoad = restarted.getText();
+    connectedAtLoad = restarted.isConnected;
+  };
+  await restarted.whenLoaded;
+  log(colors.client1, 'Robot A', `Restored: ${JSON.stringify(textAtLoad)}`);
+  log(colors.client1, 'Robot A', `After sync: ${JSON.stringify(restarted.getText())}`);
+
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}\n`);
+  check('Offline edits restored from disk', textAtLoad === 'AAA\nXXX\n');
+  check('Local copy loaded before connecting', connectedAtLoad === false);
+  check('Both robots converged after reconnect', restarted.getText() === robotB.getText());
+  check('All edits preserved: AAA, BBB, XXX',
+    ['AAA', 'BBB', 'XXX'].every((line) => robotB.getText().includes(line)));
+
+  await restarted.destroy();
+  await robotB.destroy();
+  await rm(directory, { recursive: true, force: true });
+
+  const success = results.every(Boolean);
+  console.log('');
+  process.exit(success ? 0 : 1);
+}
+
+runPersistenceTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+/**
+ * Selective Undo Test
+ *
+ * A robot reverts one of its earlier changes while it and another robot
+ * keep editing. This test verifies:
+ * 1. getChanges() lists the robot's own changes, newest first
+ * 2. Reverting an earlier change keeps every later edit, its own and the
+ *    other robot's, on all replicas
+ * 3. A revert is a new change: it can be undone, redone and reverted itself
+ * 4. Changes whose text was changed since are flagged as conflicting
+ * 5. Unknown and already reverted changes cannot be reverted
+ *
+ * Runs over a simulated in-process network, so no server is required.
+ */
+
+import { Simulation } from '../src/simulation.js';
+
+const DOCUMENT_ID = 'test-revert';
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+/**
+ * Type `text` one character at a time at `index`, like the editor
+ */
+const type = (robot, index, text) => {
+  [...text].forEach((char, i) => {
+    robot.insert(index + i, char);
+    robot.updateSelection(index + i + 1, index + i + 1);
+  });
+};
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return true;
+  }
+};
+
+async function runRevertTest() {
+  console.log(`${colors.info}=== Selective Undo Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  const sim = new Simulation(DOCUMENT_ID, { latency: 20, jitter: 30, engineOptions: { undoGrouping: 'word' } });
+  const robotA = sim.addClient('robot-a');
+  const robotB = sim.addClient('robot-b');
+  sim.settle();
+  const find = (description) => robotA.getChanges().find((change) => change.description === description);
+
+  // Step 1: Robot A types, Robot B edits too
+  console.log(`${colors.info}--- Step 1: Listing changes ---${colors.reset}`);
+  type(robotA, 0, 'one two three');
+  sim.settle();
+  robotB.insert(0, '> ');
+  robotB.insert(robotB.getText().length, '!');
+  sim.settle();
+  const listed = robotA.getChanges().map((change) => change.description);
+  log(colors.client1, 'Robot A', `Changes: ${listed.join(', ')}`);
+  check('Own changes listed newest first',
+    JSON.stringify(listed) === JSON.stringify(['Typed "three"', 'Typed "two "', 'Typed "one "']));
+  check('Nothing conflicts yet', robotA.getChanges().every((change) => !change.conflict && !change.reverted));
+
+  // Step 2: Revert the middle change
+  console.log(`\n${colors.info}--- Step 2: Reverting an earlier change ---${colors.reset}`);
+  check('Revert reports a change', robotA.revertChange(find('Typed "two "').id));
+  sim.settle();
+  log(colors.client2, 'Robot B', JSON.stringify(robotB.getText()));
+  check('Only that change is gone, later edits stay',
+    robotA.getText() === '> one three!' && robotB.getText() === '> one three!');
+  check('The revert is listed as a new change',
+    robotA.getChanges()[0].description === 'Reverted: Typed "two "' && find('Typed "two "').reverted);
+  check('A reverted change cannot be reverted again', throws(() => robotA.revertChange(find('Typed "two "').id)));
+  check('Unknown changes cannot be reverted', throws(() => robotA.revertChange(999)));
+
+  // Step 3: The revert is a change like any other
+  console.log(`\n${colors.info}--- Step 3: Undoing and reverting a revert ---${colors.reset}`);
+  robotA.undo();
+  check('Undo brings the reverted text back', robotA.getText() === '> one two three!' && !find('Typed "two "').reverted);
+  robotA.redo();
+  check('Redo reverts it again', robotA.getText() === '> one three!' && find('Typed "two "').reverted);
+  robotA.revertChange(robotA.getChanges()[0].id);
+  sim.settle();
+  check('Reverting the revert restores the text everywhere',
+    robotA.getText() === '> one two three!' && robotB.getText() === '> one two three!' && !find('Typed "two "').reverted);
+
+  // Step 4: Conflicts
+  console.log(`\n${colors.info}--- Step 4: Conflicting reverts ---${colors.reset}`);
+  const index = robotB.getText().indexOf('three') + 2;
+  robotB.insert(index, 'XX');
+  robotB.delete(robotB.getText().indexOf('one') + 1, 1);
+  sim.settle();
+  log(colors.client1, 'Robot A', JSON.stringify(robotA.getText()));
+  check('Changes whose text was edited since conflict',
+    find('Typed "three"').conflict && find('Typed "one "').conflict);
+  check('Untouched changes do not', !find('Typed "two "').conflict);
+  robotA.revertChange(find('Typed "three"').id);
+  sim.settle();
+  log(colors.client2, 'Robot B', JSON.stringify(robotB.getText()));
+  check("A conflicting revert keeps the other robot's text",
+    robotA.getText() === '> oe two XX!' && sim.converged());
+  await sim.destroy();
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Earlier changes reverted without touching later ones${colors.reset}`
+    : `${colors.error}✗ Some revert checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runRevertTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+/**
+ * Rich Text Test
+ *
+ * Two robots format the same document, one of them while offline.
+ * This test verifies:
+ * 1. Inline and block formatting sync between clients
+ * 2. Formatting done offline merges with concurrent edits on reconnect
+ * 3. Undo reverts only the robot's own formatting
+ * 4. Splitting a list item keeps the list format on both lines
+ *
+ * Runs over the in-memory transport, so no server is required.
+ */
+
+import { YjsEngine } from '../src/YjsEngine.js';
+import { MemoryTransport } from '../src/transports.js';
+
+const DOCUMENT_ID = 'test-rich-text-' + Date.now();
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+async function runRichTextTest() {
+  console.log(`${colors.info}=== Rich Text Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Concurrent inserts at one position are ordered by Yjs client ID; fixed
+  // IDs make the insert at the italic boundary in step 2 land the same way every run
+  const createRobot = (clientId, yjsClientId) => new YjsEngine(DOCUMENT_ID, clientId, {
+    persistence: false,
+    transport: (doc, documentId, options) => {
+      doc.clientID = yjsClientId;
+      return new MemoryTransport(doc, documentId, options);
+    },
+  });
+  const robotA = createRobot('robot-a', 1);
+  const robotB = createRobot('robot-b', 2);
+
+  // Step 1: Robot A writes a heading and a paragraph
+  console.log(`${colors.info}--- Step 1: Robot A writes and formats ---${colors.reset}`);
+  robotA.insert(0, 'Notes\nSome important text\n');
+  robotA.formatLine(0, 0, { heading: 1 });
+  robotA.format(11, 9, { bold: true });
+  log(colors.client2, 'Robot B', JSON.stringify(robotB.getDelta()));
+  const synced = robotB.getFormat(11, 9).bold === true && robotB.getFormat(0, 0).heading === 1;
+
+  // Step 2: Robot B goes offline and italicizes while Robot A edits
+  console.log(`\n${colors.info}--- Step 2: Robot B formats offline ---${colors.reset}`);
+  robotB.disconnect();
+  robotB.format(6, 4, { italic: true });
+  robotA.insert(6, 'Really ');
+  robotB.connect();
+  log(colors.client1, 'Robot A', JSON.stringify(robotA.getDelta()));
+  const converged = JSON.stringify(robotA.getDelta()) === JSON.stringify(robotB.getDelta());
+  const italicKept = robotA.getFormat(13, 4).italic === true && !robotA.getFormat(6, 7).italic;
+
+  // Step 3: Robot A undoes its last change; Robot B's italic stays
+  console.log(`\n${colors.info}--- Step 3: Robot A undoes ---${colors.reset}`);
+  robotA.undo();
+  log(colors.client2, 'Robot B', JSON.stringify(robotB.getDelta()));
+  const undoOwnOnly = robotB.getText() === 'Notes\nSome important text\n' &&
+    robotB.getFormat(6, 4).italic === true;
+
+  // Step 4: Robot B makes a list and presses Enter at the end of an item
+  console.log(`\n${colors.info}--- Step 4: Robot B splits a list item ---${colors.reset}`);
+  robotB.insert(robotB.getText().length, 'First item');
+  robotB.formatLine(robotB.getText().length - 1, 0, { list: 'bullet' });
+  robotB.insert(robotB.getText().length - 1, '\nSecond item');
+  log(colors.client1, 'Robot A', JSON.stringify(robotA.getDelta()));
+
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}\n`);
+  check('Heading and bold synced to Robot B', synced);
+  check('Offline formatting converged after reconnect', converged);
+  check('Offline italic kept on the same words', italicKept);
+  check('Undo reverts only the own change', undoOwnOnly);
+  check('Split list item keeps the list format',
+    robotA.getFormat(robotA.getText().indexOf('First'), 0).list === 'bullet' &&
+    robotA.getFormat(robotA.getText().indexOf('Second'), 0).list === 'bullet');
+  check('Plain text unaffected by formatting',
+    robotA.getText() === 'Notes\nSome important text\nFirst item\nSecond item\n');
+
+  await robotA.destroy();
+  await robotB.destroy();
+
+  const success = results.every(Boolean);
+  console.log('');
+  process.exit(success ? 0 : 1);
+}
+
+runRichTextTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
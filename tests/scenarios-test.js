@@ -0,0 +1,119 @@
+/**
+ * Scenarios Test
+ *
+ * Runs the robot scenarios in scenarios/*.json headless - the same files the
+ * visual TestRunner plays. This test verifies:
+ * 1. Every scenario's assertions pass
+ * 2. Runs are repeatable: the same scenario gives the same texts twice
+ * 3. Failed assertions are reported without stopping the run
+ * 4. Malformed scenarios are rejected before anything runs
+ *
+ * Pass scenario files to run just those:
+ *   node tests/scenarios-test.js scenarios/offline-conflict.json
+ *
+ * Runs over a simulated in-process network, so no server is required.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runScenario, simulationDriver, validateScenario } from '../src/scenario.js';
+
+const SCENARIO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'scenarios');
+
+const colors = {
+  reset: '\x1b[0m',
+  robot: '\x1b[36m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const logStep = (message, type, robot) => {
+  const color = type === 'error' ? colors.error : type === 'success' ? colors.success : colors.reset;
+  console.log(`  ${robot ? `${colors.robot}[${robot}]${colors.reset} ` : ''}${color}${message}${colors.reset}`);
+};
+
+async function loadScenarios(files) {
+  if (files.length === 0) {
+    files = (await readdir(SCENARIO_DIR))
+      .filter((file) => file.endsWith('.json'))
+      .sort()
+      .map((file) => path.join(SCENARIO_DIR, file));
+  }
+  return Promise.all(files.map(async (file) => JSON.parse(await readFile(file, 'utf8'))));
+}
+
+async function runScenariosTest() {
+  console.log(`${colors.info}=== Scenarios Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  const files = process.argv.slice(2);
+  const scenarios = await loadScenarios(files);
+
+  // Step 1: Every scenario, twice
+  console.log(`${colors.info}--- Step 1: Running ${scenarios.length} scenario(s) ---${colors.reset}`);
+  for (const scenario of scenarios) {
+    console.log(`\n${colors.info}${scenario.name}${colors.reset}${scenario.description ? ` - ${scenario.description}` : ''}`);
+    const result = await runScenario(scenario, simulationDriver(scenario), { onLog: logStep });
+    check(`"${scenario.name}" passed`, result.passed);
+    const again = await runScenario(scenario, simulationDriver(scenario));
+    check(`"${scenario.name}" is repeatable`, JSON.stringify(again.texts) === JSON.stringify(result.texts));
+  }
+
+  // The checks below use inline scenarios; skip them when running given files
+  if (files.length === 0) {
+    // Step 2: Failing assertions
+    console.log(`\n${colors.info}--- Step 2: Failed assertions ---${colors.reset}`);
+    const failing = await runScenario({
+      name: 'Failing',
+      robots: ['A', 'B'],
+      steps: [
+        { robot: 'A', action: 'insert', index: 0, text: 'hello' },
+        { action: 'assert', robot: 'B', text: 'hello' },
+        { action: 'sync' },
+        { action: 'assert', contains: ['goodbye'] },
+        { action: 'assert', converged: true },
+      ],
+    }, simulationDriver({ name: 'Failing' }));
+    failing.failures.forEach(({ step, message }) => console.log(`  step ${step}: ${message}`));
+    check('Failures are collected and the run continues',
+      !failing.passed && failing.failures.length === 3 && failing.failures[0].step === 2 &&
+      failing.texts.B === 'hello');
+
+    // Step 3: Malformed scenarios
+    console.log(`\n${colors.info}--- Step 3: Validation ---${colors.reset}`);
+    const rejects = (scenario, pattern) => {
+      try {
+        validateScenario(scenario);
+        return false;
+      } catch (err) {
+        console.log(`  ${err.message}`);
+        return pattern.test(err.message);
+      }
+    };
+    check('Unknown actions are rejected',
+      rejects({ name: 'Bad', robots: ['A'], steps: [{ robot: 'A', action: 'paint' }] }, /step 1: unknown action "paint"/));
+    check('Unknown robots are rejected',
+      rejects({ name: 'Bad', robots: ['A'], steps: [{ robot: 'Z', action: 'undo' }] }, /unknown robot "Z"/));
+    check('Incomplete steps are rejected',
+      rejects({ name: 'Bad', robots: ['A'], steps: [{ robot: 'A', action: 'delete', index: 0 }] }, /positive "length"/));
+  }
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Every scenario ran as scripted${colors.reset}`
+    : `${colors.error}✗ Some scenario checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runScenariosTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
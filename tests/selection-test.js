@@ -0,0 +1,117 @@
+/**
+ * Selection Test
+ *
+ * Two robots edit around Robot A's selection. This test verifies:
+ * 1. onTextChange delivers the Yjs delta and whether the change was local
+ * 2. A selection stays on the same characters when text is inserted or
+ *    deleted before it
+ * 3. Text inserted right at a selection's edges lands outside it
+ * 4. A caret moves past text inserted where it sits, and stays at the end
+ *    of the document while others append
+ *
+ * Runs over a simulated in-process network, so no server is required.
+ */
+
+import { Simulation } from '../src/simulation.js';
+
+const DOCUMENT_ID = 'test-selection';
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+async function runSelectionTest() {
+  console.log(`${colors.info}=== Selection Test ===${colors.reset}\n`);
+  const sim = new Simulation(DOCUMENT_ID, { latency: 20 });
+  const robotA = sim.addClient('robot-a');
+  const robotB = sim.addClient('robot-b');
+  sim.settle();
+
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+  const selected = () => {
+    const { start, end } = robotA.getSelection();
+    return robotA.getText().slice(start, end);
+  };
+
+  const changes = [];
+  robotA.onTextChange((text, change) => changes.push(change));
+
+  // Step 1: Robot A writes and selects a word
+  console.log(`${colors.info}--- Step 1: Robot A selects "world" ---${colors.reset}`);
+  robotA.insert(0, 'hello world');
+  sim.settle();
+  robotA.updateSelection(6, 11);
+  log(colors.client1, 'Robot A', `"${robotA.getText()}" selection: "${selected()}"`);
+  check('Local edit reported as local with its delta',
+    changes.length === 1 && changes[0].local && JSON.stringify(changes[0].delta) === '[{"insert":"hello world"}]');
+
+  // Step 2: Robot B edits before the selection
+  console.log(`\n${colors.info}--- Step 2: Robot B edits before the selection ---${colors.reset}`);
+  robotB.insert(0, 'Big ');
+  robotB.delete(4, 6);
+  sim.settle();
+  log(colors.client2, 'Robot B', `"${robotB.getText()}"`);
+  log(colors.client1, 'Robot A', `selection: "${selected()}" at ${JSON.stringify(robotA.getSelection())}`);
+  const remote = changes.slice(1);
+  check('Remote edits reported as remote deltas',
+    remote.length === 2 && remote.every((change) => !change.local) &&
+    JSON.stringify(remote[0].delta) === '[{"insert":"Big "}]' &&
+    JSON.stringify(remote[1].delta) === '[{"retain":4},{"delete":6}]');
+  check('Selection still covers "world"', selected() === 'world' && robotA.getSelection().start === 4);
+
+  // Step 3: Robot B types right at both edges and inside the selection
+  console.log(`\n${colors.info}--- Step 3: Robot B types at the selection's edges ---${colors.reset}`);
+  robotB.insert(4, '[');
+  robotB.insert(10, ']');
+  sim.settle();
+  log(colors.client1, 'Robot A', `"${robotA.getText()}" selection: "${selected()}"`);
+  check('Text inserted at the edges lands outside the selection', selected() === 'world');
+  robotB.insert(7, '-');
+  sim.settle();
+  check('Text inserted inside the selection is part of it', selected() === 'wo-rld');
+
+  // Step 4: Collapsed carets
+  console.log(`\n${colors.info}--- Step 4: Robot A's caret ---${colors.reset}`);
+  robotA.updateSelection(5, 5);
+  robotB.insert(5, 'XY');
+  sim.settle();
+  log(colors.client1, 'Robot A', `"${robotA.getText()}" caret at ${robotA.getSelection().start}`);
+  check('Caret moves past text inserted where it sits', robotA.getSelection().start === 7);
+
+  const end = robotA.getText().length;
+  robotA.updateSelection(end, end);
+  robotB.insert(end, '!!!');
+  sim.settle();
+  check('Caret at the end stays at the end', robotA.getSelection().start === robotA.getText().length);
+
+  robotB.delete(0, robotB.getText().length);
+  sim.settle();
+  check('Caret falls back to 0 when everything is deleted',
+    robotA.getSelection().start === 0 && robotA.getSelection().end === 0);
+
+  await sim.destroy();
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Selections stayed on their characters${colors.reset}`
+    : `${colors.error}✗ Some selection checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runSelectionTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+/**
+ * Sync Server Test
+ *
+ * Starts the project's own sync server with file storage, edits through it,
+ * then restarts it. This test verifies:
+ * 1. Clients using the y-websocket protocol sync through the server
+ * 2. A document survives all clients disconnecting
+ * 3. A document survives a server restart (lazy reload from storage)
+ * 4. The stored update log is compacted into a single snapshot
+ * 5. A connection to a malformed document path is closed without taking
+ *    the server down
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { SyncServer } from '../server/SyncServer.js';
+import { FileStorage } from '../server/storage.js';
+
+const DOCUMENT_ID = 'test-server-' + Date.now();
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createClient = (port, clientId) => new YjsEngine(DOCUMENT_ID, clientId, {
+  transport: 'websocket',
+  url: `ws://localhost:${port}`,
+  transportOptions: { WebSocketPolyfill: WebSocket },
+  persistence: false,
+});
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(50);
+  }
+  return true;
+}
+
+async function runServerTest() {
+  console.log(`${colors.info}=== Sync Server Test ===${colors.reset}\n`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-server-'));
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: Two clients edit through the server
+  console.log(`${colors.info}--- Step 1: Two clients edit through the server ---${colors.reset}`);
+  let server = new SyncServer({ storage: new FileStorage(directory) });
+  let port = await server.listen(0);
+  const client1 = createClient(port, 'client-1');
+  const client2 = createClient(port, 'client-2');
+  await waitFor(() => client1.isSynced && client2.isSynced);
+  client1.insert(0, 'AAA');
+  client2.insert(0, 'BBB');
+  const converged = await waitFor(() =>
+    client1.getText().length === 6 && client1.getText() === client2.getText());
+  console.log(`${colors.client1}[Client 1]${colors.reset} "${client1.getText()}"`);
+  console.log(`${colors.client2}[Client 2]${colors.reset} "${client2.getText()}"`);
+  check('Clients converged through the server', converged);
+
+  // Step 2: Everyone leaves, the document is compacted and unloaded
+  console.log(`\n${colors.info}--- Step 2: All clients disconnect ---${colors.reset}`);
+  const expected = client1.getText();
+  await client1.destroy();
+  await client2.destroy();
+  const unloaded = await waitFor(() => server.docs.size === 0);
+  check('Document unloaded after the last client left', unloaded);
+  check('Stored log compacted into one snapshot',
+    (await server.storage.getUpdates(DOCUMENT_ID)).length === 1);
+
+  // Step 3: A new client joins and gets the stored document
+  console.log(`\n${colors.info}--- Step 3: A new client joins ---${colors.reset}`);
+  const client3 = createClient(port, 'client-3');
+  await waitFor(() => client3.isSynced);
+  console.log(`${colors.client1}[Client 3]${colors.reset} "${client3.getText()}"`);
+  check('Document survived all clients disconnecting', client3.getText() === expected);
+  client3.insert(client3.getText().length, 'CCC');
+  await sleep(200);
+  await client3.destroy();
+
+  // Step 4: Restart the server on the same storage
+  console.log(`\n${colors.info}--- Step 4: Server restarts ---${colors.reset}`);
+  await server.close();
+  server = new SyncServer({ storage: new FileStorage(directory) });
+  port = await server.listen(0);
+  const client4 = createClient(port, 'client-4');
+  await waitFor(() => client4.isSynced);
+  console.log(`${colors.client2}[Client 4]${colors.reset} "${client4.getText()}"`);
+  check('Document survived a server restart', client4.getText() === expected + 'CCC');
+
+  // Step 5: A malformed path is turned away
+  console.log(`\n${colors.info}--- Step 5: Malformed document path ---${colors.reset}`);
+  const malformed = new WebSocket(`ws://localhost:${port}/%E0%A4%A`);
+  const closeCode = await new Promise((resolve) => {
+    malformed.on('close', (code) => resolve(code));
+    malformed.on('error', () => {});
+  });
+  check('Malformed path closed as a policy violation', closeCode === 1008);
+  client4.insert(0, 'still ');
+  const client5 = createClient(port, 'client-5');
+  check('Server keeps syncing other clients', await waitFor(() => client5.getText() === client4.getText() &&
+    client5.getText().startsWith('still ')));
+  await client5.destroy();
+
+  await client4.destroy();
+  await server.close();
+  await rm(directory, { recursive: true, force: true });
+
+  const success = results.every(Boolean);
+  console.log('');
+  process.exit(success ? 0 : 1);
+}
+
+runServerTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
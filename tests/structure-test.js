@@ -0,0 +1,176 @@
+/**
+ * Document Structure Test
+ *
+ * Two robots edit a document's title, tags and sections besides its main
+ * text. This test verifies:
+ * 1. Title and tags sync, and created/updated by are recorded
+ * 2. Sections are added, renamed, reordered, edited and removed on every
+ *    replica in the same order, with change events for each part
+ * 3. Undo is per client and covers metadata and sections; undoing a
+ *    removed section brings back its text
+ * 4. Offline edits to metadata and sections merge: tags added on both
+ *    sides, typing in a section that was renamed or moved meanwhile, and
+ *    sections added concurrently at the same place
+ * 5. Tags are removed by their trimmed name like they are added, and empty
+ *    names and unknown sections are rejected
+ *
+ * Runs over a simulated in-process network, so no server is required.
+ */
+
+import { Simulation } from '../src/simulation.js';
+
+const DOCUMENT_ID = 'test-structure';
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const outline = (robot) => robot.getSections().map(({ name, text }) => (text ? `${name}: ${JSON.stringify(text)}` : name)).join(' | ');
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return true;
+  }
+};
+
+async function runStructureTest() {
+  console.log(`${colors.info}=== Document Structure Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  const sim = new Simulation(DOCUMENT_ID, { seed: 11, latency: 30, jitter: 10 });
+  const robotA = sim.addClient('Robot A');
+  const robotB = sim.addClient('Robot B');
+  sim.settle();
+  const metadataEvents = [];
+  robotB.onMetadataChange((metadata, { local }) => metadataEvents.push({ metadata, local }));
+  const sectionEvents = [];
+  robotB.onSectionsChange((sections, { local }) => sectionEvents.push({ sections, local }));
+
+  // Step 1: Metadata
+  console.log(`${colors.info}--- Step 1: Title and tags ---${colors.reset}`);
+  robotA.setTitle('Quarterly plan');
+  robotA.addTag('planning');
+  robotA.addTag(' draft ');
+  sim.settle();
+  let metadata = robotB.getMetadata();
+  log(colors.client2, 'Robot B', `"${metadata.title}" [${metadata.tags.join(', ')}] created by ${metadata.createdBy}`);
+  check('Title and tags synced', metadata.title === 'Quarterly plan' &&
+    metadata.tags.join() === 'draft,planning');
+  check('Creator recorded', metadata.createdBy === 'Robot A' && metadata.updatedBy === 'Robot A');
+  check('Remote metadata changes reported', metadataEvents.length > 0 &&
+    metadataEvents.every(({ local }) => !local) && metadataEvents.at(-1).metadata.title === 'Quarterly plan');
+  robotB.insert(0, 'Goals for the quarter.');
+  sim.settle();
+  metadata = robotA.getMetadata();
+  check('Last update recorded', metadata.updatedBy === 'Robot B' && metadata.createdBy === 'Robot A');
+
+  // Step 2: Sections
+  console.log(`\n${colors.info}--- Step 2: Sections ---${colors.reset}`);
+  const goals = robotA.addSection('Goals');
+  const risks = robotA.addSection('Risks');
+  const intro = robotB.addSection('Intro', 0);
+  sim.settle();
+  robotA.insertInSection(goals, 0, 'Ship sync');
+  robotB.insertInSection(risks, 0, 'Outages');
+  robotA.renameSection(risks, 'Risks & mitigations');
+  robotB.moveSection(intro, 2);
+  sim.settle();
+  log(colors.client1, 'Robot A', outline(robotA));
+  log(colors.client2, 'Robot B', outline(robotB));
+  check('Sections in the same order everywhere', outline(robotA) === outline(robotB) &&
+    robotA.getSections().map((section) => section.name).join() === 'Goals,Risks & mitigations,Intro');
+  check('Section texts synced', robotB.getSectionText(goals) === 'Ship sync' &&
+    robotA.getSectionText(risks) === 'Outages');
+  check('Main text untouched', robotA.getText() === 'Goals for the quarter.');
+  check('Section changes reported', sectionEvents.some(({ local }) => local) &&
+    sectionEvents.some(({ local }) => !local) && sectionEvents.at(-1).sections.length === 3);
+  robotB.removeSection(intro);
+  sim.settle();
+  check('Removed section gone everywhere', robotA.getSections().length === 2);
+
+  // Step 3: Undo
+  console.log(`\n${colors.info}--- Step 3: Per-client undo ---${colors.reset}`);
+  robotA.setSectionText(goals, 'Ship sync and search');
+  robotB.setTitle('Q3 plan');
+  sim.settle();
+  log(colors.client1, 'Robot A', `undo steps: ${robotA.getUndoHistory().undo.slice(0, 3).map((step) => step.description).join(', ')}`);
+  check('Section edits described with their section',
+    robotA.getUndoHistory().undo[0].description === 'Typed " and search" in "Goals"');
+  robotA.undo();
+  sim.settle();
+  check('Undo reverts only our own edit', robotB.getSectionText(goals) === 'Ship sync' &&
+    robotB.getMetadata().title === 'Q3 plan');
+  robotB.undo();
+  sim.settle();
+  check('Other robot undoes its title', robotA.getMetadata().title === 'Quarterly plan');
+  robotA.removeSection(goals);
+  sim.settle();
+  robotA.undo();
+  sim.settle();
+  log(colors.client2, 'Robot B', outline(robotB));
+  check('Undoing a removal brings the section back with its text',
+    robotB.getSections()[0]?.name === 'Goals' && robotB.getSectionText(goals) === 'Ship sync');
+
+  // Step 4: Offline merge
+  console.log(`\n${colors.info}--- Step 4: Offline edits ---${colors.reset}`);
+  robotA.disconnect();
+  robotA.addTag('offline');
+  robotA.insertInSection(goals, robotA.getSectionText(goals).length, ' by June');
+  robotA.moveSection(goals, 1);
+  const notesA = robotA.addSection('Notes A');
+  robotB.addTag('reviewed');
+  robotB.renameSection(goals, 'Objectives');
+  robotB.insertInSection(goals, 0, 'We ');
+  const notesB = robotB.addSection('Notes B');
+  sim.settle();
+  check('Offline edits stay local', !robotB.getMetadata().tags.includes('offline'));
+  robotA.connect();
+  sim.settle();
+  log(colors.client1, 'Robot A', outline(robotA));
+  log(colors.client2, 'Robot B', outline(robotB));
+  check('Robots converged', sim.converged() && outline(robotA) === outline(robotB));
+  check('Tags from both sides kept', robotB.getMetadata().tags.join() === 'draft,offline,planning,reviewed');
+  check('Typing merged into the renamed, moved section',
+    robotB.getSectionText(goals) === 'We Ship sync by June' &&
+    robotB.getSections().findIndex((section) => section.id === goals) === 1 &&
+    robotB.getSections()[1].name === 'Objectives');
+  check('Sections added on both sides both kept', [notesA, notesB].every((id) =>
+    robotA.getSections().some((section) => section.id === id)));
+
+  // Step 5: Validation
+  console.log(`\n${colors.info}--- Step 5: Validation ---${colors.reset}`);
+  check('Empty section name rejected', throws(() => robotA.addSection('  ')));
+  robotA.removeTag(' offline ');
+  sim.settle();
+  check('Tag removed by its trimmed name', robotB.getMetadata().tags.join() === 'draft,planning,reviewed');
+  check('Empty tag rejected', throws(() => robotA.addTag('')) && throws(() => robotA.removeTag('  ')));
+  check('Unknown section rejected', throws(() => robotA.insertInSection('missing', 0, 'x')));
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Title, tags and sections sync, undo and merge${colors.reset}`
+    : `${colors.error}✗ Some structure checks failed${colors.reset}`);
+  await sim.destroy();
+  process.exit(success ? 0 : 1);
+}
+
+runStructureTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
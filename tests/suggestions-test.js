@@ -0,0 +1,171 @@
+/**
+ * Suggestions Test
+ *
+ * One robot proposes edits in suggestion mode while others accept or
+ * reject them, partly offline. This test verifies:
+ * 1. Inserts and deletes in suggestion mode become suggestions attributed
+ *    to their author on every replica; deleted text stays until decided
+ * 2. Deleting your own suggested text removes it, and ordinary edits next
+ *    to a suggestion are not part of it
+ * 3. Accepting and rejecting apply or drop each suggestion, as one undo
+ *    step that can be undone
+ * 4. Replicas that decide the same suggestions differently while offline
+ *    converge, and suggestions made offline meanwhile stay pending
+ * 5. Unknown suggestions and roles that cannot edit are rejected
+ *
+ * Runs over a simulated in-process network, so no server is required.
+ */
+
+import { Simulation } from '../src/simulation.js';
+
+const DOCUMENT_ID = 'test-suggestions';
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+const describe = (robot) => robot.getSuggestions().map(({ type, text, author }) => `${type} ${JSON.stringify(text)} by ${author}`).join(', ') || 'none';
+
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return true;
+  }
+};
+
+const type = (robot, index, text) => {
+  [...text].forEach((char, i) => robot.insert(index + i, char));
+};
+
+const backspace = (robot, index, count) => {
+  for (let i = 0; i < count; i++) {
+    robot.delete(index - i - 1, 1);
+  }
+};
+
+async function runSuggestionsTest() {
+  console.log(`${colors.info}=== Suggestions Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  const sim = new Simulation(DOCUMENT_ID, { seed: 5, latency: 30, jitter: 10, engineOptions: { undoGrouping: 'word' } });
+  const author = sim.addClient('Robot A');
+  const suggester = sim.addClient('Robot B');
+  const reviewer = sim.addClient('Robot C');
+  suggester.setLocalUser({ name: 'Robot B', color: '#8b5cf6' });
+  sim.settle();
+
+  // Step 1: Suggesting
+  console.log(`${colors.info}--- Step 1: Suggesting edits ---${colors.reset}`);
+  author.insert(0, 'The quick fox jumps.');
+  sim.settle();
+  suggester.setSuggesting(true);
+  type(suggester, 'The quick'.length, ' brown');
+  backspace(suggester, 'The quick brown fox jumps'.length, ' jumps'.length);
+  sim.settle();
+  log(colors.client2, 'Robot B', describe(suggester));
+  const suggestions = author.getSuggestions();
+  check('Suggestions recorded on every replica', suggestions.length === 2 &&
+    describe(author) === describe(reviewer) && describe(author) === describe(suggester));
+  check('Typing is one suggested insertion', suggestions[0]?.type === 'insert' &&
+    suggestions[0].text === ' brown' && suggestions[0].author === 'Robot B');
+  check('Deleting is one suggested deletion', suggestions[1]?.type === 'delete' && suggestions[1].text === ' jumps');
+  check('Suggested deletion keeps its text', author.getText() === 'The quick brown fox jumps.');
+  check('Suggestion steps described', suggester.getUndoHistory().undo[0]?.description === 'Suggested deleting " jumps"');
+
+  // Step 2: Own suggestions and ordinary edits
+  console.log(`\n${colors.info}--- Step 2: Editing around suggestions ---${colors.reset}`);
+  backspace(suggester, 'The quick brown'.length, 'own'.length);
+  sim.settle();
+  log(colors.client1, 'Robot A', `"${author.getText()}"`);
+  check('Deleting own suggested text removes it', author.getText() === 'The quick br fox jumps.' &&
+    author.getSuggestions()[0]?.text === ' br');
+  suggester.setSuggesting(false);
+  suggester.insert('The quick br'.length, 'ight');
+  sim.settle();
+  check('Ordinary typing next to a suggestion is not suggested', author.getText() === 'The quick bright fox jumps.' &&
+    author.getSuggestions()[0]?.text === ' br');
+
+  // Step 3: Accepting and rejecting
+  console.log(`\n${colors.info}--- Step 3: Accept and reject ---${colors.reset}`);
+  const [insertion, deletion] = author.getSuggestions();
+  author.acceptSuggestion(insertion.id);
+  reviewer.rejectSuggestion(deletion.id);
+  sim.settle();
+  log(colors.client1, 'Robot A', `"${author.getText()}", pending: ${describe(author)}`);
+  check('Accepted insertion kept, rejected deletion restored', author.getText() === 'The quick bright fox jumps.' &&
+    author.getSuggestions().length === 0 && sim.converged());
+  check('Decision is one undo step', author.getUndoHistory().undo[0]?.description === 'Accepted suggestion by Robot B');
+  author.undo();
+  sim.settle();
+  check('Undoing a decision brings the suggestion back', reviewer.getSuggestions().some(({ id }) => id === insertion.id));
+  author.redo();
+  reviewer.setSuggesting(true);
+  reviewer.delete(0, 'The '.length);
+  sim.settle();
+  author.acceptSuggestion(author.getSuggestions()[0].id);
+  sim.settle();
+  check('Accepted deletion removes its text', suggester.getText() === 'quick bright fox jumps.' &&
+    suggester.getSuggestions().length === 0);
+  reviewer.setSuggesting(false);
+
+  // Step 4: Deciding while offline
+  console.log(`\n${colors.info}--- Step 4: Offline decisions ---${colors.reset}`);
+  suggester.setSuggesting(true);
+  type(suggester, 'quick bright fox'.length, ' red');
+  suggester.delete(0, 'quick '.length);
+  sim.settle();
+  const [removal, addition] = author.getSuggestions();
+  author.disconnect();
+  suggester.disconnect();
+  author.acceptSuggestion(addition.id);
+  author.rejectSuggestion(removal.id);
+  reviewer.rejectSuggestion(addition.id);
+  reviewer.acceptSuggestion(removal.id);
+  type(suggester, 'quick bright fox red jumps'.length, ' high');
+  sim.settle();
+  check('Offline decisions stay local', author.getText() !== reviewer.getText());
+  author.connect();
+  suggester.connect();
+  sim.settle();
+  log(colors.client1, 'Robot A', `"${author.getText()}", pending: ${describe(author)}`);
+  log(colors.client2, 'Robot B', `"${suggester.getText()}", pending: ${describe(suggester)}`);
+  check('Replicas converged', sim.converged() && describe(author) === describe(reviewer));
+  check('Conflicting decisions end in the deletion', author.getText() === 'bright fox jumps high.');
+  check('Offline suggestion stays pending', author.getSuggestions().length === 1 &&
+    author.getSuggestions()[0].text === ' high' && author.getSuggestions()[0].author === 'Robot B');
+
+  // Step 5: Validation
+  console.log(`\n${colors.info}--- Step 5: Validation ---${colors.reset}`);
+  check('Unknown suggestion rejected', throws(() => author.acceptSuggestion('missing')));
+  const pending = author.getSuggestions()[0].id;
+  reviewer.transport.emit('role', ['commenter']);
+  check('Commenters cannot decide or suggest', throws(() => reviewer.rejectSuggestion(pending)) &&
+    throws(() => reviewer.insert(0, 'x')));
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Suggestions are recorded, decided and converge${colors.reset}`
+    : `${colors.error}✗ Some suggestion checks failed${colors.reset}`);
+  await sim.destroy();
+  process.exit(success ? 0 : 1);
+}
+
+runSuggestionsTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
@@ -0,0 +1,212 @@
+/**
+ * Sync Status Test
+ *
+ * Follows a robot's sync state while it edits, goes offline and comes back.
+ * This test verifies:
+ * 1. Status moves through connecting, syncing, synced and offline
+ * 2. Local updates stay pending until a peer or the server acknowledges them
+ * 3. The time of the last acknowledgement is tracked
+ * 4. workOffline starts an engine without connecting
+ * 5. Over the sync server, offline edits are acknowledged after reconnecting
+ *    and a rejected connection shows up as an error
+ * 6. Offline edits restored from the local copy after a reload stay pending
+ *    until the server acknowledges them
+ *
+ * Runs over a simulated in-process network, then starts its own sync server.
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { Simulation } from '../src/simulation.js';
+import { YjsEngine } from '../src/YjsEngine.js';
+import { SyncServer } from '../server/SyncServer.js';
+import { FileStorage } from '../server/storage.js';
+import { createToken, PermissionStore } from '../server/auth.js';
+import { FilePersistence } from '../src/FilePersistence.js';
+
+const DOCUMENT_ID = 'test-sync-status';
+const SECRET = 'sync-status-test-secret';
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+const describe = ({ status, pending, error }) => `${status}, ${pending} pending${error ? ` (${error})` : ''}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(50);
+  }
+  return true;
+}
+
+async function runSyncStatusTest() {
+  console.log(`${colors.info}=== Sync Status Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: Two robots on a slow network
+  console.log(`${colors.info}--- Step 1: Edits wait for an acknowledgement ---${colors.reset}`);
+  const sim = new Simulation(DOCUMENT_ID, { latency: 50 });
+  const robotA = sim.addClient('robot-a');
+  const robotB = sim.addClient('robot-b');
+  const statuses = [];
+  robotA.onSyncStateChange = (state) => {
+    // Pending counts and acknowledgement times change too; keep status changes
+    if (statuses[statuses.length - 1] !== state.status) statuses.push(state.status);
+  };
+  // Robot A was alone in the room when it joined, Robot B has to wait for an answer
+  check('Syncing until the peer answers', robotB.getSyncState().status === 'syncing');
+  sim.settle();
+  check('Synced once the peer answered', robotB.getSyncState().status === 'synced' && robotB.getSyncState().lastAckAt !== null);
+
+  robotA.insert(0, 'hello');
+  robotA.insert(5, ' world');
+  log(colors.client1, 'Robot A', describe(robotA.getSyncState()));
+  check('Unacknowledged edits are pending', robotA.getSyncState().status === 'syncing' && robotA.getSyncState().pending === 2);
+  sim.settle();
+  log(colors.client1, 'Robot A', describe(robotA.getSyncState()));
+  check('Acknowledged edits are no longer pending',
+    robotA.getSyncState().status === 'synced' && robotA.getSyncState().pending === 0 &&
+    robotB.getText() === 'hello world');
+
+  // Step 2: Offline edits
+  console.log(`\n${colors.info}--- Step 2: Robot A works offline ---${colors.reset}`);
+  robotA.disconnect();
+  robotA.insert(0, '1');
+  robotA.insert(0, '2');
+  robotA.delete(0, 1);
+  sim.settle();
+  log(colors.client1, 'Robot A', describe(robotA.getSyncState()));
+  check('Offline with three pending updates',
+    robotA.getSyncState().status === 'offline' && robotA.getSyncState().pending === 3 &&
+    robotA.getSyncState().workOffline);
+
+  robotA.connect();
+  check('Syncing right after reconnecting', robotA.getSyncState().status === 'syncing');
+  sim.settle();
+  log(colors.client1, 'Robot A', describe(robotA.getSyncState()));
+  check('Synced once the peer holds the offline edits',
+    robotA.getSyncState().status === 'synced' && robotA.getSyncState().pending === 0 && sim.converged());
+  log(colors.client1, 'Robot A', `went ${statuses.join(' → ')}`);
+  check('State changes were reported in order',
+    JSON.stringify(statuses) === JSON.stringify(['synced', 'syncing', 'synced', 'offline', 'connecting', 'syncing', 'synced']));
+
+  // Step 3: Starting offline
+  console.log(`\n${colors.info}--- Step 3: workOffline option ---${colors.reset}`);
+  const robotC = sim.addClient('robot-c', { workOffline: true });
+  robotC.insert(0, 'C');
+  sim.settle();
+  check('An engine created with workOffline stays offline',
+    robotC.getSyncState().status === 'offline' && robotC.getSyncState().pending === 1 && robotC.getText() === 'C');
+  robotC.connect();
+  sim.settle();
+  check('It syncs once connected', robotC.getSyncState().status === 'synced' && sim.converged());
+  await sim.destroy();
+
+  // Step 4: The same over the sync server
+  console.log(`\n${colors.info}--- Step 4: Acknowledgements from the sync server ---${colors.reset}`);
+  const directory = await mkdtemp(path.join(tmpdir(), 'sync-status-'));
+  const permissions = new PermissionStore();
+  await permissions.setRole(DOCUMENT_ID, 'ada', 'owner');
+  // Users not listed are turned away
+  const server = new SyncServer({
+    storage: new FileStorage(directory),
+    auth: { secret: SECRET, permissions, defaultRole: null },
+  });
+  const port = await server.listen(0);
+  const createClient = (clientId, token, options = {}) => new YjsEngine(DOCUMENT_ID, clientId, {
+    transport: 'websocket',
+    url: `ws://localhost:${port}`,
+    transportOptions: { WebSocketPolyfill: WebSocket },
+    token,
+    persistence: false,
+    autoVersionInterval: 0,
+    ...options,
+  });
+  const client = createClient('client-1', createToken({ sub: 'ada' }, SECRET));
+  check('Synced with the server', await waitFor(() => client.getSyncState().status === 'synced'));
+
+  client.disconnect();
+  client.insert(0, 'offline edit');
+  check('Offline edit pending', client.getSyncState().status === 'offline' && client.getSyncState().pending === 1);
+  const ackedBefore = client.getSyncState().lastAckAt;
+  await sleep(10);
+  client.connect();
+  const acknowledged = await waitFor(() => client.getSyncState().status === 'synced');
+  log(colors.client1, 'Client 1', describe(client.getSyncState()));
+  check('The server acknowledged the offline edit',
+    acknowledged && client.getSyncState().pending === 0 && client.getSyncState().lastAckAt > ackedBefore);
+
+  client.insert(0, '> ');
+  const live = await waitFor(() => client.getSyncState().status === 'synced');
+  const serverDoc = await server.docs.get(DOCUMENT_ID);
+  check('Live edits are acknowledged too', live && serverDoc.getText('content').toString() === '> offline edit');
+
+  const stranger = createClient('client-2', createToken({ sub: 'mallory' }, SECRET));
+  const rejected = await waitFor(() => stranger.getSyncState().status === 'error');
+  log(colors.client2, 'Client 2', describe(stranger.getSyncState()));
+  check('A rejected connection is an error', rejected);
+
+  await client.destroy();
+  await stranger.destroy();
+
+  // Step 5: Reloading with offline edits
+  console.log(`\n${colors.info}--- Step 5: Reloading with offline edits ---${colors.reset}`);
+  const localDirectory = path.join(directory, 'local');
+  const token = createToken({ sub: 'ada' }, SECRET);
+  const openLocal = async () => {
+    const engine = createClient('client-3', token, {
+      persistence: new FilePersistence(localDirectory, DOCUMENT_ID),
+      workOffline: true,
+    });
+    await engine.whenLoaded;
+    return engine;
+  };
+  const writer = await openLocal();
+  writer.insert(0, 'Draft. ');
+  writer.insert(0, 'New ');
+  await writer.destroy();
+  const reloaded = await openLocal();
+  log(colors.client1, 'Client 3', describe(reloaded.getSyncState()));
+  check('Restored offline edits are pending', reloaded.getSyncState().pending === 1);
+  reloaded.connect();
+  const confirmed = await waitFor(() => reloaded.getSyncState().status === 'synced');
+  const serverText = (await server.docs.get(DOCUMENT_ID)).getText('content').toString();
+  check('Restored edits acknowledged after connecting',
+    confirmed && reloaded.getSyncState().pending === 0 && serverText.includes('New Draft. '));
+  await reloaded.destroy();
+  const again = await openLocal();
+  check('Acknowledgement survives a reload', again.getSyncState().pending === 0);
+  await again.destroy();
+  await server.close();
+  await rm(directory, { recursive: true, force: true });
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Sync state followed every connection change${colors.reset}`
+    : `${colors.error}✗ Some sync status checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runSyncStatusTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});
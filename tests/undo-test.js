@@ -0,0 +1,194 @@
+/**
+ * Undo Test
+ *
+ * Robots type character by character, like the editor does. This test verifies:
+ * 1. 'operation' grouping keeps one undo step per edit
+ * 2. 'word' grouping undoes typing and backspacing a word at a time
+ * 3. 'time' grouping merges edits made within the capture timeout
+ * 4. beginGroup()/endGroup() make any edits one undo step
+ * 5. Undo and redo put the selection back where it was
+ * 6. canUndo()/canRedo() and the undo history describe the stacks
+ * 7. Undo only reverts the robot's own steps while another robot edits
+ *
+ * Runs over a simulated in-process network, so no server is required.
+ */
+
+import { Simulation } from '../src/simulation.js';
+
+const DOCUMENT_ID = 'test-undo';
+
+const colors = {
+  reset: '\x1b[0m',
+  client1: '\x1b[36m',
+  client2: '\x1b[35m',
+  success: '\x1b[32m',
+  error: '\x1b[31m',
+  info: '\x1b[33m',
+};
+
+const log = (color, name, message) => console.log(`${color}[${name}]${colors.reset} ${message}`);
+
+/**
+ * Type `text` one character at a time at `index`, updating the selection
+ * after each one like the editor
+ */
+const type = (robot, index, text) => {
+  [...text].forEach((char, i) => {
+    robot.insert(index + i, char);
+    robot.updateSelection(index + i + 1, index + i + 1);
+  });
+};
+
+/**
+ * Press Backspace `count` times with the caret at `index`
+ */
+const backspace = (robot, index, count) => {
+  for (let i = 0; i < count; i++) {
+    robot.delete(index - i - 1, 1);
+    robot.updateSelection(index - i - 1, index - i - 1);
+  }
+};
+
+const undoAll = (robot) => {
+  let steps = 0;
+  while (robot.undo()) steps++;
+  return steps;
+};
+
+async function runUndoTest() {
+  console.log(`${colors.info}=== Undo Test ===${colors.reset}\n`);
+  const results = [];
+  const check = (label, ok) => {
+    results.push(ok);
+    console.log(`${ok ? colors.success + '✓' : colors.error + '✗'} ${label}${colors.reset}`);
+  };
+
+  // Step 1: One step per operation (the default)
+  console.log(`${colors.info}--- Step 1: 'operation' grouping ---${colors.reset}`);
+  let sim = new Simulation(`${DOCUMENT_ID}-operation`);
+  let robot = sim.addClient('robot-a');
+  type(robot, 0, 'hi you');
+  check('Every typed character is its own undo step', undoAll(robot) === 6 && robot.getText() === '');
+  await sim.destroy();
+
+  // Step 2: Word grouping
+  console.log(`\n${colors.info}--- Step 2: 'word' grouping ---${colors.reset}`);
+  sim = new Simulation(`${DOCUMENT_ID}-word`, { engineOptions: { undoGrouping: 'word' } });
+  robot = sim.addClient('robot-a');
+  const other = sim.addClient('robot-b');
+  sim.settle();
+  type(robot, 0, 'hello big world');
+  const descriptions = robot.getUndoHistory().undo.map((step) => step.description);
+  log(colors.client1, 'Robot A', `Undo steps: ${descriptions.join(', ')}`);
+  check('Typing three words gives three steps', robot.getUndoHistory().undo.length === 3);
+  check('Undo history describes each word, newest first',
+    JSON.stringify(descriptions) === JSON.stringify(['Typed "world"', 'Typed "big "', 'Typed "hello "']));
+
+  robot.undo();
+  check('Undo removes the last word', robot.getText() === 'hello big ');
+  check('Caret goes back to where the word started',
+    JSON.stringify(robot.getSelection()) === '{"start":10,"end":10}');
+  check('The undone word is offered for redo', robot.getUndoHistory().redo[0]?.description === 'Typed "world"');
+  robot.redo();
+  check('Redo brings the word back with the caret after it',
+    robot.getText() === 'hello big world' && JSON.stringify(robot.getSelection()) === '{"start":15,"end":15}');
+  check('Redone step is back on the undo stack', !robot.canRedo() &&
+    robot.getUndoHistory().undo[0].description === 'Typed "world"');
+
+  backspace(robot, 15, 5);
+  check('Backspacing a word is one step', robot.getText() === 'hello big ' &&
+    robot.getUndoHistory().undo[0].description === 'Deleted "world"');
+  robot.undo();
+  check('Undoing it restores the word', robot.getText() === 'hello big world');
+
+  // Another robot edits in between; undo only touches Robot A's steps
+  sim.settle();
+  other.insert(0, '>> ');
+  sim.settle();
+  robot.undo();
+  sim.settle();
+  log(colors.client2, 'Robot B', JSON.stringify(other.getText()));
+  check("Undo keeps the other robot's edit", other.getText() === '>> hello big ' && robot.getText() === '>> hello big ');
+  await sim.destroy();
+
+  // Step 3: Time grouping
+  console.log(`\n${colors.info}--- Step 3: 'time' grouping ---${colors.reset}`);
+  sim = new Simulation(`${DOCUMENT_ID}-time`, { engineOptions: { undoGrouping: 'time', undoCaptureTimeout: 60 * 1000 } });
+  robot = sim.addClient('robot-a');
+  robot.insert(0, 'one ');
+  robot.insert(4, 'two ');
+  robot.delete(0, 4);
+  check('Edits within the timeout are one step', robot.getUndoHistory().undo.length === 1);
+  robot.format(0, 3, { bold: true });
+  check('Formatting starts a new step', robot.getUndoHistory().undo.length === 2 &&
+    robot.getUndoHistory().undo[0].description === 'Formatting');
+  check('Both steps undone in two', undoAll(robot) === 2 && robot.getText() === '');
+  await sim.destroy();
+
+  sim = new Simulation(`${DOCUMENT_ID}-timeout`, { engineOptions: { undoGrouping: 'time', undoCaptureTimeout: 20 } });
+  robot = sim.addClient('robot-a');
+  robot.insert(0, 'one ');
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  robot.insert(4, 'two');
+  check('Edits further apart than the timeout are separate steps', robot.getUndoHistory().undo.length === 2);
+  await sim.destroy();
+
+  // Step 4: Explicit groups
+  console.log(`\n${colors.info}--- Step 4: beginGroup() / endGroup() ---${colors.reset}`);
+  sim = new Simulation(`${DOCUMENT_ID}-group`);
+  robot = sim.addClient('robot-a');
+  robot.insert(0, 'title\n');
+  robot.beginGroup();
+  robot.insert(6, 'body');
+  robot.beginGroup();
+  robot.formatLine(0, 1, { heading: 1 });
+  robot.endGroup();
+  robot.delete(0, 1);
+  robot.endGroup();
+  robot.insert(robot.getText().length, '!');
+  check('Grouped edits are one step between the others', robot.getUndoHistory().undo.length === 3);
+  robot.undo();
+  robot.undo();
+  check('Undoing the group reverts all of its edits',
+    robot.getText() === 'title\n' && !robot.getFormat(0).heading);
+  let threw = false;
+  try {
+    robot.endGroup();
+  } catch (err) {
+    threw = true;
+  }
+  check('endGroup() without beginGroup() throws', threw);
+  await sim.destroy();
+
+  // Step 5: Stack state
+  console.log(`\n${colors.info}--- Step 5: canUndo() / canRedo() ---${colors.reset}`);
+  sim = new Simulation(`${DOCUMENT_ID}-stacks`, { engineOptions: { undoGrouping: 'word' } });
+  robot = sim.addClient('robot-a');
+  const changes = [];
+  robot.onUndoHistoryChange((history) => changes.push(history));
+  check('Nothing to undo or redo at first', !robot.canUndo() && !robot.canRedo() && !robot.undo());
+  robot.updateSelection(0, 0);
+  robot.insert(0, 'abc');
+  check('An edit can be undone', robot.canUndo() && !robot.canRedo());
+  robot.undo();
+  check('An undone edit can be redone', !robot.canUndo() && robot.canRedo());
+  robot.updateSelection(0, 0);
+  robot.insert(0, 'x');
+  check('A new edit clears the redo stack', robot.canUndo() && !robot.canRedo());
+  check('History subscribers hear every stack change', changes.length >= 4 &&
+    changes[changes.length - 1].undo.length === 1 && changes[changes.length - 1].redo.length === 0);
+  await sim.destroy();
+
+  // Results
+  console.log(`\n${colors.info}=== Test Results ===${colors.reset}`);
+  const success = results.every(Boolean);
+  console.log(success
+    ? `${colors.success}✓ Undo steps grouped and restored as expected${colors.reset}`
+    : `${colors.error}✗ Some undo checks failed${colors.reset}`);
+  process.exit(success ? 0 : 1);
+}
+
+runUndoTest().catch(err => {
+  console.error(`${colors.error}Test error:${colors.reset}`, err);
+  process.exit(1);
+});